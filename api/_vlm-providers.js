@@ -0,0 +1,402 @@
+import OpenAI from 'openai';
+import { buildVisionPrompt, parseVisionResponse, buildAudioPrompt, parseAudioResponse } from '../vlm-schema.js';
+import { getEmotionById } from '../emotions.js';
+
+/**
+ * VLM 提供方注册表（服务端）
+ *
+ * Kimi、Qwen 以及任意 OpenAI 兼容端点都是同一个适配器（OpenAI SDK chat.completions）的不同配置。
+ * 文件名以 _ 开头，Vercel 不会把它当作 API 路由。
+ *
+ * 提供方配置：
+ * - baseURL：OpenAI 兼容端点
+ * - apiKeyEnv：API Key 所在的环境变量
+ * - model / temperature / systemPrompt：默认值
+ * - models / audioModels：请求可以选择的模型（允许列表），默认只有 model / audioModel；
+ *   环境变量 VLM_MODELS_<NAME> / VLM_AUDIO_MODELS_<NAME>（逗号分隔）优先
+ * - audioModel：音频通道使用的模型，没有时该提供方不支持音频
+ * - audioDataURL：input_audio 使用 data URL（DashScope），否则为纯 base64（OpenAI）
+ * - audioStream：音频模型只支持流式输出（Qwen-Omni），由适配器拼接成完整回答
+ * - mock：本地模拟函数 (options, kind) => 回答文本，不访问网络，用于开发
+ *
+ * 未指定提供方顺序时，视觉通道使用环境变量 VLM_PROVIDERS（逗号分隔），否则为 kimi,qwen；
+ * 音频通道使用 VLM_AUDIO_PROVIDERS，否则为 qwen,openai。
+ *
+ * 请求参数来自客户端，服务端只接受：已注册的提供方、允许列表中的模型、0 ~ 2 之间的 temperature；
+ * 请求中的 systemPrompt 只有在环境变量 VLM_ALLOW_CLIENT_SYSTEM_PROMPT=true 时才生效，否则使用提供方配置。
+ *
+ * 回答必须是 vlm-schema.js 定义的 JSON；解析或校验失败时把错误发回模型要求重新输出（最多 retries 次），
+ * 仍然失败则视为该提供方失败，切换到下一个。
+ */
+export const VLM_PROVIDERS = {
+  kimi: {
+    baseURL: 'https://api.moonshot.cn/v1',
+    apiKeyEnv: 'MOONSHOT_API_KEY',
+    model: 'moonshot-v1-8k-vision-preview',
+    models: ['moonshot-v1-8k-vision-preview', 'moonshot-v1-32k-vision-preview', 'moonshot-v1-128k-vision-preview'],
+    temperature: 0.6,
+    systemPrompt: '你是一个专业的图像分析助手。请简洁准确地描述图片内容，特别关注是否有猫。'
+  },
+  qwen: {
+    baseURL: 'https://dashscope.aliyuncs.com/compatible-mode/v1',
+    apiKeyEnv: 'DASHSCOPE_API_KEY',
+    model: 'qwen3-vl-plus',
+    models: ['qwen3-vl-plus', 'qwen-vl-max', 'qwen-vl-plus'],
+    audioModel: 'qwen-omni-turbo',
+    audioDataURL: true,
+    audioStream: true
+  },
+  // 任意 OpenAI 兼容端点（OpenAI、自建 vLLM 等），通过环境变量配置
+  openai: {
+    baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+    apiKeyEnv: 'OPENAI_API_KEY',
+    model: process.env.OPENAI_VLM_MODEL || 'gpt-4o-mini',
+    audioModel: process.env.OPENAI_AUDIO_MODEL || 'gpt-4o-audio-preview'
+  },
+  // 本地模拟（只支持音频）：按请求中的本地分类结果 hint 生成回答，不需要 API Key
+  mock: {
+    mock: mockAudioAnswer
+  }
+};
+
+/**
+ * 解析逗号分隔的环境变量
+ * @param {string} value - 环境变量值
+ * @returns {Array<string>|null} 未设置时为 null
+ */
+function parseList(value) {
+  return value ? value.split(',').map(item => item.trim()).filter(Boolean) : null;
+}
+
+export const DEFAULT_PROVIDER_ORDER = parseList(process.env.VLM_PROVIDERS) || ['kimi', 'qwen'];
+
+export const DEFAULT_AUDIO_PROVIDER_ORDER = parseList(process.env.VLM_AUDIO_PROVIDERS) || ['qwen', 'openai'];
+
+// 是否允许请求覆盖提供方的 systemPrompt
+export const ALLOW_CLIENT_SYSTEM_PROMPT = process.env.VLM_ALLOW_CLIENT_SYSTEM_PROMPT === 'true';
+
+// 请求 temperature 的取值范围
+const TEMPERATURE_RANGE = [0, 2];
+
+// 通道：请求中的输入字段、提供方配置中的模型字段、允许列表字段及其环境变量前缀，以及回答解析
+const CHANNELS = {
+  vision: { input: 'image', modelKey: 'model', modelsKey: 'models', modelsEnv: 'VLM_MODELS_', parse: parseVisionResponse },
+  audio: { input: 'audio', modelKey: 'audioModel', modelsKey: 'audioModels', modelsEnv: 'VLM_AUDIO_MODELS_', parse: parseAudioResponse }
+};
+
+/**
+ * 获取提供方在某个通道上允许请求选择的模型
+ * @param {string} name - 提供方名称
+ * @param {Object} provider - 提供方配置
+ * @param {Object} channel - 通道
+ * @returns {Array<string>}
+ */
+function getAllowedModels(name, provider, channel) {
+  return parseList(process.env[channel.modelsEnv + name.toUpperCase()])
+    || provider[channel.modelsKey]
+    || [provider[channel.modelKey]].filter(Boolean);
+}
+
+/**
+ * 本地模拟提供方：把 hint 中的本地情绪分类结果包装成结构化回答
+ * @param {Object} options - { hint? }
+ * @param {string} kind - 通道
+ * @returns {string} JSON 回答
+ */
+function mockAudioAnswer(options, kind) {
+  if (kind !== 'audio') {
+    throw new Error('mock 提供方只支持音频');
+  }
+  const hint = options.hint || {};
+  const emotion = hint.emotionId ? getEmotionById(hint.emotionId) : null;
+  return JSON.stringify({
+    is_cat: true,
+    vocalisation: emotion && emotion.categoryId === 'warning' ? 'hiss' : 'meow',
+    emotion: emotion ? emotion.id : 'unknown',
+    category: emotion ? emotion.categoryId : 'unknown',
+    caption: emotion ? `（模拟）听起来像是「${emotion.title}」` : '（模拟）检测到一声猫叫',
+    confidence: 0.5
+  });
+}
+
+/**
+ * 注册 OpenAI 兼容的提供方
+ * @param {string} name - 提供方名称
+ * @param {Object} config - { baseURL, apiKeyEnv, model?, models?, audioModel?, audioModels?, temperature?, systemPrompt?, audioDataURL?, audioStream? } 或 { mock }
+ */
+export function registerVLMProvider(name, config) {
+  if (!config || (!config.mock && (!config.baseURL || (!config.model && !config.audioModel)))) {
+    throw new Error(`VLM 提供方 ${name} 缺少 baseURL 或 model`);
+  }
+  VLM_PROVIDERS[name] = config;
+}
+
+// 结构化输出不合法时的重试次数（请求可以覆盖，但不超过上限）
+export const DEFAULT_SCHEMA_RETRIES = 1;
+const MAX_SCHEMA_RETRIES = 3;
+
+/**
+ * 构建用户消息内容
+ * @param {Object} provider - 提供方配置
+ * @param {Object} options - { image | audio, prompt, hint? }
+ * @param {string} kind - 通道
+ * @returns {Array}
+ */
+function buildUserContent(provider, options, kind) {
+  if (kind === 'audio') {
+    // 客户端发送 data:audio/wav;base64,...；OpenAI 只接受纯 base64
+    const data = provider.audioDataURL ? options.audio : options.audio.replace(/^data:[^,]*,/, '');
+    return [
+      { type: 'input_audio', input_audio: { data, format: 'wav' } },
+      { type: 'text', text: buildAudioPrompt(options.prompt, options.hint) }
+    ];
+  }
+  return [
+    { type: 'image_url', image_url: { url: options.image } },
+    { type: 'text', text: buildVisionPrompt(options.prompt) }
+  ];
+}
+
+/**
+ * 请求一次回答（只支持流式输出的模型拼接增量内容）
+ * @param {OpenAI} client - 客户端
+ * @param {Object} request - chat.completions 请求参数
+ * @param {boolean} stream - 是否使用流式输出
+ * @returns {Promise<string>}
+ */
+async function complete(client, request, stream) {
+  if (!stream) {
+    const completion = await client.chat.completions.create({ ...request, stream: false });
+    return completion.choices[0].message.content;
+  }
+
+  const chunks = await client.chat.completions.create({ ...request, modalities: ['text'], stream: true });
+  let content = '';
+  for await (const chunk of chunks) {
+    const delta = chunk.choices[0] && chunk.choices[0].delta;
+    if (delta && delta.content) content += delta.content;
+  }
+  return content;
+}
+
+/**
+ * 通过 OpenAI 兼容接口调用一个提供方
+ * @param {string} name - 提供方名称
+ * @param {Object} options - { image | audio, prompt, hint?, model?, temperature?, systemPrompt?, retries? }
+ * @param {string} kind - 通道：'vision' | 'audio'
+ * @returns {Promise<Object>} { text, result, raw, repaired, retries, provider, model }
+ */
+export async function callProvider(name, options, kind = 'vision') {
+  const provider = VLM_PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`未知的 VLM 提供方: ${name}`);
+  }
+  const channel = CHANNELS[kind];
+  if (!channel) {
+    throw new Error(`未知的 VLM 通道: ${kind}`);
+  }
+
+  const model = provider.mock ? 'mock' : (options.model || provider[channel.modelKey]);
+  if (!model) {
+    throw new Error(`VLM 提供方 ${name} 不支持${kind === 'audio' ? '音频' : '视觉'}分析`);
+  }
+  if (!provider.mock && options.model && !getAllowedModels(name, provider, channel).includes(options.model)) {
+    throw new Error(`模型 ${options.model} 不在 VLM 提供方 ${name} 的允许列表中`);
+  }
+
+  let client = null;
+  if (!provider.mock) {
+    const apiKey = process.env[provider.apiKeyEnv];
+    if (!apiKey) {
+      throw new Error(`缺少环境变量 ${provider.apiKeyEnv}`);
+    }
+    client = new OpenAI({ apiKey, baseURL: provider.baseURL });
+  }
+
+  const temperature = options.temperature !== undefined ? options.temperature : provider.temperature;
+  const systemPrompt = options.systemPrompt !== undefined ? options.systemPrompt : provider.systemPrompt;
+
+  const messages = [];
+  if (systemPrompt) {
+    messages.push({ role: 'system', content: systemPrompt });
+  }
+  messages.push({ role: 'user', content: buildUserContent(provider, options, kind) });
+
+  const retries = Number.isInteger(options.retries)
+    ? Math.max(0, Math.min(options.retries, MAX_SCHEMA_RETRIES))
+    : DEFAULT_SCHEMA_RETRIES;
+  for (let attempt = 0; ; attempt++) {
+    const raw = provider.mock
+      ? provider.mock(options, kind)
+      : await complete(client, {
+        model,
+        messages,
+        ...(temperature !== undefined && { temperature })
+      }, kind === 'audio' && !!provider.audioStream);
+    const { value, errors, repaired } = channel.parse(raw);
+    if (value) {
+      return { text: value.caption, result: value, raw, repaired, retries: attempt, provider: name, model };
+    }
+
+    if (attempt >= retries) {
+      throw new Error(`输出不符合格式: ${errors.join('; ')}`);
+    }
+
+    console.warn(`[VLM API] ${name} 输出不符合格式，要求重新输出:`, errors.join('; '));
+    messages.push(
+      { role: 'assistant', content: raw },
+      { role: 'user', content: `上面的输出不符合要求（${errors.join('；')}）。请只输出符合格式的 JSON 对象。` }
+    );
+  }
+}
+
+/**
+ * 校验请求中的 temperature
+ * @param {*} value - 请求值
+ * @returns {number|undefined} 不是范围内的数字时为 undefined（使用提供方默认值）
+ */
+function sanitizeTemperature(value) {
+  const [min, max] = TEMPERATURE_RANGE;
+  return typeof value === 'number' && value >= min && value <= max ? value : undefined;
+}
+
+/**
+ * 把请求中的提供方条目整理为 { name, model?, temperature?, systemPrompt? }，丢弃其他字段
+ * @param {string|Object} entry - 名称或 { name, model?, temperature?, systemPrompt? }
+ * @returns {Object|null} 名称无效时为 null
+ */
+function sanitizeProviderEntry(entry) {
+  const { name, model, temperature, systemPrompt } = typeof entry === 'string' ? { name: entry } : (entry || {});
+  if (typeof name !== 'string' || !Object.prototype.hasOwnProperty.call(VLM_PROVIDERS, name)) {
+    return null;
+  }
+  return {
+    name,
+    ...(typeof model === 'string' && { model }),
+    ...(sanitizeTemperature(temperature) !== undefined && { temperature }),
+    ...(ALLOW_CLIENT_SYSTEM_PROMPT && typeof systemPrompt === 'string' && { systemPrompt })
+  };
+}
+
+/**
+ * 按顺序尝试提供方，失败时自动切换到下一个
+ *
+ * providers 可以是名称，也可以是 { name, model?, temperature?, systemPrompt? }；
+ * 顶层 model 只作用于第一个提供方（模型名与提供方绑定），temperature / systemPrompt 作用于全部。
+ * 未注册的提供方会被跳过并记入 attempts，model 必须在提供方的允许列表中，
+ * systemPrompt 只有在 ALLOW_CLIENT_SYSTEM_PROMPT 时才生效。
+ *
+ * @param {Object} options - { image | audio, prompt, hint?, provider?, providers?, model?, temperature?, systemPrompt?, retries?, fallback? }
+ * @param {string} kind - 通道：'vision' | 'audio'
+ * @returns {Promise<Object>} { text, result, raw, repaired, retries, provider, model, attempts: [{ provider, error }] }
+ */
+export async function analyzeWithFallback(options, kind = 'vision') {
+  const { image, audio, hint, prompt, retries, fallback = true } = options;
+  const temperature = sanitizeTemperature(options.temperature);
+  const systemPrompt = ALLOW_CLIENT_SYSTEM_PROMPT && typeof options.systemPrompt === 'string' ? options.systemPrompt : undefined;
+  const defaultOrder = kind === 'audio' ? DEFAULT_AUDIO_PROVIDER_ORDER : DEFAULT_PROVIDER_ORDER;
+  const attempts = [];
+
+  const requestedOrder = Array.isArray(options.providers) ? options.providers : defaultOrder;
+  let order = [];
+  for (const requested of (options.provider ? [options.provider, ...requestedOrder] : requestedOrder)) {
+    const entry = sanitizeProviderEntry(requested);
+    if (!entry) {
+      const name = typeof requested === 'string' ? requested : requested && requested.name;
+      attempts.push({ provider: String(name), error: `未知的 VLM 提供方: ${name}` });
+      continue;
+    }
+    // 同一提供方只尝试一次（保留更靠前的位置，合并后面条目中的参数）
+    const existing = order.find(item => item.name === entry.name);
+    if (existing) {
+      Object.assign(existing, { ...entry, ...existing });
+      continue;
+    }
+    order.push(entry);
+  }
+  if (order.length > 0 && typeof options.model === 'string') {
+    order[0] = { model: options.model, ...order[0] };
+  }
+  if (!fallback) {
+    order = order.slice(0, 1);
+  }
+
+  for (const entry of order) {
+    try {
+      const result = await callProvider(entry.name, {
+        image, audio, hint, prompt, retries,
+        model: entry.model,
+        temperature: entry.temperature !== undefined ? entry.temperature : temperature,
+        systemPrompt: entry.systemPrompt !== undefined ? entry.systemPrompt : systemPrompt
+      }, kind);
+      return { ...result, attempts };
+    } catch (error) {
+      console.error(`[VLM API] ${entry.name} 失败:`, error.message);
+      attempts.push({ provider: entry.name, error: error.message });
+    }
+  }
+
+  const error = new Error(`所有 VLM 提供方均失败: ${attempts.map(a => `${a.provider}(${a.error})`).join(', ')}`);
+  error.attempts = attempts;
+  throw error;
+}
+
+/**
+ * 创建 VLM API 处理函数
+ * @param {string} defaultProvider - 请求未指定 provider 时优先使用的提供方（null 表示按默认顺序）
+ * @param {string} kind - 通道：'vision'（请求带 image）| 'audio'（请求带 audio，WAV data URL）
+ * @returns {Function} (req, res) => Promise
+ */
+export function createVLMHandler(defaultProvider = null, kind = 'vision') {
+  const input = CHANNELS[kind].input;
+  const defaultOrder = kind === 'audio' ? DEFAULT_AUDIO_PROVIDER_ORDER : DEFAULT_PROVIDER_ORDER;
+
+  return async function handler(req, res) {
+    // 只允许POST请求
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+      const { prompt } = req.body;
+
+      if (!req.body[input] || !prompt) {
+        return res.status(400).json({
+          success: false,
+          error: `Missing required fields: ${input}, prompt`
+        });
+      }
+
+      const provider = req.body.provider || defaultProvider;
+      console.log(`[VLM API] 收到${kind === 'audio' ? '音频' : ''}VLM请求 (${provider || defaultOrder.join(' → ')})`);
+
+      const result = await analyzeWithFallback({ ...req.body, provider }, kind);
+
+      console.log(`[VLM API] ${result.provider} 返回:`, result.raw);
+
+      return res.json({
+        success: true,
+        text: result.text,
+        provider: result.provider,
+        model: result.model,
+        attempts: result.attempts,
+        repaired: result.repaired,
+        retries: result.retries,
+        // 结构化字段：视觉为 hasCat, catCount, posture, activity, location, caption, confidence；
+        // 音频为 isCat, vocalisation, emotion, category, caption, confidence
+        data: {
+          ...result.result,
+          timestamp: Date.now()
+        }
+      });
+
+    } catch (error) {
+      console.error('[VLM API] 错误:', error);
+      return res.status(500).json({
+        success: false,
+        error: error.message,
+        attempts: error.attempts || []
+      });
+    }
+  };
+}
@@ -0,0 +1,7 @@
+import { createVLMHandler } from './_vlm-providers.js';
+
+// 音频 VLM 端点：请求体 { audio: 'data:audio/wav;base64,...', prompt, hint?, provider?, providers?, model?, temperature?, retries?, fallback? }
+// 返回 { success, text, provider, model, data: { isCat, vocalisation, emotion, category, caption, confidence } }
+// model 必须在提供方的音频模型允许列表中（VLM_AUDIO_MODELS_<NAME>）
+// 未指定 provider 时按 VLM_AUDIO_PROVIDERS 环境变量（默认 qwen,openai）的顺序尝试；provider: 'mock' 为本地模拟，不需要 API Key
+export default createVLMHandler(null, 'audio');
@@ -0,0 +1,7 @@
+import { createVLMHandler } from './_vlm-providers.js';
+
+// 通用 VLM 端点：请求体 { image, prompt, provider?, providers?, model?, temperature?, systemPrompt?, retries?, fallback? }
+// 返回 { success, text, provider, model, data: { hasCat, catCount, posture, activity, location, caption, confidence } }
+// 未指定 provider 时按 VLM_PROVIDERS 环境变量（默认 kimi,qwen）的顺序尝试，失败时自动切换
+// model 必须在提供方的允许列表中；systemPrompt 只有在 VLM_ALLOW_CLIENT_SYSTEM_PROMPT=true 时才生效
+export default createVLMHandler();
@@ -9,26 +9,41 @@
  * 
  * 🎯 核心功能：
  * 1. **智能音频触发**：监听音频分类结果，检测猫叫声信号
- * 2. **实时特征提取**：从原始音频缓冲区提取5维音频特征向量
+ * 2. **实时特征提取**：从原始音频缓冲区提取7维音频特征向量
  * 3. **情绪分析集成**：调用emotions.js规则引擎进行21种情绪分类
  * 4. **即时响应生成**：生成带表情符号的情绪响应文本
  * 
  * 🔊 音频特征提取体系：
  * 
- * **5维特征向量**（与features.js完全集成）：
+ * **7维特征向量**（与features.js完全集成，频谱特征基于16kHz FFT幅度谱）：
  * - **zeroCrossingRate** (过零率)：反映声音的频率变化和纹理
- * - **spectralCentroid** (频谱质心)：反映声音的"亮度"和音调特性
- * - **spectralRolloff** (频谱滚降)：反映高频能量的分布情况  
+ * - **spectralCentroid** (频谱质心, Hz)：反映声音的"亮度"和音调特性
+ * - **spectralRolloff** (频谱滚降, Hz)：反映高频能量的分布情况  
+ * - **spectralBandwidth** (频谱带宽, Hz)：频谱围绕质心的展宽程度
+ * - **spectralFlatness** (频谱平坦度, 0-1)：区分纯音(接近0)与噪声(接近1)
  * - **energy** (能量)：反映声音的整体强度和响度
  * - **rms** (均方根)：反映声音的有效值和动态范围
  * 
+ * **音色特征**（随特征向量一起输出，供规则引擎和相似度检索使用）：
+ * - **mfcc / mfccStd**：13维MFCC在各帧上的均值与标准差
+ * - **mfccDelta / mfccDeltaDelta**：一阶、二阶差分均值，反映音色随时间的变化
+ * - **melBands**：40维对数梅尔能量均值
+ * 
+ * **音高轮廓特征**（YIN逐帧F0跟踪后汇总）：
+ * - **pitchMean / pitchMin / pitchMax / pitchRange** (Hz)：有声帧的平均音高与音域
+ * - **pitchSlope** (半音/秒)：>0 上扬（如打招呼），<0 下降（如不适）
+ * - **vibratoRate** (Hz) / **vibratoExtent** (半音)：去趋势后音高的颤动速率与幅度
+ * - **voicedRatio / pitchConfidence**：有声帧占比与平均清晰度
+ * 
  * 🎭 情绪触发流程：
  * ```
- * 音频分类结果 → 猫叫声检测 → 特征提取 → 情绪分析 → 响应生成
- *      ↓              ↓           ↓          ↓         ↓
- *   YAMNet结果    关键词匹配   5维特征向量   21种情绪   表情文本
+ * 音频分类结果 → 猫叫声检测 → 发声段切分 → 特征提取 → 情绪分析 → 响应生成
+ *      ↓              ↓            ↓           ↓          ↓         ↓
+ *   YAMNet结果    关键词匹配   能量+频谱通量  7维特征向量   21种情绪   表情文本
  * ```
  * 
+ * 每个发声段单独分类，响应中的 calls 字段报告叫声次数、各段时长和模式（single/repeated，没有独立发声段时为 continuous）。
+ * 
  * 🔍 猫叫声检测算法：
  * - **关键词匹配**：cat, meow, purr, mewing 等关键词
  * - **置信度筛选**：只处理置信度 > 0.2 的音频分类结果
@@ -60,7 +75,7 @@
  * - 低质心：温暖、柔和的声音（如满足的呼噜声）
  * 
  * **频谱滚降 (Spectral Rolloff)**：
- * - 85%的频谱能量所在的频率点
+ * - 85%的频谱能量所在的频率点（Hz）
  * - 反映高频成分的丰富程度
  * - 用于区分不同类型的猫咪发声
  * 
@@ -82,7 +97,12 @@
  * 
  * 🔗 模块依赖关系：
  * - **features.js**：音频特征提取算法
+ * - **segmentation.js**：猫叫声发声段切分
  * - **emotions.ts**：情绪分类规则引擎  
+ * - **emotion-classifier.js**：可训练的 k 近邻分类器（classifierMode 选择规则/模型/对比）
+ * - **warning-detectors.js**：哈气/低吼专用检测器，触发时覆盖通用分类结果
+ * - **calibration.js**：设备校准档案（分类前换算能量与频谱特征）
+ * - **noise-reduction.js**：环境噪声学习、谱减法降噪和信噪比估计
  * - **state-manager.js**：状态判断逻辑
  * - **mewt.js**：主系统集成
  * 
@@ -93,17 +113,23 @@
  * - 支持多种音频格式和采样率
  */
 
-// 导入情绪分类规则引擎
-import { classifyEmotion } from './emotions.js';
+// 导入情绪分类器（规则引擎 / 训练模型）
+import { createEmotionClassifier } from './emotion-classifier.js';
 
 // 导入音频特征提取函数
-import { 
-  calculateZCR, 
-  calculateSpectralCentroid, 
-  calculateSpectralRolloff, 
-  calculateEnergy, 
-  calculateRMS 
-} from './features.js';
+import { extractAudioFeatures } from './features.js';
+
+// 导入猫叫声分段检测
+import { classifySegments } from './segmentation.js';
+
+// 导入设备校准
+import { applyCalibration, loadCalibrationProfile } from './calibration.js';
+
+// 导入环境噪声跟踪与降噪
+import { NoiseFloorTracker } from './noise-reduction.js';
+
+// 导入时钟（虚拟时钟回放时时间戳与引擎一致）
+import { systemClock } from './clock.js';
 
 /**
  * 音频触发器和特征提取引擎类
@@ -112,17 +138,41 @@ import {
 export class AudioTrigger {
   /**
    * 构造函数
-   * @param {Object} config - 配置对象
+   * @param {Object} config - 配置对象（clock: 时钟，见 clock.js，默认 systemClock）
    */
   constructor(config = {}) {
+    // 时钟（情绪响应和统计的时间戳）
+    this.clock = config.clock || systemClock;
+    
     // 触发配置
     this.config = {
       CAT_SOUND_THRESHOLD: config.catSoundThreshold || 0.2,
       MIN_CONFIDENCE_FOR_EMOTION: config.minConfidenceForEmotion || 0.5,
       FEATURE_CACHE_SIZE: config.featureCacheSize || 100,
+      RULE_PACK: config.rulePack || null, // 情绪规则包（null 使用当前默认规则包）
+      SCORING_MODE: config.scoringMode || 'rules', // 'rules' 二值规则（默认）| 'scored' 软评分（含候选情绪）
+      CLASSIFIER_MODE: config.classifierMode || 'rules', // 'rules' 规则引擎 | 'learned' 训练模型 | 'compare' 对比
+      MODEL: config.model || null, // 训练好的 KNNEmotionClassifier
+      WARNING_DETECTORS: config.warningDetectors !== undefined ? config.warningDetectors : true, // 哈气/低吼专用检测器
+      CALIBRATION_PROFILE: config.calibrationProfile !== undefined // 设备校准档案（默认读取 localStorage）
+        ? config.calibrationProfile
+        : loadCalibrationProfile(),
+      NOISE_REDUCTION: config.noiseReduction !== false, // 特征提取前是否做谱减法降噪
       ...config
     };
     
+    // 情绪分类函数
+    this.classify = createEmotionClassifier({
+      mode: this.config.CLASSIFIER_MODE,
+      model: this.config.MODEL,
+      rulePack: this.config.RULE_PACK,
+      scoringMode: this.config.SCORING_MODE,
+      warningDetectors: this.config.WARNING_DETECTORS
+    });
+    
+    // 环境噪声谱跟踪器（在没有猫叫的音频中学习）
+    this.noiseTracker = new NoiseFloorTracker(config.noiseReductionOptions);
+    
     // 猫叫声关键词列表
     this.catSoundKeywords = [
       'cat', 'meow', 'purr', 'purring', 'mew', 
@@ -150,8 +200,11 @@ export class AudioTrigger {
   processAudioResult(audioResults, audioBuffer = null) {
     this.stats.totalAudioProcessed++;
     
-    // 检查是否检测到猫叫声
+    // 检查是否检测到猫叫声，没有猫叫的音频用来学习环境噪声
     if (!this.hasCatSound(audioResults)) {
+      if (audioBuffer && audioBuffer.length > 0) {
+        this.noiseTracker.update(audioBuffer);
+      }
       return null;
     }
     
@@ -195,22 +248,31 @@ export class AudioTrigger {
    */
   triggerEmotionAnalysis(audioBuffer) {
     try {
-      // 提取音频特征
-      const audioFeatures = this.extractAudioFeatures(audioBuffer);
+      // 减去学习到的环境噪声谱（噪声谱未就绪时保持原样）
+      const denoised = this.config.NOISE_REDUCTION && this.noiseTracker.isReady();
+      const cleanBuffer = denoised ? this.noiseTracker.denoise(audioBuffer) : audioBuffer;
+      const snr = this.noiseTracker.estimateSNR(audioBuffer);
       
-      if (!audioFeatures) {
+      // 切分发声段，逐段提取特征并调用情绪分类引擎
+      const { primary, analysedSegments, calls } = classifySegments(
+        cleanBuffer,
+        (samples) => this.extractAudioFeatures(samples),
+        (features) => this.classify(applyCalibration(features, this.config.CALIBRATION_PROFILE, { denoised }))
+      );
+      
+      if (analysedSegments.every(segment => !segment.features)) {
         console.warn('AudioTrigger: 音频特征提取失败');
         return null;
       }
       
-      // 调用情绪分类引擎
-      const emotionResult = classifyEmotion(audioFeatures);
-      
-      if (!emotionResult) {
+      if (!primary) {
         console.log('AudioTrigger: 未找到置信度足够的情绪分类');
         return null;
       }
       
+      const emotionResult = { ...primary.emotion, calls, snr, denoised };
+      const audioFeatures = primary.features;
+      
       // 检查情绪分类置信度
       if (emotionResult.confidence < this.config.MIN_CONFIDENCE_FOR_EMOTION) {
         console.log(`AudioTrigger: 情绪分类置信度过低 (${emotionResult.confidence.toFixed(2)})`);
@@ -218,7 +280,7 @@ export class AudioTrigger {
       }
       
       this.stats.emotionTriggered++;
-      this.stats.lastTriggerTime = Date.now();
+      this.stats.lastTriggerTime = this.clock.now();
       
       // 生成情绪响应
       return this.generateEmotionResponse(emotionResult, audioFeatures);
@@ -248,14 +310,8 @@ export class AudioTrigger {
         return this.featureCache.get(cacheKey);
       }
 
-      // 计算5维音频特征向量
-      const features = {
-        zeroCrossingRate: calculateZCR(audioBuffer),
-        spectralCentroid: calculateSpectralCentroid(audioBuffer),
-        spectralRolloff: calculateSpectralRolloff(audioBuffer),
-        energy: calculateEnergy(audioBuffer),
-        rms: calculateRMS(audioBuffer)
-      };
+      // 计算音频特征向量（频谱、MFCC、音高，与离线训练使用同一套提取流程）
+      const features = extractAudioFeatures(audioBuffer);
 
       // 验证特征有效性
       if (this.validateFeatures(features)) {
@@ -285,7 +341,8 @@ export class AudioTrigger {
    */
   validateFeatures(features) {
     const requiredFeatures = [
-      'zeroCrossingRate', 'spectralCentroid', 'spectralRolloff', 'energy', 'rms'
+      'zeroCrossingRate', 'spectralCentroid', 'spectralRolloff',
+      'spectralBandwidth', 'spectralFlatness', 'energy', 'rms'
     ];
     
     // 检查是否包含所有必需特征
@@ -301,26 +358,29 @@ export class AudioTrigger {
     return features.zeroCrossingRate >= 0 &&
            features.spectralCentroid >= 0 &&
            features.spectralRolloff >= 0 &&
+           features.spectralBandwidth >= 0 &&
+           features.spectralFlatness >= 0 &&
            features.energy >= 0 &&
            features.rms >= 0;
   }
 
   /**
-   * 生成音频数据的简单哈希（用于缓存）
+   * 生成音频数据的哈希（用于缓存）
+   * 对每个采样的 32 位浮点表示做两路 FNV-1a，同一缓冲区中长度相同的不同发声段不会共用缓存
    * @param {Float32Array} audioBuffer - 音频缓冲区
    * @returns {string} 哈希字符串
    */
   generateAudioHash(audioBuffer) {
-    // 简单的哈希算法：取样本的平均值和长度
-    let sum = 0;
-    const step = Math.max(1, Math.floor(audioBuffer.length / 100)); // 采样100个点
+    const samples = audioBuffer instanceof Float32Array ? audioBuffer : Float32Array.from(audioBuffer);
+    const bits = new Uint32Array(samples.buffer, samples.byteOffset, samples.length);
     
-    for (let i = 0; i < audioBuffer.length; i += step) {
-      sum += audioBuffer[i];
+    let forward = 0x811c9dc5;
+    let backward = 0x811c9dc5;
+    for (let i = 0; i < bits.length; i++) {
+      forward = Math.imul(forward ^ bits[i], 0x01000193);
+      backward = Math.imul(backward ^ bits[bits.length - 1 - i], 0x01000193);
     }
-    
-    const avg = sum / (audioBuffer.length / step);
-    return `${audioBuffer.length}_${avg.toFixed(6)}`;
+    return `${samples.length}_${(forward >>> 0).toString(16)}_${(backward >>> 0).toString(16)}`;
   }
 
   /**
@@ -337,7 +397,16 @@ export class AudioTrigger {
       category: emotionResult.category,
       text: `${emotionResult.emotion.icon} ${emotionResult.emotion.title}`,
       audioFeatures: audioFeatures,
-      timestamp: Date.now(),
+      calls: emotionResult.calls,
+      alternatives: emotionResult.alternatives || [],
+      categoryScores: emotionResult.categoryScores || null,
+      comparison: emotionResult.comparison || null,
+      detector: emotionResult.detector || null, // 触发覆盖的专用检测器：'hiss' | 'growl' | null
+      detectors: emotionResult.detectors || null, // { hiss, growl, fired } 各检测器置信度
+      overridden: emotionResult.overridden || null, // 被检测器覆盖的通用分类结果
+      snr: emotionResult.snr !== undefined ? emotionResult.snr : null, // 信噪比（dB），噪声未学习时为 null
+      denoised: !!emotionResult.denoised,
+      timestamp: this.clock.now(),
       triggerStats: { ...this.stats }
     };
   }
@@ -392,7 +461,7 @@ export class AudioTrigger {
         (this.stats.emotionTriggered / this.stats.catSoundDetected * 100).toFixed(1) + '%' : '0%',
       cacheSize: this.featureCache.size,
       lastTriggerAgo: this.stats.lastTriggerTime > 0 ? 
-        Date.now() - this.stats.lastTriggerTime : null
+        this.clock.now() - this.stats.lastTriggerTime : null
     };
   }
 
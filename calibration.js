@@ -0,0 +1,261 @@
+/**
+ * 设备音频校准
+ * ============
+ *
+ * 📋 模块功能概述：
+ * emotion-rules.js 用固定常数归一化特征（energy × 1e6、rms × 1000、centroid / 5000），
+ * 而不同手机的麦克风增益、底噪和频响差别很大。本模块为每台设备生成一份校准档案，
+ * 在规则评估前把特征换算到"参考设备"的尺度上。
+ *
+ * 🎙️ 校准流程：
+ * 1. ambient：录制几秒环境声，估计底噪和环境特征分布
+ * 2. reference（可选）：录制一段已知响度的参考声（如 RN 端播放的提示音），估计增益和频响偏移
+ * 3. 计算档案，保存到 localStorage，后续启动自动加载
+ *
+ * 📊 校准档案：
+ * {
+ *   version, createdAt,
+ *   noiseFloor,        // 环境 RMS 中位数
+ *   gain,              // 参考响度 / 实测参考响度（无参考声时为 1）
+ *   spectralScale,     // 参考质心 / 实测参考质心（无参考声时为 1）
+ *   percentiles: { ambient: { rms: {p10, p50, p90}, ... }, reference: {...}|null }
+ * }
+ * applyCalibration 只用前三个参数；percentiles 保留下来用于诊断和日后重新拟合校准参数。
+ *
+ * 🔧 应用方式（applyCalibration）：
+ * - energy / rms：先减去底噪能量（音频已由 noise-reduction.js 降噪时跳过），再乘以增益
+ * - spectralCentroid / spectralRolloff / spectralBandwidth：乘以 spectralScale
+ */
+
+import { extractAudioFeatures } from './features.js';
+import { systemClock } from './clock.js';
+
+export const CALIBRATION_STORAGE_KEY = 'mewt.calibrationProfile';
+export const CALIBRATION_VERSION = 1;
+
+// 默认校准参数
+export const DEFAULT_CALIBRATION_OPTIONS = {
+  ambientMs: 3000,           // 环境声录制时长
+  referenceMs: 0,            // 参考声录制时长（0 表示不录参考声）
+  chunkSize: 4096,           // 统计分布时的切块大小（256ms）
+  referenceRMS: 0.05,        // 参考声在参考设备上的 RMS
+  referenceCentroid: null,   // 参考声在参考设备上的频谱质心（Hz），null 表示不校正频响
+  gainRange: [0.1, 10],      // 增益限制
+  spectralScaleRange: [0.5, 2]
+};
+
+// 需要统计分布的特征
+const PERCENTILE_FEATURES = ['rms', 'energy', 'zeroCrossingRate', 'spectralCentroid', 'spectralFlatness'];
+
+// 频率类特征（受 spectralScale 影响）
+const SPECTRAL_FREQUENCY_FEATURES = ['spectralCentroid', 'spectralRolloff', 'spectralBandwidth'];
+
+const clamp = (value, [min, max]) => Math.min(max, Math.max(min, value));
+
+const percentile = (sorted, p) =>
+  sorted.length === 0 ? 0 : sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+/**
+ * 把若干音频缓冲区切块并提取特征
+ * @param {Array} buffers - Float32Array 列表
+ * @param {number} chunkSize - 切块大小
+ * @returns {Array} 每块的特征
+ */
+function extractChunkFeatures(buffers, chunkSize) {
+  const chunks = [];
+  for (const buffer of buffers) {
+    for (let start = 0; start + chunkSize <= buffer.length; start += chunkSize) {
+      chunks.push(extractAudioFeatures(buffer.subarray(start, start + chunkSize)));
+    }
+  }
+  return chunks;
+}
+
+/**
+ * 统计特征分位数
+ * @param {Array} featureList - 特征对象列表
+ * @returns {Object|null} { 特征名: { p10, p50, p90 } }
+ */
+function summarisePercentiles(featureList) {
+  if (featureList.length === 0) {
+    return null;
+  }
+  const summary = {};
+  for (const name of PERCENTILE_FEATURES) {
+    const sorted = featureList.map(features => features[name]).sort((a, b) => a - b);
+    summary[name] = {
+      p10: percentile(sorted, 0.1),
+      p50: percentile(sorted, 0.5),
+      p90: percentile(sorted, 0.9)
+    };
+  }
+  return summary;
+}
+
+/**
+ * 根据录制的环境声和参考声计算校准档案
+ * @param {Array} ambientBuffers - 环境声缓冲区列表
+ * @param {Array} referenceBuffers - 参考声缓冲区列表（可为空）
+ * @param {Object} options - 校准参数，见 DEFAULT_CALIBRATION_OPTIONS（clock: 时钟，决定 createdAt，默认 systemClock）
+ * @returns {Object} 校准档案
+ */
+export function computeCalibrationProfile(ambientBuffers, referenceBuffers = [], options = {}) {
+  const config = { ...DEFAULT_CALIBRATION_OPTIONS, ...options };
+
+  const ambient = summarisePercentiles(extractChunkFeatures(ambientBuffers, config.chunkSize));
+  if (!ambient) {
+    throw new Error('Calibration needs at least one ambient chunk of audio');
+  }
+  const reference = summarisePercentiles(extractChunkFeatures(referenceBuffers, config.chunkSize));
+
+  const noiseFloor = ambient.rms.p50;
+  let gain = 1;
+  let spectralScale = 1;
+
+  if (reference) {
+    // 参考声取较响的部分（p90），减去底噪后与参考设备上的响度比较
+    const measuredRMS = Math.sqrt(Math.max(reference.rms.p90 ** 2 - noiseFloor ** 2, 0));
+    if (measuredRMS > 0) {
+      gain = clamp(config.referenceRMS / measuredRMS, config.gainRange);
+    }
+    if (config.referenceCentroid && reference.spectralCentroid.p50 > 0) {
+      spectralScale = clamp(config.referenceCentroid / reference.spectralCentroid.p50, config.spectralScaleRange);
+    }
+  }
+
+  return {
+    version: CALIBRATION_VERSION,
+    createdAt: (config.clock || systemClock).now(),
+    noiseFloor,
+    gain,
+    spectralScale,
+    percentiles: { ambient, reference }
+  };
+}
+
+/**
+ * 按校准档案换算特征（返回新对象，不修改原特征）
+ * @param {Object} features - 音频特征
+ * @param {Object|null} profile - 校准档案
+ * @param {Object} options - { denoised: 音频已经过谱减法降噪时不再扣除底噪 }
+ * @returns {Object} 校准后的特征
+ */
+export function applyCalibration(features, profile, options = {}) {
+  if (!profile || !features) {
+    return features;
+  }
+
+  const noiseEnergy = options.denoised ? 0 : profile.noiseFloor ** 2;
+  const gainSquared = profile.gain ** 2;
+  const calibrated = { ...features };
+
+  if (typeof features.energy === 'number') {
+    calibrated.energy = Math.max(features.energy - noiseEnergy, 0) * gainSquared;
+  }
+  if (typeof features.rms === 'number') {
+    calibrated.rms = Math.sqrt(Math.max(features.rms ** 2 - noiseEnergy, 0)) * profile.gain;
+  }
+  for (const name of SPECTRAL_FREQUENCY_FEATURES) {
+    if (typeof features[name] === 'number') {
+      calibrated[name] = features[name] * profile.spectralScale;
+    }
+  }
+  return calibrated;
+}
+
+/**
+ * 检查校准档案结构
+ * @param {Object} profile - 校准档案
+ * @returns {boolean} 是否可用
+ */
+export function isValidCalibrationProfile(profile) {
+  return !!profile &&
+    profile.version === CALIBRATION_VERSION &&
+    Number.isFinite(profile.noiseFloor) &&
+    Number.isFinite(profile.gain) && profile.gain > 0 &&
+    Number.isFinite(profile.spectralScale) && profile.spectralScale > 0;
+}
+
+const getStorage = (storage) =>
+  storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+
+/**
+ * 保存校准档案到 localStorage
+ * @param {Object} profile - 校准档案
+ * @param {Storage} storage - 存储对象（默认 localStorage）
+ */
+export function saveCalibrationProfile(profile, storage) {
+  const target = getStorage(storage);
+  if (!target) return;
+  target.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(profile));
+}
+
+/**
+ * 从 localStorage 读取校准档案
+ * @param {Storage} storage - 存储对象（默认 localStorage）
+ * @returns {Object|null} 校准档案，不存在或已失效时为 null
+ */
+export function loadCalibrationProfile(storage) {
+  const source = getStorage(storage);
+  if (!source) return null;
+  try {
+    const profile = JSON.parse(source.getItem(CALIBRATION_STORAGE_KEY));
+    return isValidCalibrationProfile(profile) ? profile : null;
+  } catch (error) {
+    console.warn('Calibration: 校准档案读取失败', error);
+    return null;
+  }
+}
+
+/**
+ * 删除已保存的校准档案
+ * @param {Storage} storage - 存储对象（默认 localStorage）
+ */
+export function clearCalibrationProfile(storage) {
+  const target = getStorage(storage);
+  if (target) target.removeItem(CALIBRATION_STORAGE_KEY);
+}
+
+/**
+ * 校准录制会话
+ * 由 MewtEngine 把每个音频缓冲区喂进来，依次完成 ambient → reference 两个阶段
+ */
+export class CalibrationSession {
+  /**
+   * 构造函数
+   * @param {Object} options - 校准参数，见 DEFAULT_CALIBRATION_OPTIONS
+   */
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CALIBRATION_OPTIONS, ...options };
+    this.sampleRate = this.config.sampleRate || 16000;
+    this.phase = 'ambient';
+    this.buffers = { ambient: [], reference: [] };
+    this.recorded = { ambient: 0, reference: 0 };
+    this.profile = null;
+  }
+
+  /**
+   * 加入一个音频缓冲区
+   * @param {Float32Array} buffer - 音频数据
+   * @returns {string} 当前阶段：'ambient' | 'reference' | 'done'
+   */
+  addBuffer(buffer) {
+    if (this.phase === 'done' || !buffer) {
+      return this.phase;
+    }
+
+    // 缓冲区可能被音频管线复用，先复制
+    this.buffers[this.phase].push(Float32Array.from(buffer));
+    this.recorded[this.phase] += (buffer.length / this.sampleRate) * 1000;
+
+    const target = this.phase === 'ambient' ? this.config.ambientMs : this.config.referenceMs;
+    if (this.recorded[this.phase] >= target) {
+      this.phase = this.phase === 'ambient' && this.config.referenceMs > 0 ? 'reference' : 'done';
+    }
+
+    if (this.phase === 'done') {
+      this.profile = computeCalibrationProfile(this.buffers.ambient, this.buffers.reference, this.config);
+    }
+    return this.phase;
+  }
+}
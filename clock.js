@@ -0,0 +1,140 @@
+/**
+ * 时钟抽象
+ * ========
+ *
+ * 📋 模块功能概述：
+ * 引擎中的时间戳、窗口定时器、防抖、频率限制和 VLM 文案锁定都依赖当前时间。
+ * 本模块把 now / setTimeout / setInterval 抽象为一个可注入的时钟对象，
+ * 通过 MewtEngine 配置传给 Mewt、StateManager、StateMachine、WindowProcessor、VLMChannel 等模块：
+ *
+ * - systemClock：真实时间（默认）
+ * - VirtualClock：虚拟时间，只有调用 advance() / advanceTo() 时才前进并按顺序触发到期的定时器，
+ *   可以比实时更快地回放录制的会话，也可以写确定性的防抖、频率限制和锁定时长测试
+ *
+ * 📊 使用示例：
+ * ```javascript
+ * const clock = new VirtualClock(0);
+ * const engine = new MewtEngine({ clock });
+ * engine.handleImageResult(...);
+ * clock.advance(1000);  // 触发一次窗口处理
+ * ```
+ */
+
+/**
+ * 真实时钟
+ */
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, ms) => setTimeout(callback, ms),
+  clearTimeout: (id) => clearTimeout(id),
+  setInterval: (callback, ms) => setInterval(callback, ms),
+  clearInterval: (id) => clearInterval(id),
+  sleep: (ms) => new Promise(resolve => setTimeout(resolve, ms))
+};
+
+/**
+ * 虚拟时钟：时间只在 advance() / advanceTo() 时前进
+ */
+export class VirtualClock {
+  /**
+   * @param {number} start - 起始时间戳
+   */
+  constructor(start = 0) {
+    this.time = start;
+    this.nextId = 1;
+    // 定时器 id -> { id, at, interval, callback }
+    this.timers = new Map();
+  }
+
+  now() {
+    return this.time;
+  }
+
+  setTimeout(callback, ms = 0) {
+    const id = this.nextId++;
+    this.timers.set(id, { id, at: this.time + Math.max(0, ms), interval: null, callback });
+    return id;
+  }
+
+  clearTimeout(id) {
+    this.timers.delete(id);
+  }
+
+  setInterval(callback, ms) {
+    if (!(ms > 0)) {
+      throw new Error(`VirtualClock: 间隔必须大于 0，收到 ${ms}`);
+    }
+    const id = this.nextId++;
+    this.timers.set(id, { id, at: this.time + ms, interval: ms, callback });
+    return id;
+  }
+
+  clearInterval(id) {
+    this.timers.delete(id);
+  }
+
+  /**
+   * 返回在虚拟时间 ms 毫秒后完成的 Promise
+   * @param {number} ms - 等待时长
+   * @returns {Promise}
+   */
+  sleep(ms) {
+    return new Promise(resolve => this.setTimeout(resolve, ms));
+  }
+
+  /**
+   * 时间前进 ms 毫秒，按到期时间顺序触发定时器
+   * @param {number} ms - 前进时长
+   * @returns {number} 触发的定时器回调次数
+   */
+  advance(ms) {
+    return this.advanceTo(this.time + ms);
+  }
+
+  /**
+   * 时间前进到指定时间戳，按到期时间顺序触发定时器（同一时刻按创建顺序）
+   * @param {number} target - 目标时间戳
+   * @returns {number} 触发的定时器回调次数
+   */
+  advanceTo(target) {
+    let fired = 0;
+    let timer = this.nextDue(target);
+    while (timer) {
+      this.time = timer.at;
+      if (timer.interval) {
+        timer.at += timer.interval;
+      } else {
+        this.timers.delete(timer.id);
+      }
+      timer.callback();
+      fired++;
+      timer = this.nextDue(target);
+    }
+    this.time = Math.max(this.time, target);
+    return fired;
+  }
+
+  /**
+   * 目标时间之前最早到期的定时器
+   * @param {number} target - 目标时间戳
+   * @returns {Object|null}
+   */
+  nextDue(target) {
+    let next = null;
+    for (const timer of this.timers.values()) {
+      if (timer.at > target) continue;
+      if (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id)) {
+        next = timer;
+      }
+    }
+    return next;
+  }
+
+  /**
+   * 尚未触发的定时器数量
+   * @returns {number}
+   */
+  pendingTimers() {
+    return this.timers.size;
+  }
+}
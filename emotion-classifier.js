@@ -0,0 +1,320 @@
+/**
+ * 可训练的情绪分类器（k近邻）
+ * ============================
+ *
+ * 📋 模块功能概述：
+ * 与 emotions.js 的手写规则引擎并列的数据驱动分类器。在 Node 中用标注好的猫叫 WAV 片段训练
+ * （见 train-emotion-classifier.js），序列化为 JSON 后在浏览器中加载，
+ * 通过 createEmotionClassifier() 接入 mewt.js / audio-trigger.js 调用 classifyEmotion 的位置。
+ *
+ * 🧮 算法：
+ * 1. 特征向量：标量特征 + 13维 MFCC 均值/标准差/一阶差分（能量类特征取 log10）
+ * 2. z-score 标准化（均值与标准差随模型一起保存）
+ * 3. 欧氏距离取最近 k 个样本，按 1/距离 加权投票
+ * 4. 置信度 = 最高票数占比，低于 minConfidence 视为无结果
+ *
+ * 🔀 分类模式（createEmotionClassifier 的 mode）：
+ * - rules：只用规则引擎（默认）
+ * - learned：只用训练好的模型
+ * - compare：以规则引擎结果为准，同时附带模型结果，便于在同一输入上对比
+ *
+ * 🚨 专用警告检测器（warning-detectors.js）：
+ * 三种模式的结果都会再经过哈气/低吼检测器，检测器触发时覆盖分类结果（warningDetectors: false 可关闭）
+ *
+ * 📦 模型 JSON 结构：
+ * { type: 'knn', version: 1, k, minConfidence, featureKeys, mean, std, samples: [{ label, vector }] }
+ */
+
+import {
+  classifyEmotion,
+  getActiveRulePack,
+  getEmotionById,
+  getCategoryById,
+  emotionCategories
+} from './emotions.js';
+import { applyWarningDetectors } from './warning-detectors.js';
+
+// 标量特征（features.js extractAudioFeatures 输出）
+const SCALAR_FEATURES = [
+  'zeroCrossingRate', 'spectralCentroid', 'spectralRolloff', 'spectralBandwidth',
+  'spectralFlatness', 'energy', 'rms', 'pitchMean', 'pitchRange', 'pitchSlope',
+  'vibratoRate', 'vibratoExtent', 'voicedRatio'
+];
+
+// 数组特征（每个系数展开为 "名称.序号"）
+const ARRAY_FEATURES = { mfcc: 13, mfccStd: 13, mfccDelta: 13 };
+
+// 跨越多个数量级的特征先取对数
+const LOG_SCALED_FEATURES = new Set(['energy', 'rms']);
+
+export const DEFAULT_FEATURE_KEYS = [
+  ...SCALAR_FEATURES,
+  ...Object.entries(ARRAY_FEATURES).flatMap(([name, size]) =>
+    Array.from({ length: size }, (_, i) => `${name}.${i}`))
+];
+
+/**
+ * 把特征对象展开为数值向量
+ * @param {Object} features - 音频特征对象
+ * @param {Array} featureKeys - 特征键列表
+ * @returns {Array} 数值向量（缺失特征为 NaN）
+ */
+export function vectorizeFeatures(features, featureKeys = DEFAULT_FEATURE_KEYS) {
+  return featureKeys.map(key => {
+    const [name, index] = key.split('.');
+    let value = index === undefined
+      ? features[name]
+      : (features[name] ? features[name][Number(index)] : undefined);
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return NaN;
+    }
+    if (LOG_SCALED_FEATURES.has(name)) {
+      value = Math.log10(value + 1e-10);
+    }
+    return value;
+  });
+}
+
+/**
+ * k近邻情绪分类器
+ */
+export class KNNEmotionClassifier {
+  /**
+   * 构造函数
+   * @param {Object} config - 配置对象
+   */
+  constructor(config = {}) {
+    this.k = config.k || 5;
+    this.minConfidence = config.minConfidence !== undefined ? config.minConfidence : 0.4;
+    this.featureKeys = config.featureKeys || DEFAULT_FEATURE_KEYS;
+    this.mean = config.mean || null;
+    this.std = config.std || null;
+    this.samples = config.samples || [];
+  }
+
+  /**
+   * 训练：保存标准化后的样本
+   * @param {Array} examples - [{ label: emotionId, features }]
+   * @returns {KNNEmotionClassifier} this
+   */
+  fit(examples) {
+    const labelled = examples.filter(example => getEmotionById(example.label));
+    if (labelled.length === 0) {
+      throw new Error('KNNEmotionClassifier: no examples with a known emotion label');
+    }
+
+    const vectors = labelled.map(example => vectorizeFeatures(example.features, this.featureKeys));
+    const dimensions = this.featureKeys.length;
+
+    // 逐维统计均值和标准差（忽略缺失值）
+    this.mean = new Array(dimensions).fill(0);
+    this.std = new Array(dimensions).fill(1);
+    for (let d = 0; d < dimensions; d++) {
+      const values = vectors.map(v => v[d]).filter(Number.isFinite);
+      if (values.length === 0) continue;
+      const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+      const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+      this.mean[d] = mean;
+      this.std[d] = Math.sqrt(variance) || 1;
+    }
+
+    this.samples = labelled.map((example, i) => ({
+      label: example.label,
+      vector: this.standardize(vectors[i])
+    }));
+    return this;
+  }
+
+  /**
+   * z-score 标准化，缺失值按均值处理（即 0）
+   * @param {Array} vector - 原始向量
+   * @returns {Array} 标准化向量
+   */
+  standardize(vector) {
+    return vector.map((value, d) =>
+      Number.isFinite(value) ? (value - this.mean[d]) / this.std[d] : 0);
+  }
+
+  /**
+   * 预测情绪，返回与 classifyEmotion 相同结构的结果
+   * @param {Object} features - 音频特征对象
+   * @returns {Object|null} 情绪分类结果
+   */
+  predict(features) {
+    if (this.samples.length === 0) {
+      return null;
+    }
+
+    const query = this.standardize(vectorizeFeatures(features, this.featureKeys));
+
+    const neighbours = this.samples
+      .map(sample => {
+        let distance = 0;
+        for (let d = 0; d < query.length; d++) {
+          distance += (query[d] - sample.vector[d]) ** 2;
+        }
+        return { label: sample.label, distance: Math.sqrt(distance) };
+      })
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, this.k);
+
+    // 1/距离 加权投票
+    const votes = new Map();
+    let totalVotes = 0;
+    for (const { label, distance } of neighbours) {
+      const weight = 1 / (distance + 1e-6);
+      votes.set(label, (votes.get(label) || 0) + weight);
+      totalVotes += weight;
+    }
+
+    const ranked = Array.from(votes.entries())
+      .map(([emotionId, vote]) => ({ emotionId, probability: vote / totalVotes }))
+      .sort((a, b) => b.probability - a.probability);
+
+    const [best] = ranked;
+    const emotion = getEmotionById(best.emotionId);
+    if (!emotion || best.probability <= this.minConfidence) {
+      return null;
+    }
+
+    const categoryScores = {};
+    for (const category of emotionCategories) {
+      categoryScores[category.id] = 0;
+    }
+    for (const { emotionId, probability } of ranked) {
+      categoryScores[getEmotionById(emotionId).categoryId] += probability;
+    }
+
+    return {
+      emotionId: best.emotionId,
+      emotion,
+      confidence: best.probability,
+      probability: best.probability,
+      category: getCategoryById(emotion.categoryId),
+      classifier: 'knn',
+      alternatives: ranked.slice(1, 3).map(({ emotionId, probability }) => ({
+        emotionId,
+        emotion: getEmotionById(emotionId),
+        confidence: probability,
+        probability
+      })),
+      categoryScores
+    };
+  }
+
+  /**
+   * 序列化为 JSON 对象
+   * @returns {Object} 模型 JSON
+   */
+  toJSON() {
+    const labelCounts = {};
+    for (const { label } of this.samples) {
+      labelCounts[label] = (labelCounts[label] || 0) + 1;
+    }
+
+    return {
+      type: 'knn',
+      version: 1,
+      k: this.k,
+      minConfidence: this.minConfidence,
+      featureKeys: this.featureKeys,
+      mean: this.mean,
+      std: this.std,
+      labelCounts,
+      samples: this.samples.map(({ label, vector }) => ({
+        label,
+        vector: vector.map(v => Math.round(v * 1e4) / 1e4)
+      }))
+    };
+  }
+
+  /**
+   * 从 JSON 对象恢复模型
+   * 与 fit 一样丢弃 emotions.js 中不存在的情绪标签（如旧版本模型中已删除的情绪）
+   * @param {Object} json - 模型 JSON
+   * @returns {KNNEmotionClassifier} 分类器实例
+   */
+  static fromJSON(json) {
+    if (!json || json.type !== 'knn' || !Array.isArray(json.samples)) {
+      throw new Error('KNNEmotionClassifier: not a knn model');
+    }
+    const samples = json.samples.filter(sample => getEmotionById(sample.label));
+    if (samples.length === 0) {
+      throw new Error('KNNEmotionClassifier: no samples with a known emotion label');
+    }
+    return new KNNEmotionClassifier({ ...json, samples });
+  }
+
+  /**
+   * 从 URL 加载模型（浏览器）
+   * @param {string} url - 模型 JSON 地址
+   * @returns {Promise<KNNEmotionClassifier>} 分类器实例
+   */
+  static async load(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`KNNEmotionClassifier: failed to load ${url} (${response.status})`);
+    }
+    return KNNEmotionClassifier.fromJSON(await response.json());
+  }
+}
+
+/**
+ * 按配置创建情绪分类函数，供 mewt.js / audio-trigger.js 使用
+ * @param {Object} options - { mode: 'rules'|'learned'|'compare', model, rulePack, scoringMode,
+ *                             warningDetectors: true|false|{ hiss, growl } }
+ * @returns {Function} (features) => 情绪分类结果|null
+ */
+export function createEmotionClassifier(options = {}) {
+  const { warningDetectors = true } = options;
+  const classify = createBaseClassifier(options);
+
+  if (warningDetectors === false) {
+    return classify;
+  }
+  const detectorOptions = warningDetectors === true ? {} : warningDetectors;
+  return (features) => applyWarningDetectors(classify(features), features, detectorOptions);
+}
+
+/**
+ * 创建不含专用检测器的分类函数
+ * @param {Object} options - { mode, model, rulePack, scoringMode }
+ * @returns {Function} (features) => 情绪分类结果|null
+ */
+function createBaseClassifier(options) {
+  const { mode = 'rules', model = null, rulePack = null, scoringMode = 'rules' } = options;
+
+  const classifyWithRules = (features) =>
+    classifyEmotion(features, rulePack || getActiveRulePack(), { mode: scoringMode });
+
+  if ((mode === 'learned' || mode === 'compare') && !model) {
+    console.warn(`EmotionClassifier: "${mode}" 模式缺少训练模型，使用规则引擎`);
+    return classifyWithRules;
+  }
+
+  if (mode === 'learned') {
+    return (features) => model.predict(features);
+  }
+
+  if (mode === 'compare') {
+    return (features) => {
+      const rulesResult = classifyWithRules(features);
+      const learnedResult = model.predict(features);
+      if (!rulesResult) {
+        return null;
+      }
+      return {
+        ...rulesResult,
+        comparison: {
+          learned: learnedResult
+            ? { emotionId: learnedResult.emotionId, confidence: learnedResult.confidence }
+            : null,
+          agree: !!learnedResult && learnedResult.emotionId === rulesResult.emotionId
+        }
+      };
+    };
+  }
+
+  return classifyWithRules;
+}
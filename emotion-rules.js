@@ -0,0 +1,525 @@
+/**
+ * 声明式情绪规则包
+ * ==================
+ *
+ * 📋 模块功能概述：
+ * 把 classifyEmotion 中硬编码的21条闭包规则改为可序列化的规则包（JSON/JS对象），
+ * 提供加载器、校验器和求值器。音频团队可以直接发布调好参数的规则包，无需修改代码，
+ * 也可以把两个规则包放在同一输入上做 A/B 对比。
+ *
+ * 📐 规则包结构：
+ * ```json
+ * {
+ *   "name": "default",
+ *   "version": "1.0.0",
+ *   "minConfidence": 0.5,
+ *   "normalization": {
+ *     "energy": { "scale": 1000000, "max": 1 }
+ *   },
+ *   "rules": [
+ *     {
+ *       "emotionId": "comfortable",
+ *       "conditions": { "energy": { "max": 0.2 }, "rms": { "max": 0.3 } },
+ *       "confidence": 0.9,
+ *       "weights": { "energy": -1 }
+ *     }
+ *   ]
+ * }
+ * ```
+ *
+ * - normalization：特征名 → { scale, offset?, min?, max? }，value = clamp(raw × scale + offset)。
+ *   未声明的特征按原始值参与规则（如 spectralFlatness、pitchSlope）
+ * - conditions：特征名 → { min?, max? }，均为开区间（value > min 且 value < max）
+ * - confidence：所有条件满足时的基础置信度
+ * - weights：可选，置信度 = confidence + Σ weight × 标准化特征值，结果截断到 [0, 1]
+ * - minConfidence：低于该值的最佳匹配视为无结果
+ * - scoring：可选，软隶属度评分参数 { softness, featureSoftness: { 特征名: softness } }
+ *
+ * 🎚️ 软评分（scoreRulePack）：
+ * 二值规则只判断"在不在区域内"。软评分对每个条件计算特征值到区间的距离 d，
+ * 隶属度 = exp(-(d / softness)²)，区域内为 1，离区域越远越接近 0；
+ * 规则得分 = 规则置信度 × 各条件隶属度之积。这样每种情绪都能得到一个连续分数。
+ *
+ * 🔗 与 emotions.js 的关系：
+ * 本模块不依赖情绪表，情绪ID的合法性由调用方通过 emotionIds 选项传入校验，
+ * emotions.js 在此基础上提供 classifyEmotion / loadEmotionRulePack。
+ */
+
+/**
+ * 默认规则包：与原先硬编码的21条规则逐条等价
+ */
+export const DEFAULT_RULE_PACK = {
+  name: 'default',
+  version: '1.0.0',
+  minConfidence: 0.5,
+  scoring: {
+    softness: 0.1 // 标准化特征距区间 0.1 时隶属度约为 0.37
+  },
+  normalization: {
+    zeroCrossingRate: { scale: 10, max: 1 },
+    spectralCentroid: { scale: 1 / 5000, max: 1 },    // Hz
+    spectralRolloff: { scale: 1 / 4000, max: 1 },     // Hz，4 kHz = 奈奎斯特频率的一半
+    energy: { scale: 1000000, max: 1 },
+    rms: { scale: 1000, max: 1 }
+  },
+  rules: [
+    // FRIENDLY CATEGORY - Low intensity, gentle sounds
+    {
+      emotionId: 'comfortable',
+      conditions: {
+        energy: { max: 0.2 },
+        rms: { max: 0.3 },
+        zeroCrossingRate: { max: 0.3 }
+      },
+      confidence: 0.9,
+      weights: { energy: -1 } // Very low energy = very comfortable
+    },
+    {
+      emotionId: 'satisfy',
+      conditions: {
+        energy: { min: 0.1, max: 0.4 },
+        rms: { min: 0.2, max: 0.5 },
+        zeroCrossingRate: { max: 0.4 }
+      },
+      confidence: 0.8
+    },
+    {
+      emotionId: 'call',
+      conditions: {
+        energy: { min: 0.2, max: 0.6 },
+        spectralCentroid: { min: 0.3, max: 0.7 },
+        zeroCrossingRate: { min: 0.2, max: 0.6 }
+      },
+      confidence: 0.75
+    },
+    {
+      emotionId: 'flighty',
+      conditions: {
+        energy: { min: 0.3, max: 0.6 },
+        rms: { min: 0.3, max: 0.6 },
+        spectralCentroid: { min: 0.4 }
+      },
+      confidence: 0.7
+    },
+    {
+      emotionId: 'yummy',
+      conditions: {
+        energy: { min: 0.2, max: 0.5 },
+        zeroCrossingRate: { min: 0.3, max: 0.6 },
+        spectralRolloff: { min: 0.3 }
+      },
+      confidence: 0.75
+    },
+
+    // ATTENTION CATEGORY - Varied intensity, seeking behavior
+    {
+      emotionId: 'hello',
+      conditions: {
+        energy: { min: 0.3, max: 0.7 },
+        spectralCentroid: { min: 0.4, max: 0.8 },
+        rms: { min: 0.3 }
+      },
+      confidence: 0.8
+    },
+    {
+      emotionId: 'for_food',
+      conditions: {
+        energy: { min: 0.4, max: 0.8 },
+        rms: { min: 0.4, max: 0.8 },
+        zeroCrossingRate: { min: 0.3, max: 0.7 }
+      },
+      confidence: 0.85
+    },
+    {
+      emotionId: 'ask_for_play',
+      conditions: {
+        energy: { min: 0.5, max: 0.8 },
+        spectralCentroid: { min: 0.5 },
+        zeroCrossingRate: { min: 0.4 },
+        rms: { min: 0.4 }
+      },
+      confidence: 0.8
+    },
+    {
+      emotionId: 'ask_for_hunting',
+      conditions: {
+        energy: { min: 0.6 },
+        spectralCentroid: { min: 0.6 },
+        zeroCrossingRate: { min: 0.5 },
+        rms: { min: 0.5 }
+      },
+      confidence: 0.85
+    },
+    {
+      emotionId: 'curious',
+      conditions: {
+        energy: { min: 0.2, max: 0.6 },
+        spectralCentroid: { min: 0.3, max: 0.7 },
+        zeroCrossingRate: { min: 0.3, max: 0.7 }
+      },
+      confidence: 0.6
+    },
+    {
+      emotionId: 'find_mom',
+      conditions: {
+        energy: { min: 0.7 },
+        rms: { min: 0.6 },
+        spectralCentroid: { min: 0.6 },
+        zeroCrossingRate: { min: 0.6 }
+      },
+      confidence: 0.9
+    },
+    {
+      emotionId: 'anxious',
+      conditions: {
+        spectralCentroid: { min: 0.7 },
+        zeroCrossingRate: { min: 0.6 },
+        energy: { min: 0.4 },
+        spectralRolloff: { min: 0.6 }
+      },
+      confidence: 0.85
+    },
+    {
+      emotionId: 'discomfort',
+      conditions: {
+        energy: { min: 0.3, max: 0.7 },
+        zeroCrossingRate: { min: 0.5 },
+        spectralCentroid: { min: 0.5 },
+        rms: { min: 0.3 }
+      },
+      confidence: 0.7
+    },
+    {
+      emotionId: 'courtship',
+      conditions: {
+        energy: { min: 0.5 },
+        spectralCentroid: { min: 0.4, max: 0.8 },
+        spectralRolloff: { min: 0.4 },
+        rms: { min: 0.4 }
+      },
+      confidence: 0.75
+    },
+
+    // WARNING CATEGORY - High intensity, aggressive/defensive
+    {
+      emotionId: 'for_fight',
+      conditions: {
+        energy: { min: 0.8 },
+        spectralCentroid: { min: 0.8 },
+        zeroCrossingRate: { min: 0.8 },
+        rms: { min: 0.8 },
+        spectralRolloff: { min: 0.7 }
+      },
+      confidence: 0.95
+    },
+    {
+      emotionId: 'dieaway',
+      conditions: {
+        energy: { min: 0.85 },
+        spectralCentroid: { min: 0.7 },
+        zeroCrossingRate: { min: 0.7 },
+        rms: { min: 0.7 }
+      },
+      confidence: 0.9
+    },
+    {
+      emotionId: 'goout',
+      conditions: {
+        energy: { min: 0.75 },
+        spectralCentroid: { min: 0.6 },
+        zeroCrossingRate: { min: 0.6 },
+        rms: { min: 0.6 }
+      },
+      confidence: 0.85
+    },
+    {
+      emotionId: 'warning',
+      conditions: {
+        spectralCentroid: { min: 0.7 },
+        zeroCrossingRate: { min: 0.7 },
+        energy: { min: 0.6 },
+        rms: { min: 0.5 }
+      },
+      confidence: 0.8
+    },
+    {
+      emotionId: 'alert',
+      conditions: {
+        spectralCentroid: { min: 0.8 },
+        zeroCrossingRate: { min: 0.6 },
+        energy: { min: 0.5 },
+        spectralRolloff: { min: 0.7 }
+      },
+      confidence: 0.8
+    },
+    {
+      emotionId: 'goaway',
+      conditions: {
+        energy: { min: 0.6 },
+        spectralCentroid: { min: 0.6 },
+        zeroCrossingRate: { min: 0.5 },
+        rms: { min: 0.5 }
+      },
+      confidence: 0.75
+    },
+    {
+      emotionId: 'unhappy',
+      conditions: {
+        energy: { min: 0.4, max: 0.8 },
+        spectralCentroid: { min: 0.5 },
+        zeroCrossingRate: { min: 0.4 },
+        rms: { min: 0.4 }
+      },
+      confidence: 0.7
+    }
+  ]
+};
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * 校验规则包结构
+ * @param {Object} pack - 规则包
+ * @param {Object} options - { emotionIds: 合法情绪ID列表（可选） }
+ * @returns {Object} { valid: boolean, errors: string[] }
+ */
+export function validateRulePack(pack, options = {}) {
+  const errors = [];
+  const knownIds = options.emotionIds ? new Set(options.emotionIds) : null;
+
+  if (!pack || typeof pack !== 'object') {
+    return { valid: false, errors: ['rule pack must be an object'] };
+  }
+
+  if (pack.minConfidence !== undefined &&
+      (!isFiniteNumber(pack.minConfidence) || pack.minConfidence < 0 || pack.minConfidence > 1)) {
+    errors.push('minConfidence must be a number in [0, 1]');
+  }
+
+  if (pack.scoring !== undefined) {
+    const scoring = pack.scoring || {};
+    if (scoring.softness !== undefined && !(isFiniteNumber(scoring.softness) && scoring.softness > 0)) {
+      errors.push('scoring.softness must be a positive number');
+    }
+    for (const [feature, softness] of Object.entries(scoring.featureSoftness || {})) {
+      if (!(isFiniteNumber(softness) && softness > 0)) {
+        errors.push(`scoring.featureSoftness.${feature} must be a positive number`);
+      }
+    }
+  }
+
+  if (pack.normalization !== undefined) {
+    if (typeof pack.normalization !== 'object' || pack.normalization === null) {
+      errors.push('normalization must be an object');
+    } else {
+      for (const [feature, spec] of Object.entries(pack.normalization)) {
+        if (!spec || !isFiniteNumber(spec.scale)) {
+          errors.push(`normalization.${feature}.scale must be a finite number`);
+        }
+        for (const key of ['offset', 'min', 'max']) {
+          if (spec && spec[key] !== undefined && !isFiniteNumber(spec[key])) {
+            errors.push(`normalization.${feature}.${key} must be a finite number`);
+          }
+        }
+      }
+    }
+  }
+
+  if (!Array.isArray(pack.rules) || pack.rules.length === 0) {
+    errors.push('rules must be a non-empty array');
+    return { valid: false, errors };
+  }
+
+  pack.rules.forEach((rule, index) => {
+    const where = `rules[${index}]`;
+    if (!rule || typeof rule.emotionId !== 'string') {
+      errors.push(`${where}.emotionId must be a string`);
+      return;
+    }
+    if (knownIds && !knownIds.has(rule.emotionId)) {
+      errors.push(`${where}.emotionId "${rule.emotionId}" is not a known emotion`);
+    }
+    if (!isFiniteNumber(rule.confidence) || rule.confidence < 0 || rule.confidence > 1) {
+      errors.push(`${where}.confidence must be a number in [0, 1]`);
+    }
+    if (!rule.conditions || typeof rule.conditions !== 'object') {
+      errors.push(`${where}.conditions must be an object`);
+    } else {
+      for (const [feature, range] of Object.entries(rule.conditions)) {
+        if (!range || (range.min === undefined && range.max === undefined)) {
+          errors.push(`${where}.conditions.${feature} needs min and/or max`);
+          continue;
+        }
+        if (range.min !== undefined && !isFiniteNumber(range.min)) {
+          errors.push(`${where}.conditions.${feature}.min must be a finite number`);
+        }
+        if (range.max !== undefined && !isFiniteNumber(range.max)) {
+          errors.push(`${where}.conditions.${feature}.max must be a finite number`);
+        }
+        if (isFiniteNumber(range.min) && isFiniteNumber(range.max) && range.min >= range.max) {
+          errors.push(`${where}.conditions.${feature} has min >= max`);
+        }
+      }
+    }
+    if (rule.weights !== undefined) {
+      for (const [feature, weight] of Object.entries(rule.weights || {})) {
+        if (!isFiniteNumber(weight)) {
+          errors.push(`${where}.weights.${feature} must be a finite number`);
+        }
+      }
+    }
+  });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * 加载规则包：支持对象、JSON 文本或 URL（通过 fetch）
+ * @param {Object|string} source - 规则包来源
+ * @param {Object} options - 校验选项，见 validateRulePack
+ * @returns {Promise<Object>} 校验通过的规则包
+ */
+export async function loadRulePack(source, options = {}) {
+  let pack = source;
+
+  if (typeof source === 'string') {
+    const text = source.trim();
+    if (text.startsWith('{')) {
+      pack = JSON.parse(text);
+    } else {
+      const response = await fetch(source);
+      if (!response.ok) {
+        throw new Error(`Failed to load rule pack ${source} (${response.status})`);
+      }
+      pack = await response.json();
+    }
+  }
+
+  const { valid, errors } = validateRulePack(pack, options);
+  if (!valid) {
+    throw new Error(`Invalid rule pack "${pack && pack.name}": ${errors.join('; ')}`);
+  }
+
+  return pack;
+}
+
+/**
+ * 按规则包的 normalization 标准化特征
+ * @param {Object} features - 原始特征对象
+ * @param {Object} normalization - 标准化配置
+ * @returns {Object} 标准化后的特征（未声明的数值特征保持原值）
+ */
+export function normalizeFeatures(features, normalization = {}) {
+  const normalized = {};
+  for (const [feature, value] of Object.entries(features)) {
+    if (!isFiniteNumber(value)) continue;
+
+    const spec = normalization[feature];
+    if (!spec) {
+      normalized[feature] = value;
+      continue;
+    }
+
+    let scaled = value * spec.scale + (spec.offset || 0);
+    if (spec.max !== undefined) scaled = Math.min(scaled, spec.max);
+    if (spec.min !== undefined) scaled = Math.max(scaled, spec.min);
+    normalized[feature] = scaled;
+  }
+  return normalized;
+}
+
+/**
+ * 计算单条规则的置信度（条件不满足时为 0）
+ * @param {Object} rule - 规则
+ * @param {Object} normalized - 标准化特征
+ * @returns {number} 置信度
+ */
+export function evaluateRule(rule, normalized) {
+  for (const [feature, range] of Object.entries(rule.conditions)) {
+    const value = normalized[feature];
+    if (!isFiniteNumber(value)) return 0;
+    if (range.min !== undefined && !(value > range.min)) return 0;
+    if (range.max !== undefined && !(value < range.max)) return 0;
+  }
+
+  let confidence = rule.confidence;
+  for (const [feature, weight] of Object.entries(rule.weights || {})) {
+    confidence += weight * (normalized[feature] || 0);
+  }
+  return Math.max(0, Math.min(1, confidence));
+}
+
+/**
+ * 用规则包对特征求值
+ * @param {Object} pack - 规则包
+ * @param {Object} features - 原始特征对象
+ * @returns {Array} 命中的规则 [{emotionId, confidence}]，按置信度降序
+ */
+export function evaluateRulePack(pack, features) {
+  const normalized = normalizeFeatures(features, pack.normalization);
+  const matches = [];
+
+  for (const rule of pack.rules) {
+    const confidence = evaluateRule(rule, normalized);
+    if (confidence > 0) {
+      matches.push({ emotionId: rule.emotionId, confidence });
+    }
+  }
+
+  // 稳定排序：置信度相同时保留规则包中的先后顺序
+  return matches.sort((a, b) => b.confidence - a.confidence);
+}
+
+// Default softness when a pack has no scoring section
+const DEFAULT_SOFTNESS = 0.1;
+
+/**
+ * 计算单条规则的软评分：置信度 × 各条件的高斯隶属度
+ * @param {Object} rule - 规则
+ * @param {Object} normalized - 标准化特征
+ * @param {Object} scoring - 软评分参数 { softness, featureSoftness }
+ * @returns {number} 0-1 的连续分数
+ */
+export function scoreRule(rule, normalized, scoring = {}) {
+  const defaultSoftness = scoring.softness || DEFAULT_SOFTNESS;
+  const featureSoftness = scoring.featureSoftness || {};
+
+  let membership = 1;
+  for (const [feature, range] of Object.entries(rule.conditions)) {
+    const value = normalized[feature];
+    if (!isFiniteNumber(value)) return 0;
+
+    let distance = 0;
+    if (range.min !== undefined && value <= range.min) distance = range.min - value;
+    if (range.max !== undefined && value >= range.max) distance = value - range.max;
+
+    const softness = featureSoftness[feature] || defaultSoftness;
+    membership *= Math.exp(-((distance / softness) ** 2));
+  }
+
+  let confidence = rule.confidence;
+  for (const [feature, weight] of Object.entries(rule.weights || {})) {
+    confidence += weight * (normalized[feature] || 0);
+  }
+  return Math.max(0, Math.min(1, confidence)) * membership;
+}
+
+/**
+ * 用规则包对特征做软评分
+ * 同一情绪有多条规则时取最高分
+ * @param {Object} pack - 规则包
+ * @param {Object} features - 原始特征对象
+ * @returns {Map} emotionId → score
+ */
+export function scoreRulePack(pack, features) {
+  const normalized = normalizeFeatures(features, pack.normalization);
+  const scores = new Map();
+
+  for (const rule of pack.rules) {
+    const score = scoreRule(rule, normalized, pack.scoring);
+    if (!scores.has(rule.emotionId) || scores.get(rule.emotionId) < score) {
+      scores.set(rule.emotionId, score);
+    }
+  }
+  return scores;
+}
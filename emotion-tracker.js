@@ -0,0 +1,229 @@
+/**
+ * 情绪时间平滑跟踪器
+ * ==================
+ *
+ * 📋 模块功能概述：
+ * 每次 addAudioResult 都只对当前音频窗口做情绪分类，单独一声低吼就会让一段友好的呼噜声
+ * 被报告成"强烈警告"。本模块在多个窗口之间累积情绪得分：
+ *
+ * 1. 指数衰减：得分按半衰期随时间衰减，旧的观察逐渐失去影响
+ * 2. 累积：每个窗口把主情绪置信度和候选情绪的概率加到对应情绪上
+ * 3. 滞回：只有新情绪的累积得分超过当前主情绪 × switchRatio 时才切换，
+ *    当前主情绪衰减到 releaseScore 以下时可直接让位
+ * 4. 例外：哈气/低吼专用检测器（warning-detectors.js）触发的窗口立即成为主情绪，不等待累积
+ *
+ * 📊 输出（与 generateEmotionResponse 结构兼容，附加平滑信息）：
+ * - emotion / confidence / category / text：当前主情绪
+ * - stability：主情绪得分占全部累积得分的比例（0-1）
+ * - observed：本窗口的原始分类结果
+ * - switched：本次更新是否切换了主情绪
+ * - timeline：getTimeline() 返回最近的情绪时间线
+ */
+
+import { getEmotionById, getCategoryById, emotionCategories } from './emotions.js';
+import { systemClock } from './clock.js';
+
+// 默认跟踪参数
+export const DEFAULT_EMOTION_TRACKER_OPTIONS = {
+  halfLifeMs: 5000,     // 得分半衰期
+  switchRatio: 1.5,     // 新情绪得分需超过当前主情绪的 1.5 倍才切换
+  releaseScore: 0.05,   // 主情绪衰减到该值以下时不再需要满足切换比例
+  minScore: 0.001,      // 低于该值的累积得分直接丢弃
+  timelineSize: 100     // 时间线保留条数
+};
+
+/**
+ * 情绪跟踪器类
+ */
+export class EmotionTracker {
+  /**
+   * 构造函数
+   * @param {Object} options - 跟踪参数，见 DEFAULT_EMOTION_TRACKER_OPTIONS（clock: 时钟，见 clock.js，默认 systemClock）
+   */
+  constructor(options = {}) {
+    const { clock, ...trackerOptions } = options;
+    this.clock = clock || systemClock;
+    this.config = { ...DEFAULT_EMOTION_TRACKER_OPTIONS, ...trackerOptions };
+    this.reset();
+  }
+
+  /**
+   * 清空累积得分和时间线
+   */
+  reset() {
+    this.scores = new Map();
+    this.dominantId = null;
+    this.dominantSince = null;
+    this.lastUpdate = null;
+    this.lastObservation = null;
+    this.timeline = [];
+  }
+
+  /**
+   * 把累积得分衰减到指定时刻
+   * @param {number} timestamp - 当前时间戳
+   */
+  decay(timestamp) {
+    if (this.lastUpdate !== null && timestamp > this.lastUpdate) {
+      const factor = Math.pow(0.5, (timestamp - this.lastUpdate) / this.config.halfLifeMs);
+      for (const [emotionId, score] of this.scores) {
+        const decayed = score * factor;
+        if (decayed < this.config.minScore && emotionId !== this.dominantId) {
+          this.scores.delete(emotionId);
+        } else {
+          this.scores.set(emotionId, decayed);
+        }
+      }
+    }
+    this.lastUpdate = Math.max(this.lastUpdate || 0, timestamp);
+  }
+
+  /**
+   * 加入一个窗口的情绪分类结果
+   * @param {Object} emotionResponse - generateEmotionResponse 的输出
+   * @param {number} timestamp - 时间戳（默认取结果自带时间，没有时取时钟时间）
+   * @returns {Object|null} 平滑后的情绪结果
+   */
+  update(emotionResponse, timestamp = emotionResponse.timestamp || this.clock.now()) {
+    this.decay(timestamp);
+
+    const observedId = emotionResponse.emotion.id;
+    this.addScore(observedId, emotionResponse.confidence);
+    for (const alternative of emotionResponse.alternatives || []) {
+      this.addScore(alternative.emotionId, alternative.probability || 0);
+    }
+    this.lastObservation = emotionResponse;
+
+    // 滞回切换（专用检测器确认的警告直接切换）
+    const [leaderId, leaderScore] = this.getLeader();
+    const dominantScore = this.scores.get(this.dominantId) || 0;
+    const warning = !!emotionResponse.detector && observedId !== this.dominantId;
+    const switched = warning || (leaderId !== this.dominantId && (
+      this.dominantId === null ||
+      dominantScore < this.config.releaseScore ||
+      leaderScore >= dominantScore * this.config.switchRatio
+    ));
+    if (switched) {
+      this.dominantId = warning ? observedId : leaderId;
+      this.dominantSince = timestamp;
+    }
+
+    const result = this.getResult();
+    this.timeline.push({
+      timestamp,
+      observedEmotionId: observedId,
+      observedConfidence: emotionResponse.confidence,
+      dominantEmotionId: this.dominantId,
+      stability: result.stability,
+      switched
+    });
+    if (this.timeline.length > this.config.timelineSize) {
+      this.timeline.shift();
+    }
+
+    return { ...result, switched };
+  }
+
+  /**
+   * 累加某个情绪的得分
+   * @param {string} emotionId - 情绪ID
+   * @param {number} score - 得分
+   */
+  addScore(emotionId, score) {
+    if (!getEmotionById(emotionId) || !(score > 0)) return;
+    this.scores.set(emotionId, (this.scores.get(emotionId) || 0) + score);
+  }
+
+  /**
+   * 获取累积得分最高的情绪
+   * @returns {Array} [emotionId, score]
+   */
+  getLeader() {
+    let leader = [null, 0];
+    for (const entry of this.scores) {
+      if (entry[1] > leader[1]) leader = entry;
+    }
+    return leader;
+  }
+
+  /**
+   * 获取当前主情绪（generateEmotionResponse 结构）
+   * @returns {Object|null} 平滑后的情绪结果
+   */
+  getResult() {
+    if (!this.dominantId) {
+      return null;
+    }
+
+    const total = Array.from(this.scores.values()).reduce((sum, s) => sum + s, 0);
+    const dominantScore = this.scores.get(this.dominantId) || 0;
+    const emotion = getEmotionById(this.dominantId);
+    const observation = this.lastObservation;
+    const observedSame = observation && observation.emotion.id === this.dominantId;
+
+    const categoryScores = {};
+    for (const category of emotionCategories) {
+      categoryScores[category.id] = 0;
+    }
+    for (const [emotionId, score] of this.scores) {
+      categoryScores[getEmotionById(emotionId).categoryId] += total > 0 ? score / total : 0;
+    }
+
+    const alternatives = Array.from(this.scores.entries())
+      .filter(([emotionId]) => emotionId !== this.dominantId)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 2)
+      .map(([emotionId, score]) => ({
+        emotionId,
+        emotion: getEmotionById(emotionId),
+        confidence: total > 0 ? score / total : 0,
+        probability: total > 0 ? score / total : 0
+      }));
+
+    const stability = total > 0 ? dominantScore / total : 0;
+    const lastConfidence = observedSame ? observation.confidence : this.getLastConfidence(this.dominantId);
+
+    return {
+      type: 'emotion',
+      emotion,
+      // 主情绪仍是本窗口的分类结果时沿用原始置信度，否则取最近一次观察到该情绪时的置信度
+      confidence: lastConfidence !== null ? lastConfidence : stability,
+      category: getCategoryById(emotion.categoryId),
+      text: `${emotion.icon} ${emotion.title}`,
+      calls: observation ? observation.calls : undefined,
+      alternatives,
+      categoryScores,
+      stability,
+      snr: observation && observation.snr !== undefined ? observation.snr : null,
+      purr: observation ? observation.purr || null : null,
+      detector: observedSame ? observation.detector || null : null,
+      detectors: observation ? observation.detectors || null : null,
+      source: observation ? observation.source : undefined,
+      dominantSince: this.dominantSince,
+      observed: observation,
+      timestamp: this.lastUpdate
+    };
+  }
+
+  /**
+   * 时间线中最近一次观察到某情绪时的置信度
+   * @param {string} emotionId - 情绪ID
+   * @returns {number|null} 置信度（从未作为主分类出现时为 null）
+   */
+  getLastConfidence(emotionId) {
+    for (let i = this.timeline.length - 1; i >= 0; i--) {
+      if (this.timeline[i].observedEmotionId === emotionId) {
+        return this.timeline[i].observedConfidence;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 获取情绪时间线
+   * @returns {Array} [{ timestamp, observedEmotionId, observedConfidence, dominantEmotionId, stability, switched }]
+   */
+  getTimeline() {
+    return [...this.timeline];
+  }
+}
@@ -6,14 +6,18 @@
  * 本模块实现了基于音频特征的猫咪情绪分类系统，是多模态猫咪行为识别系统中"声音特征模型层"的核心组件。
  * 
  * 🎯 核心功能：
- * 1. 将5个音频数值特征映射到21种具体的猫咪情绪
+ * 1. 将音频数值特征映射到21种具体的猫咪情绪
  * 2. 基于阈值规则引擎进行实时情绪分类
  * 3. 返回包含情绪类别、置信度和表情符号的结构化结果
  * 
  * 📊 输入音频特征（来自features.js）：
  * - zeroCrossingRate: 过零率 - 反映声音的频率变化
- * - spectralCentroid: 频谱质心 - 反映声音的"亮度"
- * - spectralRolloff: 频谱滚降 - 反映高频能量分布
+ * - spectralCentroid: 频谱质心(Hz) - 反映声音的"亮度"
+ * - spectralRolloff: 频谱滚降(Hz) - 反映高频能量分布
+ * - spectralBandwidth: 频谱带宽(Hz) - 反映频谱展宽（可选）
+ * - spectralFlatness: 频谱平坦度(0-1) - 区分音调与噪声（可选）
+ * - mfcc / mfccStd / mfccDelta / mfccDeltaDelta / melBands: 音色特征数组（可选，供音色规则使用）
+ * - pitchMean / pitchRange (Hz), pitchSlope (半音/秒), vibratoRate / vibratoExtent, voicedRatio: 音高轮廓（可选）
  * - energy: 能量 - 反映声音的强度
  * - rms: 均方根 - 反映声音的有效值
  * 
@@ -45,6 +49,8 @@
  *    - alert 🚨: 敌意警戒
  *    - goaway 🚫: 走开
  *    - unhappy 😒: 不高兴
+ *    其中哈气（dieaway）和低吼（for_fight）另有专用检测器（warning-detectors.js），
+ *    经 createEmotionClassifier 分类时检测器触发即覆盖本规则引擎的结果
  * 
  * 🔧 规则引擎设计原理：
  * 1. 特征标准化：将原始特征值缩放到0-1范围，确保分类一致性
@@ -52,13 +58,21 @@
  * 3. 置信度评估：只返回置信度>50%的分类结果
  * 4. 最佳匹配：选择置信度最高的情绪作为最终结果
  * 
+ * 以上标准化系数、阈值和置信度都声明在规则包中（见 emotion-rules.js），
+ * 可通过 loadEmotionRulePack() 加载新的规则包，setActiveRulePack() 切换默认规则包，
+ * compareRulePacks() 在同一输入上对比两个规则包。
+ * 
  * 🔗 集成说明：
  * - 与mewt.js的上下文管理系统集成，实现有限状态机状态转移
  * - 与play-deep.html的MediaPipe分类结果结合，形成完整的多模态识别
  * - 支持LRU缓存和频次控制的实时决策系统
  * 
  * 📦 主要导出函数：
- * - classifyEmotion(): 完整情绪分类，返回详细结果
+ * - classifyEmotion(): 完整情绪分类，返回详细结果（可传入规则包）
+ * - loadEmotionRulePack() / setActiveRulePack(): 加载与切换规则包
+ * - compareRulePacks(): 两个规则包的 A/B 对比
+ * - scoreEmotions(): 软评分模式，返回21种情绪的分布、top-k 和各类别总分
+ *   （classifyEmotion 传入 { mode: 'scored' } 时使用软评分并附带 alternatives / categoryScores）
  * - classifyEmotionCategory(): 简化分类，只返回类别ID
  * - getEmotionById(): 根据ID获取情绪对象
  * - getCategoryById(): 根据ID获取类别对象
@@ -68,7 +82,7 @@
  * const audioFeatures = {
  *   zeroCrossingRate: 0.05,
  *   spectralCentroid: 2000,
- *   spectralRolloff: 0.4,
+ *   spectralRolloff: 1600,
  *   energy: 0.0005,
  *   rms: 0.5
  * };
@@ -81,6 +95,14 @@
  * ```
  */
 
+import {
+  DEFAULT_RULE_PACK,
+  loadRulePack,
+  validateRulePack,
+  evaluateRulePack,
+  scoreRulePack
+} from './emotion-rules.js';
+
 export const emotionCategories = [
   {
     id: 'friendly',
@@ -249,272 +271,114 @@ export const emotions = [
   },
 ];
 
-// Audio feature classification rule engine
-export function classifyEmotion(features) {
-  const { zeroCrossingRate, spectralCentroid, spectralRolloff, energy, rms } = features;
-  
-  // Helper function to get emotion by id
-  const getEmotion = (id) => emotions.find(e => e.id === id);
-  const getCategory = (id) => emotionCategories.find(c => c.id === id);
+// Rule pack used when classifyEmotion is called without an explicit pack
+let activeRulePack = DEFAULT_RULE_PACK;
 
-  // Normalize features for better classification (0-1 range)
-  const normalizedZCR = Math.min(zeroCrossingRate * 10, 1); // Scale ZCR
-  const normalizedCentroid = Math.min(spectralCentroid / 5000, 1); // Scale spectral centroid
-  const normalizedRolloff = Math.min(spectralRolloff * 2, 1); // Scale rolloff
-  const normalizedEnergy = Math.min(energy * 1000000, 1); // Scale energy
-  const normalizedRMS = Math.min(rms * 1000, 1); // Scale RMS
+// Load and validate a rule pack (object, JSON text or URL) against the emotions table
+export function loadEmotionRulePack(source) {
+  return loadRulePack(source, { emotionIds: emotions.map(e => e.id) });
+}
 
-  let bestMatch = null;
+// Validate a rule pack against the emotions table
+export function validateEmotionRulePack(pack) {
+  return validateRulePack(pack, { emotionIds: emotions.map(e => e.id) });
+}
 
-  // Classification rules for each emotion
-  const rules = [
-    // FRIENDLY CATEGORY - Low intensity, gentle sounds
-    {
-      emotionId: 'comfortable',
-      rule: () => {
-        if (normalizedEnergy < 0.2 && normalizedRMS < 0.3 && normalizedZCR < 0.3) {
-          return 0.9 - normalizedEnergy; // Very low energy = very comfortable
-        }
-        return 0;
-      }
-    },
-    {
-      emotionId: 'satisfy',
-      rule: () => {
-        if (normalizedEnergy > 0.1 && normalizedEnergy < 0.4 && 
-            normalizedRMS > 0.2 && normalizedRMS < 0.5 &&
-            normalizedZCR < 0.4) {
-          return 0.8;
-        }
-        return 0;
-      }
-    },
-    {
-      emotionId: 'call',
-      rule: () => {
-        if (normalizedEnergy > 0.2 && normalizedEnergy < 0.6 && 
-            normalizedCentroid > 0.3 && normalizedCentroid < 0.7 &&
-            normalizedZCR > 0.2 && normalizedZCR < 0.6) {
-          return 0.75;
-        }
-        return 0;
-      }
-    },
-    {
-      emotionId: 'flighty',
-      rule: () => {
-        if (normalizedEnergy > 0.3 && normalizedEnergy < 0.6 && 
-            normalizedRMS > 0.3 && normalizedRMS < 0.6 &&
-            normalizedCentroid > 0.4) {
-          return 0.7;
-        }
-        return 0;
-      }
-    },
-    {
-      emotionId: 'yummy',
-      rule: () => {
-        if (normalizedEnergy > 0.2 && normalizedEnergy < 0.5 && 
-            normalizedZCR > 0.3 && normalizedZCR < 0.6 &&
-            normalizedRolloff > 0.3) {
-          return 0.75;
-        }
-        return 0;
-      }
-    },
+// Replace the rule pack used by default (throws if the pack is invalid)
+export function setActiveRulePack(pack) {
+  const { valid, errors } = validateEmotionRulePack(pack);
+  if (!valid) {
+    throw new Error(`Invalid rule pack "${pack && pack.name}": ${errors.join('; ')}`);
+  }
+  activeRulePack = pack;
+}
 
-    // ATTENTION CATEGORY - Varied intensity, seeking behavior
-    {
-      emotionId: 'hello',
-      rule: () => {
-        if (normalizedEnergy > 0.3 && normalizedEnergy < 0.7 && 
-            normalizedCentroid > 0.4 && normalizedCentroid < 0.8 &&
-            normalizedRMS > 0.3) {
-          return 0.8;
-        }
-        return 0;
-      }
-    },
-    {
-      emotionId: 'for_food',
-      rule: () => {
-        if (normalizedEnergy > 0.4 && normalizedEnergy < 0.8 && 
-            normalizedRMS > 0.4 && normalizedRMS < 0.8 &&
-            normalizedZCR > 0.3 && normalizedZCR < 0.7) {
-          return 0.85;
-        }
-        return 0;
-      }
-    },
-    {
-      emotionId: 'ask_for_play',
-      rule: () => {
-        if (normalizedEnergy > 0.5 && normalizedEnergy < 0.8 && 
-            normalizedCentroid > 0.5 && normalizedZCR > 0.4 &&
-            normalizedRMS > 0.4) {
-          return 0.8;
-        }
-        return 0;
-      }
-    },
-    {
-      emotionId: 'ask_for_hunting',
-      rule: () => {
-        if (normalizedEnergy > 0.6 && normalizedCentroid > 0.6 && 
-            normalizedZCR > 0.5 && normalizedRMS > 0.5) {
-          return 0.85;
-        }
-        return 0;
-      }
-    },
-    {
-      emotionId: 'curious',
-      rule: () => {
-        if (normalizedEnergy > 0.2 && normalizedEnergy < 0.6 && 
-            normalizedCentroid > 0.3 && normalizedCentroid < 0.7 &&
-            normalizedZCR > 0.3 && normalizedZCR < 0.7) {
-          return 0.6;
-        }
-        return 0;
-      }
-    },
-    {
-      emotionId: 'find_mom',
-      rule: () => {
-        if (normalizedEnergy > 0.7 && normalizedRMS > 0.6 && 
-            normalizedCentroid > 0.6 && normalizedZCR > 0.6) {
-          return 0.9;
-        }
-        return 0;
-      }
-    },
-    {
-      emotionId: 'anxious',
-      rule: () => {
-        if (normalizedCentroid > 0.7 && normalizedZCR > 0.6 && 
-            normalizedEnergy > 0.4 && normalizedRolloff > 0.6) {
-          return 0.85;
-        }
-        return 0;
-      }
-    },
-    {
-      emotionId: 'discomfort',
-      rule: () => {
-        if (normalizedEnergy > 0.3 && normalizedEnergy < 0.7 && 
-            normalizedZCR > 0.5 && normalizedCentroid > 0.5 &&
-            normalizedRMS > 0.3) {
-          return 0.7;
-        }
-        return 0;
-      }
-    },
-    {
-      emotionId: 'courtship',
-      rule: () => {
-        if (normalizedEnergy > 0.5 && normalizedCentroid > 0.4 && 
-            normalizedCentroid < 0.8 && normalizedRolloff > 0.4 &&
-            normalizedRMS > 0.4) {
-          return 0.75;
-        }
-        return 0;
-      }
-    },
+// Get the rule pack currently used by default
+export function getActiveRulePack() {
+  return activeRulePack;
+}
 
-    // WARNING CATEGORY - High intensity, aggressive/defensive
-    {
-      emotionId: 'for_fight',
-      rule: () => {
-        if (normalizedEnergy > 0.8 && normalizedCentroid > 0.8 && 
-            normalizedZCR > 0.8 && normalizedRMS > 0.8 &&
-            normalizedRolloff > 0.7) {
-          return 0.95;
-        }
-        return 0;
-      }
-    },
-    {
-      emotionId: 'dieaway',
-      rule: () => {
-        if (normalizedEnergy > 0.85 && normalizedCentroid > 0.7 && 
-            normalizedZCR > 0.7 && normalizedRMS > 0.7) {
-          return 0.9;
-        }
-        return 0;
-      }
-    },
-    {
-      emotionId: 'goout',
-      rule: () => {
-        if (normalizedEnergy > 0.75 && normalizedCentroid > 0.6 && 
-            normalizedZCR > 0.6 && normalizedRMS > 0.6) {
-          return 0.85;
-        }
-        return 0;
-      }
-    },
-    {
-      emotionId: 'warning',
-      rule: () => {
-        if (normalizedCentroid > 0.7 && normalizedZCR > 0.7 && 
-            normalizedEnergy > 0.6 && normalizedRMS > 0.5) {
-          return 0.8;
-        }
-        return 0;
-      }
-    },
-    {
-      emotionId: 'alert',
-      rule: () => {
-        if (normalizedCentroid > 0.8 && normalizedZCR > 0.6 && 
-            normalizedEnergy > 0.5 && normalizedRolloff > 0.7) {
-          return 0.8;
-        }
-        return 0;
-      }
-    },
-    {
-      emotionId: 'goaway',
-      rule: () => {
-        if (normalizedEnergy > 0.6 && normalizedCentroid > 0.6 && 
-            normalizedZCR > 0.5 && normalizedRMS > 0.5) {
-          return 0.75;
-        }
-        return 0;
-      }
-    },
-    {
-      emotionId: 'unhappy',
-      rule: () => {
-        if (normalizedEnergy > 0.4 && normalizedEnergy < 0.8 && 
-            normalizedCentroid > 0.5 && normalizedZCR > 0.4 &&
-            normalizedRMS > 0.4) {
-          return 0.7;
-        }
-        return 0;
-      }
-    }
-  ];
+// Graded scoring mode: every emotion gets a score from its distance to the rule regions,
+// scores are normalised into a distribution and summed per category
+export function scoreEmotions(features, options = {}) {
+  const { rulePack = activeRulePack, topK = 3 } = options;
+  const scores = scoreRulePack(rulePack, features);
+
+  const total = emotions.reduce((sum, e) => sum + (scores.get(e.id) || 0), 0);
+  const distribution = emotions
+    .map(emotion => {
+      const score = scores.get(emotion.id) || 0;
+      return {
+        emotionId: emotion.id,
+        emotion,
+        category: getCategoryById(emotion.categoryId),
+        score,
+        probability: total > 0 ? score / total : 0
+      };
+    })
+    .sort((a, b) => b.score - a.score);
 
-  // Find the best matching emotion
-  for (const { emotionId, rule } of rules) {
-    const confidence = rule();
-    if (confidence > 0 && (!bestMatch || confidence > bestMatch.confidence)) {
-      bestMatch = { emotionId, confidence };
+  const categoryScores = {};
+  for (const category of emotionCategories) {
+    categoryScores[category.id] = 0;
+  }
+  for (const entry of distribution) {
+    categoryScores[entry.emotion.categoryId] += entry.probability;
+  }
+
+  return {
+    distribution,
+    topK: distribution.slice(0, topK).filter(entry => entry.score > 0),
+    categoryScores,
+    total
+  };
+}
+
+// Audio feature classification rule engine
+// options.mode: 'rules' (binary region match, default) or 'scored' (graded scores + runner-ups)
+export function classifyEmotion(features, rulePack = activeRulePack, options = {}) {
+  const minConfidence = rulePack.minConfidence !== undefined ? rulePack.minConfidence : 0.5;
+
+  if (options.mode === 'scored') {
+    const { topK, categoryScores } = scoreEmotions(features, { rulePack, topK: options.topK });
+    const [best] = topK;
+
+    if (!best || best.score <= minConfidence) {
+      return null;
     }
+
+    return {
+      emotionId: best.emotionId,
+      emotion: best.emotion,
+      confidence: best.score,
+      probability: best.probability,
+      category: best.category,
+      rulePack: rulePack.name,
+      alternatives: topK.slice(1).map(({ emotionId, emotion, score, probability }) => ({
+        emotionId,
+        emotion,
+        confidence: score,
+        probability
+      })),
+      categoryScores
+    };
   }
 
+  // Best match first (ties keep rule pack order)
+  const [bestMatch] = evaluateRulePack(rulePack, features);
+
   // Return classification result
-  if (bestMatch && bestMatch.confidence > 0.5) {
-    const emotion = getEmotion(bestMatch.emotionId);
-    const category = emotion ? getCategory(emotion.categoryId) : null;
+  if (bestMatch && bestMatch.confidence > minConfidence) {
+    const emotion = getEmotionById(bestMatch.emotionId);
+    const category = emotion ? getCategoryById(emotion.categoryId) : null;
     
     if (emotion && category) {
       return {
         emotionId: bestMatch.emotionId,
         emotion,
         confidence: bestMatch.confidence,
-        category
+        category,
+        rulePack: rulePack.name
       };
     }
   }
@@ -522,6 +386,17 @@ export function classifyEmotion(features) {
   return null; // No confident classification found
 }
 
+// Classify the same features with two rule packs side by side (A/B comparison)
+export function compareRulePacks(features, packA, packB) {
+  const a = classifyEmotion(features, packA);
+  const b = classifyEmotion(features, packB);
+  return {
+    a,
+    b,
+    agree: (a ? a.emotionId : null) === (b ? b.emotionId : null)
+  };
+}
+
 // Helper function to get emotion category only (simplified classification)
 export function classifyEmotionCategory(features) {
   const result = classifyEmotion(features);
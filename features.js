@@ -1,5 +1,12 @@
 // Audio feature extraction functions
 
+// Sample rate the pages create their AudioContext with
+export const SAMPLE_RATE = 16000;
+
+// Default STFT frame and hop size (64 ms frames, 50% overlap at 16 kHz)
+export const DEFAULT_FRAME_SIZE = 1024;
+export const DEFAULT_HOP_SIZE = 512;
+
 // Calculate zero crossing rate
 export const calculateZCR = (buffer) => {
   let zcr = 0;
@@ -11,42 +18,559 @@ export const calculateZCR = (buffer) => {
   return zcr / buffer.length;
 };
 
-// Calculate spectral centroid
-export const calculateSpectralCentroid = (buffer) => {
-  // Apply a simple FFT-like approach using autocorrelation for estimation
-  // In a production environment, you'd use a proper FFT library
+// ========== Spectral analysis ==========
+
+// Cache Hann windows by size, they are reused for every frame
+const hannWindows = new Map();
+
+const getHannWindow = (size) => {
+  if (!hannWindows.has(size)) {
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      window[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (size - 1)));
+    }
+    hannWindows.set(size, window);
+  }
+  return hannWindows.get(size);
+};
+
+// In-place iterative radix-2 FFT, re/im length must be a power of two
+export const fft = (re, im) => {
+  const n = re.length;
+  if (n & (n - 1)) {
+    throw new Error(`FFT size must be a power of two, got ${n}`);
+  }
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  // Butterflies
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const angle = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const evenIndex = start + k;
+        const oddIndex = evenIndex + half;
+        const tRe = re[oddIndex] * cos - im[oddIndex] * sin;
+        const tIm = re[oddIndex] * sin + im[oddIndex] * cos;
+        re[oddIndex] = re[evenIndex] - tRe;
+        im[oddIndex] = im[evenIndex] - tIm;
+        re[evenIndex] += tRe;
+        im[evenIndex] += tIm;
+      }
+    }
+  }
+};
+
+// Magnitude spectrum of one Hann-windowed frame (frameSize / 2 + 1 bins)
+export const calculateMagnitudeSpectrum = (frame, frameSize = DEFAULT_FRAME_SIZE) => {
+  const window = getHannWindow(frameSize);
+  const re = new Float32Array(frameSize);
+  const im = new Float32Array(frameSize);
+  const length = Math.min(frame.length, frameSize);
+  for (let i = 0; i < length; i++) {
+    re[i] = frame[i] * window[i];
+  }
+
+  fft(re, im);
+
+  const bins = frameSize / 2 + 1;
+  const magnitudes = new Float32Array(bins);
+  for (let i = 0; i < bins; i++) {
+    magnitudes[i] = Math.sqrt(re[i] * re[i] + im[i] * im[i]);
+  }
+  return magnitudes;
+};
+
+// Frequency in Hz of every magnitude bin
+export const getBinFrequencies = (frameSize = DEFAULT_FRAME_SIZE, sampleRate = SAMPLE_RATE) => {
+  const bins = frameSize / 2 + 1;
+  const frequencies = new Float32Array(bins);
+  for (let i = 0; i < bins; i++) {
+    frequencies[i] = (i * sampleRate) / frameSize;
+  }
+  return frequencies;
+};
+
+// Short-time Fourier transform: one magnitude spectrum per frame
+export const calculateSpectrogram = (buffer, options = {}) => {
+  const {
+    frameSize = DEFAULT_FRAME_SIZE,
+    hopSize = DEFAULT_HOP_SIZE,
+    sampleRate = SAMPLE_RATE
+  } = options;
+
+  const samples = buffer instanceof Float32Array ? buffer : Float32Array.from(buffer);
+  const frames = [];
+  // Buffers shorter than one frame are zero-padded into a single frame
+  const lastStart = Math.max(0, samples.length - frameSize);
+  for (let start = 0; start <= lastStart; start += hopSize) {
+    frames.push(calculateMagnitudeSpectrum(samples.subarray(start, start + frameSize), frameSize));
+  }
+
+  return {
+    frames,
+    frequencies: getBinFrequencies(frameSize, sampleRate),
+    frameSize,
+    hopSize,
+    sampleRate
+  };
+};
+
+// Mean magnitude spectrum over all STFT frames (reuses options.spectrogram when given)
+export const calculateAverageSpectrum = (buffer, options = {}) => {
+  const spectrogram = options.spectrogram || calculateSpectrogram(buffer, options);
+  const average = new Float32Array(spectrogram.frequencies.length);
+  for (const frame of spectrogram.frames) {
+    for (let i = 0; i < frame.length; i++) {
+      average[i] += frame[i] / spectrogram.frames.length;
+    }
+  }
+  return { magnitudes: average, frequencies: spectrogram.frequencies };
+};
+
+// Spectral descriptors of a single magnitude spectrum (Hz based)
+export const describeSpectrum = (magnitudes, frequencies, rolloffThreshold = 0.85) => {
   let sum = 0;
   let weightedSum = 0;
-  
-  for (let i = 0; i < buffer.length; i++) {
-    const magnitude = Math.abs(buffer[i]);
-    sum += magnitude;
-    weightedSum += i * magnitude;
+  for (let i = 0; i < magnitudes.length; i++) {
+    sum += magnitudes[i];
+    weightedSum += frequencies[i] * magnitudes[i];
   }
-  
-  return sum !== 0 ? weightedSum / sum : 0;
+
+  if (sum === 0) {
+    return { centroid: 0, rolloff: 0, bandwidth: 0, flatness: 0 };
+  }
+
+  const centroid = weightedSum / sum;
+
+  // Bandwidth: magnitude-weighted standard deviation around the centroid
+  let spread = 0;
+  for (let i = 0; i < magnitudes.length; i++) {
+    spread += magnitudes[i] * (frequencies[i] - centroid) ** 2;
+  }
+  const bandwidth = Math.sqrt(spread / sum);
+
+  // Rolloff: frequency below which rolloffThreshold of the energy lies
+  let totalEnergy = 0;
+  for (let i = 0; i < magnitudes.length; i++) {
+    totalEnergy += magnitudes[i] * magnitudes[i];
+  }
+  let rolloff = frequencies[frequencies.length - 1];
+  let cumulativeEnergy = 0;
+  for (let i = 0; i < magnitudes.length; i++) {
+    cumulativeEnergy += magnitudes[i] * magnitudes[i];
+    if (cumulativeEnergy >= rolloffThreshold * totalEnergy) {
+      rolloff = frequencies[i];
+      break;
+    }
+  }
+
+  // Flatness: geometric mean / arithmetic mean of the power spectrum (0 tonal - 1 noise)
+  const epsilon = 1e-12;
+  let logSum = 0;
+  for (let i = 0; i < magnitudes.length; i++) {
+    logSum += Math.log(magnitudes[i] * magnitudes[i] + epsilon);
+  }
+  const geometricMean = Math.exp(logSum / magnitudes.length);
+  const arithmeticMean = totalEnergy / magnitudes.length + epsilon;
+  const flatness = Math.min(geometricMean / arithmeticMean, 1);
+
+  return { centroid, rolloff, bandwidth, flatness };
 };
 
-// Calculate spectral rolloff
-export const calculateSpectralRolloff = (buffer) => {
-  const threshold = 0.85; // 85% of total energy
-  let sum = 0;
-  let cumulativeSum = 0;
-  
-  // Calculate total energy
-  for (let i = 0; i < buffer.length; i++) {
-    sum += Math.abs(buffer[i]);
+// Calculate all spectral features at once (the spectrum is computed only once)
+export const extractSpectralFeatures = (buffer, options = {}) => {
+  const { magnitudes, frequencies } = calculateAverageSpectrum(buffer, options);
+  const { centroid, rolloff, bandwidth, flatness } = describeSpectrum(
+    magnitudes,
+    frequencies,
+    options.rolloffThreshold
+  );
+  return {
+    spectralCentroid: centroid,
+    spectralRolloff: rolloff,
+    spectralBandwidth: bandwidth,
+    spectralFlatness: flatness
+  };
+};
+
+// Calculate spectral centroid (Hz)
+export const calculateSpectralCentroid = (buffer, options = {}) => {
+  return extractSpectralFeatures(buffer, options).spectralCentroid;
+};
+
+// Calculate spectral rolloff (Hz below which 85% of the energy lies)
+export const calculateSpectralRolloff = (buffer, options = {}) => {
+  return extractSpectralFeatures(buffer, options).spectralRolloff;
+};
+
+// Calculate spectral bandwidth (Hz)
+export const calculateSpectralBandwidth = (buffer, options = {}) => {
+  return extractSpectralFeatures(buffer, options).spectralBandwidth;
+};
+
+// Calculate spectral flatness (0 = pure tone, 1 = white noise)
+export const calculateSpectralFlatness = (buffer, options = {}) => {
+  return extractSpectralFeatures(buffer, options).spectralFlatness;
+};
+
+// ========== Mel spectrogram & MFCC ==========
+
+// Default mel analysis parameters (cat vocalisations sit well below 8 kHz)
+export const DEFAULT_MEL_BANDS = 40;
+export const DEFAULT_MFCC_COUNT = 13;
+
+const hzToMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+const melToHz = (mel) => 700 * (10 ** (mel / 2595) - 1);
+
+// Cache filterbanks by their parameters, they only depend on the configuration
+const melFilterbanks = new Map();
+
+// Triangular mel filterbank: one Float32Array of bin weights per band
+export const createMelFilterbank = (options = {}) => {
+  const {
+    frameSize = DEFAULT_FRAME_SIZE,
+    sampleRate = SAMPLE_RATE,
+    melBands = DEFAULT_MEL_BANDS,
+    minFrequency = 0,
+    maxFrequency = sampleRate / 2
+  } = options;
+
+  const cacheKey = `${frameSize}_${sampleRate}_${melBands}_${minFrequency}_${maxFrequency}`;
+  if (melFilterbanks.has(cacheKey)) {
+    return melFilterbanks.get(cacheKey);
   }
-  
-  // Find the point where cumulative energy exceeds threshold
-  for (let i = 0; i < buffer.length; i++) {
-    cumulativeSum += Math.abs(buffer[i]);
-    if (cumulativeSum >= threshold * sum) {
-      return i / buffer.length;
+
+  // melBands + 2 equally spaced points on the mel scale, converted back to Hz
+  const minMel = hzToMel(minFrequency);
+  const maxMel = hzToMel(maxFrequency);
+  const edges = [];
+  for (let i = 0; i < melBands + 2; i++) {
+    edges.push(melToHz(minMel + ((maxMel - minMel) * i) / (melBands + 1)));
+  }
+
+  const frequencies = getBinFrequencies(frameSize, sampleRate);
+  const filterbank = [];
+  for (let band = 0; band < melBands; band++) {
+    const [lower, center, upper] = [edges[band], edges[band + 1], edges[band + 2]];
+    const weights = new Float32Array(frequencies.length);
+    for (let i = 0; i < frequencies.length; i++) {
+      const frequency = frequencies[i];
+      if (frequency > lower && frequency <= center) {
+        weights[i] = (frequency - lower) / (center - lower);
+      } else if (frequency > center && frequency < upper) {
+        weights[i] = (upper - frequency) / (upper - center);
+      }
     }
+    filterbank.push(weights);
   }
-  
-  return 1.0;
+
+  melFilterbanks.set(cacheKey, filterbank);
+  return filterbank;
+};
+
+// Log-mel spectrogram: one Float32Array of log band energies per STFT frame
+export const calculateLogMelSpectrogram = (buffer, options = {}) => {
+  const spectrogram = options.spectrogram || calculateSpectrogram(buffer, options);
+  const filterbank = createMelFilterbank({
+    ...options,
+    frameSize: spectrogram.frameSize,
+    sampleRate: spectrogram.sampleRate
+  });
+
+  return spectrogram.frames.map(magnitudes => {
+    const melFrame = new Float32Array(filterbank.length);
+    for (let band = 0; band < filterbank.length; band++) {
+      const weights = filterbank[band];
+      let energy = 0;
+      for (let i = 0; i < magnitudes.length; i++) {
+        if (weights[i] > 0) {
+          energy += weights[i] * magnitudes[i] * magnitudes[i];
+        }
+      }
+      melFrame[band] = Math.log(energy + 1e-10);
+    }
+    return melFrame;
+  });
+};
+
+// Orthonormal DCT-II of a log-mel frame, keeping the first mfccCount coefficients
+const dct = (input, mfccCount) => {
+  const n = input.length;
+  const output = new Float32Array(mfccCount);
+  for (let k = 0; k < mfccCount; k++) {
+    let sum = 0;
+    for (let i = 0; i < n; i++) {
+      sum += input[i] * Math.cos((Math.PI * k * (2 * i + 1)) / (2 * n));
+    }
+    output[k] = sum * Math.sqrt((k === 0 ? 1 : 2) / n);
+  }
+  return output;
+};
+
+// MFCC per frame from a log-mel spectrogram
+export const calculateMFCC = (logMelFrames, mfccCount = DEFAULT_MFCC_COUNT) => {
+  return logMelFrames.map(frame => dct(frame, mfccCount));
+};
+
+// Regression deltas over +-width frames (edges are clamped)
+export const calculateDeltas = (frames, width = 2) => {
+  if (frames.length === 0) return [];
+
+  let denominator = 0;
+  for (let n = 1; n <= width; n++) {
+    denominator += 2 * n * n;
+  }
+
+  const last = frames.length - 1;
+  return frames.map((frame, t) => {
+    const delta = new Float32Array(frame.length);
+    for (let n = 1; n <= width; n++) {
+      const next = frames[Math.min(t + n, last)];
+      const previous = frames[Math.max(t - n, 0)];
+      for (let i = 0; i < frame.length; i++) {
+        delta[i] += (n * (next[i] - previous[i])) / denominator;
+      }
+    }
+    return delta;
+  });
+};
+
+// Per-coefficient mean and standard deviation across frames
+const summariseFrames = (frames, size) => {
+  const mean = new Array(size).fill(0);
+  const std = new Array(size).fill(0);
+  if (frames.length === 0) return { mean, std };
+
+  for (const frame of frames) {
+    for (let i = 0; i < size; i++) {
+      mean[i] += frame[i] / frames.length;
+    }
+  }
+  for (const frame of frames) {
+    for (let i = 0; i < size; i++) {
+      std[i] += (frame[i] - mean[i]) ** 2 / frames.length;
+    }
+  }
+  return { mean, std: std.map(Math.sqrt) };
+};
+
+// Calculate mel/MFCC features summarised over the buffer (plain arrays, JSON friendly)
+export const extractMelFeatures = (buffer, options = {}) => {
+  const { mfccCount = DEFAULT_MFCC_COUNT, melBands = DEFAULT_MEL_BANDS } = options;
+
+  const logMelFrames = calculateLogMelSpectrogram(buffer, options);
+  const mfccFrames = calculateMFCC(logMelFrames, mfccCount);
+  const deltaFrames = calculateDeltas(mfccFrames);
+  const deltaDeltaFrames = calculateDeltas(deltaFrames);
+
+  const mfccSummary = summariseFrames(mfccFrames, mfccCount);
+
+  return {
+    melBands: summariseFrames(logMelFrames, melBands).mean,
+    mfcc: mfccSummary.mean,
+    mfccStd: mfccSummary.std,
+    mfccDelta: summariseFrames(deltaFrames, mfccCount).mean,
+    mfccDeltaDelta: summariseFrames(deltaDeltaFrames, mfccCount).mean
+  };
+};
+
+// ========== Pitch (F0) tracking ==========
+
+// YIN analysis defaults: 64 ms frames, 16 ms hop, F0 search range for cat voices
+export const DEFAULT_PITCH_OPTIONS = {
+  frameSize: 1024,
+  hopSize: 256,
+  minFrequency: 70,      // growls
+  maxFrequency: 2000,    // kitten distress calls
+  threshold: 0.15,       // YIN absolute threshold on the normalised difference
+  silenceThreshold: 0.001 // frame RMS below this is treated as unvoiced
+};
+
+// YIN estimate for one frame, returns { frequency, confidence }
+const estimateFramePitch = (samples, start, config) => {
+  const { frameSize, sampleRate, minFrequency, maxFrequency, threshold } = config;
+  const integrationWindow = frameSize / 2;
+  const tauMin = Math.max(2, Math.floor(sampleRate / maxFrequency));
+  const tauMax = Math.min(integrationWindow - 1, Math.ceil(sampleRate / minFrequency));
+
+  // Difference function and its cumulative mean normalisation
+  const cmnd = new Float32Array(tauMax + 1);
+  cmnd[0] = 1;
+  let runningSum = 0;
+  for (let tau = 1; tau <= tauMax; tau++) {
+    let difference = 0;
+    for (let j = 0; j < integrationWindow; j++) {
+      const delta = samples[start + j] - samples[start + j + tau];
+      difference += delta * delta;
+    }
+    runningSum += difference;
+    cmnd[tau] = runningSum > 0 ? (difference * tau) / runningSum : 1;
+  }
+
+  // First dip under the threshold, followed down to its local minimum
+  let bestTau = -1;
+  for (let tau = tauMin; tau <= tauMax; tau++) {
+    if (cmnd[tau] < threshold) {
+      while (tau + 1 <= tauMax && cmnd[tau + 1] < cmnd[tau]) {
+        tau++;
+      }
+      bestTau = tau;
+      break;
+    }
+  }
+
+  if (bestTau === -1) {
+    // No periodicity strong enough: report the global minimum as (low) confidence only
+    let minValue = 1;
+    for (let tau = tauMin; tau <= tauMax; tau++) {
+      minValue = Math.min(minValue, cmnd[tau]);
+    }
+    return { frequency: 0, confidence: Math.max(0, 1 - minValue) };
+  }
+
+  // Parabolic interpolation around the minimum for sub-sample precision
+  let refinedTau = bestTau;
+  if (bestTau > 1 && bestTau < tauMax) {
+    const [a, b, c] = [cmnd[bestTau - 1], cmnd[bestTau], cmnd[bestTau + 1]];
+    const denominator = a - 2 * b + c;
+    if (denominator !== 0) {
+      refinedTau = bestTau + (a - c) / (2 * denominator);
+    }
+  }
+
+  return {
+    frequency: sampleRate / refinedTau,
+    confidence: Math.max(0, Math.min(1, 1 - cmnd[bestTau]))
+  };
+};
+
+// Per-frame F0 track with voicing confidence (YIN)
+export const calculatePitchTrack = (buffer, options = {}) => {
+  const config = { ...DEFAULT_PITCH_OPTIONS, sampleRate: SAMPLE_RATE, ...options };
+  const { frameSize, hopSize, sampleRate, silenceThreshold } = config;
+  const samples = buffer instanceof Float32Array ? buffer : Float32Array.from(buffer);
+
+  const track = [];
+  for (let start = 0; start + frameSize <= samples.length; start += hopSize) {
+    const time = (start + frameSize / 2) / sampleRate;
+    const frameRMS = calculateRMS(samples.subarray(start, start + frameSize));
+
+    if (frameRMS < silenceThreshold) {
+      track.push({ time, frequency: 0, confidence: 0, voiced: false });
+      continue;
+    }
+
+    const { frequency, confidence } = estimateFramePitch(samples, start, config);
+    track.push({ time, frequency, confidence, voiced: frequency > 0 });
+  }
+  return track;
+};
+
+const toSemitones = (frequency, reference) => 12 * Math.log2(frequency / reference);
+
+// Summarise an F0 track into contour descriptors
+export const describePitchContour = (track) => {
+  const voiced = track.filter(frame => frame.voiced);
+  const empty = {
+    pitchMean: 0,
+    pitchMin: 0,
+    pitchMax: 0,
+    pitchRange: 0,
+    pitchSlope: 0,
+    vibratoRate: 0,
+    vibratoExtent: 0,
+    voicedRatio: 0,
+    pitchConfidence: 0,
+    pitchJitter: 0
+  };
+  if (voiced.length === 0) {
+    return empty;
+  }
+  if (voiced.length === 1) {
+    const { frequency, confidence } = voiced[0];
+    return {
+      ...empty,
+      pitchMean: frequency,
+      pitchMin: frequency,
+      pitchMax: frequency,
+      voicedRatio: 1 / track.length,
+      pitchConfidence: confidence
+    };
+  }
+
+  const frequencies = voiced.map(frame => frame.frequency);
+  const pitchMean = frequencies.reduce((sum, f) => sum + f, 0) / frequencies.length;
+  const pitchMin = Math.min(...frequencies);
+  const pitchMax = Math.max(...frequencies);
+
+  // Slope in semitones per second (linear regression), > 0 rising, < 0 falling
+  const semitones = frequencies.map(f => toSemitones(f, pitchMean));
+  const times = voiced.map(frame => frame.time);
+  const meanTime = times.reduce((sum, t) => sum + t, 0) / times.length;
+  const meanSemitone = semitones.reduce((sum, s) => sum + s, 0) / semitones.length;
+  let covariance = 0;
+  let variance = 0;
+  for (let i = 0; i < times.length; i++) {
+    covariance += (times[i] - meanTime) * (semitones[i] - meanSemitone);
+    variance += (times[i] - meanTime) ** 2;
+  }
+  const pitchSlope = variance > 0 ? covariance / variance : 0;
+
+  // Vibrato: oscillation of the detrended contour (rate from zero crossings, extent from RMS)
+  const residuals = semitones.map((s, i) =>
+    s - (meanSemitone + pitchSlope * (times[i] - meanTime)));
+  let crossings = 0;
+  let residualPower = 0;
+  for (let i = 0; i < residuals.length; i++) {
+    residualPower += residuals[i] * residuals[i];
+    if (i > 0 && (residuals[i - 1] >= 0) !== (residuals[i] >= 0)) {
+      crossings++;
+    }
+  }
+  const duration = times[times.length - 1] - times[0];
+
+  // Jitter: mean frame-to-frame pitch jump (semitones) between adjacent voiced frames, high for rough voices
+  let jumps = 0;
+  let jumpSum = 0;
+  for (let i = 1; i < track.length; i++) {
+    if (track[i].voiced && track[i - 1].voiced) {
+      jumpSum += Math.abs(toSemitones(track[i].frequency, track[i - 1].frequency));
+      jumps++;
+    }
+  }
+
+  return {
+    pitchMean,
+    pitchMin,
+    pitchMax,
+    pitchRange: pitchMax - pitchMin,
+    pitchSlope,
+    vibratoRate: duration > 0 ? crossings / 2 / duration : 0,
+    vibratoExtent: Math.sqrt(residualPower / residuals.length) * Math.SQRT2,
+    voicedRatio: voiced.length / track.length,
+    pitchConfidence: voiced.reduce((sum, frame) => sum + frame.confidence, 0) / voiced.length,
+    pitchJitter: jumps > 0 ? jumpSum / jumps : 0
+  };
+};
+
+// Calculate pitch descriptors for the buffer
+export const extractPitchFeatures = (buffer, options = {}) => {
+  return describePitchContour(calculatePitchTrack(buffer, options));
 };
 
 // Calculate energy
@@ -65,4 +589,20 @@ export const calculateRMS = (buffer) => {
     sum += buffer[i] * buffer[i];
   }
   return Math.sqrt(sum / buffer.length);
-};
\ No newline at end of file
+};
+
+// Full feature object consumed by emotions.js (shared by the runtime and offline training)
+export const extractAudioFeatures = (buffer, options = {}) => {
+  // Spectral features and MFCC share one STFT magnitude spectrogram
+  const spectrogram = calculateSpectrogram(buffer, options);
+
+  return {
+    duration: buffer.length / (options.sampleRate || SAMPLE_RATE),
+    zeroCrossingRate: calculateZCR(buffer),
+    ...extractSpectralFeatures(buffer, { ...options, spectrogram }),
+    energy: calculateEnergy(buffer),
+    rms: calculateRMS(buffer),
+    ...extractMelFeatures(buffer, { ...options, spectrogram }),
+    ...extractPitchFeatures(buffer, options.pitch)
+  };
+};
@@ -10,16 +10,19 @@
  * 1. 固定容量的缓存管理（默认20个条目）
  * 2. 自动淘汰最久未访问的数据项
  * 3. 支持按时间顺序访问最近的N个记录
- * 4. 提供缓存统计和状态查询接口
+ * 4. 可选 TTL：超过 ttlMs 的条目自动过期（写入和读取时都会先清理过期条目）
+ * 5. 按时间查询（最近 N 毫秒内的条目）与按类别聚合
+ * 6. 提供缓存统计和状态查询接口
  * 
  * 🏗️ 数据结构设计：
  * - 基于 JavaScript Map 实现，保证 O(1) 的读写性能
  * - 键值对存储：key为时间戳+类别的唯一标识，value为检测结果对象
  * - 自动维护访问顺序，最新访问的项目移动到末尾
+ * - 条目时间取 value.timestamp（没有时取写入时间），用于 TTL 与时间查询
  * 
  * 📊 典型用例（猫咪检测信任机制）：
  * ```javascript
- * const cache = new LRUCache(20);
+ * const cache = new LRUCache(200, { ttlMs: 30000 });
  * 
  * // 添加检测结果
  * cache.set('cat_1640995200000', {
@@ -29,16 +32,18 @@
  *   isCat: true
  * });
  * 
- * // 检查最近10次检测中的猫咪出现次数
- * const recent10 = cache.recent(10);
- * const catCount = recent10.filter(item => item.isCat).length;
- * const trustLevel = catCount > 3 ? 'high' : 'low';
+ * // 最近5秒内猫类别的累计分数
+ * const catScore = cache.aggregateByClass(5000)
+ *   .filter(group => group.isCat)
+ *   .reduce((sum, group) => sum + group.totalScore, 0);
+ * const trusted = catScore >= 1.0;
  * ```
  * 
  * 🔄 信任机制工作原理：
  * 1. 每次图像分类结果都会存储到LRU缓存
- * 2. 当当前帧没有检测到猫时，查询最近N次的检测历史
- * 3. 如果历史记录中存在猫的检测，则保持"关注猫咪"状态
+ * 2. 当当前帧没有检测到猫时，查询最近T秒内的检测历史（按时间而不是条数，
+ *    一个窗口里类别很多时也不会把历史挤掉）
+ * 3. 如果T秒内猫类别的累计分数达到S，则保持"关注猫咪"状态
  * 4. 这样避免了因为单帧检测失败导致的状态频繁切换
  * 
  * 🚀 性能特点：
@@ -52,6 +57,8 @@
  * - 为 ContextManager 提供历史数据统计接口
  */
 
+import { systemClock } from './clock.js';
+
 /**
  * LRU缓存类
  * 实现最近最少使用缓存算法，支持固定容量和自动淘汰
@@ -60,10 +67,17 @@ export class LRUCache {
   /**
    * 构造函数
    * @param {number} maxSize - 缓存最大容量
+   * @param {Object} options - 选项
+   * @param {number} options.ttlMs - 条目存活时间（毫秒），不设置则不过期
+   * @param {Object} options.clock - 时钟（见 clock.js，默认 systemClock）
    */
-  constructor(maxSize) {
+  constructor(maxSize, options = {}) {
     this.maxSize = maxSize;
+    this.ttlMs = options.ttlMs || null;
+    this.clock = options.clock || systemClock;
     this.cache = new Map();
+    // 条目时间（value.timestamp 或写入时间）
+    this.times = new Map();
   }
 
   /**
@@ -72,6 +86,7 @@ export class LRUCache {
    * @returns {any} 缓存值，如果不存在则返回 undefined
    */
   get(key) {
+    this.prune();
     if (!this.cache.has(key)) return undefined;
     
     const value = this.cache.get(key);
@@ -87,6 +102,9 @@ export class LRUCache {
    * @param {any} value - 缓存值
    */
   set(key, value) {
+    const time = value && Number.isFinite(value.timestamp) ? value.timestamp : this.clock.now();
+    this.prune(time);
+    
     // 如果已存在，先删除旧值
     if (this.cache.has(key)) {
       this.cache.delete(key);
@@ -94,10 +112,32 @@ export class LRUCache {
       // 如果超出最大容量，删除最久未使用的项（Map中的第一个）
       const firstKey = this.cache.keys().next().value;
       this.cache.delete(firstKey);
+      this.times.delete(firstKey);
     }
     
     // 添加新项到末尾
     this.cache.set(key, value);
+    this.times.set(key, time);
+  }
+
+  /**
+   * 删除超过 TTL 的条目
+   * @param {number} now - 当前时间戳
+   * @returns {number} 删除的条目数
+   */
+  prune(now = this.clock.now()) {
+    if (!this.ttlMs) return 0;
+    
+    const cutoff = now - this.ttlMs;
+    let removed = 0;
+    for (const [key, time] of this.times) {
+      if (time < cutoff) {
+        this.cache.delete(key);
+        this.times.delete(key);
+        removed++;
+      }
+    }
+    return removed;
   }
 
   /**
@@ -106,6 +146,7 @@ export class LRUCache {
    * @returns {boolean}
    */
   has(key) {
+    this.prune();
     return this.cache.has(key);
   }
 
@@ -114,6 +155,7 @@ export class LRUCache {
    */
   clear() {
     this.cache.clear();
+    this.times.clear();
   }
 
   /**
@@ -121,6 +163,7 @@ export class LRUCache {
    * @returns {number}
    */
   size() {
+    this.prune();
     return this.cache.size;
   }
 
@@ -130,15 +173,68 @@ export class LRUCache {
    * @returns {Array} 最近的缓存值数组
    */
   recent(count) {
+    this.prune();
     const values = Array.from(this.cache.values());
     return values.slice(-count); // 返回最近的count个值
   }
 
+  /**
+   * 获取最近 ms 毫秒内的缓存值（按插入/访问顺序）
+   * @param {number} ms - 时间范围（毫秒）
+   * @param {number} now - 当前时间戳
+   * @returns {Array} 时间范围内的缓存值数组
+   */
+  within(ms, now = this.clock.now()) {
+    const cutoff = now - ms;
+    const values = [];
+    for (const [key, value] of this.cache) {
+      const time = this.times.get(key);
+      if (time >= cutoff && time <= now) {
+        values.push(value);
+      }
+    }
+    return values;
+  }
+
+  /**
+   * 按类别聚合缓存值（按累计分数降序）
+   * @param {number|null} ms - 只统计最近 ms 毫秒内的条目，null 表示全部
+   * @param {number} now - 当前时间戳
+   * @returns {Array} [{ class, isCat, count, totalScore, maxScore, meanScore, lastSeen }]
+   */
+  aggregateByClass(ms = null, now = this.clock.now()) {
+    const values = ms === null ? this.getAllValues() : this.within(ms, now);
+    const groups = new Map();
+    
+    for (const item of values) {
+      const group = groups.get(item.class) || {
+        class: item.class,
+        isCat: !!item.isCat,
+        count: 0,
+        totalScore: 0,
+        maxScore: 0,
+        lastSeen: null
+      };
+      group.count++;
+      group.totalScore += item.score || 0;
+      group.maxScore = Math.max(group.maxScore, item.score || 0);
+      if (Number.isFinite(item.timestamp)) {
+        group.lastSeen = Math.max(group.lastSeen || 0, item.timestamp);
+      }
+      groups.set(item.class, group);
+    }
+    
+    return Array.from(groups.values())
+      .map(group => ({ ...group, meanScore: group.totalScore / group.count }))
+      .sort((a, b) => b.totalScore - a.totalScore);
+  }
+
   /**
    * 获取所有缓存值
    * @returns {Array} 所有缓存值的数组
    */
   getAllValues() {
+    this.prune();
     return Array.from(this.cache.values());
   }
 
@@ -147,6 +243,7 @@ export class LRUCache {
    * @returns {Array} 所有缓存键的数组
    */
   getAllKeys() {
+    this.prune();
     return Array.from(this.cache.keys());
   }
 
@@ -155,9 +252,11 @@ export class LRUCache {
    * @returns {Object} 包含大小、容量、使用率等信息
    */
   getStats() {
+    this.prune();
     return {
       size: this.cache.size,
       maxSize: this.maxSize,
+      ttlMs: this.ttlMs,
       utilization: (this.cache.size / this.maxSize * 100).toFixed(1) + '%',
       isEmpty: this.cache.size === 0,
       isFull: this.cache.size >= this.maxSize
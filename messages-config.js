@@ -7,16 +7,15 @@
  * import { STATE_MESSAGES, AUDIO_MESSAGES, SYSTEM_MESSAGES } from './messages-config.js';
  */
 
+import { DEFAULT_STATE_MACHINE, getStateTexts } from './state-machine.js';
+
 /**
  * 状态机消息文案
  * 用于 state-change-observer.js 中的 RNMessengerObserver
+ * 文案随状态一起声明在 state-machine.js 的 DEFAULT_STATE_MACHINE 中（message 字段），
+ * cat_audio 为 null：音频消息由 AudioEmotionObserver 单独处理
  */
-export const STATE_MESSAGES = {
-  idle: '观察中...',
-  cat_visual: '那里有只小猫',
-  cat_audio: null,  // 音频消息由 AudioEmotionObserver 单独处理
-  cat_both: '那里有只小猫'
-};
+export const STATE_MESSAGES = getStateTexts(DEFAULT_STATE_MACHINE, 'message');
 
 /**
  * 音频检测消息文案
@@ -24,6 +23,7 @@ export const STATE_MESSAGES = {
  */
 export const AUDIO_MESSAGES = {
   detected: '猫叫:检测到猫叫声',
+  interpretedPrefix: '猫叫解读:', // 音频 VLM 解读文案格式: '猫叫解读:{caption}'
   // 具体情绪文案格式: '猫叫:{icon} {title}'
   // 情绪数据由 emotions.js 提供
 };
@@ -35,5 +35,13 @@ export const AUDIO_MESSAGES = {
 export const SYSTEM_MESSAGES = {
   deepMewtEnabled: 'DeepMewt模式已启用',
   deepMewtDisabled: 'DeepMewt模式已禁用',
-  photoTaken: '照片已拍摄'
+  photoTaken: '照片已拍摄',
+  calibrationStarted: '开始校准，请保持安静',
+  calibrationReference: '请播放参考声音',
+  calibrationDone: '校准完成',
+  calibrationFailed: '校准失败',
+  calibrationCleared: '已清除校准',
+  calibrationCancelled: '已取消校准',
+  sessionLogExported: '会话日志已导出',
+  sessionLogFailed: '会话日志导出失败'
 };
@@ -15,20 +15,27 @@
 
 import Mewt from './mewt.js';
 import { VLMChannel } from './vlm-manager.js';
-import { StateManager } from './state-manager.js';
 import { WindowProcessor } from './window-processor.js';
+import { EmotionTracker } from './emotion-tracker.js';
+import { StateMachine } from './state-machine.js';
+import { CalibrationSession, saveCalibrationProfile, clearCalibrationProfile } from './calibration.js';
 import sendToRN from './rn-bridge.js';
 import rnReceiver from './rn-message-receiver.js';
-import { STATE_MESSAGES, SYSTEM_MESSAGES } from './messages-config.js';
+import { SYSTEM_MESSAGES, AUDIO_MESSAGES } from './messages-config.js';
 import { 
   StateChangeObserverManager,
   RNMessengerObserver,
   AudioEmotionObserver,
   VLMTriggerObserver,
+  AudioVLMTriggerObserver,
   LoggerObserver,
   UINotifierObserver
 } from './state-change-observer.js';
 import { ServiceWorkerManager } from './sw-manager.js';
+import { systemClock } from './clock.js';
+import { SessionRecorder, splitSessionLog } from './session-recorder.js';
+import { encodeWavDataURL } from './wav.js';
+import { SAMPLE_RATE } from './features.js';
 
 /**
  * Mewt 检测引擎类
@@ -45,30 +52,97 @@ export class MewtEngine {
   constructor(config = {}) {
     // ========== 核心模块初始化 ==========
     
-    // Mewt 核心实例（数据收集 + LRU 缓存）
-    this.mewt = new Mewt();
-    
-    // 状态管理器
-    this.stateManager = new StateManager({
-      catDetectionThreshold: config.catDetectionThreshold || 0.3,
-      catSoundThreshold: config.catSoundThreshold || 0.2
+    // 时钟：所有时间戳、窗口定时器、防抖、频率限制和 VLM 锁定共用（回放 / 测试时注入 VirtualClock）
+    this.clock = config.clock || systemClock;
+    
+    // Mewt 核心实例（数据收集、情绪分析 + LRU 缓存）
+    // 窗口由 WindowProcessor 驱动，关闭 Mewt 内部的1秒定时器
+    this.mewt = new Mewt({
+      autoWindow: false,
+      clock: this.clock,
+      emotionScoringMode: config.emotionScoringMode,
+      emotionRulePack: config.emotionRulePack,
+      emotionClassifierMode: config.emotionClassifierMode,
+      emotionModel: config.emotionModel,
+      calibrationProfile: config.calibrationProfile,
+      warningDetectors: config.warningDetectors,
+      stateMachine: config.stateMachine,
+      // config.stateManager 可覆盖退出阈值、LRU 证据衰减与信任阈值
+      stateManager: {
+        catDetectionThreshold: config.catDetectionThreshold || 0.3,
+        catSoundThreshold: config.catSoundThreshold || 0.2,
+        ...config.stateManager
+      }
     });
     
-    // 窗口处理器
+    // 状态管理器（与 Mewt 共用同一实例：同一份滞回状态、视觉历史与证据）
+    this.stateManager = this.mewt.stateManager;
+    
+    // 窗口处理器：唯一的窗口时钟和窗口缓冲区，与 Mewt 共用同一个 LRU
+    // 每个窗口处理完成后由 updateState 推进状态机
     this.windowProcessor = new WindowProcessor({
       interval: config.windowInterval || 1000,
+      hop: config.windowHop,
+      windows: config.windows,
       stateManager: this.stateManager,
-      lruCache: this.mewt.image_lru,
-      autoStart: false  // 手动控制启动
+      lruCache: this.mewt.context.image_lru,
+      clock: this.clock,
+      getContext: () => ({
+        emotionResult: this.emotionTracker.getResult(),
+        catCount: this.catCount
+      })
     });
     
-    // VLM 视觉分析管理器
+    // VLM 视觉分析管理器（vlmProviders 为提供方顺序，失败时自动切换到下一个）
     this.vlmVision = new VLMChannel('vision', {
       enabled: config.vlmEnabled !== false,
       minInterval: config.vlmMinInterval || 15000,
-      maxPerMinute: config.vlmMaxPerMinute || 3
+      maxPerMinute: config.vlmMaxPerMinute || 3,
+      providers: config.vlmProviders,
+      model: config.vlmModel,
+      temperature: config.vlmTemperature,
+      prompt: config.vlmPrompt,
+      clock: this.clock
+    });
+    
+    // VLM 音频分析通道：确认猫叫后上传片段，由音频模型解读（独立的频率限制和文案锁定）
+    // vlmEnabled: false 同时关闭两个通道；vlmAudioProviders 可设为 ['mock'] 在开发时使用服务端模拟
+    this.vlmAudio = new VLMChannel('audio', {
+      enabled: config.vlmEnabled !== false && config.vlmAudioEnabled !== false,
+      minInterval: config.vlmAudioMinInterval || 20000,
+      maxPerMinute: config.vlmAudioMaxPerMinute || 2,
+      providers: config.vlmAudioProviders,
+      model: config.vlmAudioModel,
+      temperature: config.vlmAudioTemperature,
+      prompt: config.vlmAudioPrompt,
+      clock: this.clock
+    });
+    
+    // 猫叫片段超过该时长（毫秒）视为过期，不再上传
+    this.VLM_AUDIO_CLIP_MAX_AGE_MS = config.vlmAudioClipMaxAge || 5000;
+    
+    // ========== 会话录制 ==========
+    
+    // 录制分类结果、RN 消息和状态转换，RN 可通过 request_session_log 取回（NDJSON）
+    // 原始音频体积大，需 recordAudioBuffers: true 才录制
+    this.recorder = config.sessionRecording === false ? null : new SessionRecorder({
+      clock: this.clock,
+      recordAudioBuffers: !!config.recordAudioBuffers,
+      ...config.sessionRecorder
     });
     
+    // 导出会话日志时每条 postMessage 的最大字符数（超出时按行分片发送）
+    this.SESSION_LOG_CHUNK_SIZE = config.sessionLogChunkSize || 256 * 1024;
+    if (this.recorder) {
+      this.recorder.start({
+        windowInterval: config.windowInterval || 1000,
+        windowHop: config.windowHop,
+        stateDebounceMs: config.stateDebounceMs || 2000,
+        catDetectionThreshold: config.catDetectionThreshold || 0.3,
+        catSoundThreshold: config.catSoundThreshold || 0.2
+      });
+    }
+    
     // ========== Service Worker 管理器 ==========
     
     // Service Worker 管理器（用于 MediaPipe 资源缓存）
@@ -76,17 +150,15 @@ export class MewtEngine {
     
     // ========== 状态管理 ==========
     
-    // 稳定状态管理（防抖机制）
-    this.state = {
-      stable: 'idle',       // 稳定状态
-      pending: 'idle',      // 待定状态
-      lastStable: 'idle',   // 上一个稳定状态
-      changeTime: 0         // 状态变化时间
-    };
-    
     // 防抖配置
     this.STATE_DEBOUNCE_MS = config.stateDebounceMs || 2000;
     
+    // 稳定状态机（与 Mewt 共用同一份状态定义，候选状态持续 STATE_DEBOUNCE_MS 才切换）
+    this.stateMachine = new StateMachine(this.mewt.stateMachine.definition, {
+      debounceMs: this.STATE_DEBOUNCE_MS,
+      clock: this.clock
+    });
+    
     // 响应去重
     this.lastResponse = '';
     
@@ -97,9 +169,21 @@ export class MewtEngine {
       audio: []
     };
     
-    // 最新情绪分析结果
+    // 最新情绪分析结果（经 EmotionTracker 跨窗口平滑）
     this.latestEmotionResult = null;
     
+    // 情绪跟踪器（指数衰减 + 滞回）
+    this.emotionTracker = new EmotionTracker({ clock: this.clock, ...config.emotionTracking });
+    
+    // 能计数的来源（VLM、目标检测）报告的猫数量，null 表示未知
+    this.catCount = null;
+    
+    // 进行中的设备校准会话 { session, resolve, reject, timer }
+    this.calibration = null;
+    
+    // 校准在录制时长之外最多再等待的时间（毫秒），超时（如没有收到原始音频）视为失败
+    this.CALIBRATION_TIMEOUT_MS = config.calibrationTimeoutMs || 10000;
+    
     // ========== 外部依赖（由页面注入）==========
     
     // 视频元素引用
@@ -111,6 +195,7 @@ export class MewtEngine {
       onPredictionUpdate: config.onPredictionUpdate || null,
       onStateChange: config.onStateChange || null,
       onVLMResult: config.onVLMResult || null,
+      onAudioVLMResult: config.onAudioVLMResult || null,
       onLog: config.onLog || null
     };
     
@@ -129,6 +214,15 @@ export class MewtEngine {
     
     this._registerRNMessageHandlers();
     
+    // ========== 启动窗口处理 ==========
+    
+    // 可通过配置关闭，由调用方手动驱动 windowProcessor.processWindow()
+    if (config.autoStartWindows !== false) {
+      this.windowProcessor.startAutoProcessing(response => this.updateState(response));
+    } else {
+      this.windowProcessor.onWindowProcessed = response => this.updateState(response);
+    }
+    
     // ========== 自动注册 Service Worker ==========
     
     // 自动注册 Service Worker（可通过配置禁用）
@@ -157,7 +251,7 @@ export class MewtEngine {
         }
         
         // 等待3秒确保RN消息监听器已就绪
-        await new Promise(resolve => setTimeout(resolve, 3000));
+        await this.clock.sleep(3000);
         
         // 如果所有资源已缓存，直接发送就绪消息
         if (status.isReady) {
@@ -236,12 +330,12 @@ export class MewtEngine {
   async _waitForResourcesReady() {
     const maxWaitTime = 120000; // 最长等待2分钟
     const checkInterval = 500; // 每500ms检查一次
-    const startTime = Date.now();
+    const startTime = this.clock.now();
     
     return new Promise((resolve) => {
       const checkStatus = () => {
         const status = this.swManager.getCacheStatus();
-        const elapsed = Date.now() - startTime;
+        const elapsed = this.clock.now() - startTime;
         
         if (status.isReady) {
           // 资源加载完成
@@ -257,7 +351,7 @@ export class MewtEngine {
           resolve();
         } else {
           // 继续等待
-          setTimeout(checkStatus, checkInterval);
+          this.clock.setTimeout(checkStatus, checkInterval);
         }
       };
       
@@ -290,7 +384,14 @@ export class MewtEngine {
     );
     this.stateChangeObserverManager.addObserver(vlmTrigger, 50);
     
-    // 5. UI 通知（较低优先级，最后通知）
+    // 5. 音频 VLM 触发（确认猫叫时解读片段）
+    const audioVlmTrigger = new AudioVLMTriggerObserver(
+      this.vlmAudio,
+      () => this.getVocalisationClip()
+    );
+    this.stateChangeObserverManager.addObserver(audioVlmTrigger, 45);
+    
+    // 6. UI 通知（较低优先级，最后通知）
     const uiNotifier = new UINotifierObserver();
     this.stateChangeObserverManager.addObserver(uiNotifier, 10);
   }
@@ -299,9 +400,9 @@ export class MewtEngine {
 
   /*
   方法名：处理图像检测结果
-  方法简介：接收 MediaPipe 图像分类结果，存储到最新预测，喂给 Mewt 实例，
-            添加到窗口处理器，触发状态更新。
-  业务域关键词：图像检测、MediaPipe分类、Mewt数据收集、窗口处理、状态更新
+  方法简介：接收 MediaPipe 图像分类结果，存储到最新预测，添加到窗口处理器
+            （窗口只由 WindowProcessor 持有），状态在窗口处理完成时更新。
+  业务域关键词：图像检测、MediaPipe分类、窗口数据收集、窗口处理、状态更新
   Param: classifications - MediaPipe 图像分类结果数组
   */
   handleImageResult(classifications) {
@@ -310,20 +411,19 @@ export class MewtEngine {
     // 存储最新预测结果
     this.latestPredictions.image = classifications[0].categories;
     
+    // 录制到会话日志
+    if (this.recorder) {
+      this.recorder.recordImage(classifications[0].categories);
+    }
+    
     // 格式化为标准格式
     const predictions = classifications[0].categories.map(cat => ({
       class: cat.categoryName,
       score: cat.score
     }));
     
-    // 喂给 Mewt 实例（触发 LRU 更新）
-    this.mewt.addImageResult(predictions);
-    
-    // 添加到窗口处理器
+    // 添加到窗口处理器（状态在窗口处理完成时更新）
     this.windowProcessor.addImageData(predictions);
-    
-    // 触发状态更新
-    this.updateState();
   }
 
   /*
@@ -341,74 +441,78 @@ export class MewtEngine {
     // 存储最新预测结果
     this.latestPredictions.audio = categories;
     
+    // 录制到会话日志（校准期间同样录制，回放时可以重现校准）
+    if (this.recorder) {
+      this.recorder.recordAudio(categories, inputData);
+    }
+    
+    // 校准进行中：音频只用于校准，不参与检测
+    if (this.calibration) {
+      this._feedCalibration(inputData);
+      return;
+    }
+    
     // 格式化为标准格式
     const predictions = categories.map(cat => ({
       class: cat.categoryName,
       score: cat.score
     }));
     
-    // 喂给 Mewt 实例，获取情绪分析结果
-    const emotionResponse = this.mewt.addAudioResult(predictions, inputData);
+    // 添加到窗口处理器（状态在窗口处理完成时更新）
+    this.windowProcessor.addAudioData(predictions);
+    
+    // Mewt 只负责音频触发和情绪分析，按窗口处理器的当前音频窗口判断是否有猫叫声
+    const emotionResponse = this.mewt.analyzeAudio(this.windowProcessor.currentWindow.currentAudioMap, inputData);
+    const analysis = this.mewt.getLastAudioAnalysis();
+    if (analysis) {
+      this.windowProcessor.setAudioAnalysis(analysis.features, analysis.emotionResult);
+    }
     
-    // 如果有情绪分析结果，存储到引擎
+    // 如果有情绪分析结果，经跟踪器平滑后存储到引擎（按引擎时钟衰减，回放时结果确定）
     if (emotionResponse) {
-      this.latestEmotionResult = emotionResponse;
+      this.latestEmotionResult = this.emotionTracker.update(emotionResponse, this.clock.now());
     }
     
-    // 添加到窗口处理器
-    this.windowProcessor.addAudioData(predictions);
-    
-    // 触发状态更新
-    this.updateState();
+    // 呼噜状态作为额外的音频信号
+    this.windowProcessor.setPurrState(this.mewt.getPurrState());
   }
 
   // ========== 状态判断和更新 ==========
 
   /*
   方法名：更新检测状态
-  方法简介：使用 Mewt 标准方法判断视觉和音频检测状态，应用防抖处理，
-            检测状态变化时通过观察者系统触发所有后续操作。
-  业务域关键词：状态判断、LRU信任、防抖机制、观察者通知、状态变化事件
-  */
-  updateState() {
-    const context = this.mewt.getFullContext();
-    
-    // 使用 Mewt 的标准方法 + LRU 信任机制
-    let hasVisual = this.mewt.hasVisualCat();
-    if (!hasVisual) {
-      const recent10 = context.image_lru.recent(10);
-      const catCount = recent10.filter(item => item.isCat).length;
-      if (catCount > 0) {
-        hasVisual = true; // Trust LRU history
-      }
-    }
+  方法简介：由 WindowProcessor 在每个窗口处理完成后调用，使用窗口聚合后的信号推进共享状态机
+            （防抖、停留时间、进入/退出动作），检测状态变化时通过观察者系统触发所有后续操作。
+  业务域关键词：状态判断、窗口处理、声明式状态机、LRU信任、防抖机制、观察者通知、状态变化事件
+  Param: windowResponse - WindowProcessor.processWindow() 的输出（含 signals、decisions）
+  */
+  updateState(windowResponse) {
+    if (!windowResponse || !windowResponse.signals) return;
     
-    const hasAudio = this.mewt.hasCatSound();
-    const rawState = this.mewt.determineState(hasVisual, hasAudio);
+    const now = this.clock.now();
     
-    // 防抖处理
-    const now = Date.now();
-    if (rawState !== this.state.pending) {
-      this.state.pending = rawState;
-      this.state.changeTime = now;
-    }
+    // 窗口信号已包含滞回后的视觉 / 音频检测、趋势、平滑后的情绪和猫数量
+    // LRU 信任机制：最近 T 秒内猫的累计分数达到 S 时视为仍有猫
+    const hasVisual = windowResponse.signals.hasVisual || windowResponse.signals.lruTrusted;
+    const hasAudio = windowResponse.signals.hasAudio; // YAMNet 猫叫声或呼噜声
+    const signals = { ...windowResponse.signals, hasVisual };
     
-    // 只在待定状态持续足够时间后更新稳定状态
-    if (now - this.state.changeTime >= this.STATE_DEBOUNCE_MS) {
-      this.state.stable = this.state.pending;
-      
-      // 检测状态变化 - 通过观察者系统处理
-      if (this.state.stable !== this.state.lastStable) {
-        this._notifyStateChange(this.state.stable, this.state.lastStable, hasVisual, hasAudio);
-        this.state.lastStable = this.state.stable;
-      }
+    // Mewt 的音频触发窗口与窗口处理器同步结束
+    this.mewt.endWindow({ timestamp: now, isFocusing: windowResponse.is_focusing_cat });
+    
+    // 状态机推进（候选状态持续 STATE_DEBOUNCE_MS 后才成为稳定状态）
+    const { state, previous, changed } = this.stateMachine.update(signals, now);
+    
+    // 检测状态变化 - 通过观察者系统处理
+    if (changed) {
+      this._notifyStateChange(state, previous, hasVisual, hasAudio, this.stateMachine.getCoreState(signals));
     }
     
     // 获取 VLM 文本（如果有锁定的结果）
     const vlmText = this.vlmVision.getText();
     
     // 最终文本（VLM 优先，否则使用统一配置的文案）
-    const finalText = vlmText || STATE_MESSAGES[this.state.stable];
+    const finalText = vlmText || this.stateMachine.getStateDefinition(state).message;
     
     // 响应去重
     if (finalText && finalText !== this.lastResponse) {
@@ -418,13 +522,16 @@ export class MewtEngine {
       const updateData = {
         image: this.latestPredictions.image,
         audio: this.latestPredictions.audio,
-        state: this.state.stable,
+        state,
         hasVisual: hasVisual,
         hasAudio: hasAudio,
         text: finalText,
         vlmText: vlmText,
         vlmLocked: !!vlmText,
-        isFocusing: context.is_now_focusing_cat
+        vlm: this.vlmVision.getLockData(),
+        isFocusing: windowResponse.is_focusing_cat,
+        evidence: this.mewt.getEvidence(),
+        decisions: windowResponse.decisions
       };
       
       // 通知 UI 层
@@ -434,6 +541,107 @@ export class MewtEngine {
     }
   }
 
+  /*
+  方法名：处理VLM结果
+  方法简介：把 VLM 结构化结论作为高权重证据交给状态管理器（确认或否决视觉状态、调整 LRU 信任），
+            用最近一次窗口的数据重新计算信号；结论与当前状态不一致时立即修正状态（不经过防抖），
+            通过观察者系统发出带原因的 corrected 转换，最后通知页面。
+            "猫离开" 触发的调用（trigger: 'lost'）返回 "没有猫" 时不记为否决：猫已经离开，
+            否决只会挡住之后回来的猫。
+  业务域关键词：VLM结论、状态修正、证据融合、LRU信任、观察者通知、否决、确认
+  Param: result - VLMChannel.analyze() 的结果 { text, data: { hasCat, catCount, confidence, caption, ... }, failed? }
+  Param: options - { trigger: 'appeared' | 'lost' | null }（VLMTriggerObserver 传入的触发原因）
+  */
+  handleVLMResult(result, { trigger = null } = {}) {
+    if (!result) return;
+    
+    if (this.recorder && !result.failed) {
+      this.recorder.recordVLM(result, 'vision', trigger);
+    }
+    
+    const now = this.clock.now();
+    const ignoredVeto = trigger === 'lost' && result.data && result.data.hasCat === false;
+    const verdict = result.failed || ignoredVeto ? null : this.stateManager.observeVLM(result.data, now);
+    if (verdict) {
+      this._applyVLMVerdict(verdict, now);
+    }
+    
+    if (this.callbacks.onVLMResult) {
+      this.callbacks.onVLMResult(result);
+    }
+  }
+
+  /*
+  方法名：处理音频VLM结果
+  方法简介：把音频模型对猫叫的结构化解读录制到会话日志，确认是猫叫时发送到 RN，最后通知页面；
+            所有提供方都失败（failed）时只记录日志。
+  业务域关键词：音频VLM、猫叫解读、RN消息、会话录制
+  Param: result - 音频 VLMChannel.analyze() 的结果 { text, data: { isCat, vocalisation, emotion, category, caption, confidence }, failed? }
+  */
+  handleAudioVLMResult(result) {
+    if (!result) return;
+    
+    if (result.failed) {
+      if (this.callbacks.onLog) {
+        this.callbacks.onLog(`[Audio VLM] 解读失败: ${result.data.error}`);
+      }
+      return;
+    }
+    
+    if (this.recorder) {
+      this.recorder.recordVLM(result, 'audio');
+    }
+    
+    if (result.data.isCat) {
+      const state = this.stateMachine.getState();
+      sendToRN(AUDIO_MESSAGES.interpretedPrefix + result.text, 'vlm', state, {
+        channel: 'audio',
+        audioVlm: result.data, // { isCat, vocalisation, emotion, category, caption, confidence }
+        provider: result.provider || null,
+        timestamp: this.clock.now()
+      });
+    } else if (this.callbacks.onLog) {
+      this.callbacks.onLog(`[Audio VLM] 判断不是猫叫：${result.text}`);
+    }
+    
+    if (this.callbacks.onAudioVLMResult) {
+      this.callbacks.onAudioVLMResult(result);
+    }
+  }
+
+  /*
+  方法名：应用VLM结论
+  方法简介：重新计算信号并求候选状态，与当前稳定状态不同时直接转移并发出 corrected 转换，内部私有方法。
+  业务域关键词：状态修正、VLM否决、VLM确认、状态机转移、修正原因
+  Param: verdict - StateManager.observeVLM() 采用的结论
+  Param: now - 当前时间戳
+  */
+  _applyVLMVerdict(verdict, now) {
+    const windowSignals = this.stateManager.reevaluate(now);
+    if (!windowSignals) return;
+    
+    const hasVisual = windowSignals.hasVisual || windowSignals.lruTrusted;
+    const signals = { ...windowSignals, hasVisual };
+    const candidate = this.stateMachine.evaluate(signals);
+    const current = this.stateMachine.getState();
+    if (candidate === current) return;
+    
+    const reason = verdict.hasCat
+      ? `VLM 确认有 ${verdict.catCount} 只猫：${verdict.caption || ''}`
+      : `VLM 判断画面中没有猫：${verdict.caption || ''}`;
+    
+    if (this.callbacks.onLog) {
+      this.callbacks.onLog(`[VLM] 修正状态 ${current} → ${candidate}（${reason}）`);
+    }
+    
+    this.stateMachine.transition(candidate, signals, now);
+    this._notifyStateChange(candidate, current, hasVisual, signals.hasAudio, this.stateMachine.getCoreState(signals), {
+      source: 'vlm',
+      reason,
+      verdict
+    });
+  }
+
   // ========== 状态变化通知 ==========
 
   /*
@@ -444,8 +652,15 @@ export class MewtEngine {
   Param: oldState - 旧状态
   Param: hasVisual - 是否有视觉检测
   Param: hasAudio - 是否有音频检测
+  Param: coreState - 新状态对应的原四状态（兼容只认识四状态的 RN 端）
+  Param: correction - 修正信息 { source, reason, verdict }（VLM 修正状态时传入，普通转换为 null）
   */
-  _notifyStateChange(newState, oldState, hasVisual, hasAudio) {
+  _notifyStateChange(newState, oldState, hasVisual, hasAudio, coreState = newState, correction = null) {
+    // 录制到会话日志
+    if (this.recorder) {
+      this.recorder.recordState(newState, oldState, coreState, correction ? correction.reason : null);
+    }
+    
     // 获取 VLM 文本
     const vlmText = this.vlmVision.getText();
     
@@ -453,16 +668,23 @@ export class MewtEngine {
     const event = {
       newState,
       oldState,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       vlmText,
+      stateDefinitions: this.stateMachine.definition.states, // 状态定义（消息文案、视觉/音频标记）
       emotionResult: this.latestEmotionResult, // 传递情绪分析结果
+      corrected: !!correction, // 由 VLM 结论修正的转换（不经过防抖）
+      correction,
       metadata: {
         hasVisual,
         hasAudio,
-        isFocusing: this.mewt.getFullContext().is_now_focusing_cat
+        coreState,
+        isFocusing: this.mewt.getFullContext().is_now_focusing_cat,
+        vlm: this.vlmVision.getLockData(), // 锁定中的 VLM 结构化结果，没有时为 null
+        ...(correction && { corrected: true, correctionSource: correction.source, correctionReason: correction.reason })
       },
-      // 传递回调函数供观察者使用
-      onVLMResult: this.callbacks.onVLMResult,
+      // 传递回调函数供观察者使用（VLM 结果先作为状态证据处理，再通知页面）
+      onVLMResult: (result, options) => this.handleVLMResult(result, options),
+      onAudioVLMResult: (result) => this.handleAudioVLMResult(result),
       onLog: this.callbacks.onLog,
       onStateChange: this.callbacks.onStateChange
     };
@@ -517,6 +739,30 @@ export class MewtEngine {
     return canvas.toDataURL('image/jpeg', 0.95);
   }
 
+  /*
+  方法名：获取猫叫片段
+  方法简介：把最近一次触发情绪分析的音频缓冲区编码为 WAV data URL，附带本地情绪分类结果作为提示，
+            供音频 VLM 通道上传；没有片段或片段已过期时返回 null。
+  业务域关键词：猫叫片段、WAV编码、base64、音频VLM
+  */
+  getVocalisationClip() {
+    const vocalisation = this.mewt.getLastVocalisation();
+    if (!vocalisation || this.clock.now() - vocalisation.timestamp > this.VLM_AUDIO_CLIP_MAX_AGE_MS) {
+      return null;
+    }
+    
+    const { samples, emotion } = vocalisation;
+    return {
+      audio: encodeWavDataURL(samples),
+      durationMs: Math.round(samples.length / SAMPLE_RATE * 1000),
+      hint: emotion && emotion.emotion ? {
+        emotionId: emotion.emotion.id,
+        emotionTitle: emotion.emotion.title,
+        category: emotion.category ? emotion.category.id : null
+      } : null
+    };
+  }
+
   /*
   方法名：设置视频元素
   方法简介：注入视频元素引用供引擎使用，用于截图等操作。
@@ -529,26 +775,46 @@ export class MewtEngine {
 
   /*
   方法名：获取完整上下文
-  方法简介：返回 Mewt 实例的完整上下文数据，包含 LRU 缓存、窗口数据等。
+  方法简介：返回 Mewt 实例的上下文数据（LRU 缓存、关注状态、呼噜状态），
+            当前窗口数据（current）来自 WindowProcessor。
   业务域关键词：上下文数据、LRU缓存、窗口状态、检测历史
   */
   getFullContext() {
-    return this.mewt.getFullContext();
+    return {
+      ...this.mewt.getFullContext(),
+      current: this.windowProcessor.getWindowContext()
+    };
   }
 
   /*
   方法名：获取VLM状态
-  方法简介：返回 VLM 管理器的当前状态，包含处理状态、调用次数、锁定信息等。
-  业务域关键词：VLM状态、处理状态、速率限制、锁定数据
+  方法简介：返回 VLM 视觉通道的当前状态，包含处理状态、调用次数、锁定信息等；audio 字段为音频通道的同样信息。
+  业务域关键词：VLM状态、处理状态、速率限制、锁定数据、音频VLM
   */
   getVLMStatus() {
     return {
-      isProcessing: this.vlmVision.isProcessing,
-      callsInLastMinute: this.vlmVision.rateLimiter.callsInLastMinute.length,
-      lastCallTime: this.vlmVision.rateLimiter.lastCallTime,
-      lockRemaining: Math.max(0, this.vlmVision.lock.until - Date.now()),
-      lockText: this.vlmVision.lock.text,
-      currentText: this.vlmVision.getText()
+      // lockData 为结构化结果（视觉：hasCat、catCount、posture、activity、location、caption）
+      ...this._getVLMChannelStatus(this.vlmVision),
+      // 音频：lockData 为 isCat、vocalisation、emotion、category、caption
+      audio: this._getVLMChannelStatus(this.vlmAudio)
+    };
+  }
+
+  /*
+  方法名：获取VLM通道状态
+  方法简介：返回单个 VLM 通道的处理状态、频率限制和锁定信息，内部私有方法。
+  业务域关键词：VLM通道、速率限制、锁定数据
+  Param: channel - VLMChannel 实例
+  */
+  _getVLMChannelStatus(channel) {
+    return {
+      isProcessing: channel.isProcessing,
+      callsInLastMinute: channel.rateLimiter.callsInLastMinute.length,
+      lastCallTime: channel.rateLimiter.lastCallTime,
+      lockRemaining: Math.max(0, channel.lock.until - this.clock.now()),
+      lockText: channel.lock.text,
+      lockData: channel.getLockData(),
+      currentText: channel.getText()
     };
   }
 
@@ -586,13 +852,178 @@ export class MewtEngine {
   */
   getCurrentState() {
     return {
-      stable: this.state.stable,
-      pending: this.state.pending,
-      lastStable: this.state.lastStable,
-      timeSinceChange: Date.now() - this.state.changeTime
+      stable: this.stateMachine.current,
+      pending: this.stateMachine.pending,
+      lastStable: this.stateMachine.previous,
+      timeSinceChange: this.clock.now() - this.stateMachine.pendingSince
+    };
+  }
+
+  /*
+  方法名：获取证据水平
+  方法简介：返回视觉（当前分数、LRU 加权证据、信任状态）与音频（当前分数、衰减峰值）的证据水平
+            及各自的进入/退出阈值，供调试页面绘图。
+  业务域关键词：证据水平、滞回阈值、LRU信任、调试绘图
+  */
+  getEvidence() {
+    return this.mewt.getEvidence();
+  }
+
+  /*
+  方法名：设置猫数量
+  方法简介：由能计数的来源（VLM 分析、目标检测）报告画面中猫的数量，用于 multiple_cats 状态；
+            图像分类本身无法计数。传入 null 表示未知。下一个窗口处理时生效。
+  业务域关键词：猫数量、多猫状态、VLM计数
+  Param: count - 猫数量或 null
+  */
+  setCatCount(count) {
+    this.catCount = Number.isFinite(count) ? count : null;
+  }
+
+  /*
+  方法名：获取情绪跟踪状态
+  方法简介：返回跨窗口平滑后的主情绪、稳定度和情绪时间线。
+  业务域关键词：情绪平滑、主情绪、情绪稳定度、情绪时间线
+  */
+  getEmotionState() {
+    return {
+      dominant: this.emotionTracker.getResult(),
+      timeline: this.emotionTracker.getTimeline()
     };
   }
 
+  // ========== 设备校准 ==========
+
+  /*
+  方法名：开始设备校准
+  方法简介：录制环境声（及可选的参考声），计算设备校准档案，保存到 localStorage
+            并应用到情绪分类。校准期间音频不参与检测。录制时长加 CALIBRATION_TIMEOUT_MS
+            之后仍未完成时失败，可用 cancelCalibration() 取消。
+  业务域关键词：设备校准、环境噪声、增益、特征归一化、localStorage、校准超时
+  Param: options - 校准参数（ambientMs、referenceMs、referenceRMS、referenceCentroid）
+  Return: Promise<Object> 校准档案
+  */
+  startCalibration(options = {}) {
+    if (this.calibration) {
+      return Promise.reject(new Error('Calibration already in progress'));
+    }
+    
+    return new Promise((resolve, reject) => {
+      const session = new CalibrationSession({ clock: this.clock, ...options });
+      const timeoutMs = session.config.ambientMs + session.config.referenceMs + this.CALIBRATION_TIMEOUT_MS;
+      this.calibration = {
+        session,
+        resolve,
+        reject,
+        timer: this.clock.setTimeout(() => {
+          this._failCalibration(new Error(`Calibration timed out after ${timeoutMs}ms`));
+        }, timeoutMs)
+      };
+      
+      if (this.callbacks.onLog) {
+        this.callbacks.onLog('[Calibration] 开始录制环境声');
+      }
+      sendToRN(SYSTEM_MESSAGES.calibrationStarted, 'system', this.stateMachine.getState(), {
+        phase: 'ambient',
+        timestamp: this.clock.now()
+      });
+    });
+  }
+
+  /*
+  方法名：清除设备校准
+  方法简介：删除已保存的校准档案，恢复固定常数归一化。
+  业务域关键词：设备校准、校准重置、localStorage
+  */
+  clearCalibration() {
+    clearCalibrationProfile();
+    this.mewt.setCalibrationProfile(null);
+  }
+
+  /*
+  方法名：取消设备校准
+  方法简介：中止进行中的校准会话（Promise 以错误结束），已保存的校准档案保持不变。
+  业务域关键词：设备校准、校准取消
+  Return: boolean 是否有进行中的校准
+  */
+  cancelCalibration() {
+    if (!this.calibration) {
+      return false;
+    }
+    this._failCalibration(new Error('Calibration cancelled'), SYSTEM_MESSAGES.calibrationCancelled);
+    return true;
+  }
+
+  /*
+  方法名：结束失败的校准
+  方法简介：清除校准会话和超时定时器，通知 RN 并让 startCalibration() 的 Promise 以错误结束，
+            内部私有方法。
+  业务域关键词：设备校准、校准失败、校准超时、校准取消
+  Param: error - 失败原因
+  Param: text - 发送给 RN 的文案（默认 calibrationFailed）
+  */
+  _failCalibration(error, text = SYSTEM_MESSAGES.calibrationFailed) {
+    const { reject, timer } = this.calibration;
+    this.clock.clearTimeout(timer);
+    this.calibration = null;
+    
+    sendToRN(text, 'system', this.stateMachine.getState(), {
+      error: error.message,
+      timestamp: this.clock.now()
+    });
+    reject(error);
+  }
+
+  /*
+  方法名：喂入校准音频
+  方法简介：把音频缓冲区交给校准会话，阶段切换时通知 RN，完成时保存并应用档案，
+            内部私有方法。
+  业务域关键词：设备校准、校准阶段、参考声、校准完成
+  Param: inputData - 原始音频数据（没有时忽略，一直没有则由超时结束校准）
+  */
+  _feedCalibration(inputData) {
+    if (!inputData) return;
+    
+    const { session, resolve, timer } = this.calibration;
+    const previousPhase = session.phase;
+    
+    let phase;
+    try {
+      phase = session.addBuffer(inputData);
+    } catch (error) {
+      console.error('MewtEngine: 校准失败', error);
+      this._failCalibration(error);
+      return;
+    }
+    
+    if (phase === 'reference' && previousPhase !== 'reference') {
+      sendToRN(SYSTEM_MESSAGES.calibrationReference, 'system', this.stateMachine.getState(), {
+        phase: 'reference',
+        timestamp: this.clock.now()
+      });
+    }
+    
+    if (phase === 'done') {
+      const profile = session.profile;
+      this.clock.clearTimeout(timer);
+      this.calibration = null;
+      saveCalibrationProfile(profile);
+      this.mewt.setCalibrationProfile(profile);
+      
+      if (this.callbacks.onLog) {
+        this.callbacks.onLog(`[Calibration] 完成: 底噪 ${profile.noiseFloor.toFixed(5)}, 增益 ${profile.gain.toFixed(2)}`);
+      }
+      sendToRN(SYSTEM_MESSAGES.calibrationDone, 'system', this.stateMachine.getState(), {
+        phase: 'done',
+        noiseFloor: profile.noiseFloor,
+        gain: profile.gain,
+        spectralScale: profile.spectralScale,
+        timestamp: this.clock.now()
+      });
+      resolve(profile);
+    }
+  }
+
   // ========== RN 消息处理 ==========
 
   /*
@@ -625,6 +1056,29 @@ export class MewtEngine {
         ...data
       });
     });
+    
+    // 设备校准
+    rnReceiver.on('start_calibration', (data) => {
+      this.handleRNMessage({
+        type: 'start_calibration',
+        ...data
+      });
+    });
+    
+    rnReceiver.on('cancel_calibration', (data) => {
+      this.handleRNMessage({
+        type: 'cancel_calibration',
+        ...data
+      });
+    });
+    
+    // 导出会话日志
+    rnReceiver.on('request_session_log', (data) => {
+      this.handleRNMessage({
+        type: 'request_session_log',
+        ...data
+      });
+    });
   }
 
   /*
@@ -639,6 +1093,11 @@ export class MewtEngine {
       this.callbacks.onLog(`[RN Message] 收到消息: ${message.type}`);
     }
     
+    // 录制到会话日志（导出请求本身不录制）
+    if (this.recorder && message.type !== 'request_session_log') {
+      this.recorder.recordRNMessage(message);
+    }
+    
     switch (message.type) {
       case 'deep_mewt_toggle':
         this._handleDeepMewtToggle(message);
@@ -652,6 +1111,18 @@ export class MewtEngine {
         this._handleVisibilityChange(message);
         break;
         
+      case 'start_calibration':
+        this._handleStartCalibration(message);
+        break;
+        
+      case 'cancel_calibration':
+        this.cancelCalibration();
+        break;
+        
+      case 'request_session_log':
+        this._handleRequestSessionLog(message);
+        break;
+        
       default:
         console.warn('MewtEngine: 未知的 RN 消息类型', message.type);
     }
@@ -677,10 +1148,10 @@ export class MewtEngine {
     sendToRN(
       message,
       'system',
-      this.state.stable,
+      this.stateMachine.getState(),
       {
         enabled: this.deepMewtEnabled,
-        timestamp: Date.now(),
+        timestamp: this.clock.now(),
         previousState: previousState,
         showInChat: false  // 不在聊天界面显示
       }
@@ -716,10 +1187,10 @@ export class MewtEngine {
     sendToRN(
       SYSTEM_MESSAGES.photoTaken,
       'photo',
-      this.state.stable,
+      this.stateMachine.getState(),
       {
         imageData: imageData,
-        timestamp: Date.now(),
+        timestamp: this.clock.now(),
         videoSize: this.videoElement ? {
           width: this.videoElement.videoWidth,
           height: this.videoElement.videoHeight
@@ -803,6 +1274,82 @@ export class MewtEngine {
     }
   }
 
+  /*
+  方法名：处理校准请求
+  方法简介：根据 RN 请求开始设备校准或清除已有校准（同时取消进行中的校准），内部私有方法。
+  业务域关键词：设备校准、RN请求、校准重置
+  Param: data - { reset?, ambientMs?, referenceMs?, referenceRMS?, referenceCentroid? }
+  */
+  _handleStartCalibration(data) {
+    if (data.reset) {
+      this.cancelCalibration();
+      this.clearCalibration();
+      sendToRN(SYSTEM_MESSAGES.calibrationCleared, 'system', this.stateMachine.getState(), {
+        timestamp: this.clock.now()
+      });
+      return;
+    }
+    
+    const { type, ...options } = data;
+    this.startCalibration(options).catch(error => {
+      if (this.callbacks.onLog) {
+        this.callbacks.onLog(`[Calibration] ${error.message}`);
+      }
+    });
+  }
+
+  /*
+  方法名：处理会话日志请求
+  方法简介：把当前会话（或指定 sessionId 的会话）导出为 NDJSON 发送回 RN，便于附在 bug 报告中
+            并在 Node 中回放；日志超过 SESSION_LOG_CHUNK_SIZE 时按行分片，分多条消息发送
+            （metadata.chunkIndex / chunkCount，RN 按顺序拼接），内部私有方法。
+  业务域关键词：会话录制、日志导出、NDJSON、bug 复现、RN响应
+  Param: data - 请求数据对象，可含 sessionId
+  */
+  _handleRequestSessionLog(data) {
+    if (!this.recorder) {
+      sendToRN(SYSTEM_MESSAGES.sessionLogFailed, 'system', this.stateMachine.getState(), {
+        error: '会话录制未开启',
+        timestamp: this.clock.now(),
+        showInChat: false
+      });
+      return;
+    }
+    
+    // 录制已停止（stop() 之后 session 为 null）时只能导出指定的会话
+    const sessionId = data.sessionId || (this.recorder.session ? this.recorder.session.sessionId : null);
+    this.recorder.exportNDJSON(sessionId).then(sessionLog => {
+      const chunks = splitSessionLog(sessionLog, this.SESSION_LOG_CHUNK_SIZE);
+      if (this.callbacks.onLog) {
+        this.callbacks.onLog(`[Session] 导出会话日志 ${sessionId}，大小: ${(sessionLog.length / 1024).toFixed(2)} KB，${chunks.length} 条消息`);
+      }
+      
+      const eventCount = sessionLog.split('\n').length - 2;
+      chunks.forEach((sessionLogChunk, chunkIndex) => {
+        sendToRN(SYSTEM_MESSAGES.sessionLogExported, 'system', this.stateMachine.getState(), {
+          sessionLog: sessionLogChunk,
+          sessionId,
+          eventCount,
+          chunkIndex,
+          chunkCount: chunks.length,
+          timestamp: this.clock.now(),
+          showInChat: false
+        });
+      });
+    }).catch(error => {
+      if (this.callbacks.onLog) {
+        this.callbacks.onLog(`[Session] 导出失败: ${error.message}`);
+      }
+      
+      sendToRN(SYSTEM_MESSAGES.sessionLogFailed, 'system', this.stateMachine.getState(), {
+        error: error.message,
+        sessionId,
+        timestamp: this.clock.now(),
+        showInChat: false
+      });
+    });
+  }
+
   // ========== 生命周期方法 ==========
 
   /*
@@ -811,16 +1358,20 @@ export class MewtEngine {
   业务域关键词：资源清理、引擎销毁、内存释放、事件取消
   */
   destroy() {
-    // 停止窗口处理器
-    this.windowProcessor.stopAutoProcessing();
+    // 停止窗口处理器，释放 Mewt 资源
+    this.windowProcessor.destroy();
+    this.mewt.destroy();
+    
+    // 取消进行中的校准（清除超时定时器）
+    this.cancelCalibration();
+    
+    // 写入剩余的会话事件
+    if (this.recorder) {
+      this.recorder.stop().catch(error => console.error('MewtEngine: 会话日志写入失败', error));
+    }
     
     // 清理状态
-    this.state = {
-      stable: 'idle',
-      pending: 'idle',
-      lastStable: 'idle',
-      changeTime: 0
-    };
+    this.stateMachine.reset();
     
     // 清理预测结果
     this.latestPredictions = {
@@ -828,11 +1379,16 @@ export class MewtEngine {
       audio: []
     };
     
+    // 清理情绪跟踪
+    this.emotionTracker.reset();
+    this.latestEmotionResult = null;
+    
     // 清空回调
     this.callbacks = {
       onPredictionUpdate: null,
       onStateChange: null,
       onVLMResult: null,
+      onAudioVLMResult: null,
       onLog: null
     };
     
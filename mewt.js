@@ -3,84 +3,64 @@
  * ===================
  * 
  * 🎯 核心功能：
- * - 四状态分类判断 (idle/cat_visual/cat_audio/cat_both)
- * - LRU信任机制 (20容量图像缓存)
+ * - 状态判断 (默认 idle/cat_visual/cat_audio/cat_both，由 state-machine.js 声明式定义)
+ * - LRU信任机制 (按时间过期的图像缓存：最近T秒内猫的累计分数达到S即信任)
  * - 1秒时间窗口聚合
- * - 音频触发器和情绪分析
+ * - 音频触发器和情绪分析（逐个猫叫发声段分类）
+ * - 环境噪声学习与谱减法降噪（非猫叫窗口学习，猫叫窗口降噪并报告信噪比）
+ * - 呼噜声检测（独立于 YAMNet，作为额外的音频信号参与状态判断）
  * - 实时上下文维护
  */
 
 // 导入情绪分类规则引擎
-import { classifyEmotion } from './emotions.js';
+import { createEmotionClassifier } from './emotion-classifier.js';
 
 // 导入音频特征提取函数
-import { 
-  calculateZCR, 
-  calculateSpectralCentroid, 
-  calculateSpectralRolloff, 
-  calculateEnergy, 
-  calculateRMS 
-} from './features.js';
-
-class LRUCache {
-  constructor(maxSize) {
-    this.maxSize = maxSize;
-    this.cache = new Map();
-  }
-
-  get(key) {
-    if (!this.cache.has(key)) return undefined;
-    
-    const value = this.cache.get(key);
-    // 更新访问顺序
-    this.cache.delete(key);
-    this.cache.set(key, value);
-    return value;
-  }
-
-  set(key, value) {
-    // 如果已存在，先删除
-    if (this.cache.has(key)) {
-      this.cache.delete(key);
-    } else if (this.cache.size >= this.maxSize) {
-      // 如果超出最大尺寸，删除最久未使用的项
-      const firstKey = this.cache.keys().next().value;
-      this.cache.delete(firstKey);
-    }
-    
-    this.cache.set(key, value);
-  }
+import { extractAudioFeatures } from './features.js';
 
-  has(key) {
-    return this.cache.has(key);
-  }
+// 导入猫叫声分段检测
+import { classifySegments } from './segmentation.js';
 
-  clear() {
-    this.cache.clear();
-  }
+// 导入设备校准
+import { applyCalibration, loadCalibrationProfile } from './calibration.js';
 
-  size() {
-    return this.cache.size;
-  }
+// 导入环境噪声跟踪与降噪
+import { NoiseFloorTracker } from './noise-reduction.js';
 
-  // 获取最近的N个值
-  recent(count) {
-    const values = Array.from(this.cache.values());
-    return values.slice(-count); // 返回最近的count个值
-  }
+// 导入呼噜声检测
+import { PurrDetector } from './purr-detector.js';
 
-  // 获取所有值
-  getAllValues() {
-    return Array.from(this.cache.values());
-  }
-}
+// 导入情绪定义（呼噜声直接映射为舒适情绪）
+import { getEmotionById, getCategoryById } from './emotions.js';
+
+// 导入声明式状态机与状态信号收集
+import { StateMachine, createStateMachineDefinition, getStateTexts } from './state-machine.js';
+import { StateManager } from './state-manager.js';
+
+// 导入时钟抽象（默认真实时间）
+import { systemClock } from './clock.js';
+
+// 导入图像检测历史缓存（支持 TTL、按时间查询与按类别聚合）
+import { LRUCache } from './lru-cache.js';
 
 /**
  * 上下文管理器类
  * 实现四状态分类、LRU信任机制、时间窗口聚合和音频触发器
  */
 class ContextManager {
-  constructor() {
+  /**
+   * @param {Object} config - 配置对象
+   * @param {string} config.emotionScoringMode - 情绪分类模式 'rules'（二值规则，默认）| 'scored'（软评分，含候选情绪）
+   * @param {Object} config.emotionRulePack - 情绪规则包（默认使用当前激活的规则包）
+   * @param {Object} config.stateMachine - 状态机定义覆盖项（见 state-machine.js createStateMachineDefinition）
+   * @param {Object} config.stateManager - StateManager 配置覆盖项（阈值、滞回、LRU 信任参数）
+   * @param {boolean} config.autoWindow - 是否启动内部1秒窗口定时器（默认 true）
+   * @param {Object} config.clock - 时钟（见 clock.js，默认 systemClock）
+   */
+  constructor(config = {}) {
+    // 时钟（默认真实时间，回放和测试时注入 VirtualClock）
+    this.clock = config.clock || systemClock;
+    
     // 新的上下文结构
     this.context = {
       // 核心状态
@@ -91,8 +71,11 @@ class ContextManager {
       last_deepmewt_time: 0,
       last_deepmewt_answer_time: 0,
       
-      // LRU信任管理 (容量20)
-      image_lru: new LRUCache(20),
+      // LRU信任管理（按时间过期：信任判断按时间窗口查询，类别多的窗口不会挤掉历史）
+      image_lru: new LRUCache(config.lruSize || 200, { ttlMs: config.lruTtlMs || 30000, clock: this.clock }),
+      
+      // 呼噜声状态（跨窗口保持，由 PurrDetector 更新）
+      purr_state: null,
       
       // 1秒窗口聚合数据
       current: {
@@ -108,19 +91,54 @@ class ContextManager {
       CAT_DETECTION_THRESHOLD: 0.3, // 猫检测阈值
       CAT_SOUND_THRESHOLD: 0.2,     // 猫叫声阈值
       WINDOW_INTERVAL: 1000,        // 1秒窗口间隔
-      LRU_TRUST_COUNT: 10          // LRU信任检查数量
+      EMOTION_SCORING_MODE: config.emotionScoringMode || 'rules', // 情绪分类模式（'scored' 需显式开启）
+      EMOTION_RULE_PACK: config.emotionRulePack || null,           // 情绪规则包
+      EMOTION_CLASSIFIER_MODE: config.emotionClassifierMode || 'rules', // 'rules' | 'learned' | 'compare'
+      EMOTION_MODEL: config.emotionModel || null,                  // 训练好的 KNNEmotionClassifier
+      WARNING_DETECTORS: config.warningDetectors !== undefined      // 哈气/低吼专用检测器（false 关闭，或 { hiss, growl } 参数）
+        ? config.warningDetectors
+        : true,
+      CALIBRATION_PROFILE: config.calibrationProfile !== undefined  // 设备校准档案（默认读取 localStorage）
+        ? config.calibrationProfile
+        : loadCalibrationProfile(),
+      NOISE_REDUCTION: config.noiseReduction !== false              // 特征提取前是否做谱减法降噪
     };
     
-    // 四状态响应文本
-    this.stateResponses = {
-      'idle': '观察中...',
-      'cat_visual': '那里有只小猫',
-      'cat_audio': '诶？我好像听到小猫叫了',
-      'cat_both': '哦！是个小猫'
-    };
+    // 环境噪声谱跟踪器（在没有猫叫的窗口中学习）
+    this.noiseTracker = new NoiseFloorTracker(config.noiseReductionOptions);
+    
+    // 呼噜声检测器（不依赖 YAMNet 分数）
+    this.purrDetector = new PurrDetector({ clock: this.clock, ...config.purrDetection });
+    
+    // 情绪分类函数（规则引擎 / 训练模型 / 对比）
+    this.emotionClassifier = this.createClassifier();
+    
+    // 状态机（状态、守卫、文案与 StateManager / MewtEngine 共用同一份定义）
+    this.stateMachine = new StateMachine(createStateMachineDefinition(config.stateMachine), { clock: this.clock });
+    
+    // 状态信号收集（视觉分数趋势、其他动物、情绪类别等扩展状态所需信号）
+    // 以及各模态进入 / 退出阈值滞回与 LRU 证据水平
+    this.stateManager = new StateManager({
+      catDetectionThreshold: this.config.CAT_DETECTION_THRESHOLD,
+      catSoundThreshold: this.config.CAT_SOUND_THRESHOLD,
+      ...config.stateManager,
+      stateMachine: this.stateMachine.definition,
+      clock: this.clock
+    });
     
-    // 启动1秒窗口定时器
-    this.windowTimer = setInterval(() => this.processWindow(), this.config.WINDOW_INTERVAL);
+    // 状态响应文本
+    this.stateResponses = getStateTexts(this.stateMachine.definition);
+    
+    // 最近一次触发情绪分析的猫叫片段（音频 VLM 通道上传）
+    this.lastVocalisation = null;
+    
+    // 最近一次 analyzeAudio() 的特征分析结果 { features, emotionResult }，没有触发时为 null
+    this.lastAudioAnalysis = null;
+    
+    // 启动1秒窗口定时器（由外部驱动窗口时可关闭，如 MewtEngine 使用 WindowProcessor）
+    this.windowTimer = config.autoWindow !== false
+      ? this.clock.setInterval(() => this.processWindow(), this.config.WINDOW_INTERVAL)
+      : null;
   }
 
   /**
@@ -151,39 +169,81 @@ class ContextManager {
       }
     });
     
+    const response = this.analyzeAudio(this.context.current.current_audio, audioBuffer);
+    
+    // 保存到当前窗口
+    if (this.lastAudioAnalysis) {
+      this.context.current.current_audio_feature = this.lastAudioAnalysis.features;
+      this.context.current.emotion_classification = this.lastAudioAnalysis.emotionResult;
+    }
+    return response;
+  }
+
+  /**
+   * 音频触发与情绪分析：呼噜检测、猫叫声触发特征分析、环境噪声学习，不写入窗口检测结果
+   * （MewtEngine 的窗口由 WindowProcessor 持有，传入它的当前音频窗口）
+   * @param {Map} audioMap - 当前窗口的音频检测结果 Map<className, maxScore>
+   * @param {Float32Array} audioBuffer - 原始音频数据
+   * @returns {Object|null} 情绪分析结果
+   */
+  analyzeAudio(audioMap, audioBuffer = null) {
+    this.lastAudioAnalysis = null;
+    if (!audioBuffer) {
+      return null;
+    }
+    
+    // 呼噜声检测独立于 YAMNet 分数，每个缓冲区都要处理
+    this.context.purr_state = this.purrDetector.process(audioBuffer, this.clock.now());
+    
     // 音频触发器：检查是否有猫叫声
-    if (this.hasCatSound() && audioBuffer) {
+    if (this.stateManager.hasCatSound(audioMap)) {
       return this.triggerAudioFeatureAnalysis(audioBuffer);
     }
     
+    // 只有呼噜声时直接生成呼噜情绪
+    if (this.hasPurr()) {
+      return this.generatePurrResponse(this.context.purr_state);
+    }
+    
+    // 没有猫叫的窗口用来学习环境噪声
+    this.noiseTracker.update(audioBuffer);
     return null;
   }
 
   /**
-   * 检查当前音频是否包含猫叫声
+   * 检查当前音频是否包含猫叫声（进入 / 退出阈值滞回，见 StateManager）
    */
   hasCatSound() {
-    for (const [className, score] of this.context.current.current_audio) {
-      if ((className.toLowerCase().includes('cat') || 
-           className.toLowerCase().includes('meow')) && 
-          score > this.config.CAT_SOUND_THRESHOLD) {
-        return true;
-      }
-    }
-    return false;
+    return this.stateManager.hasCatSound(this.context.current.current_audio);
   }
 
   /**
-   * 检查当前图像是否包含猫
+   * 检查当前是否在呼噜
+   */
+  hasPurr() {
+    return !!this.context.purr_state && this.context.purr_state.purring;
+  }
+
+  /**
+   * 检查是否有任意猫音频信号（YAMNet 猫叫声或呼噜声）
+   */
+  hasCatAudio() {
+    return this.hasCatSound() || this.hasPurr();
+  }
+
+  /**
+   * 获取当前呼噜状态
+   * @returns {Object|null}
+   */
+  getPurrState() {
+    return this.context.purr_state;
+  }
+
+  /**
+   * 检查当前图像是否包含猫（进入 / 退出阈值滞回，见 StateManager）
    */
   hasVisualCat() {
-    for (const [className, score] of this.context.current.current_image) {
-      if (className.toLowerCase().includes('cat') && 
-          score > this.config.CAT_DETECTION_THRESHOLD) {
-        return true;
-      }
-    }
-    return false;
+    return this.stateManager.hasVisualCat(this.context.current.current_image);
   }
 
   /**
@@ -193,24 +253,31 @@ class ContextManager {
    */
   triggerAudioFeatureAnalysis(audioBuffer) {
     try {
-      // 这里需要从features.js提取音频特征
-      // 由于features.js在外部，我们假设已经计算好了特征
-      // 实际使用时需要调用 calculateZCR, calculateSpectralCentroid 等函数
+      // 减去学习到的环境噪声谱（噪声谱未就绪时保持原样）
+      const denoised = this.config.NOISE_REDUCTION && this.noiseTracker.isReady();
+      const cleanBuffer = denoised ? this.noiseTracker.denoise(audioBuffer) : audioBuffer;
+      const snr = this.noiseTracker.estimateSNR(audioBuffer);
       
-      // 模拟音频特征提取 (实际实现时需要集成features.js)
-      const audioFeatures = this.extractAudioFeatures(audioBuffer);
+      // 将缓冲区切分为独立的发声段，逐段提取特征并分类
+      const { primary, analysedSegments, calls } = classifySegments(
+        cleanBuffer,
+        (samples) => this.extractAudioFeatures(samples),
+        (features) => this.classifyFeatures(features, { denoised })
+      );
       
-      if (audioFeatures) {
-        // 调用emotions.ts规则引擎
-        const emotionResult = classifyEmotion(audioFeatures);
-        
-        // 保存到当前上下文
-        this.context.current.current_audio_feature = audioFeatures;
-        this.context.current.emotion_classification = emotionResult;
-        
-        // 立即生成情绪响应 (不等1秒窗口)
-        return this.generateEmotionResponse(emotionResult);
-      }
+      const emotionResult = primary ? { ...primary.emotion, calls, snr, denoised } : null;
+      
+      // 保存特征分析结果（由调用方写入各自的窗口）
+      this.lastAudioAnalysis = {
+        features: primary ? primary.features : analysedSegments[0].features,
+        emotionResult
+      };
+      
+      // 保留原始片段（未降噪），确认猫叫后由音频 VLM 通道上传
+      this.lastVocalisation = { samples: audioBuffer, timestamp: this.clock.now(), emotion: emotionResult };
+      
+      // 立即生成情绪响应 (不等1秒窗口)
+      return this.generateEmotionResponse(emotionResult);
     } catch (error) {
       console.error('Audio feature analysis failed:', error);
     }
@@ -218,6 +285,64 @@ class ContextManager {
     return null;
   }
 
+  /**
+   * 获取最近一次 analyzeAudio() 的特征分析结果
+   * @returns {Object|null} { features, emotionResult }
+   */
+  getLastAudioAnalysis() {
+    return this.lastAudioAnalysis;
+  }
+
+  /**
+   * 获取最近一次猫叫片段
+   * @returns {Object|null} { samples: Float32Array, timestamp, emotion }
+   */
+  getLastVocalisation() {
+    return this.lastVocalisation;
+  }
+
+  /**
+   * 按配置创建情绪分类函数
+   * @returns {Function} (features) => 情绪分类结果|null
+   */
+  createClassifier() {
+    return createEmotionClassifier({
+      mode: this.config.EMOTION_CLASSIFIER_MODE,
+      model: this.config.EMOTION_MODEL,
+      rulePack: this.config.EMOTION_RULE_PACK,
+      scoringMode: this.config.EMOTION_SCORING_MODE,
+      warningDetectors: this.config.WARNING_DETECTORS
+    });
+  }
+
+  /**
+   * 切换情绪分类器（如浏览器中异步加载完模型后）
+   * @param {Object} options - { mode, model }
+   */
+  setEmotionClassifier({ mode = this.config.EMOTION_CLASSIFIER_MODE, model = this.config.EMOTION_MODEL } = {}) {
+    this.config.EMOTION_CLASSIFIER_MODE = mode;
+    this.config.EMOTION_MODEL = model;
+    this.emotionClassifier = this.createClassifier();
+  }
+
+  /**
+   * 设置设备校准档案
+   * @param {Object|null} profile - 校准档案
+   */
+  setCalibrationProfile(profile) {
+    this.config.CALIBRATION_PROFILE = profile;
+  }
+
+  /**
+   * 按配置的分类器进行情绪分类（先应用设备校准）
+   * @param {Object} features - 音频特征
+   * @param {Object} options - { denoised: 音频是否已降噪 }
+   * @returns {Object|null} 情绪分类结果
+   */
+  classifyFeatures(features, options = {}) {
+    return this.emotionClassifier(applyCalibration(features, this.config.CALIBRATION_PROFILE, options));
+  }
+
   /**
    * 提取音频特征 (集成features.js)
    * @param {Float32Array} audioBuffer
@@ -229,14 +354,8 @@ class ContextManager {
         return null;
       }
 
-      // 使用features.js中的真实函数计算音频特征
-      return {
-        zeroCrossingRate: calculateZCR(audioBuffer),
-        spectralCentroid: calculateSpectralCentroid(audioBuffer),
-        spectralRolloff: calculateSpectralRolloff(audioBuffer),
-        energy: calculateEnergy(audioBuffer),
-        rms: calculateRMS(audioBuffer)
-      };
+      // 使用features.js中的真实函数计算音频特征（频谱、MFCC、音高）
+      return extractAudioFeatures(audioBuffer);
     } catch (error) {
       console.error('Error extracting audio features:', error);
       return null;
@@ -256,47 +375,80 @@ class ContextManager {
         confidence: emotionResult.confidence,
         category: emotionResult.category,
         text: `${emotionResult.emotion.icon} ${emotionResult.emotion.title}`,
-        timestamp: Date.now()
+        calls: emotionResult.calls,
+        alternatives: emotionResult.alternatives || [],
+        categoryScores: emotionResult.categoryScores || null,
+        comparison: emotionResult.comparison || null,
+        detector: emotionResult.detector || null,        // 触发覆盖的专用检测器：'hiss' | 'growl' | null
+        detectors: emotionResult.detectors || null,      // { hiss, growl, fired } 各检测器置信度
+        overridden: emotionResult.overridden || null,    // 被检测器覆盖的通用分类结果
+        snr: emotionResult.snr !== undefined ? emotionResult.snr : null, // 信噪比（dB），噪声未学习时为 null
+        denoised: !!emotionResult.denoised,
+        purr: this.context.purr_state,
+        source: emotionResult.source || 'vocalisation',
+        timestamp: this.clock.now()
       };
     }
     return null;
   }
 
   /**
-   * 1秒窗口处理：四状态判断和上下文更新
+   * 生成呼噜声情绪响应（没有 YAMNet 猫叫声、只有呼噜声时）
+   * @param {Object} purrState - 呼噜状态
+   * @returns {Object}
+   */
+  generatePurrResponse(purrState) {
+    const emotion = getEmotionById('comfortable');
+    return this.generateEmotionResponse({
+      emotionId: emotion.id,
+      emotion,
+      confidence: Math.min(1, purrState.periodicity),
+      category: getCategoryById(emotion.categoryId),
+      source: 'purr'
+    });
+  }
+
+  /**
+   * 1秒窗口处理：状态机推进和上下文更新
    */
   processWindow() {
-    const now = Date.now();
+    const now = this.clock.now();
     
     // 更新LRU缓存
     this.updateImageLRU();
     
-    // 四状态判断
-    const hasVisualCat = this.hasVisualCat();
-    const hasAudioCat = this.hasCatSound();
-    
-    const currentState = this.determineState(hasVisualCat, hasAudioCat);
+    // 记录视觉 / 音频观测与 LRU 证据（滞回），推进状态机（守卫、最短停留时间、进入/退出动作）
+    this.observeWindow(now);
+    const { state: currentState } = this.stateMachine.update(this.collectSignals({ timestamp: now }), now);
     
     // 基于LRU信任机制更新焦点状态
     this.context.is_now_focusing_cat = this.calculateTrustBasedFocus(currentState);
     
-    // 更新时间戳
-    this.context.last_mewt_time = now;
-    
     // 生成状态响应
     const response = this.generateStateResponse(currentState);
     
-    // 清空当前窗口
-    this.clearCurrentWindow();
+    // 更新时间戳，清空当前窗口
+    this.endWindow({ timestamp: now });
     
     return response;
   }
 
+  /**
+   * 结束当前窗口：更新关注标志与时间戳，清空窗口数据
+   * 外部驱动窗口时（autoWindow: false）由驱动方在每个窗口处理完后调用
+   * @param {Object} options - { timestamp, isFocusing }
+   */
+  endWindow({ timestamp = this.clock.now(), isFocusing = this.context.is_now_focusing_cat } = {}) {
+    this.context.is_now_focusing_cat = isFocusing;
+    this.context.last_mewt_time = timestamp;
+    this.clearCurrentWindow();
+  }
+
   /**
    * 更新图像LRU缓存
    */
   updateImageLRU() {
-    const now = Date.now();
+    const now = this.clock.now();
     
     // 将当前窗口的图像结果添加到LRU
     for (const [className, score] of this.context.current.current_image) {
@@ -304,24 +456,38 @@ class ContextManager {
         class: className,
         score: score,
         timestamp: now,
-        isCat: className.toLowerCase().includes('cat')
+        isCat: this.stateMachine.isCatClass(className)
       });
     }
   }
 
+  /**
+   * 记录当前窗口的视觉、音频观测和 LRU 视觉证据（每个窗口调用一次）
+   * @param {number} timestamp - 时间戳
+   */
+  observeWindow(timestamp = this.clock.now()) {
+    this.stateManager.observeVisual(this.context.current.current_image, timestamp);
+    this.stateManager.observeAudio(this.context.current.current_audio, timestamp);
+    this.stateManager.observeLRU(this.context.image_lru, timestamp);
+  }
+
+  /**
+   * 获取各模态的证据水平（见 StateManager.getEvidence）
+   * @returns {Object}
+   */
+  getEvidence() {
+    return this.stateManager.getEvidence();
+  }
+
   /**
    * 基于LRU信任机制计算焦点状态
    * @param {string} currentState - 当前状态
    * @returns {boolean}
    */
   calculateTrustBasedFocus(currentState) {
-    // 如果当前没有检测到猫，检查LRU中最近的记录
+    // 如果当前没有检测到猫，看最近T秒内猫的累计分数是否达到S（LRU信任）
     if (currentState === 'idle') {
-      const recentDetections = this.context.image_lru.recent(this.config.LRU_TRUST_COUNT);
-      const catDetections = recentDetections.filter(item => item.isCat);
-      
-      // 最近10次检测中有猫 = 保持焦点
-      return catDetections.length > 0;
+      return this.stateManager.isLRUTrusted();
     }
     
     // 其他状态都表示有活跃检测
@@ -329,16 +495,35 @@ class ContextManager {
   }
 
   /**
-   * 确定四状态
+   * 收集当前窗口的状态机信号（见 StateManager.buildSignals）
+   * @param {Object} overrides - 覆盖的信号或上下文（如 MewtEngine 经 LRU 信任修正后的 hasVisual、
+   *                             平滑后的 emotionResult、catCount、timestamp）
+   * @returns {Object} 信号
+   */
+  collectSignals(overrides = {}) {
+    return this.stateManager.buildSignals(
+      this.context.current.current_image,
+      this.context.current.current_audio,
+      this.context.purr_state,
+      {
+        lruCache: this.context.image_lru,
+        emotionResult: this.context.current.emotion_classification,
+        hasVisual: this.hasVisualCat(),
+        hasAudio: this.hasCatAudio(),
+        hasCatSound: this.hasCatSound(),
+        ...overrides
+      }
+    );
+  }
+
+  /**
+   * 按状态机守卫确定状态（不推进状态机）
    * @param {boolean} hasVisual - 是否有视觉猫检测
    * @param {boolean} hasAudio - 是否有音频猫检测
    * @returns {string}
    */
   determineState(hasVisual, hasAudio) {
-    if (hasVisual && hasAudio) return 'cat_both';
-    if (hasVisual) return 'cat_visual';
-    if (hasAudio) return 'cat_audio';
-    return 'idle';
+    return this.stateMachine.evaluate(this.collectSignals({ hasVisual, hasAudio }));
   }
 
   /**
@@ -350,9 +535,10 @@ class ContextManager {
     return {
       type: 'state',
       state: state,
+      coreState: this.stateManager.getCoreState(state, this.collectSignals()),
       text: this.stateResponses[state],
       is_focusing_cat: this.context.is_now_focusing_cat,
-      timestamp: Date.now()
+      timestamp: this.clock.now()
     };
   }
 
@@ -386,7 +572,7 @@ class ContextManager {
    */
   destroy() {
     if (this.windowTimer) {
-      clearInterval(this.windowTimer);
+      this.clock.clearInterval(this.windowTimer);
       this.windowTimer = null;
     }
   }
@@ -394,8 +580,8 @@ class ContextManager {
 
 // 保持向后兼容的Mewt类
 class Mewt extends ContextManager {
-  constructor() {
-    super();
+  constructor(config = {}) {
+    super(config);
   }
 
   // 向后兼容的方法
@@ -414,7 +600,7 @@ class Mewt extends ContextManager {
     
     // 返回基础状态响应
     const hasVisual = this.hasVisualCat();
-    const hasAudio = this.hasCatSound();
+    const hasAudio = this.hasCatAudio();
     const state = this.determineState(hasVisual, hasAudio);
     
     return this.stateResponses[state];
@@ -0,0 +1,251 @@
+/**
+ * 环境噪声跟踪与谱减法降噪
+ * ========================
+ *
+ * 📋 模块功能概述：
+ * play.html 把麦克风原始缓冲区直接交给引擎，电视、风扇等持续噪声会抬高能量和过零率，
+ * 使情绪规则误判。本模块：
+ *
+ * 1. NoiseFloorTracker：在没有猫叫的窗口（hasCatSound 为 false）持续学习环境噪声的幅度谱
+ *    （逐频点指数滑动平均）
+ * 2. spectralSubtract()：在 features.js 提取特征前，从猫叫窗口的 STFT 幅度中减去噪声谱，
+ *    保留相位后重叠相加还原波形
+ * 3. estimateSNR()：估计窗口信噪比（dB），随情绪结果一起上报，低质量的检测可以据此降权
+ *
+ * 🔍 谱减法：
+ * |Ŷ(k)| = max(|X(k)| − α·|N(k)|, β·|X(k)|)
+ * α 为过减因子（默认 1.5），β 为谱底（默认 0.05，抑制"音乐噪声"）
+ * 帧长 1024、步长 512，周期 Hann 窗在 50% 重叠下恰好叠加为 1
+ */
+
+import { fft } from './features.js';
+
+// 默认参数
+export const DEFAULT_NOISE_REDUCTION_OPTIONS = {
+  frameSize: 1024,
+  hopSize: 512,
+  smoothing: 0.1,          // 噪声谱滑动平均系数（每帧）
+  minFrames: 30,           // 至少学习 30 帧（约1秒）才启用降噪
+  overSubtraction: 1.5,    // 过减因子 α
+  spectralFloor: 0.05      // 谱底 β
+};
+
+// 周期 Hann 窗（50% 重叠时逐点相加为 1）
+const periodicHannWindows = new Map();
+const getPeriodicHann = (size) => {
+  if (!periodicHannWindows.has(size)) {
+    const window = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      window[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / size));
+    }
+    periodicHannWindows.set(size, window);
+  }
+  return periodicHannWindows.get(size);
+};
+
+/**
+ * 短时傅里叶变换（保留实部和虚部）
+ * @param {Float32Array} samples - 音频采样
+ * @param {number} frameSize - 帧长
+ * @param {number} hopSize - 步长
+ * @returns {Array} [{ re, im }]
+ */
+function stft(samples, frameSize, hopSize) {
+  const window = getPeriodicHann(frameSize);
+  const frames = [];
+  for (let start = 0; start + frameSize <= samples.length; start += hopSize) {
+    const re = new Float32Array(frameSize);
+    const im = new Float32Array(frameSize);
+    for (let i = 0; i < frameSize; i++) {
+      re[i] = samples[start + i] * window[i];
+    }
+    fft(re, im);
+    frames.push({ re, im });
+  }
+  return frames;
+}
+
+const magnitudeAt = ({ re, im }, bin) => Math.sqrt(re[bin] * re[bin] + im[bin] * im[bin]);
+
+const toFloat32 = (buffer) => buffer instanceof Float32Array ? buffer : Float32Array.from(buffer);
+
+/**
+ * 环境噪声谱跟踪器
+ */
+export class NoiseFloorTracker {
+  /**
+   * 构造函数
+   * @param {Object} options - 见 DEFAULT_NOISE_REDUCTION_OPTIONS
+   */
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_NOISE_REDUCTION_OPTIONS, ...options };
+    this.reset();
+  }
+
+  /**
+   * 清空已学习的噪声谱
+   */
+  reset() {
+    this.noiseSpectrum = new Float32Array(this.config.frameSize / 2 + 1);
+    this.framesLearned = 0;
+  }
+
+  /**
+   * 用一个非猫叫窗口更新噪声谱
+   * @param {Float32Array|Array} buffer - 音频缓冲区
+   */
+  update(buffer) {
+    const { frameSize, hopSize, smoothing } = this.config;
+    const frames = stft(toFloat32(buffer), frameSize, hopSize);
+
+    for (const frame of frames) {
+      // 学习初期用累积平均快速收敛，之后转为指数滑动平均
+      const rate = Math.max(smoothing, 1 / (this.framesLearned + 1));
+      for (let bin = 0; bin < this.noiseSpectrum.length; bin++) {
+        this.noiseSpectrum[bin] += rate * (magnitudeAt(frame, bin) - this.noiseSpectrum[bin]);
+      }
+      this.framesLearned++;
+    }
+  }
+
+  /**
+   * 是否已学习到足够的噪声
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.framesLearned >= this.config.minFrames;
+  }
+
+  /**
+   * 对猫叫窗口降噪
+   * @param {Float32Array|Array} buffer - 音频缓冲区
+   * @returns {Float32Array} 降噪后的缓冲区（噪声谱未就绪时原样返回）
+   */
+  denoise(buffer) {
+    return this.isReady()
+      ? spectralSubtract(buffer, this.noiseSpectrum, this.config)
+      : toFloat32(buffer);
+  }
+
+  /**
+   * 估计窗口信噪比
+   * @param {Float32Array|Array} buffer - 音频缓冲区
+   * @returns {number|null} SNR（dB），噪声谱未就绪时为 null
+   */
+  estimateSNR(buffer) {
+    return this.isReady() ? estimateSNR(buffer, this.noiseSpectrum, this.config) : null;
+  }
+
+  /**
+   * 噪声谱对应的时域 RMS 估计
+   * @returns {number}
+   */
+  getNoiseRMS() {
+    return Math.sqrt(noiseSpectrumPower(this.noiseSpectrum, this.config.frameSize));
+  }
+}
+
+/**
+ * 单帧幅度谱对应的每采样平均功率（Parseval，计入负频率镜像与 Hann 窗能量）
+ * @param {Float32Array} magnitudes - 0..N/2 频点幅度
+ * @param {number} frameSize - 帧长
+ * @returns {number} 平均功率
+ */
+function spectrumPower(magnitudes, frameSize) {
+  let sum = 0;
+  for (let bin = 0; bin < magnitudes.length; bin++) {
+    const weight = bin === 0 || bin === magnitudes.length - 1 ? 1 : 2;
+    sum += weight * magnitudes[bin] * magnitudes[bin];
+  }
+  // 周期 Hann 窗的均方值为 3/8
+  return sum / (frameSize * frameSize * 0.375);
+}
+
+/**
+ * 噪声谱的平均功率
+ * 噪声谱是幅度的平均值，高斯噪声的幅度服从瑞利分布，均方 = 均值² × 4/π
+ * @param {Float32Array} noiseSpectrum - 噪声幅度谱
+ * @param {number} frameSize - 帧长
+ * @returns {number} 平均功率
+ */
+const noiseSpectrumPower = (noiseSpectrum, frameSize) =>
+  spectrumPower(noiseSpectrum, frameSize) * 4 / Math.PI;
+
+/**
+ * 谱减法降噪
+ * @param {Float32Array|Array} buffer - 音频缓冲区
+ * @param {Float32Array} noiseSpectrum - 噪声幅度谱（frameSize / 2 + 1）
+ * @param {Object} options - 见 DEFAULT_NOISE_REDUCTION_OPTIONS
+ * @returns {Float32Array} 降噪后的缓冲区
+ */
+export function spectralSubtract(buffer, noiseSpectrum, options = {}) {
+  const { frameSize, hopSize, overSubtraction, spectralFloor } = { ...DEFAULT_NOISE_REDUCTION_OPTIONS, ...options };
+  const samples = toFloat32(buffer);
+  const output = new Float32Array(samples.length);
+  const frames = stft(samples, frameSize, hopSize);
+  const half = frameSize / 2;
+
+  frames.forEach((frame, index) => {
+    const { re, im } = frame;
+
+    // 按幅度增益缩放，保留相位；负频率与正频率对称处理
+    for (let bin = 0; bin <= half; bin++) {
+      const magnitude = magnitudeAt(frame, bin);
+      if (magnitude === 0) continue;
+      const cleaned = Math.max(magnitude - overSubtraction * noiseSpectrum[bin], spectralFloor * magnitude);
+      const gain = cleaned / magnitude;
+      re[bin] *= gain;
+      im[bin] *= gain;
+      if (bin > 0 && bin < half) {
+        re[frameSize - bin] *= gain;
+        im[frameSize - bin] *= gain;
+      }
+    }
+
+    // 逆变换：ifft(x) = conj(fft(conj(x))) / N
+    for (let i = 0; i < frameSize; i++) im[i] = -im[i];
+    fft(re, im);
+
+    const start = index * hopSize;
+    for (let i = 0; i < frameSize; i++) {
+      output[start + i] += re[i] / frameSize;
+    }
+  });
+
+  // 首尾不足一帧重叠的部分保留原始信号
+  const covered = frames.length > 0 ? (frames.length - 1) * hopSize + frameSize : 0;
+  for (let i = 0; i < Math.min(hopSize, covered); i++) {
+    output[i] = samples[i];
+  }
+  for (let i = Math.max(covered - hopSize, 0); i < samples.length; i++) {
+    output[i] = samples[i];
+  }
+  return output;
+}
+
+/**
+ * 估计信噪比
+ * @param {Float32Array|Array} buffer - 音频缓冲区
+ * @param {Float32Array} noiseSpectrum - 噪声幅度谱
+ * @param {Object} options - 见 DEFAULT_NOISE_REDUCTION_OPTIONS
+ * @returns {number} SNR（dB）
+ */
+export function estimateSNR(buffer, noiseSpectrum, options = {}) {
+  const { frameSize, hopSize } = { ...DEFAULT_NOISE_REDUCTION_OPTIONS, ...options };
+  const frames = stft(toFloat32(buffer), frameSize, hopSize);
+  const noisePower = noiseSpectrumPower(noiseSpectrum, frameSize);
+  if (frames.length === 0 || noisePower <= 0) {
+    return null;
+  }
+
+  const magnitudes = new Float32Array(noiseSpectrum.length);
+  let totalPower = 0;
+  for (const frame of frames) {
+    for (let bin = 0; bin < magnitudes.length; bin++) {
+      magnitudes[bin] = magnitudeAt(frame, bin);
+    }
+    totalPower += spectrumPower(magnitudes, frameSize);
+  }
+  const signalPower = Math.max(totalPower / frames.length - noisePower, noisePower * 1e-3);
+  return 10 * Math.log10(signalPower / noisePower);
+}
@@ -0,0 +1,204 @@
+/**
+ * 呼噜声检测器
+ * ============
+ *
+ * 📋 模块功能概述：
+ * 呼噜声幅度低、频率低、持续时间长，YAMNet 的 "purr" 分数常常达不到猫叫阈值，
+ * 而 emotions.js 的能量规则只是"碰巧"把它归为 comfortable。
+ * 本检测器不依赖 YAMNet，直接寻找呼噜声的标志：25–150 Hz 的幅度调制（每次呼吸中声带的快速开合），
+ * 并要求它持续数秒。
+ *
+ * 🔍 检测算法：
+ * 1. 1ms 帧 RMS 得到 1 kHz 采样的包络
+ * 2. 去均值后计算归一化自相关，在 25–150 Hz 对应的滞后（7–40 帧）中取峰值 → 周期性与调制频率
+ * 3. 要求包络调制深度足够、频谱质心偏低、响度高于下限，得到每个缓冲区的呼噜分数
+ * 4. 滞回状态机：连续 onWindows 个缓冲区分数 ≥ onThreshold 且调制频率稳定 → 开始呼噜；
+ *    连续 offWindows 个缓冲区分数 < offThreshold → 结束
+ *
+ * 📊 输出状态：
+ * { purring, intensity (0-1), rate (Hz), periodicity (0-1), since, duration (ms) }
+ */
+
+import { SAMPLE_RATE, calculateRMS, extractSpectralFeatures } from './features.js';
+import { systemClock } from './clock.js';
+
+// 默认检测参数
+export const DEFAULT_PURR_OPTIONS = {
+  sampleRate: SAMPLE_RATE,
+  envelopeFrameMs: 1,       // 包络帧长（1ms → 1 kHz 包络采样率）
+  minRate: 25,              // 调制频率下限（Hz）
+  maxRate: 150,             // 调制频率上限（Hz）
+  minDepth: 0.2,            // 包络调制深度下限（标准差 / 均值）
+  minRMS: 0.002,            // 响度下限
+  maxCentroid: 2500,        // 频谱质心上限（Hz），呼噜声能量集中在低频
+  onThreshold: 0.5,         // 开启分数
+  offThreshold: 0.3,        // 关闭分数
+  onWindows: 3,             // 连续 3 个缓冲区（约3秒）满足才开启
+  offWindows: 2,            // 连续 2 个缓冲区不满足才关闭
+  rateTolerance: 0.2,       // 开启所需的调制频率一致性（相对偏差）
+  fullScaleRMS: 0.05        // 强度 = RMS / fullScaleRMS
+};
+
+/**
+ * 分析一个缓冲区的呼噜声特征
+ * @param {Float32Array|Array} buffer - 音频缓冲区
+ * @param {Object} options - 检测参数，见 DEFAULT_PURR_OPTIONS
+ * @returns {Object} { score, periodicity, rate, depth, rms, centroid }
+ */
+export function analysePurr(buffer, options = {}) {
+  const config = { ...DEFAULT_PURR_OPTIONS, ...options };
+  const samples = buffer instanceof Float32Array ? buffer : Float32Array.from(buffer);
+  const frameLength = Math.max(1, Math.round(config.sampleRate * config.envelopeFrameMs / 1000));
+  const envelopeRate = config.sampleRate / frameLength;
+
+  // 1ms 包络
+  const envelope = new Float32Array(Math.floor(samples.length / frameLength));
+  for (let i = 0; i < envelope.length; i++) {
+    envelope[i] = calculateRMS(samples.subarray(i * frameLength, (i + 1) * frameLength));
+  }
+
+  const rms = calculateRMS(samples);
+  const empty = { score: 0, periodicity: 0, rate: null, depth: 0, rms, centroid: null };
+  const maxLag = Math.ceil(envelopeRate / config.minRate);
+  const minLag = Math.max(1, Math.floor(envelopeRate / config.maxRate));
+  if (envelope.length < maxLag * 4 || rms < config.minRMS) {
+    return empty;
+  }
+
+  // 去均值，计算调制深度
+  const mean = envelope.reduce((sum, v) => sum + v, 0) / envelope.length;
+  let variance = 0;
+  for (let i = 0; i < envelope.length; i++) {
+    envelope[i] -= mean;
+    variance += envelope[i] * envelope[i];
+  }
+  const depth = mean > 0 ? Math.sqrt(variance / envelope.length) / mean : 0;
+  if (variance === 0) {
+    return { ...empty, depth };
+  }
+
+  // 25–150 Hz 滞后范围内的归一化自相关峰值
+  let bestLag = -1;
+  let periodicity = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = 0; i + lag < envelope.length; i++) {
+      sum += envelope[i] * envelope[i + lag];
+    }
+    const correlation = sum / variance;
+    if (correlation > periodicity) {
+      periodicity = correlation;
+      bestLag = lag;
+    }
+  }
+
+  const { spectralCentroid: centroid } = extractSpectralFeatures(samples);
+  const isCandidate = depth >= config.minDepth && centroid <= config.maxCentroid && bestLag > 0;
+
+  return {
+    score: isCandidate ? Math.min(1, periodicity) : 0,
+    periodicity: Math.max(0, periodicity),
+    rate: bestLag > 0 ? envelopeRate / bestLag : null,
+    depth,
+    rms,
+    centroid
+  };
+}
+
+/**
+ * 流式呼噜声检测器
+ * 每个音频缓冲区调用一次 process()，返回当前呼噜状态
+ */
+export class PurrDetector {
+  /**
+   * 构造函数
+   * @param {Object} options - 检测参数，见 DEFAULT_PURR_OPTIONS（clock: 时钟，见 clock.js，默认 systemClock）
+   */
+  constructor(options = {}) {
+    const { clock, ...detectorOptions } = options;
+    this.clock = clock || systemClock;
+    this.config = { ...DEFAULT_PURR_OPTIONS, ...detectorOptions };
+    this.reset();
+  }
+
+  /**
+   * 重置状态
+   */
+  reset() {
+    this.history = [];
+    this.state = {
+      purring: false,
+      intensity: 0,
+      rate: null,
+      periodicity: 0,
+      since: null,
+      duration: 0
+    };
+  }
+
+  /**
+   * 处理一个音频缓冲区
+   * @param {Float32Array|Array} buffer - 音频缓冲区
+   * @param {number} timestamp - 时间戳（默认取时钟时间）
+   * @returns {Object} 呼噜状态
+   */
+  process(buffer, timestamp = this.clock.now()) {
+    const analysis = analysePurr(buffer, this.config);
+    const { onWindows, offWindows } = this.config;
+
+    this.history.push(analysis);
+    if (this.history.length > Math.max(onWindows, offWindows)) {
+      this.history.shift();
+    }
+
+    if (!this.state.purring && this.shouldStart()) {
+      this.state.purring = true;
+      this.state.since = timestamp;
+    } else if (this.state.purring && this.shouldStop()) {
+      this.state.purring = false;
+      this.state.since = null;
+    }
+
+    this.state.periodicity = analysis.periodicity;
+    this.state.rate = analysis.rate;
+    this.state.intensity = this.state.purring
+      ? Math.min(1, analysis.rms / this.config.fullScaleRMS)
+      : 0;
+    this.state.duration = this.state.purring ? timestamp - this.state.since : 0;
+
+    return this.getState();
+  }
+
+  /**
+   * 最近 onWindows 个缓冲区都是稳定的呼噜声
+   * @returns {boolean}
+   */
+  shouldStart() {
+    const recent = this.history.slice(-this.config.onWindows);
+    if (recent.length < this.config.onWindows ||
+        recent.some(item => item.score < this.config.onThreshold)) {
+      return false;
+    }
+    const rates = recent.map(item => item.rate);
+    const meanRate = rates.reduce((sum, r) => sum + r, 0) / rates.length;
+    return rates.every(rate => Math.abs(rate - meanRate) <= meanRate * this.config.rateTolerance);
+  }
+
+  /**
+   * 最近 offWindows 个缓冲区都不是呼噜声
+   * @returns {boolean}
+   */
+  shouldStop() {
+    const recent = this.history.slice(-this.config.offWindows);
+    return recent.length >= this.config.offWindows &&
+      recent.every(item => item.score < this.config.offThreshold);
+  }
+
+  /**
+   * 获取当前呼噜状态（副本）
+   * @returns {Object}
+   */
+  getState() {
+    return { ...this.state };
+  }
+}
@@ -0,0 +1,80 @@
+/**
+ * 会话回放脚本（Node）
+ * ====================
+ *
+ * 用法：
+ *   node replay-session.js <会话日志.ndjson> [--golden 文件] [--update] [--speed N] [--config 文件]
+ *
+ * 会话日志由 RN 通过 request_session_log 导出（见 session-recorder.js）。脚本把日志送进 MewtEngine
+ * （虚拟时钟，不需要摄像头、麦克风或 MediaPipe），打印产生的 sendToRN 消息和状态转换：
+ *
+ * - --golden：与 golden 文件（NDJSON 消息流）比较，有差异时打印差异并以退出码 1 结束
+ * - --update：把本次产生的消息流写入 golden 文件
+ * - --speed：回放速度倍数（1 = 原速），默认不等待
+ * - --config：JSON 文件，覆盖会话头中的引擎配置，例如 { "stateDebounceMs": 1500, "catDetectionThreshold": 0.4 }
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { replaySession, formatMessages, parseMessages, diffMessages, formatDiff } from './session-replay.js';
+
+function parseArgs(argv) {
+  const args = { log: null, golden: null, update: false, speed: Infinity, config: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--golden') {
+      args.golden = argv[++i];
+    } else if (argv[i] === '--update') {
+      args.update = true;
+    } else if (argv[i] === '--speed') {
+      args.speed = Number(argv[++i]);
+    } else if (argv[i] === '--config') {
+      args.config = argv[++i];
+    } else {
+      args.log = argv[i];
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const { log, golden, update, speed, config } = parseArgs(process.argv.slice(2));
+  if (!log || (update && !golden)) {
+    console.error('用法: node replay-session.js <会话日志.ndjson> [--golden 文件] [--update] [--speed N] [--config 文件]');
+    process.exit(1);
+  }
+
+  const engineConfig = config ? JSON.parse(await readFile(config, 'utf8')) : {};
+  const result = await replaySession(await readFile(log, 'utf8'), { speed, engineConfig });
+
+  console.log(`📼 会话 ${result.header.sessionId}，时长 ${(result.duration / 1000).toFixed(1)}s`);
+  console.log(`   状态转换（录制）: ${result.recordedTransitions.map(({ t, state }) => `${t}:${state}`).join(' ') || '无'}`);
+  console.log(`   状态转换（回放）: ${result.transitions.map(({ t, state }) => `${t}:${state}`).join(' ') || '无'}`);
+  console.log(`   RN 消息: ${result.messages.length} 条`);
+
+  if (!golden) {
+    result.messages.forEach(message => {
+      console.log(`   ${message.t} [${message.type}] ${message.state} ${message.text}`);
+    });
+    return;
+  }
+
+  if (update) {
+    await writeFile(golden, formatMessages(result.messages));
+    console.log(`💾 golden 文件已更新: ${golden}`);
+    return;
+  }
+
+  const diff = diffMessages(result.messages, parseMessages(await readFile(golden, 'utf8')));
+  if (diff.length === 0) {
+    console.log(`✅ 与 golden 文件一致: ${golden}`);
+    return;
+  }
+
+  console.log(`❌ 与 golden 文件不一致（${diff.length} 处）:`);
+  console.log(formatDiff(diff));
+  process.exit(1);
+}
+
+main().catch(error => {
+  console.error('❌ 回放失败:', error.message);
+  process.exit(1);
+});
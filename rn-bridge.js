@@ -5,28 +5,64 @@
  * 
  * 消息格式：
  * {
- *   type: 'chat_message' | 'status_update' | 'debug_log',
+ *   type: 'chat_message' | 'status_update' | 'debug_log' | 'session_log',
  *   text: '那里有只小猫',
  *   source: 'state' | 'vlm' | 'photo' | 'system',
- *   state: 'idle' | 'cat_visual' | 'cat_audio' | 'cat_both',
+ *   state: 'idle' | 'cat_visual' | 'cat_audio' | 'cat_both'
+ *        | 'cat_approaching' | 'cat_leaving' | 'cat_resting' | 'cat_active' | 'multiple_cats' | 'other_animal',
  *   timestamp: 1699999999999,
- *   metadata: { hasCat, hasVisual, hasAudio, confidence?, vlmLocked? }
+ *   metadata: { hasCat, hasVisual, hasAudio, coreState?, confidence?, vlmLocked?, vlm? }
  * }
  * 
+ * metadata.vlm 为锁定中的 VLM 结构化结果（见 vlm-schema.js）：
+ * { hasCat, catCount, posture, activity, location, caption, confidence }
+ * VLM 结论修正状态时，metadata 附带 { corrected: true, correctionSource: 'vlm', correctionReason }
+ * 
+ * 音频 VLM 对猫叫的解读：source 为 'vlm'，text 为 '猫叫解读:{caption}'，
+ * metadata: { channel: 'audio', audioVlm: { isCat, vocalisation, emotion, category, caption, confidence }, provider }
+ * 
+ * state 为扩展状态时，metadata.coreState 给出对应的原四状态（idle/cat_visual/cat_audio/cat_both），
+ * 只认识四状态的 RN 端可以继续使用它。
+ * 
+ * 会话日志（响应 request_session_log）：type 为 'session_log'，
+ * metadata: { sessionLog: NDJSON 字符串, sessionId, eventCount, chunkIndex, chunkCount }
+ * 日志较大时按行分片为多条消息（chunkIndex 从 0 开始），按 chunkIndex 顺序拼接 sessionLog 即为完整日志
+ * 
+ * 消息监听：addRNMessageListener(listener) 可以收到每条发出的消息（会话回放、测试用），
+ * 没有 window（Node）时只通知监听器。
+ * 
  * 最新改动 (2025-10-21):
  * - type 字段直接区分消息类别（chat_message/status_update/debug_log）
  * - 根据 source、state、metadata 自动决定 type 值
  * - 奥卡姆剃刀原则：简化消息分类逻辑
  */
 
+// 消息监听器（会话回放在 Node 中收集引擎发出的消息）
+const listeners = new Set();
+
+/**
+ * 注册消息监听器
+ * @param {Function} listener - (message) => void
+ * @returns {Function} 取消注册的函数
+ */
+export function addRNMessageListener(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
 /**
  * 决定消息类型
  * @param {string} source - 消息来源
  * @param {string} state - 当前状态
  * @param {object} metadata - 元数据
- * @returns {string} - 'chat_message' | 'status_update'
+ * @returns {string} - 'chat_message' | 'status_update' | 'session_log'
  */
 function determineMessageType(source, state, metadata) {
+  // 会话日志导出 - 独立类型，RN 端直接保存，不进入聊天界面
+  if (metadata?.sessionLog !== undefined) {
+    return 'session_log';
+  }
+  
   // VLM锁定的消息 - 最高优先级，无论source是什么都显示
   // 这确保VLM分析结果始终显示在聊天界面
   if (metadata?.vlmLocked === true) {
@@ -70,9 +106,10 @@ function sendToRN(text, source, state, metadata = {}) {
     metadata       // 额外信息
   };
   
-  if (window.ReactNativeWebView) {
+  if (typeof window !== 'undefined' && window.ReactNativeWebView) {
     window.ReactNativeWebView.postMessage(JSON.stringify(message));
   }
+  listeners.forEach(listener => listener(message));
   console.log('[→ RN]', message);
 }
 
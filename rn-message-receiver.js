@@ -4,6 +4,10 @@
  * 上行消息格式 (RN → WebView):
  * - { type: 'take_photo', timestamp }
  * - { type: 'deep_mewt_toggle', enabled }
+ * - { type: 'visibility_change', visible }
+ * - { type: 'start_calibration', ambientMs?, referenceMs?, referenceRMS?, referenceCentroid?, reset? }
+ * - { type: 'cancel_calibration' }  // 取消进行中的校准（reset 同时清除已保存的档案）
+ * - { type: 'request_session_log', sessionId? }  // 回复 type: 'session_log'（NDJSON 分片，见 rn-bridge.js、session-recorder.js）
  * 
  * 使用方式:
  * ```
@@ -63,6 +67,12 @@ class RNMessageReceiver {
       }
     };
     
+    // Node（会话回放、测试）中没有 window，消息由调用方直接传给引擎
+    if (typeof window === 'undefined') {
+      console.log('[RN Receiver] No window, listeners not attached');
+      return;
+    }
+    
     // 同时监听 window 和 document - 兼容不同平台
     // iOS: 通常使用 window.addEventListener
     // Android: 可能使用 document.addEventListener
@@ -0,0 +1,245 @@
+/**
+ * 猫叫声分段检测器
+ * ==================
+ *
+ * 📋 模块功能概述：
+ * ScriptProcessor 每次交付约1秒（16384采样点）的音频，其中混有静音、背景噪声和真正的猫叫。
+ * 本模块基于"短时能量 + 频谱通量"的起止点检测，把缓冲区切分为独立的发声段，
+ * 使特征提取和情绪分类只作用在猫叫本身上。
+ *
+ * 🔍 检测算法：
+ * 1. 以32ms帧、16ms步长计算每帧RMS能量和正向频谱通量
+ * 2. 用低分位数估计本缓冲区的噪声底，得到开启/关闭两个能量阈值（滞回）
+ * 3. 能量超过开启阈值，或能量超过关闭阈值且频谱通量突增 → 起点
+ * 4. 能量持续低于关闭阈值超过保持帧数 → 终点
+ * 5. 合并间隔过短的段，丢弃过短的段
+ *
+ * 📊 输出（采样点与秒两种单位）：
+ * [{ start, end, startTime, endTime, duration, peakRMS }]
+ *
+ * 🎭 叫声模式：
+ * - single：单次短促发声（如 chirp）
+ * - repeated：多次发声（如连续的嚎叫）
+ * - continuous：没有独立发声段（如贯穿整个缓冲区的持续声音），整个缓冲区作为一段分析
+ */
+
+import { SAMPLE_RATE, calculateSpectrogram, calculateRMS } from './features.js';
+
+// 默认分段参数
+export const DEFAULT_SEGMENTATION_OPTIONS = {
+  sampleRate: SAMPLE_RATE,
+  frameSize: 512,          // 32ms
+  hopSize: 256,            // 16ms
+  noisePercentile: 0.2,    // 噪声底取帧能量的20%分位
+  onsetRatio: 4,           // 开启阈值 = 噪声底 × 4
+  offsetRatio: 2,          // 关闭阈值 = 噪声底 × 2
+  minOnsetRMS: 0.003,      // 开启阈值下限，避免安静环境中把噪声当作猫叫
+  fluxSensitivity: 3,      // 频谱通量阈值 = 中位数 + 3 × MAD
+  hangoverFrames: 3,       // 低于关闭阈值持续3帧才算结束
+  minGapMs: 60,            // 间隔小于60ms的相邻段合并
+  minDurationMs: 60        // 短于60ms的段丢弃
+};
+
+const percentile = (values, p) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+/**
+ * 取出发声段对应的采样数据（不复制）
+ * @param {Float32Array|Array} buffer - 原始音频缓冲区
+ * @param {Object} segment - 分段结果 {start, end}
+ * @returns {Float32Array} 段内采样
+ */
+export function getSegmentSamples(buffer, segment) {
+  const samples = buffer instanceof Float32Array ? buffer : Float32Array.from(buffer);
+  return samples.subarray(segment.start, segment.end);
+}
+
+/**
+ * 将音频缓冲区切分为独立的发声段
+ * @param {Float32Array|Array} buffer - 原始音频缓冲区
+ * @param {Object} options - 分段参数，见 DEFAULT_SEGMENTATION_OPTIONS
+ * @returns {Array} 发声段列表 [{start, end, startTime, endTime, duration, peakRMS}]
+ */
+export function segmentVocalisations(buffer, options = {}) {
+  const config = { ...DEFAULT_SEGMENTATION_OPTIONS, ...options };
+  const { sampleRate, frameSize, hopSize } = config;
+
+  if (!buffer || buffer.length < frameSize) {
+    return [];
+  }
+
+  const samples = buffer instanceof Float32Array ? buffer : Float32Array.from(buffer);
+  const { frames } = calculateSpectrogram(samples, { frameSize, hopSize, sampleRate });
+
+  // 逐帧能量与正向频谱通量
+  const energies = frames.map((_, index) =>
+    calculateRMS(samples.subarray(index * hopSize, index * hopSize + frameSize)));
+  const fluxes = frames.map((magnitudes, index) => {
+    if (index === 0) return 0;
+    const previous = frames[index - 1];
+    let flux = 0;
+    for (let i = 0; i < magnitudes.length; i++) {
+      const rise = magnitudes[i] - previous[i];
+      if (rise > 0) flux += rise;
+    }
+    return flux;
+  });
+
+  // 自适应阈值（滞回）
+  const noiseFloor = percentile(energies, config.noisePercentile);
+  const onsetThreshold = Math.max(noiseFloor * config.onsetRatio, config.minOnsetRMS);
+  const offsetThreshold = Math.max(noiseFloor * config.offsetRatio, config.minOnsetRMS / 2);
+  const fluxMedian = percentile(fluxes, 0.5);
+  const fluxMAD = percentile(fluxes.map(f => Math.abs(f - fluxMedian)), 0.5);
+  const fluxThreshold = fluxMedian + config.fluxSensitivity * fluxMAD;
+
+  // 起止点状态机
+  const rawSegments = [];
+  let activeStart = -1;
+  let silentFrames = 0;
+  for (let i = 0; i < frames.length; i++) {
+    const isOnset = energies[i] > onsetThreshold ||
+      (energies[i] > offsetThreshold && fluxes[i] > fluxThreshold && fluxThreshold > 0);
+
+    if (activeStart === -1) {
+      if (isOnset) {
+        activeStart = i;
+        silentFrames = 0;
+      }
+    } else if (energies[i] < offsetThreshold) {
+      silentFrames++;
+      if (silentFrames >= config.hangoverFrames) {
+        rawSegments.push([activeStart, i - silentFrames]);
+        activeStart = -1;
+      }
+    } else {
+      silentFrames = 0;
+    }
+  }
+  if (activeStart !== -1) {
+    rawSegments.push([activeStart, frames.length - 1 - silentFrames]);
+  }
+
+  // 帧序号 → 采样点，合并过近的段
+  const minGap = (config.minGapMs / 1000) * sampleRate;
+  const merged = [];
+  for (const [firstFrame, lastFrame] of rawSegments) {
+    const start = firstFrame * hopSize;
+    const end = Math.min(samples.length, lastFrame * hopSize + frameSize);
+    const previous = merged[merged.length - 1];
+    if (previous && start - previous.end < minGap) {
+      previous.end = Math.max(previous.end, end);
+      previous.lastFrame = lastFrame;
+    } else {
+      merged.push({ start, end, firstFrame, lastFrame });
+    }
+  }
+
+  // 丢弃过短的段并补充时间信息
+  const minDuration = (config.minDurationMs / 1000) * sampleRate;
+  return merged
+    .filter(segment => segment.end - segment.start >= minDuration)
+    .map(({ start, end, firstFrame, lastFrame }) => ({
+      start,
+      end,
+      startTime: start / sampleRate,
+      endTime: end / sampleRate,
+      duration: (end - start) / sampleRate,
+      peakRMS: Math.max(...energies.slice(firstFrame, lastFrame + 1))
+    }));
+}
+
+/**
+ * 汇总发声段：叫声次数、时长和模式
+ * @param {Array} segments - 分段结果
+ * @returns {Object} { count, durations, totalDuration, pattern }
+ */
+export function summariseCalls(segments) {
+  const durations = segments.map(segment => segment.duration);
+  return {
+    count: segments.length,
+    durations,
+    totalDuration: durations.reduce((sum, d) => sum + d, 0),
+    pattern: segments.length === 0 ? 'none' : segments.length === 1 ? 'single' : 'repeated'
+  };
+}
+
+/**
+ * 从逐段分类结果中选出主情绪：专用警告检测器（哈气/低吼）触发的段优先，
+ * 其余按置信度最高者，置信度相同时取更响的段
+ * @param {Array} analysedSegments - [{...segment, emotion}]
+ * @returns {Object|null} 主发声段
+ */
+export function pickPrimarySegment(analysedSegments) {
+  let primary = null;
+  for (const segment of analysedSegments) {
+    if (!segment.emotion) continue;
+    const warning = !!segment.emotion.detector;
+    const primaryWarning = !!(primary && primary.emotion.detector);
+    if (warning !== primaryWarning) {
+      if (warning) primary = segment;
+      continue;
+    }
+    if (!primary ||
+        segment.emotion.confidence > primary.emotion.confidence ||
+        (segment.emotion.confidence === primary.emotion.confidence &&
+         segment.peakRMS > primary.peakRMS)) {
+      primary = segment;
+    }
+  }
+  return primary;
+}
+
+/**
+ * 逐段提取特征并分类情绪
+ * 没有检测到独立发声段时（如贯穿整个缓冲区的持续声音），退回整段分析
+ * @param {Float32Array|Array} buffer - 原始音频缓冲区
+ * @param {Function} extractFeatures - (samples) => features|null
+ * @param {Function} classify - (features) => emotionResult|null
+ * @param {Object} options - 分段参数
+ * @returns {Object} { primary, analysedSegments, calls }
+ */
+export function classifySegments(buffer, extractFeatures, classify, options = {}) {
+  const sampleRate = options.sampleRate || SAMPLE_RATE;
+  const segments = segmentVocalisations(buffer, options);
+
+  const targets = segments.length > 0 ? segments : [{
+    start: 0,
+    end: buffer.length,
+    startTime: 0,
+    endTime: buffer.length / sampleRate,
+    duration: buffer.length / sampleRate,
+    peakRMS: calculateRMS(buffer)
+  }];
+
+  const analysedSegments = targets.map(segment => {
+    const features = extractFeatures(getSegmentSamples(buffer, segment));
+    return {
+      ...segment,
+      features,
+      emotion: features ? classify(features) : null
+    };
+  });
+
+  // 叫声统计与 segments 描述同一批分析过的段（整段回退时 count 为 1，pattern 为 continuous）
+  const calls = {
+    ...summariseCalls(targets),
+    ...(segments.length === 0 && { pattern: 'continuous' }),
+    segments: analysedSegments.map(({ startTime, endTime, duration, emotion }) => ({
+      startTime,
+      endTime,
+      duration,
+      emotionId: emotion ? emotion.emotionId : null,
+      confidence: emotion ? emotion.confidence : 0
+    }))
+  };
+
+  return {
+    primary: pickPrimarySegment(analysedSegments),
+    analysedSegments,
+    calls
+  };
+}
@@ -0,0 +1,519 @@
+/**
+ * 会话录制器
+ * ==========
+ *
+ * 📋 模块功能概述：
+ * 现场 bug 无法复现，是因为没有任何地方记录分类器当时看到了什么。本模块在 MewtEngine 的
+ * handleImageResult / handleAudioResult 上录制紧凑的带时间戳日志，写入 IndexedDB，
+ * 并可以导出为 NDJSON（每行一个 JSON）附在 bug 报告里，之后在 Node 中回放。
+ *
+ * 🗂️ 事件（时间戳 t 取自引擎时钟，见 clock.js）：
+ * - { t, type: 'image', categories: [[name, score], ...] }
+ * - { t, type: 'audio', categories: [[name, score], ...], buffer?: base64 Int16 PCM, length? }
+ * - { t, type: 'rn_message', message }            // RN → WebView 消息
+ * - { t, type: 'state', state, previous, coreState, reason? } // 状态转换（reason 为 VLM 修正原因）
+ * - { t, type: 'vlm', text, data, provider?, channel?, trigger? } // VLM 结构化结论（回放时重新送入引擎；
+ *   channel: 'audio' 为猫叫解读，trigger 为视觉调用的触发原因 appeared / lost）
+ *
+ * 📄 NDJSON 第一行为会话头：
+ * { type: 'session', version: 1, sessionId, startedAt, meta }
+ *
+ * 💾 存储：
+ * - 浏览器中写入 IndexedDB（按会话索引），事件先进入内存队列，每 flushIntervalMs 批量写入一次
+ * - 没有 IndexedDB 时（Node、隐私模式）退回内存存储，接口不变
+ * - 每个会话最多保留 maxEvents 条事件，超出 pruneMargin（默认 10%）后一次性丢弃最旧的，不必每次写入都清理
+ * - start() 时删除超过 maxSessions 个或早于 maxSessionAgeMs 的旧会话，存储不会随启动次数无限增长
+ * - 音频缓冲区体积大，默认不录制（recordAudioBuffers: true 开启，存为 16 位 PCM）
+ */
+
+import { systemClock } from './clock.js';
+
+export const SESSION_LOG_VERSION = 1;
+
+// 默认录制参数
+export const DEFAULT_RECORDER_OPTIONS = {
+  dbName: 'mewt-sessions',
+  storeName: 'events',
+  recordAudioBuffers: false,
+  maxEvents: 20000,           // 每个会话最多保留的事件数
+  pruneMargin: 0.1,           // 超出 maxEvents 的比例达到该值时才清理（清理后回到 maxEvents）
+  maxSessions: 10,            // 最多保存的会话数（含当前会话）
+  maxSessionAgeMs: 7 * 24 * 60 * 60 * 1000, // 会话最长保存时间
+  flushIntervalMs: 1000,      // 批量写入间隔
+  scorePrecision: 4           // 分数保留的小数位
+};
+
+const roundScore = (score, precision) => {
+  const factor = Math.pow(10, precision);
+  return Math.round(score * factor) / factor;
+};
+
+/**
+ * 将分类结果压缩为 [[name, score], ...]
+ * @param {Array} categories - [{ categoryName, score }] 或 [{ class, score }]
+ * @param {number} precision - 分数保留的小数位
+ * @returns {Array}
+ */
+export function compactCategories(categories, precision = DEFAULT_RECORDER_OPTIONS.scorePrecision) {
+  return (categories || []).map(item => [
+    item.categoryName !== undefined ? item.categoryName : item.class,
+    roundScore(item.score, precision)
+  ]);
+}
+
+/**
+ * 还原为 MediaPipe 格式的分类结果 [{ categoryName, score }]
+ * @param {Array} compact - [[name, score], ...]
+ * @returns {Array}
+ */
+export function expandCategories(compact) {
+  return (compact || []).map(([categoryName, score]) => ({ categoryName, score }));
+}
+
+/**
+ * Float32 音频编码为 base64 的 16 位 PCM
+ * @param {Float32Array|Array} samples - 音频采样（-1~1）
+ * @returns {string}
+ */
+export function encodeAudioBuffer(samples) {
+  const pcm = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.max(-1, Math.min(1, samples[i]));
+    pcm[i] = value < 0 ? value * 0x8000 : value * 0x7fff;
+  }
+
+  const bytes = new Uint8Array(pcm.buffer);
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+/**
+ * base64 的 16 位 PCM 解码为 Float32 音频
+ * @param {string} encoded - encodeAudioBuffer() 的输出
+ * @returns {Float32Array}
+ */
+export function decodeAudioBuffer(encoded) {
+  const binary = atob(encoded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+
+  const pcm = new Int16Array(bytes.buffer, 0, Math.floor(bytes.length / 2));
+  const samples = new Float32Array(pcm.length);
+  for (let i = 0; i < pcm.length; i++) {
+    samples[i] = pcm[i] < 0 ? pcm[i] / 0x8000 : pcm[i] / 0x7fff;
+  }
+  return samples;
+}
+
+/**
+ * 解析 NDJSON 会话日志
+ * @param {string} ndjson - exportNDJSON() 的输出
+ * @returns {Object} { header, events }
+ */
+export function parseSessionLog(ndjson) {
+  const lines = ndjson.split('\n').filter(line => line.trim().length > 0);
+  if (lines.length === 0) {
+    throw new Error('会话日志为空');
+  }
+
+  const header = JSON.parse(lines[0]);
+  if (header.type !== 'session') {
+    throw new Error('会话日志缺少会话头');
+  }
+  if (header.version > SESSION_LOG_VERSION) {
+    throw new Error(`不支持的会话日志版本: ${header.version}`);
+  }
+
+  return { header, events: lines.slice(1).map(line => JSON.parse(line)) };
+}
+
+/**
+ * 按行把 NDJSON 切分为不超过 maxChars 的分片（每个分片都是完整的行，超长的单行单独成片）
+ * 用于通过 postMessage 分批发送大日志，接收方按顺序拼接即可还原
+ * @param {string} ndjson - exportNDJSON() 的输出
+ * @param {number} maxChars - 每个分片的最大字符数
+ * @returns {Array<string>}
+ */
+export function splitSessionLog(ndjson, maxChars) {
+  const chunks = [];
+  let current = '';
+  for (const line of ndjson.split('\n').filter(item => item.length > 0)) {
+    if (current.length > 0 && current.length + line.length + 1 > maxChars) {
+      chunks.push(current);
+      current = '';
+    }
+    current += line + '\n';
+  }
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+// IndexedDB 请求包装为 Promise
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const promisifyTransaction = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+/**
+ * 会话录制器
+ */
+export class SessionRecorder {
+  /**
+   * @param {Object} options - 见 DEFAULT_RECORDER_OPTIONS，另可传 clock、indexedDB（默认全局 indexedDB）
+   */
+  constructor(options = {}) {
+    const { clock, indexedDB, ...rest } = options;
+    this.options = { ...DEFAULT_RECORDER_OPTIONS, ...rest };
+    this.clock = clock || systemClock;
+    this.idb = indexedDB !== undefined ? indexedDB : (globalThis.indexedDB || null);
+
+    this.session = null;
+    this.pending = [];
+    this.flushTimer = null;
+    this.dbPromise = null;
+
+    // 没有 IndexedDB 时的内存存储：sessionId -> { header, events }
+    this.memory = new Map();
+  }
+
+  /**
+   * 开始新会话
+   * @param {Object} meta - 会话元数据（如引擎配置摘要、userAgent）
+   * @returns {string} sessionId
+   */
+  start(meta = {}) {
+    const startedAt = this.clock.now();
+    const sessionId = `session_${startedAt}_${Math.random().toString(36).slice(2, 8)}`;
+    this.session = {
+      type: 'session',
+      version: SESSION_LOG_VERSION,
+      sessionId,
+      startedAt,
+      meta
+    };
+    this.eventCount = 0;
+
+    if (this.idb) {
+      this.writeHeader(this.session)
+        .then(() => this.pruneSessions(startedAt))
+        .catch(error => console.error('[Recorder] 写入会话头失败:', error));
+    } else {
+      this.memory.set(sessionId, { header: this.session, events: [] });
+      this.pruneSessions(startedAt).catch(error => console.error('[Recorder] 清理旧会话失败:', error));
+    }
+    return sessionId;
+  }
+
+  /**
+   * 超过清理阈值（maxEvents × (1 + pruneMargin)）
+   * @param {number} count - 当前事件数
+   * @returns {boolean}
+   */
+  needsPrune(count) {
+    return count > Math.floor(this.options.maxEvents * (1 + this.options.pruneMargin));
+  }
+
+  /**
+   * 记录图像分类结果
+   * @param {Array} categories - MediaPipe 分类结果 [{ categoryName, score }]
+   */
+  recordImage(categories) {
+    this.record('image', { categories: compactCategories(categories, this.options.scorePrecision) });
+  }
+
+  /**
+   * 记录音频分类结果（recordAudioBuffers 开启时附带原始音频）
+   * @param {Array} categories - MediaPipe 分类结果 [{ categoryName, score }]
+   * @param {Float32Array} audioBuffer - 原始音频（可选）
+   */
+  recordAudio(categories, audioBuffer = null) {
+    const event = { categories: compactCategories(categories, this.options.scorePrecision) };
+    if (audioBuffer) {
+      event.length = audioBuffer.length;
+      if (this.options.recordAudioBuffers) {
+        event.buffer = encodeAudioBuffer(audioBuffer);
+      }
+    }
+    this.record('audio', event);
+  }
+
+  /**
+   * 记录收到的 RN 消息
+   * @param {Object} message - RN → WebView 消息
+   */
+  recordRNMessage(message) {
+    this.record('rn_message', { message });
+  }
+
+  /**
+   * 记录状态转换
+   * @param {string} state - 新状态
+   * @param {string} previous - 旧状态
+   * @param {string} coreState - 新状态对应的原四状态
+   * @param {string|null} reason - 修正原因（VLM 修正状态时）
+   */
+  recordState(state, previous, coreState = state, reason = null) {
+    this.record('state', { state, previous, coreState, ...(reason && { reason }) });
+  }
+
+  /**
+   * 记录 VLM 结论
+   * @param {Object} result - VLMChannel.analyze() 的结果 { text, data, provider? }
+   * @param {string} channel - 'vision'（默认，不写入日志）| 'audio'
+   * @param {string|null} trigger - 触发原因（'appeared' | 'lost'）
+   */
+  recordVLM(result, channel = 'vision', trigger = null) {
+    this.record('vlm', {
+      text: result.text,
+      data: result.data,
+      ...(result.provider && { provider: result.provider }),
+      ...(channel !== 'vision' && { channel }),
+      ...(trigger && { trigger })
+    });
+  }
+
+  /**
+   * 记录一条事件
+   * @param {string} type - 事件类型
+   * @param {Object} data - 事件内容
+   */
+  record(type, data) {
+    if (!this.session) return;
+
+    const event = { t: this.clock.now(), type, ...data };
+    this.eventCount++;
+
+    if (!this.idb) {
+      const { events } = this.memory.get(this.session.sessionId);
+      events.push(event);
+      if (this.needsPrune(events.length)) {
+        events.splice(0, events.length - this.options.maxEvents);
+      }
+      return;
+    }
+
+    this.pending.push(event);
+    if (!this.flushTimer) {
+      this.flushTimer = this.clock.setTimeout(() => {
+        this.flushTimer = null;
+        this.flush().catch(error => console.error('[Recorder] 写入事件失败:', error));
+      }, this.options.flushIntervalMs);
+    }
+  }
+
+  /**
+   * 把内存队列中的事件写入 IndexedDB
+   * @returns {Promise<number>} 写入的事件数
+   */
+  async flush() {
+    if (!this.idb || this.pending.length === 0 || !this.session) return 0;
+
+    const events = this.pending;
+    this.pending = [];
+    const sessionId = this.session.sessionId;
+
+    const db = await this.openDatabase();
+    const transaction = db.transaction(this.options.storeName, 'readwrite');
+    const store = transaction.objectStore(this.options.storeName);
+    events.forEach(event => store.add({ session: sessionId, event }));
+    await promisifyTransaction(transaction);
+
+    if (this.needsPrune(this.eventCount)) {
+      await this.prune(sessionId, this.options.maxEvents);
+    }
+    return events.length;
+  }
+
+  /**
+   * 导出会话为 NDJSON
+   * @param {string} sessionId - 会话 ID（默认当前会话）
+   * @returns {Promise<string>}
+   */
+  async exportNDJSON(sessionId = this.session && this.session.sessionId) {
+    if (!sessionId) {
+      throw new Error('没有可导出的会话');
+    }
+
+    let header;
+    let events;
+    if (this.idb) {
+      await this.flush();
+      ({ header, events } = await this.readSession(sessionId));
+    } else {
+      const stored = this.memory.get(sessionId);
+      if (!stored) {
+        throw new Error(`会话不存在: ${sessionId}`);
+      }
+      ({ header, events } = stored);
+    }
+
+    return [header, ...events].map(line => JSON.stringify(line)).join('\n') + '\n';
+  }
+
+  /**
+   * 列出已保存的会话头
+   * @returns {Promise<Array>}
+   */
+  async listSessions() {
+    if (!this.idb) {
+      return Array.from(this.memory.values()).map(({ header }) => header);
+    }
+
+    const db = await this.openDatabase();
+    const transaction = db.transaction('sessions', 'readonly');
+    return promisifyRequest(transaction.objectStore('sessions').getAll());
+  }
+
+  /**
+   * 删除所有已保存的会话（当前会话重新开始计数）
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.pending = [];
+    this.eventCount = 0;
+
+    if (!this.idb) {
+      this.memory.clear();
+      if (this.session) {
+        this.memory.set(this.session.sessionId, { header: this.session, events: [] });
+      }
+      return;
+    }
+
+    const db = await this.openDatabase();
+    const transaction = db.transaction([this.options.storeName, 'sessions'], 'readwrite');
+    transaction.objectStore(this.options.storeName).clear();
+    transaction.objectStore('sessions').clear();
+    if (this.session) {
+      transaction.objectStore('sessions').put(this.session);
+    }
+    await promisifyTransaction(transaction);
+  }
+
+  /**
+   * 停止录制，写入剩余事件
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.flushTimer) {
+      this.clock.clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+    await this.flush();
+    this.session = null;
+  }
+
+  /**
+   * 删除旧会话：只保留最新的 maxSessions 个（含当前会话），并删除早于 maxSessionAgeMs 的会话
+   * @param {number} timestamp - 当前时间戳
+   * @returns {Promise<Array>} 删除的 sessionId
+   */
+  async pruneSessions(timestamp = this.clock.now()) {
+    const current = this.session && this.session.sessionId;
+    const headers = (await this.listSessions())
+      .filter(header => header.sessionId !== current)
+      .sort((a, b) => b.startedAt - a.startedAt);
+    const keep = Math.max(0, this.options.maxSessions - (current ? 1 : 0));
+    const expired = headers
+      .filter((header, i) => i >= keep || timestamp - header.startedAt > this.options.maxSessionAgeMs)
+      .map(header => header.sessionId);
+    if (expired.length === 0) return expired;
+
+    if (!this.idb) {
+      expired.forEach(sessionId => this.memory.delete(sessionId));
+      return expired;
+    }
+
+    const db = await this.openDatabase();
+    const transaction = db.transaction([this.options.storeName, 'sessions'], 'readwrite');
+    const events = transaction.objectStore(this.options.storeName);
+    for (const sessionId of expired) {
+      transaction.objectStore('sessions').delete(sessionId);
+      const keys = await promisifyRequest(events.index('session').getAllKeys(sessionId));
+      keys.forEach(key => events.delete(key));
+    }
+    await promisifyTransaction(transaction);
+    return expired;
+  }
+
+  // ========== IndexedDB ==========
+
+  /**
+   * 打开（必要时创建）数据库
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDatabase() {
+    if (!this.dbPromise) {
+      const request = this.idb.open(this.options.dbName, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const events = db.createObjectStore(this.options.storeName, { keyPath: 'id', autoIncrement: true });
+        events.createIndex('session', 'session');
+        db.createObjectStore('sessions', { keyPath: 'sessionId' });
+      };
+      this.dbPromise = promisifyRequest(request);
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * 写入会话头
+   * @param {Object} header - 会话头
+   */
+  async writeHeader(header) {
+    const db = await this.openDatabase();
+    const transaction = db.transaction('sessions', 'readwrite');
+    transaction.objectStore('sessions').put(header);
+    await promisifyTransaction(transaction);
+  }
+
+  /**
+   * 读取一个会话的会话头和全部事件（按写入顺序）
+   * @param {string} sessionId - 会话 ID
+   * @returns {Promise<Object>} { header, events }
+   */
+  async readSession(sessionId) {
+    const db = await this.openDatabase();
+    const transaction = db.transaction([this.options.storeName, 'sessions'], 'readonly');
+    const header = await promisifyRequest(transaction.objectStore('sessions').get(sessionId));
+    if (!header) {
+      throw new Error(`会话不存在: ${sessionId}`);
+    }
+
+    const records = await promisifyRequest(
+      transaction.objectStore(this.options.storeName).index('session').getAll(sessionId)
+    );
+    records.sort((a, b) => a.id - b.id);
+    return { header, events: records.map(record => record.event) };
+  }
+
+  /**
+   * 只保留会话最新的 keep 条事件
+   * @param {string} sessionId - 会话 ID
+   * @param {number} keep - 保留条数
+   */
+  async prune(sessionId, keep) {
+    const db = await this.openDatabase();
+    const transaction = db.transaction(this.options.storeName, 'readwrite');
+    const index = transaction.objectStore(this.options.storeName).index('session');
+    const keys = await promisifyRequest(index.getAllKeys(sessionId));
+    keys.sort((a, b) => a - b).slice(0, Math.max(0, keys.length - keep))
+      .forEach(key => transaction.objectStore(this.options.storeName).delete(key));
+    await promisifyTransaction(transaction);
+    this.eventCount = Math.min(this.eventCount, keep);
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * 会话回放
+ * ========
+ *
+ * 📋 模块功能概述：
+ * 把 session-recorder.js 录制的 NDJSON 会话日志重新送进 MewtEngine：
+ * 图像 / 音频结果按原时间戳调用 handleImageResult / handleAudioResult，RN 消息调用 handleRNMessage，
+ * VLM 结论锁定文案后调用 handleVLMResult（音频通道的猫叫解读调用 handleAudioVLMResult），
+ * 同时收集引擎通过 sendToRN 发出的每条消息。引擎运行在 VirtualClock 上，
+ * 不需要摄像头、麦克风或 MediaPipe，可以直接在 Node 中运行。
+ *
+ * 产生的消息流可以保存为 golden 文件（NDJSON），修改阈值或防抖参数后重新回放并与之比较，
+ * 用作回归测试（命令行见 replay-session.js；fixtures/ 下的录制会话与 golden 文件由 test-context.js 测试16 校验）。
+ *
+ * ⏱️ 回放速度：
+ * - speed: Infinity（默认）：不等待，虚拟时间直接跳到下一个事件
+ * - speed: 1：按原速回放；speed: 4：4 倍速
+ * 无论速度如何，引擎看到的都是虚拟时间，产生的消息流相同。
+ * 输出中的时间 t 都是相对会话开始（header.startedAt）的毫秒数，golden 文件与录制时刻无关。
+ *
+ * 📊 使用示例：
+ * ```javascript
+ * const { messages, transitions } = await replaySession(ndjson, {
+ *   engineConfig: { stateDebounceMs: 1500 }
+ * });
+ * const diff = diffMessages(messages, parseMessages(golden));
+ * ```
+ */
+
+import { MewtEngine } from './mewt-engine.js';
+import { VirtualClock, systemClock } from './clock.js';
+import { addRNMessageListener } from './rn-bridge.js';
+import { parseSessionLog, expandCategories, decodeAudioBuffer } from './session-recorder.js';
+
+// 默认回放参数
+export const DEFAULT_REPLAY_OPTIONS = {
+  speed: Infinity,        // 回放速度倍数，Infinity 表示不等待
+  settleMs: 5000,         // 最后一个事件之后继续运行的时长（让防抖中的状态落定）
+  engineConfig: {},       // 覆盖会话头中的引擎配置（阈值、防抖等）
+  quiet: true             // 回放期间屏蔽引擎的 console.log / console.warn
+};
+
+/**
+ * 回放一个会话
+ * @param {string|Object} log - NDJSON 字符串，或 parseSessionLog() 的输出
+ * @param {Object} options - 见 DEFAULT_REPLAY_OPTIONS
+ * @returns {Promise<Object>} { header, messages, transitions, recordedTransitions, duration }
+ */
+export async function replaySession(log, options = {}) {
+  const { speed, settleMs, engineConfig, quiet } = { ...DEFAULT_REPLAY_OPTIONS, ...options };
+  const { header, events } = typeof log === 'string' ? parseSessionLog(log) : log;
+
+  const clock = new VirtualClock(header.startedAt);
+  const messages = [];
+  const transitions = [];
+
+  const originalLog = console.log;
+  const originalWarn = console.warn;
+  if (quiet) {
+    console.log = () => {};
+    console.warn = () => {};
+  }
+
+  const elapsed = () => clock.now() - header.startedAt;
+
+  // 顶层 timestamp 来自 Date.now()，改用虚拟时间 t；metadata.timestamp 来自引擎时钟，同样换成相对时间
+  const removeListener = addRNMessageListener(message => {
+    const { type, text, source, state } = message;
+    const metadata = { ...message.metadata };
+    if (Number.isFinite(metadata.timestamp)) {
+      metadata.timestamp -= header.startedAt;
+    }
+    messages.push(JSON.parse(JSON.stringify({ t: elapsed(), type, source, state, text, metadata })));
+  });
+
+  const engine = new MewtEngine({
+    ...header.meta,
+    clock,
+    enableServiceWorker: false,
+    vlmEnabled: false,
+    sessionRecording: false,
+    ...engineConfig,
+    onStateChange: (newState, oldState, correction) => {
+      transitions.push({ t: elapsed(), state: newState, previous: oldState, ...(correction && { reason: correction.reason }) });
+    }
+  });
+
+  try {
+    for (const event of events) {
+      if (Number.isFinite(speed) && event.t > clock.now()) {
+        await systemClock.sleep((event.t - clock.now()) / speed);
+      }
+      clock.advanceTo(event.t);
+      dispatchEvent(engine, event);
+    }
+
+    if (Number.isFinite(speed)) {
+      await systemClock.sleep(settleMs / speed);
+    }
+    clock.advance(settleMs);
+  } finally {
+    engine.destroy();
+    removeListener();
+    console.log = originalLog;
+    console.warn = originalWarn;
+  }
+
+  const recordedTransitions = events
+    .filter(event => event.type === 'state')
+    .map(({ t, state, previous, reason }) => ({ t: t - header.startedAt, state, previous, ...(reason && { reason }) }));
+
+  return {
+    header,
+    messages,
+    transitions,
+    recordedTransitions,
+    duration: elapsed()
+  };
+}
+
+/**
+ * 把一个录制事件送进引擎
+ * @param {MewtEngine} engine - 引擎
+ * @param {Object} event - 会话事件
+ */
+function dispatchEvent(engine, event) {
+  switch (event.type) {
+    case 'image':
+      engine.handleImageResult([{ categories: expandCategories(event.categories) }]);
+      break;
+
+    case 'audio':
+      engine.handleAudioResult(
+        [{ classifications: [{ categories: expandCategories(event.categories) }] }],
+        event.buffer ? decodeAudioBuffer(event.buffer) : null
+      );
+      break;
+
+    case 'rn_message':
+      engine.handleRNMessage(event.message);
+      break;
+
+    case 'vlm':
+      if (event.channel === 'audio') {
+        engine.vlmAudio.setLock(event.text, event.data);
+        engine.handleAudioVLMResult({ text: event.text, data: event.data, provider: event.provider });
+      } else {
+        engine.vlmVision.setLock(event.text, event.data);
+        engine.handleVLMResult({ text: event.text, data: event.data, provider: event.provider }, { trigger: event.trigger || null });
+      }
+      break;
+
+    case 'state':
+      // 录制时的状态转换只用于对比，不回放
+      break;
+
+    default:
+      console.warn('SessionReplay: 未知的事件类型', event.type);
+  }
+}
+
+/**
+ * 消息列表格式化为 NDJSON（golden 文件格式）
+ * @param {Array} messages - replaySession() 输出的 messages
+ * @returns {string}
+ */
+export function formatMessages(messages) {
+  return messages.map(message => JSON.stringify(message)).join('\n') + '\n';
+}
+
+/**
+ * 解析 golden 文件
+ * @param {string} ndjson - formatMessages() 的输出
+ * @returns {Array}
+ */
+export function parseMessages(ndjson) {
+  return ndjson.split('\n')
+    .filter(line => line.trim().length > 0)
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * 比较两条消息流（按最长公共子序列对齐，插入一条消息不会让后面的消息全部显示为不同）
+ * @param {Array} actual - 回放产生的消息
+ * @param {Array} expected - golden 文件中的消息
+ * @returns {Array} [{ kind: 'missing' | 'unexpected', index, message }]，相同时为空数组
+ */
+export function diffMessages(actual, expected) {
+  const a = actual.map(message => JSON.stringify(message));
+  const b = expected.map(message => JSON.stringify(message));
+
+  // lcs[i][j]：a[i..] 与 b[j..] 的最长公共子序列长度
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      i++;
+      j++;
+    } else if (j < b.length && (i >= a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      diff.push({ kind: 'missing', index: j, message: expected[j] });
+      j++;
+    } else {
+      diff.push({ kind: 'unexpected', index: i, message: actual[i] });
+      i++;
+    }
+  }
+  return diff;
+}
+
+/**
+ * 差异格式化为可读文本（- golden 中有但回放没有，+ 回放产生但 golden 中没有）
+ * @param {Array} diff - diffMessages() 的输出
+ * @returns {string}
+ */
+export function formatDiff(diff) {
+  return diff.map(({ kind, message }) => {
+    const sign = kind === 'missing' ? '-' : '+';
+    return `${sign} ${message.t} [${message.type}] ${message.state} ${message.text}`;
+  }).join('\n');
+}
@@ -1,7 +1,7 @@
 /**
  * 业务域：状态变化观察者系统
  * 业务域简述：使用观察者模式统一管理猫咪检测状态变化后的所有后续操作，
- *           包括 RN 消息发送、VLM 触发、日志记录、UI 通知、音频情绪分析等，提供可扩展的状态响应机制。
+ *           包括 RN 消息发送、VLM 触发（视觉 / 音频）、日志记录、UI 通知、音频情绪分析等，提供可扩展的状态响应机制。
  * 
  * 核心方法清单：
  * - 通知所有观察者 notify @state-change-observer.js#L36-L44
@@ -10,12 +10,18 @@
  * - 发送RN状态消息 RNMessengerObserver.notify @state-change-observer.js#L117-L147
  * - 发送RN情绪消息 AudioEmotionObserver.notify @state-change-observer.js#L166-L192
  * - 触发VLM分析 VLMTriggerObserver.notify @state-change-observer.js#L225-L262
+ * - 触发音频VLM分析 AudioVLMTriggerObserver.notify @state-change-observer.js#L305-L330
  * - 记录状态日志 LoggerObserver.notify @state-change-observer.js#L295-L302
  * - 通知UI更新 UINotifierObserver.notify @state-change-observer.js#L335-L342
  */
 
 import sendToRN from './rn-bridge.js';
 import { STATE_MESSAGES, AUDIO_MESSAGES } from './messages-config.js';
+import { DEFAULT_STATE_MACHINE } from './state-machine.js';
+
+// 事件中的状态定义（MewtEngine 传入当前状态机的定义，缺省时用默认定义）
+const getStateDefinition = (event, state) =>
+  (event.stateDefinitions || DEFAULT_STATE_MACHINE.states)[state] || null;
 
 /*
 方法名：状态变化观察者管理器
@@ -114,11 +120,12 @@ export class RNMessengerObserver extends StateChangeObserver {
   notify(event) {
     const { newState, oldState, text, vlmText, metadata = {} } = event;
     
-    // cat_audio 状态不发送（由 AudioEmotionObserver 处理）
-    if (newState === 'cat_audio') return;
+    // 消息文案为 null 的状态不发送（如 cat_audio，由 AudioEmotionObserver 处理）
+    const definition = getStateDefinition(event, newState);
+    if (definition && definition.message === null) return;
     
     // 使用 VLM 文本或默认文本
-    const finalText = vlmText || text || this.stateResponses[newState];
+    const finalText = vlmText || text || (definition ? definition.message : this.stateResponses[newState]);
     
     if (!finalText) return;
     
@@ -145,7 +152,8 @@ export class RNMessengerObserver extends StateChangeObserver {
 export class AudioEmotionObserver extends StateChangeObserver {
   /*
   方法名：发送音频情绪消息
-  方法简介：检测到猫叫时，提取情绪分析结果并发送格式化消息到 RN，包含情绪图标和名称。
+  方法简介：检测到猫叫时，提取情绪分析结果并发送格式化消息到 RN，包含情绪图标和名称，
+            以及候选情绪和各类别总分（软评分模式）。
   业务域关键词：情绪消息发送、猫叫情绪、音频分析、RN消息格式化
   Param: event - 状态变化事件对象
   */
@@ -167,6 +175,32 @@ export class AudioEmotionObserver extends StateChangeObserver {
         emotionTitle: emotion.title,
         emotionCategory: emotionResult.category.id,
         confidence: Math.round(confidence * 100),
+        callCount: emotionResult.calls ? emotionResult.calls.count : null,
+        callDurations: emotionResult.calls ? emotionResult.calls.durations : null,
+        callPattern: emotionResult.calls ? emotionResult.calls.pattern : null,
+        // 候选情绪（软评分模式下的 top-k 其余项）
+        alternatives: (emotionResult.alternatives || []).map(alt => ({
+          emotionId: alt.emotion.id,
+          emotionIcon: alt.emotion.icon,
+          emotionTitle: alt.emotion.title,
+          confidence: Math.round(alt.confidence * 100),
+          probability: Math.round(alt.probability * 100)
+        })),
+        categoryScores: emotionResult.categoryScores || null,
+        // 跨窗口平滑信息（EmotionTracker）
+        stability: emotionResult.stability !== undefined ? Math.round(emotionResult.stability * 100) : null,
+        observedEmotionId: emotionResult.observed ? emotionResult.observed.emotion.id : null,
+        // 信噪比（dB），低信噪比的检测可在 RN 端降权
+        snr: emotionResult.snr != null ? Math.round(emotionResult.snr * 10) / 10 : null,
+        // 哈气/低吼专用检测器（本窗口置信度，detector 为覆盖了通用规则的检测器）
+        detector: emotionResult.detector || null,
+        hissConfidence: emotionResult.detectors ? Math.round(emotionResult.detectors.hiss * 100) : null,
+        growlConfidence: emotionResult.detectors ? Math.round(emotionResult.detectors.growl * 100) : null,
+        // 呼噜声状态（PurrDetector）
+        emotionSource: emotionResult.source || 'vocalisation',
+        purring: !!(emotionResult.purr && emotionResult.purr.purring),
+        purrIntensity: emotionResult.purr ? Math.round(emotionResult.purr.intensity * 100) : null,
+        purrRate: emotionResult.purr && emotionResult.purr.rate ? Math.round(emotionResult.purr.rate) : null,
         timestamp: event.timestamp || Date.now()
       });
     } else {
@@ -200,16 +234,20 @@ export class VLMTriggerObserver extends StateChangeObserver {
 
   /*
   方法名：触发VLM分析
-  方法简介：检测状态变化是否涉及视觉检测，在猫咪出现或消失时触发 VLM 确认。
+  方法简介：检测状态变化是否涉及视觉检测，在猫咪出现或消失时触发 VLM 确认，结果附带触发原因
+            （appeared / lost，"猫离开" 时的 "没有猫" 结论不作为否决证据）；
+            VLM 结论修正的转换（event.corrected）不再触发新的 VLM 调用。
   业务域关键词：VLM分析、视觉确认、猫咪检测、状态触发
   Param: event - 状态变化事件对象
   */
   async notify(event) {
     const { newState, oldState, onVLMResult, onLog } = event;
     
-    // 判断是否涉及视觉检测
-    const hasVisual = newState === 'cat_visual' || newState === 'cat_both';
-    const hadVisual = oldState === 'cat_visual' || oldState === 'cat_both';
+    if (event.corrected) return;
+    
+    // 判断是否涉及视觉检测（状态定义中 visual: true 的状态）
+    const hasVisual = !!(getStateDefinition(event, newState) || {}).visual;
+    const hadVisual = !!(getStateDefinition(event, oldState) || {}).visual;
     
     if (hasVisual && !hadVisual) {
       // 开始看到猫 - 调用 VLM 确认
@@ -220,7 +258,7 @@ export class VLMTriggerObserver extends StateChangeObserver {
       if (frame) {
         const result = await this.vlmManager.analyze({ image: frame });
         if (result && onVLMResult) {
-          onVLMResult(result);
+          onVLMResult(result, { trigger: 'appeared' });
         }
       }
     } else if (!hasVisual && hadVisual) {
@@ -232,13 +270,61 @@ export class VLMTriggerObserver extends StateChangeObserver {
       if (frame) {
         const result = await this.vlmManager.analyze({ image: frame });
         if (result && onVLMResult) {
-          onVLMResult(result);
+          onVLMResult(result, { trigger: 'lost' });
         }
       }
     }
   }
 }
 
+/*
+方法名：音频VLM触发观察者
+方法简介：监听状态变化，在确认听到猫叫（进入音频状态）时把最近的猫叫片段交给音频 VLM 通道解读。
+业务域关键词：音频VLM、猫叫解读、音频确认、VLM触发
+*/
+export class AudioVLMTriggerObserver extends StateChangeObserver {
+  /*
+  方法名：初始化音频VLM触发器
+  方法简介：设置音频 VLM 通道和猫叫片段获取函数的引用。
+  业务域关键词：音频VLM初始化、猫叫片段、依赖注入
+  Param: vlmManager - 音频 VLM 通道实例（有独立的频率限制和文案锁定）
+  Param: getClipFn - 获取最近猫叫片段的函数，返回 { audio, hint } 或 null
+  */
+  constructor(vlmManager, getClipFn) {
+    super();
+    this.vlmManager = vlmManager;
+    this.getClip = getClipFn;
+  }
+
+  /*
+  方法名：触发音频VLM分析
+  方法简介：状态从无音频变为有音频（状态定义中 audio: true）时触发；
+            VLM 结论修正的转换和没有可用片段时不触发。
+  业务域关键词：音频VLM分析、猫叫确认、状态触发
+  Param: event - 状态变化事件对象
+  */
+  async notify(event) {
+    const { newState, oldState, onAudioVLMResult, onLog } = event;
+    
+    if (event.corrected) return;
+    
+    const hasAudio = !!(getStateDefinition(event, newState) || {}).audio;
+    const hadAudio = !!(getStateDefinition(event, oldState) || {}).audio;
+    if (!hasAudio || hadAudio) return;
+    
+    const clip = this.getClip();
+    if (!clip) return;
+    
+    if (onLog) {
+      onLog('[Audio VLM Trigger] 确认猫叫，调用音频VLM解读');
+    }
+    const result = await this.vlmManager.analyze(clip);
+    if (result && onAudioVLMResult) {
+      onAudioVLMResult(result);
+    }
+  }
+}
+
 /*
 方法名：日志记录观察者
 方法简介：监听状态变化并记录详细日志的观察者，用于调试和追踪。
@@ -247,14 +333,16 @@ export class VLMTriggerObserver extends StateChangeObserver {
 export class LoggerObserver extends StateChangeObserver {
   /*
   方法名：记录状态日志
-  方法简介：记录状态变化的详细信息，包括新旧状态、时间戳等调试数据。
-  业务域关键词：日志输出、状态记录、调试日志
+  方法简介：记录状态变化的详细信息，包括新旧状态、时间戳等调试数据，修正转换附带修正原因。
+  业务域关键词：日志输出、状态记录、调试日志、状态修正
   Param: event - 状态变化事件对象
   */
   notify(event) {
-    const { newState, oldState, onLog } = event;
+    const { newState, oldState, onLog, correction } = event;
     if (onLog) {
-      onLog(`[State Change] ${oldState} → ${newState}`);
+      onLog(correction
+        ? `[State Corrected] ${oldState} → ${newState}（${correction.reason}）`
+        : `[State Change] ${oldState} → ${newState}`);
     }
   }
 }
@@ -267,14 +355,14 @@ export class LoggerObserver extends StateChangeObserver {
 export class UINotifierObserver extends StateChangeObserver {
   /*
   方法名：通知UI更新
-  方法简介：调用回调函数通知 UI 层状态已变化，触发界面刷新。
-  业务域关键词：UI回调、界面刷新、状态通知
+  方法简介：调用回调函数通知 UI 层状态已变化，触发界面刷新；修正转换额外传入修正信息。
+  业务域关键词：UI回调、界面刷新、状态通知、状态修正
   Param: event - 状态变化事件对象
   */
   notify(event) {
-    const { newState, oldState, onStateChange } = event;
+    const { newState, oldState, onStateChange, correction } = event;
     if (onStateChange) {
-      onStateChange(newState, oldState);
+      onStateChange(newState, oldState, correction || null);
     }
   }
 }
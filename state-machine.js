@@ -0,0 +1,469 @@
+/**
+ * 声明式状态机
+ * ============
+ *
+ * 📋 模块功能概述：
+ * 四状态判断原先在 mewt.js ContextManager、state-manager.js StateManager 和 MewtEngine.updateState
+ * 中各写一遍，关键词和文案也各不相同。本模块用一份声明式定义描述全部状态，三处共用：
+ *
+ * - 状态：优先级、转移守卫、最短停留时间、进入/退出动作、显示文案和 RN 消息文案
+ * - 关键词：判断类别名称是否为猫（视觉）/ 猫叫声（音频）
+ * - 防抖：候选状态需持续 debounceMs 才真正切换（MewtEngine 的稳定状态）
+ *
+ * 🧩 状态定义：
+ * ```
+ * cat_sleeping: {
+ *   priority: 5,                                  // 多个守卫同时满足时取优先级最高者
+ *   when: (signals) => signals.hasVisual && signals.hasPurr,  // 转移守卫
+ *   from: ['cat_visual', 'cat_both'],             // 可选：只允许从这些状态进入
+ *   minDwellMs: 5000,                             // 可选：进入后至少停留的时间
+ *   visual: true, audio: true,                    // 该状态是否代表看到 / 听到猫
+ *   text: '小猫睡着了',                            // 显示文案（StateManager / ContextManager）
+ *   message: '小猫睡着了',                         // RN 消息文案（null 表示不发送）
+ *   onEnter: (transition) => {}, onExit: (transition) => {}
+ * }
+ * ```
+ * 新增状态只需在 states 中加一项（或用 createStateMachineDefinition 合并）。
+ *
+ * 📡 信号（signals）：
+ * { hasVisual, hasAudio, hasCatSound, hasPurr, purr, ... }，由各使用方收集后传入守卫；
+ * 扩展状态用到的趋势信号由 StateManager.buildSignals() 计算：
+ * - catScore / visualTrend / visualVariability：当前猫视觉分数、近几秒分数斜率（每秒）和标准差
+ * - visibleMs / recentlySeen：猫连续可见时长、LRU 历史中最近是否见过猫
+ * - catCount：猫的数量（只有 VLM / 目标检测等能计数的来源提供，图像分类无法计数）
+ * - hasOtherAnimal：检测到狗、鸟等其他动物
+ * - emotionId / emotionCategory：平滑后的音频情绪及其类别
+ * 守卫的第二个参数是定义中的 thresholds。
+ *
+ * 🗂️ 默认状态（优先级从高到低）：
+ * multiple_cats > cat_approaching > cat_leaving > cat_active > cat_resting > other_animal
+ * > cat_both > cat_visual > cat_audio > idle
+ * 原四状态标记 core: true；没有趋势信号时结果总是原四状态之一，
+ * getCoreState() 给出扩展状态对应的原四状态（兼容只认识四状态的 RN 端）。
+ */
+
+import { systemClock } from './clock.js';
+
+// 默认状态机定义（原四状态 + 行为扩展状态）
+export const DEFAULT_STATE_MACHINE = {
+  initial: 'idle',
+  debounceMs: 0,
+  keywords: {
+    visual: ['cat', 'cats', 'domestic_cat', 'persian_cat', 'siamese_cat', 'tabby_cat', 'kitten', 'feline'],
+    audio: ['cat', 'meow', 'purr', 'purring', 'mew', 'mewing', 'feline', 'cat_vocalization', 'kitten'],
+    otherAnimal: [
+      'dog', 'puppy', 'retriever', 'terrier', 'spaniel', 'hound', 'poodle', 'collie', 'shepherd',
+      'husky', 'corgi', 'pug', 'beagle', 'bulldog', 'chihuahua', 'bird', 'parrot', 'hamster',
+      'rabbit', 'hare', 'squirrel', 'guinea_pig', 'guinea pig', 'fox', 'bark', 'bow-wow', 'howl', 'chirp'
+    ]
+  },
+  thresholds: {
+    approachTrend: 0.08,       // 视觉分数每秒上升超过该值 → 靠近
+    leaveTrend: -0.08,         // 视觉分数每秒下降超过该值 → 离开
+    activeVariability: 0.12,   // 视觉分数波动超过该值 → 活跃
+    restVariability: 0.05,     // 视觉分数波动低于该值 … 
+    restMinMs: 10000,          // … 且连续可见超过该时长 → 休息
+    activeEmotions: ['ask_for_play', 'ask_for_hunting'],
+    activeCategories: ['attention', 'warning']
+  },
+  states: {
+    multiple_cats: {
+      priority: 10,
+      when: ({ catCount }) => catCount >= 2,
+      visual: true,
+      audio: false,
+      text: '好多小猫！',
+      message: '那里有好几只小猫'
+    },
+    cat_approaching: {
+      priority: 9,
+      when: ({ hasVisual, visualTrend }, t) => hasVisual && visualTrend >= t.approachTrend,
+      visual: true,
+      audio: false,
+      text: '小猫正在靠近',
+      message: '小猫正在靠近'
+    },
+    cat_leaving: {
+      priority: 8,
+      when: ({ recentlySeen, visualTrend }, t) => recentlySeen && visualTrend <= t.leaveTrend,
+      visual: true,
+      audio: false,
+      text: '小猫要走了',
+      message: '小猫要走了'
+    },
+    cat_active: {
+      priority: 7,
+      when: ({ hasVisual, visualVariability, emotionId, emotionCategory }, t) => hasVisual && (
+        visualVariability >= t.activeVariability ||
+        t.activeEmotions.includes(emotionId) ||
+        t.activeCategories.includes(emotionCategory)
+      ),
+      visual: true,
+      audio: false,
+      text: '小猫很活跃',
+      message: '小猫很活跃'
+    },
+    cat_resting: {
+      priority: 6,
+      when: ({ hasVisual, hasCatSound, hasPurr, visibleMs, visualVariability, emotionCategory }, t) =>
+        hasVisual && visibleMs >= t.restMinMs && visualVariability <= t.restVariability &&
+        (hasPurr || !hasCatSound || emotionCategory === 'friendly'),
+      visual: true,
+      audio: false,
+      text: '小猫在休息',
+      message: '小猫在休息'
+    },
+    other_animal: {
+      priority: 5,
+      when: ({ hasOtherAnimal, hasVisual, hasAudio }) => hasOtherAnimal && !hasVisual && !hasAudio,
+      visual: false,
+      audio: false,
+      text: '那好像不是小猫',
+      message: '那里有只别的动物'
+    },
+    cat_both: {
+      priority: 4,
+      core: true,
+      when: ({ hasVisual, hasAudio }) => hasVisual && hasAudio,
+      visual: true,
+      audio: true,
+      text: '哦！是个小猫',
+      message: '那里有只小猫'
+    },
+    cat_visual: {
+      priority: 3,
+      core: true,
+      when: ({ hasVisual }) => hasVisual,
+      visual: true,
+      audio: false,
+      text: '那里有只小猫',
+      message: '那里有只小猫'
+    },
+    cat_audio: {
+      priority: 2,
+      core: true,
+      when: ({ hasAudio }) => hasAudio,
+      visual: false,
+      audio: true,
+      text: '诶？我好像听到小猫叫了',
+      message: null // 音频消息由 AudioEmotionObserver 单独处理
+    },
+    idle: {
+      priority: 1,
+      core: true,
+      when: () => true,
+      visual: false,
+      audio: false,
+      text: '观察中...',
+      message: '观察中...'
+    }
+  }
+};
+
+/**
+ * 在默认定义上合并自定义配置（states 按状态ID逐项合并，值为 null 时删除该状态）
+ * @param {Object} overrides - { initial, debounceMs, keywords, states }
+ * @param {Object} base - 基础定义
+ * @returns {Object} 新的状态机定义
+ */
+export function createStateMachineDefinition(overrides = {}, base = DEFAULT_STATE_MACHINE) {
+  const states = { ...base.states };
+  for (const [id, state] of Object.entries(overrides.states || {})) {
+    if (state === null) {
+      delete states[id];
+    } else {
+      states[id] = { ...(states[id] || {}), ...state };
+    }
+  }
+
+  const definition = {
+    ...base,
+    ...overrides,
+    keywords: { ...base.keywords, ...(overrides.keywords || {}) },
+    thresholds: { ...base.thresholds, ...(overrides.thresholds || {}) },
+    states
+  };
+  validateStateMachineDefinition(definition);
+  return definition;
+}
+
+/**
+ * 校验状态机定义
+ * @param {Object} definition - 状态机定义
+ */
+export function validateStateMachineDefinition(definition) {
+  const ids = Object.keys(definition.states || {});
+  if (ids.length === 0) {
+    throw new Error('State machine needs at least one state');
+  }
+  if (!definition.states[definition.initial]) {
+    throw new Error(`State machine initial state "${definition.initial}" is not defined`);
+  }
+  for (const id of ids) {
+    const state = definition.states[id];
+    if (typeof state.when !== 'function') {
+      throw new Error(`State "${id}" needs a when(signals) guard`);
+    }
+    for (const from of state.from || []) {
+      if (!definition.states[from]) {
+        throw new Error(`State "${id}" lists unknown source state "${from}"`);
+      }
+    }
+  }
+}
+
+/**
+ * 类别名称是否匹配关键词
+ * @param {string} className - 分类结果类别名称
+ * @param {Array} keywords - 关键词列表
+ * @returns {boolean}
+ */
+export function matchesKeywords(className, keywords) {
+  const lowerClassName = className.toLowerCase();
+  return keywords.some(keyword => lowerClassName.includes(keyword));
+}
+
+/**
+ * 状态机类
+ * evaluate() 只按守卫计算候选状态；update() 额外应用防抖、停留时间和进入/退出动作
+ */
+export class StateMachine {
+  /**
+   * 构造函数
+   * @param {Object} definition - 状态机定义（默认 DEFAULT_STATE_MACHINE）
+   * @param {Object} options - { debounceMs: 覆盖定义中的防抖时间, clock: 时钟（见 clock.js，默认 systemClock） }
+   */
+  constructor(definition = DEFAULT_STATE_MACHINE, options = {}) {
+    validateStateMachineDefinition(definition);
+    this.definition = definition;
+    this.clock = options.clock || systemClock;
+    this.debounceMs = options.debounceMs !== undefined ? options.debounceMs : (definition.debounceMs || 0);
+
+    // 按优先级从高到低排列，守卫依次尝试
+    this.order = Object.entries(definition.states)
+      .sort(([, a], [, b]) => (b.priority || 0) - (a.priority || 0))
+      .map(([id]) => id);
+
+    this.listeners = [];
+    this.reset();
+  }
+
+  /**
+   * 回到初始状态
+   * @param {number} timestamp - 时间戳
+   */
+  reset(timestamp = this.clock.now()) {
+    this.current = this.definition.initial;
+    this.previous = this.definition.initial;
+    this.pending = this.definition.initial;
+    this.pendingSince = timestamp;
+    this.enteredAt = timestamp;
+  }
+
+  /**
+   * 根据信号计算候选状态（不改变状态机）
+   * @param {Object} signals - 检测信号
+   * @param {string} from - 当前状态（用于 from 守卫，默认当前状态）
+   * @returns {string} 状态ID
+   */
+  evaluate(signals, from = this.current) {
+    return this.evaluateAmong(this.order, signals, from);
+  }
+
+  /**
+   * 只在原四状态（core: true）中计算候选状态，供只认识四状态的使用方兼容
+   * @param {Object} signals - 检测信号
+   * @returns {string} 状态ID
+   */
+  getCoreState(signals) {
+    const core = this.order.filter(id => this.definition.states[id].core);
+    return this.evaluateAmong(core.length > 0 ? core : this.order, signals, null);
+  }
+
+  /**
+   * 按优先级依次尝试给定状态的守卫
+   * @param {Array} ids - 候选状态ID（已按优先级排序）
+   * @param {Object} signals - 检测信号
+   * @param {string|null} from - 当前状态（null 表示忽略 from 守卫）
+   * @returns {string} 状态ID
+   */
+  evaluateAmong(ids, signals, from) {
+    const thresholds = this.definition.thresholds || {};
+    for (const id of ids) {
+      const state = this.definition.states[id];
+      if (from !== null && state.from && id !== from && !state.from.includes(from)) continue;
+      if (state.when(signals, thresholds)) {
+        return id;
+      }
+    }
+    return this.definition.initial;
+  }
+
+  /**
+   * 用新信号推进状态机
+   * @param {Object} signals - 检测信号
+   * @param {number} timestamp - 时间戳
+   * @returns {Object} { state, previous, candidate, changed }
+   */
+  update(signals, timestamp = this.clock.now()) {
+    const candidate = this.evaluate(signals);
+
+    if (candidate !== this.pending) {
+      this.pending = candidate;
+      this.pendingSince = timestamp;
+    }
+
+    const minDwellMs = this.definition.states[this.current].minDwellMs || 0;
+    const changed = this.pending !== this.current &&
+      timestamp - this.pendingSince >= this.debounceMs &&
+      timestamp - this.enteredAt >= minDwellMs;
+
+    if (changed) {
+      this.transition(this.pending, signals, timestamp);
+    }
+
+    return { state: this.current, previous: this.previous, candidate, changed };
+  }
+
+  /**
+   * 执行状态转移：退出动作 → 切换 → 进入动作 → 监听者
+   * @param {string} to - 目标状态
+   * @param {Object} signals - 触发转移的信号
+   * @param {number} timestamp - 时间戳
+   */
+  transition(to, signals = {}, timestamp = this.clock.now()) {
+    if (!this.definition.states[to]) {
+      throw new Error(`Unknown state "${to}"`);
+    }
+    const transition = { from: this.current, to, signals, timestamp };
+
+    const exited = this.definition.states[this.current];
+    if (exited.onExit) exited.onExit(transition);
+
+    this.previous = this.current;
+    this.current = to;
+    this.pending = to;
+    this.enteredAt = timestamp;
+
+    const entered = this.definition.states[to];
+    if (entered.onEnter) entered.onEnter(transition);
+
+    this.listeners.forEach(listener => listener(transition));
+  }
+
+  /**
+   * 监听状态转移
+   * @param {Function} listener - ({ from, to, signals, timestamp }) => void
+   * @returns {Function} 取消监听
+   */
+  onTransition(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(item => item !== listener);
+    };
+  }
+
+  /**
+   * 获取当前状态
+   * @returns {string}
+   */
+  getState() {
+    return this.current;
+  }
+
+  /**
+   * 获取状态定义
+   * @param {string} id - 状态ID
+   * @returns {Object|null}
+   */
+  getStateDefinition(id) {
+    return this.definition.states[id] || null;
+  }
+
+  /**
+   * 获取状态显示文案（未知状态返回初始状态文案）
+   * @param {string} id - 状态ID
+   * @returns {string}
+   */
+  getText(id) {
+    const state = this.definition.states[id] || this.definition.states[this.definition.initial];
+    return state.text;
+  }
+
+  /**
+   * 获取状态优先级
+   * @param {string} id - 状态ID
+   * @returns {number}
+   */
+  getPriority(id) {
+    const state = this.definition.states[id];
+    return state && state.priority !== undefined ? state.priority : 1;
+  }
+
+  /**
+   * 获取全部状态ID（按优先级从高到低）
+   * @returns {Array}
+   */
+  getStates() {
+    return [...this.order];
+  }
+
+  /**
+   * 检查状态是否有效
+   * @param {string} id - 状态ID
+   * @returns {boolean}
+   */
+  isValidState(id) {
+    return !!this.definition.states[id];
+  }
+
+  /**
+   * 类别名称是否为猫（视觉）
+   * @param {string} className - 类别名称
+   * @returns {boolean}
+   */
+  isCatClass(className) {
+    return matchesKeywords(className, this.definition.keywords.visual);
+  }
+
+  /**
+   * 类别名称是否为猫叫声（音频）
+   * @param {string} className - 类别名称
+   * @returns {boolean}
+   */
+  isCatSoundClass(className) {
+    return matchesKeywords(className, this.definition.keywords.audio);
+  }
+
+  /**
+   * 类别名称是否为其他动物（排除猫）
+   * @param {string} className - 类别名称
+   * @returns {boolean}
+   */
+  isOtherAnimalClass(className) {
+    return !this.isCatClass(className) && !this.isCatSoundClass(className) &&
+      matchesKeywords(className, this.definition.keywords.otherAnimal || []);
+  }
+}
+
+/**
+ * 取出各状态的某个文案字段
+ * @param {Object} definition - 状态机定义
+ * @param {string} field - 'text' | 'message'
+ * @returns {Object} { 状态ID: 文案 }
+ */
+export function getStateTexts(definition = DEFAULT_STATE_MACHINE, field = 'text') {
+  return Object.fromEntries(
+    Object.entries(definition.states).map(([id, state]) => [id, state[field] !== undefined ? state[field] : null])
+  );
+}
+
+/**
+ * 状态是否代表看到猫
+ * @param {string} id - 状态ID
+ * @param {Object} definition - 状态机定义
+ * @returns {boolean}
+ */
+export function isVisualState(id, definition = DEFAULT_STATE_MACHINE) {
+  return !!(definition.states[id] && definition.states[id].visual);
+}
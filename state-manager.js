@@ -19,11 +19,28 @@
  *     有视觉   cat_visual → cat_both
  * ```
  * 
- * 🔍 检测阈值机制：
- * - **视觉检测阈值**：0.3（MediaPipe分类置信度）
- * - **音频检测阈值**：0.2（YAMNet分类置信度）
+ * 🔍 检测阈值机制（滞回）：
+ * - **视觉检测阈值**：进入 0.3 / 退出 0.2（MediaPipe分类置信度）
+ * - **音频检测阈值**：进入 0.2 / 退出 0.12（YAMNet分类置信度）
+ * - 分数超过进入阈值才算检测到，之后要跌破退出阈值才算消失，分数在单一阈值附近徘徊不再导致状态抖动
  * - 支持动态阈值调整，适应不同环境条件
  * 
+ * 📈 证据水平（getEvidence()，供 debug.html 绘图）：
+ * - 视觉：最近 LRU_EVIDENCE_WINDOW_MS 内的 LRU 历史按窗口取猫类别最高分，按时间指数衰减加权平均
+ * - LRU 信任：最近 LRU_TRUST_WINDOW_MS 内猫类别的累计分数 ≥ LRU_TRUST_MIN_SCORE（替代"最近10条中有猫"规则，
+ *   按时间而不是条数查询，一个窗口里类别很多时不会把历史挤掉）
+ * - 音频：猫叫声分数的衰减峰值
+ * 
+ * 🔍 VLM 结论（observeVLM()，高权重证据，有效期 VLM_VERDICT_TTL_MS）：
+ * - 否决（has_cat 为 false）：视觉检测、LRU 信任和"最近见过猫"一律视为 false，猫数量为 0，
+ *   EfficientNet 把猫摆件识别成 "tabby" 时不再停留在 cat_visual。
+ *   否决只针对作出结论时的那次检测：之后出现新的连续可见段，或猫分数比结论时高出 VLM_VETO_SCORE_MARGIN，
+ *   否决立即撤销（猫在有效期内回来时不会被挡住）
+ * - 确认（has_cat 为 true）：LRU 信任加上 VLM_TRUST_BONUS × 置信度（窗口内仍需有猫的记录），
+ *   猫数量取 VLM 给出的数量
+ * - 置信度低于 VLM_MIN_CONFIDENCE 或调用失败的结果不作为证据
+ * reevaluate() 用最近一次窗口的数据和新结论重新计算信号，MewtEngine 据此立即修正状态。
+ * 
  * 📊 检测算法详解：
  * 
  * **视觉检测算法**：
@@ -38,6 +55,14 @@
  * - 置信度验证，滤除噪音干扰
  * - 支持不同类型的猫叫声识别
  * 
+ * 🧭 行为扩展状态（state-machine.js 定义，原四状态是其兼容子集）：
+ * - **cat_approaching / cat_leaving** - 猫视觉分数近几秒持续上升 / 下降
+ * - **cat_active / cat_resting** - 视觉分数波动大或情绪为玩耍/警告类 / 长时间稳定可见且安静或呼噜
+ * - **multiple_cats** - 能计数的来源（VLM、目标检测）报告不止一只猫
+ * - **other_animal** - 只检测到狗、鸟等其他动物
+ * 趋势信号由 observeVisual() 记录的视觉分数历史和 LRU 历史计算（buildSignals()），
+ * getCoreState() 给出对应的原四状态。
+ * 
  * 🎭 状态响应文本系统：
  * 每种状态都对应特定的中文响应文本，便于用户理解：
  * - idle: "观察中..." - 平静等待状态
@@ -47,7 +72,7 @@
  * 
  * 🔄 与信任机制的集成：
  * 状态管理器的输出会被LRU信任机制使用：
- * - idle状态触发历史信任检查
+ * - idle状态触发历史信任检查（LRU 视觉证据是否处于信任状态，见 isLRUTrusted()）
  * - 其他状态直接更新关注标志
  * - 避免因单帧检测失败导致的状态抖动
  * 
@@ -59,15 +84,21 @@
  * 🔗 模块接口说明：
  * - hasVisualCat(): 检测当前是否有视觉猫信号
  * - hasCatSound(): 检测当前是否有音频猫信号  
+ * - analyzeCurrentState(): 综合图像、音频和呼噜状态判断  
  * - determineState(): 综合判断当前系统状态
  * - getStateResponse(): 获取状态对应的响应文本
  * 
  * 📈 扩展性设计：
+ * - 状态、守卫、关键词和文案都来自 state-machine.js 的声明式定义（与 mewt.js、MewtEngine 共用），
+ *   新增状态只需在定义中加一项
  * - 支持添加新的检测类型（如红外、超声波等）
  * - 可配置的阈值系统，适应不同应用场景
  * - 模块化设计，便于集成到更大的AI系统中
  */
 
+import { StateMachine, createStateMachineDefinition, getStateTexts } from './state-machine.js';
+import { systemClock } from './clock.js';
+
 /**
  * 四状态分类管理器类
  * 负责根据多模态输入进行状态分类和响应生成
@@ -75,31 +106,62 @@
 export class StateManager {
   /**
    * 构造函数
-   * @param {Object} config - 配置对象
+   * @param {Object} config - 配置对象（stateMachine: 状态机定义覆盖项，clock: 时钟，见 clock.js）
    */
   constructor(config = {}) {
+    this.clock = config.clock || systemClock;
+    
     // 检测阈值配置
     this.config = {
       CAT_DETECTION_THRESHOLD: config.catDetectionThreshold || 0.3,
       CAT_SOUND_THRESHOLD: config.catSoundThreshold || 0.2,
+      VISUAL_EXIT_THRESHOLD: config.visualExitThreshold || 0.2,   // 视觉退出阈值（进入阈值为 CAT_DETECTION_THRESHOLD）
+      AUDIO_EXIT_THRESHOLD: config.audioExitThreshold || 0.12,    // 音频退出阈值（进入阈值为 CAT_SOUND_THRESHOLD）
+      LRU_EVIDENCE_WINDOW_MS: config.lruEvidenceWindowMs || 10000, // 参与证据累积的 LRU 时间范围
+      LRU_EVIDENCE_HALF_LIFE_MS: config.lruEvidenceHalfLifeMs || 3000,
+      LRU_TRUST_WINDOW_MS: config.lruTrustWindowMs || 5000,       // 信任判断的时间窗口 T
+      LRU_TRUST_MIN_SCORE: config.lruTrustMinScore || 1.0,        // T 内猫类别累计分数达到 S 才信任
+      AUDIO_EVIDENCE_HALF_LIFE_MS: config.audioEvidenceHalfLifeMs || 2000,
+      OTHER_ANIMAL_THRESHOLD: config.otherAnimalThreshold || 0.3,
+      VISUAL_HISTORY_MS: config.visualHistoryMs || 15000,  // 视觉分数历史保留时长
+      VISUAL_HISTORY_SIZE: config.visualHistorySize || 500,
+      TREND_WINDOW_MS: config.trendWindowMs || 4000,       // 趋势 / 波动计算窗口
+      TREND_MIN_POINTS: config.trendMinPoints || 3,
+      VLM_VERDICT_TTL_MS: config.vlmVerdictTtlMs || 30000,  // VLM 结论作为证据的有效期
+      VLM_MIN_CONFIDENCE: config.vlmMinConfidence || 0.5,   // 低于该置信度的 VLM 结论不采用
+      VLM_TRUST_BONUS: config.vlmTrustBonus || 0.8,         // VLM 确认有猫时给 LRU 信任分数的加成（乘以置信度）
+      VLM_VETO_SCORE_MARGIN: config.vlmVetoScoreMargin || 0.15, // 猫分数比否决时高出该值视为新的证据，撤销否决
       ...config
     };
     
-    // 四状态响应文本映射
-    this.stateResponses = {
-      'idle': '观察中...',
-      'cat_visual': '那里有只小猫',
-      'cat_audio': '诶？我好像听到小猫叫了',
-      'cat_both': '哦！是个小猫'
+    // 退出阈值不能高于进入阈值
+    this.updateThresholds({});
+    
+    // 视觉分数历史 [{ timestamp, catScore }] 与猫连续可见起点
+    this.visualHistory = [];
+    this.visibleSince = null;
+    
+    // 各模态的证据水平与滞回状态
+    this.evidence = {
+      visual: { score: 0, level: 0, active: false, trusted: false, trustScore: 0, lastSeen: null, timestamp: null },
+      audio: { score: 0, level: 0, active: false, timestamp: null },
+      vlm: this.createEmptyVLMEvidence()
     };
     
+    // 最近一次 analyzeCurrentState 使用的信号与上下文（reevaluate 用）
+    this.lastSignals = null;
+    this.lastContext = null;
+    
+    // 状态机（只用守卫判断，不在这里推进）
+    this.stateMachine = new StateMachine(createStateMachineDefinition(config.stateMachine), { clock: this.clock });
+    
+    // 状态响应文本映射
+    this.stateResponses = getStateTexts(this.stateMachine.definition);
+    
     // 状态优先级（用于冲突解决）
-    this.statePriority = {
-      'cat_both': 4,    // 最高优先级
-      'cat_visual': 3,
-      'cat_audio': 2,
-      'idle': 1         // 最低优先级
-    };
+    this.statePriority = Object.fromEntries(
+      this.stateMachine.getStates().map(state => [state, this.stateMachine.getPriority(state)])
+    );
   }
 
   /**
@@ -108,18 +170,11 @@ export class StateManager {
    * @returns {boolean} 是否检测到猫
    */
   hasVisualCat(currentImageMap) {
-    if (!currentImageMap || currentImageMap.size === 0) {
-      return false;
-    }
-    
-    for (const [className, score] of currentImageMap) {
-      // 检查类别名称是否包含猫相关关键词
-      if (this.isCatClass(className) && score > this.config.CAT_DETECTION_THRESHOLD) {
-        return true;
-      }
-    }
-    
-    return false;
+    // 已检测到猫时用退出阈值，否则用进入阈值（滞回）
+    const threshold = this.evidence.visual.active
+      ? this.config.VISUAL_EXIT_THRESHOLD
+      : this.config.CAT_DETECTION_THRESHOLD;
+    return this.getCatScore(currentImageMap) > threshold;
   }
 
   /**
@@ -128,18 +183,370 @@ export class StateManager {
    * @returns {boolean} 是否检测到猫叫声
    */
   hasCatSound(currentAudioMap) {
-    if (!currentAudioMap || currentAudioMap.size === 0) {
-      return false;
+    const threshold = this.evidence.audio.active
+      ? this.config.AUDIO_EXIT_THRESHOLD
+      : this.config.CAT_SOUND_THRESHOLD;
+    return this.getCatSoundScore(currentAudioMap) > threshold;
+  }
+
+  /**
+   * 当前图像中猫类别的最高分数
+   * @param {Map} currentImageMap - 当前图像检测结果Map
+   * @returns {number} 最高分数（没有猫类别时为 0）
+   */
+  getCatScore(currentImageMap) {
+    let best = 0;
+    for (const [className, score] of currentImageMap || []) {
+      if (this.isCatClass(className) && score > best) {
+        best = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * 当前音频中猫叫声类别的最高分数
+   * @param {Map} currentAudioMap - 当前音频检测结果Map
+   * @returns {number} 最高分数（没有猫叫声类别时为 0）
+   */
+  getCatSoundScore(currentAudioMap) {
+    let best = 0;
+    for (const [className, score] of currentAudioMap || []) {
+      if (this.isCatSoundClass(className) && score > best) {
+        best = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * 检查图像或音频中是否有其他动物（狗、鸟等）
+   * @param {Map} currentImageMap - 图像检测结果
+   * @param {Map} currentAudioMap - 音频检测结果
+   * @returns {boolean}
+   */
+  hasOtherAnimal(currentImageMap, currentAudioMap) {
+    for (const map of [currentImageMap, currentAudioMap]) {
+      for (const [className, score] of map || []) {
+        if (this.stateMachine.isOtherAnimalClass(className) && score > this.config.OTHER_ANIMAL_THRESHOLD) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 记录一次视觉观测（滞回状态、视觉分数历史与连续可见时长）
+   * @param {Map} currentImageMap - 图像检测结果
+   * @param {number} timestamp - 时间戳
+   */
+  observeVisual(currentImageMap, timestamp = this.clock.now()) {
+    const catScore = this.getCatScore(currentImageMap);
+    const visual = this.evidence.visual;
+    visual.active = this.hasVisualCat(currentImageMap);
+    visual.score = catScore;
+    visual.timestamp = timestamp;
+    this.visualHistory.push({ timestamp, catScore });
+    
+    const cutoff = timestamp - this.config.VISUAL_HISTORY_MS;
+    while (this.visualHistory.length > 0 &&
+           (this.visualHistory[0].timestamp < cutoff || this.visualHistory.length > this.config.VISUAL_HISTORY_SIZE)) {
+      this.visualHistory.shift();
+    }
+    
+    if (visual.active) {
+      if (this.visibleSince === null) this.visibleSince = timestamp;
+    } else {
+      this.visibleSince = null;
+    }
+    
+    this.releaseVLMVeto(timestamp);
+  }
+
+  /**
+   * 出现新的视觉证据时撤销 VLM 否决：结论之后开始了新的连续可见段，或猫分数明显高于结论时
+   * @param {number} timestamp - 时间戳
+   * @returns {boolean} 是否撤销了否决
+   */
+  releaseVLMVeto(timestamp = this.clock.now()) {
+    const verdict = this.getVLMVerdict(timestamp);
+    if (!verdict || verdict.verdict !== 'vetoed') return false;
+    
+    const newStreak = this.visibleSince !== null && this.visibleSince !== verdict.visibleSince;
+    const higherScore = this.evidence.visual.score > verdict.catScore + this.config.VLM_VETO_SCORE_MARGIN;
+    if (!newStreak && !higherScore) return false;
+    
+    this.clearVLMVerdict();
+    return true;
+  }
+
+  /**
+   * 记录一次音频观测（滞回状态与衰减峰值证据）
+   * @param {Map} currentAudioMap - 音频检测结果
+   * @param {number} timestamp - 时间戳
+   */
+  observeAudio(currentAudioMap, timestamp = this.clock.now()) {
+    const audio = this.evidence.audio;
+    const score = this.getCatSoundScore(currentAudioMap);
+    const elapsed = audio.timestamp !== null ? Math.max(0, timestamp - audio.timestamp) : 0;
+    
+    audio.active = this.hasCatSound(currentAudioMap);
+    audio.score = score;
+    audio.level = Math.max(score, audio.level * Math.pow(0.5, elapsed / this.config.AUDIO_EVIDENCE_HALF_LIFE_MS));
+    audio.timestamp = timestamp;
+  }
+
+  /**
+   * 根据 LRU 历史更新视觉证据水平与信任状态
+   * @param {LRUCache} lruCache - 图像检测历史
+   * @param {number} timestamp - 时间戳
+   */
+  observeLRU(lruCache, timestamp = this.clock.now()) {
+    const visual = this.evidence.visual;
+    const trust = this.getLRUTrust(lruCache, timestamp);
+    visual.level = this.getLRUEvidence(lruCache, timestamp);
+    visual.trustScore = trust.catScore;
+    visual.lastSeen = trust.lastSeen;
+    visual.trusted = trust.trusted;
+  }
+
+  /**
+   * LRU 信任判断：最近 LRU_TRUST_WINDOW_MS 内猫类别的累计分数是否达到 LRU_TRUST_MIN_SCORE
+   * @param {LRUCache} lruCache - 图像检测历史
+   * @param {number} timestamp - 当前时间戳
+   * @returns {Object} { trusted, catScore, lastSeen, classes }
+   */
+  getLRUTrust(lruCache, timestamp = this.clock.now()) {
+    if (!lruCache) {
+      return { trusted: false, catScore: 0, lastSeen: null, classes: [], vlm: null };
+    }
+    
+    const classes = lruCache.aggregateByClass(this.config.LRU_TRUST_WINDOW_MS, timestamp)
+      .filter(group => group.isCat);
+    const catScore = classes.reduce((sum, group) => sum + group.totalScore, 0);
+    const lastSeen = classes.reduce((latest, group) => Math.max(latest, group.lastSeen || 0), 0) || null;
+    
+    // VLM 结论：否决时不信任；确认时加上信任加成（窗口内仍需有猫的记录，猫离开后照常失去信任）
+    const verdict = this.getVLMVerdict(timestamp);
+    let trusted = catScore >= this.config.LRU_TRUST_MIN_SCORE;
+    if (verdict && verdict.verdict === 'vetoed') {
+      trusted = false;
+    } else if (verdict && catScore > 0) {
+      const bonus = this.config.VLM_TRUST_BONUS * (verdict.confidence !== null ? verdict.confidence : 1);
+      trusted = catScore + bonus >= this.config.LRU_TRUST_MIN_SCORE;
+    }
+    
+    return {
+      trusted,
+      catScore,
+      lastSeen,
+      classes,
+      vlm: verdict ? verdict.verdict : null
+    };
+  }
+
+  /**
+   * 记录一次 VLM 结论
+   * @param {Object} data - VLM 结构化结果 { hasCat, catCount, confidence, caption, ... }（见 vlm-schema.js）
+   * @param {number} timestamp - 时间戳
+   * @returns {Object|null} 采用的结论（见 getVLMVerdict），调用失败或置信度过低时为 null
+   */
+  observeVLM(data, timestamp = this.clock.now()) {
+    if (!data || typeof data.hasCat !== 'boolean' || data.error) return null;
+    
+    const confidence = Number.isFinite(data.confidence) ? data.confidence : null;
+    if (confidence !== null && confidence < this.config.VLM_MIN_CONFIDENCE) return null;
+    
+    this.evidence.vlm = {
+      verdict: data.hasCat ? 'confirmed' : 'vetoed',
+      hasCat: data.hasCat,
+      catCount: Number.isFinite(data.catCount) ? data.catCount : (data.hasCat ? 1 : 0),
+      confidence,
+      caption: data.caption || null,
+      timestamp,
+      // 结论针对的检测：当时的连续可见段起点和猫分数（撤销否决时比较）
+      visibleSince: this.visibleSince,
+      catScore: this.evidence.visual.score
+    };
+    return this.getVLMVerdict(timestamp);
+  }
+
+  /**
+   * 有效期内的 VLM 结论
+   * @param {number} timestamp - 当前时间戳
+   * @returns {Object|null} { verdict: 'confirmed' | 'vetoed', hasCat, catCount, confidence, caption, timestamp, visibleSince, catScore }
+   */
+  getVLMVerdict(timestamp = this.clock.now()) {
+    const vlm = this.evidence.vlm;
+    if (!vlm.verdict || timestamp - vlm.timestamp > this.config.VLM_VERDICT_TTL_MS) return null;
+    return { ...vlm };
+  }
+
+  /**
+   * 清除 VLM 结论
+   */
+  clearVLMVerdict() {
+    this.evidence.vlm = this.createEmptyVLMEvidence();
+  }
+
+  /**
+   * 空的 VLM 证据
+   * @returns {Object}
+   */
+  createEmptyVLMEvidence() {
+    return { verdict: null, hasCat: null, catCount: null, confidence: null, caption: null, timestamp: null, visibleSince: null, catScore: 0 };
+  }
+
+  /**
+   * LRU 历史中的视觉证据：按时间戳分组取猫类别最高分（没有猫记 0），
+   * 以指数衰减权重加权平均；最新记录本身过旧时整体再按其年龄衰减
+   * @param {LRUCache} lruCache - 图像检测历史
+   * @param {number} timestamp - 当前时间戳
+   * @returns {number} 证据水平（0-1）
+   */
+  getLRUEvidence(lruCache, timestamp = this.clock.now()) {
+    if (!lruCache) return 0;
+    
+    const windows = new Map();
+    for (const item of lruCache.within(this.config.LRU_EVIDENCE_WINDOW_MS, timestamp)) {
+      const score = item.isCat ? item.score : 0;
+      windows.set(item.timestamp, Math.max(windows.get(item.timestamp) || 0, score));
     }
+    if (windows.size === 0) return 0;
     
-    for (const [className, score] of currentAudioMap) {
-      // 检查类别名称是否包含猫声相关关键词
-      if (this.isCatSoundClass(className) && score > this.config.CAT_SOUND_THRESHOLD) {
-        return true;
+    const halfLife = this.config.LRU_EVIDENCE_HALF_LIFE_MS;
+    let weighted = 0;
+    let totalWeight = 0;
+    let newest = -Infinity;
+    for (const [time, score] of windows) {
+      const weight = Math.pow(0.5, Math.max(0, timestamp - time) / halfLife);
+      weighted += weight * score;
+      totalWeight += weight;
+      newest = Math.max(newest, time);
+    }
+    const staleness = Math.pow(0.5, Math.max(0, timestamp - newest) / halfLife);
+    return totalWeight > 0 ? (weighted / totalWeight) * staleness : 0;
+  }
+
+  /**
+   * 最近一次 observeLRU 的信任结果（最近 T 秒内猫的累计分数 ≥ S，替代"最近10条中有猫"规则）
+   * @returns {boolean}
+   */
+  isLRUTrusted() {
+    return this.evidence.visual.trusted;
+  }
+
+  /**
+   * 获取各模态的当前证据水平（供 debug.html 绘图）
+   * @returns {Object} { visual: { score, level, active, trusted, trustScore, lastSeen, enter, exit, trustWindowMs, trustMinScore },
+   *                     audio: { score, level, active, enter, exit }, vlm: 有效期内的 VLM 结论或 null }
+   */
+  getEvidence() {
+    return {
+      vlm: this.getVLMVerdict(),
+      visual: {
+        ...this.evidence.visual,
+        enter: this.config.CAT_DETECTION_THRESHOLD,
+        exit: this.config.VISUAL_EXIT_THRESHOLD,
+        trustWindowMs: this.config.LRU_TRUST_WINDOW_MS,
+        trustMinScore: this.config.LRU_TRUST_MIN_SCORE
+      },
+      audio: {
+        ...this.evidence.audio,
+        enter: this.config.CAT_SOUND_THRESHOLD,
+        exit: this.config.AUDIO_EXIT_THRESHOLD
       }
+    };
+  }
+
+  /**
+   * 计算近 TREND_WINDOW_MS 内视觉分数的趋势与波动
+   * @param {number} timestamp - 当前时间戳
+   * @returns {Object} { visualTrend: 每秒分数变化（最小二乘斜率）, visualVariability: 标准差 }
+   */
+  describeVisualTrend(timestamp = this.clock.now()) {
+    const recent = this.visualHistory.filter(item => item.timestamp >= timestamp - this.config.TREND_WINDOW_MS);
+    if (recent.length < this.config.TREND_MIN_POINTS) {
+      return { visualTrend: 0, visualVariability: 0 };
     }
     
-    return false;
+    const n = recent.length;
+    const meanTime = recent.reduce((sum, item) => sum + item.timestamp, 0) / n;
+    const meanScore = recent.reduce((sum, item) => sum + item.catScore, 0) / n;
+    let covariance = 0;
+    let timeVariance = 0;
+    let scoreVariance = 0;
+    for (const { timestamp: t, catScore } of recent) {
+      covariance += (t - meanTime) * (catScore - meanScore);
+      timeVariance += (t - meanTime) ** 2;
+      scoreVariance += (catScore - meanScore) ** 2;
+    }
+    
+    return {
+      visualTrend: timeVariance > 0 ? (covariance / timeVariance) * 1000 : 0,
+      visualVariability: Math.sqrt(scoreVariance / n)
+    };
+  }
+
+  /**
+   * 收集状态机信号（原四状态信号 + 行为趋势信号）
+   * @param {Map} currentImageMap - 图像检测结果
+   * @param {Map} currentAudioMap - 音频检测结果
+   * @param {Object} purrState - 呼噜状态
+   * @param {Object} context - { timestamp, lruCache, emotionResult, catCount, ...覆盖的信号（如 hasVisual） }
+   * @returns {Object} 信号
+   */
+  buildSignals(currentImageMap, currentAudioMap, purrState = null, context = {}) {
+    const { timestamp = this.clock.now(), lruCache = null, emotionResult = null, catCount = null, ...overrides } = context;
+    const hasVisual = this.hasVisualCat(currentImageMap);
+    const hasCatSound = this.hasCatSound(currentAudioMap);
+    const hasPurr = !!(purrState && purrState.purring);
+    
+    // 最近是否见过猫：优先按 LRU 时间窗口信任规则，否则查视觉分数历史
+    const recentlySeen = lruCache
+      ? this.getLRUTrust(lruCache, timestamp).trusted
+      : this.visualHistory.some(item => item.catScore > this.config.VISUAL_EXIT_THRESHOLD);
+    
+    return {
+      hasVisual,
+      hasAudio: hasCatSound || hasPurr,
+      hasCatSound,
+      hasPurr,
+      purr: purrState,
+      image: currentImageMap,
+      audio: currentAudioMap,
+      catScore: this.getCatScore(currentImageMap),
+      ...this.describeVisualTrend(timestamp),
+      visibleMs: this.visibleSince !== null ? timestamp - this.visibleSince : 0,
+      recentlySeen,
+      visualEvidence: this.evidence.visual.level,
+      audioEvidence: this.evidence.audio.level,
+      lruTrusted: this.evidence.visual.trusted,
+      catCount: catCount !== null ? catCount : (hasVisual ? 1 : 0),
+      hasOtherAnimal: this.hasOtherAnimal(currentImageMap, currentAudioMap),
+      emotionId: emotionResult && emotionResult.emotion ? emotionResult.emotion.id : null,
+      emotionCategory: emotionResult && emotionResult.category ? emotionResult.category.id : null,
+      ...this.getVLMOverrides(timestamp, catCount),
+      ...overrides
+    };
+  }
+
+  /**
+   * VLM 结论对信号的覆盖
+   * @param {number} timestamp - 当前时间戳
+   * @param {number|null} catCount - 其他计数来源给出的猫数量（优先于 VLM）
+   * @returns {Object} { vlmVerdict, ...覆盖的信号 }
+   */
+  getVLMOverrides(timestamp, catCount = null) {
+    const verdict = this.getVLMVerdict(timestamp);
+    if (!verdict) {
+      return { vlmVerdict: null };
+    }
+    if (verdict.verdict === 'vetoed') {
+      return { vlmVerdict: 'vetoed', hasVisual: false, lruTrusted: false, recentlySeen: false, catCount: 0 };
+    }
+    return { vlmVerdict: 'confirmed', catCount: catCount !== null ? catCount : verdict.catCount };
   }
 
   /**
@@ -148,13 +555,7 @@ export class StateManager {
    * @returns {boolean} 是否为猫相关类别
    */
   isCatClass(className) {
-    const catKeywords = [
-      'cat', 'cats', 'domestic_cat', 'persian_cat', 
-      'siamese_cat', 'tabby_cat', 'kitten', 'feline'
-    ];
-    
-    const lowerClassName = className.toLowerCase();
-    return catKeywords.some(keyword => lowerClassName.includes(keyword));
+    return this.stateMachine.isCatClass(className);
   }
 
   /**
@@ -163,44 +564,71 @@ export class StateManager {
    * @returns {boolean} 是否为猫叫声相关类别
    */
   isCatSoundClass(className) {
-    const catSoundKeywords = [
-      'cat', 'meow', 'purr', 'purring', 'mew', 
-      'mewing', 'feline', 'cat_vocalization'
-    ];
-    
-    const lowerClassName = className.toLowerCase();
-    return catSoundKeywords.some(keyword => lowerClassName.includes(keyword));
+    return this.stateMachine.isCatSoundClass(className);
   }
 
   /**
    * 根据视觉和音频检测结果确定当前状态
    * @param {boolean} hasVisual - 是否有视觉检测
    * @param {boolean} hasAudio - 是否有音频检测
+   * @param {Object} signals - 其他状态机信号（如 hasPurr、purr）
    * @returns {string} 当前状态标识符
    */
-  determineState(hasVisual, hasAudio) {
-    if (hasVisual && hasAudio) {
-      return 'cat_both';
-    } else if (hasVisual) {
-      return 'cat_visual';
-    } else if (hasAudio) {
-      return 'cat_audio';
-    } else {
-      return 'idle';
-    }
+  determineState(hasVisual, hasAudio, signals = {}) {
+    return this.stateMachine.evaluate({ ...signals, hasVisual, hasAudio });
   }
 
   /**
-   * 综合分析当前窗口数据并返回状态
+   * 综合分析当前窗口数据并返回状态（同时记录视觉分数历史）
    * @param {Map} currentImageMap - 图像检测结果
    * @param {Map} currentAudioMap - 音频检测结果
+   * @param {Object} purrState - 呼噜状态（可选，呼噜声作为额外的音频信号）
+   * @param {Object} context - 见 buildSignals（timestamp、lruCache、emotionResult、catCount）
    * @returns {string} 当前状态
    */
-  analyzeCurrentState(currentImageMap, currentAudioMap) {
-    const hasVisual = this.hasVisualCat(currentImageMap);
-    const hasAudio = this.hasCatSound(currentAudioMap);
+  analyzeCurrentState(currentImageMap, currentAudioMap, purrState = null, context = {}) {
+    const timestamp = context.timestamp || this.clock.now();
+    this.observeVisual(currentImageMap, timestamp);
+    this.observeAudio(currentAudioMap, timestamp);
+    if (context.lruCache) {
+      this.observeLRU(context.lruCache, timestamp);
+    }
+    
+    const signals = this.buildSignals(currentImageMap, currentAudioMap, purrState, { ...context, timestamp });
+    this.lastSignals = signals;
+    this.lastContext = context;
+    return this.stateMachine.evaluate(signals);
+  }
+
+  /**
+   * 用最近一次窗口的数据重新计算信号（如收到新的 VLM 结论后），不记录新的观测
+   * @param {number} timestamp - 时间戳
+   * @returns {Object|null} 新信号，还没有分析过任何窗口时为 null
+   */
+  reevaluate(timestamp = this.clock.now()) {
+    if (!this.lastSignals) return null;
     
-    return this.determineState(hasVisual, hasAudio);
+    const { image, audio, purr } = this.lastSignals;
+    const context = { ...this.lastContext, timestamp };
+    if (context.lruCache) {
+      this.observeLRU(context.lruCache, timestamp);
+    }
+    this.lastSignals = this.buildSignals(image, audio, purr, context);
+    return this.lastSignals;
+  }
+
+  /**
+   * 扩展状态对应的原四状态（兼容只认识 idle/cat_visual/cat_audio/cat_both 的使用方）
+   * @param {string} state - 状态标识符
+   * @param {Object} signals - 产生该状态的信号（默认最近一次分析的信号）
+   * @returns {string} 原四状态之一
+   */
+  getCoreState(state, signals = this.lastSignals) {
+    const definition = this.stateMachine.getStateDefinition(state);
+    if (definition && definition.core) {
+      return state;
+    }
+    return this.stateMachine.getCoreState(signals || {});
   }
 
   /**
@@ -209,7 +637,7 @@ export class StateManager {
    * @returns {string} 对应的响应文本
    */
   getStateResponse(state) {
-    return this.stateResponses[state] || this.stateResponses['idle'];
+    return this.stateMachine.getText(state);
   }
 
   /**
@@ -222,9 +650,10 @@ export class StateManager {
     return {
       type: 'state',
       state: state,
+      coreState: this.getCoreState(state),
       text: this.getStateResponse(state),
       is_focusing_cat: isFocusing,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       priority: this.statePriority[state] || 1
     };
   }
@@ -268,6 +697,7 @@ export class StateManager {
       catAudioDetections: catAudioDetections.sort((a, b) => b.score - a.score),
       visualThreshold: this.config.CAT_DETECTION_THRESHOLD,
       audioThreshold: this.config.CAT_SOUND_THRESHOLD,
+      evidence: this.getEvidence(),
       stateText: this.getStateResponse(currentState)
     };
   }
@@ -283,6 +713,16 @@ export class StateManager {
     if (newThresholds.catSoundThreshold !== undefined) {
       this.config.CAT_SOUND_THRESHOLD = newThresholds.catSoundThreshold;
     }
+    if (newThresholds.visualExitThreshold !== undefined) {
+      this.config.VISUAL_EXIT_THRESHOLD = newThresholds.visualExitThreshold;
+    }
+    if (newThresholds.audioExitThreshold !== undefined) {
+      this.config.AUDIO_EXIT_THRESHOLD = newThresholds.audioExitThreshold;
+    }
+    
+    // 退出阈值不能高于进入阈值
+    this.config.VISUAL_EXIT_THRESHOLD = Math.min(this.config.VISUAL_EXIT_THRESHOLD, this.config.CAT_DETECTION_THRESHOLD);
+    this.config.AUDIO_EXIT_THRESHOLD = Math.min(this.config.AUDIO_EXIT_THRESHOLD, this.config.CAT_SOUND_THRESHOLD);
   }
 
   /**
@@ -298,7 +738,7 @@ export class StateManager {
    * @returns {Array} 状态列表
    */
   getAllStates() {
-    return Object.keys(this.stateResponses);
+    return this.stateMachine.getStates();
   }
 
   /**
@@ -307,7 +747,7 @@ export class StateManager {
    * @returns {boolean} 状态是否有效
    */
   isValidState(state) {
-    return Object.keys(this.stateResponses).includes(state);
+    return this.stateMachine.isValidState(state);
   }
 }
 
@@ -4,6 +4,23 @@
  */
 
 import Mewt from './mewt.js';
+import { CalibrationSession, applyCalibration } from './calibration.js';
+import { StateManager } from './state-manager.js';
+import { StateMachine, createStateMachineDefinition } from './state-machine.js';
+import { LRUCache } from './lru-cache.js';
+import { WindowProcessor } from './window-processor.js';
+import { SlidingWindow } from './window-aggregation.js';
+import { VirtualClock } from './clock.js';
+import { RateLimiter, VLMChannel } from './vlm-manager.js';
+import { parseVisionResponse, parseAudioResponse } from './vlm-schema.js';
+import { encodeWav, decodeWav } from './wav.js';
+import { SessionRecorder, parseSessionLog, decodeAudioBuffer, splitSessionLog } from './session-recorder.js';
+import { replaySession, diffMessages, parseMessages, formatDiff } from './session-replay.js';
+import { MewtEngine } from './mewt-engine.js';
+import { addRNMessageListener } from './rn-bridge.js';
+import { classifySegments } from './segmentation.js';
+import { AudioTrigger } from './audio-trigger.js';
+import { readFile } from 'node:fs/promises';
 
 // 创建模拟音频数据
 function createMockAudioBuffer(length = 16384) {
@@ -189,6 +206,656 @@ async function runTests() {
   console.log('   音频数据:', finalContext.current.current_audio);
   console.log('   是否关注猫咪:', finalContext.is_now_focusing_cat);
   
+  // 测试6：设备校准
+  console.log('\n🎙️ 测试6：设备校准');
+  
+  const session = new CalibrationSession({ ambientMs: 2000, referenceMs: 1000 });
+  const quietRoom = () => createMockAudioBuffer().map(v => v * 0.05);
+  const referenceTone = () => createMockAudioBuffer().map(v => v * 0.5);
+  [quietRoom(), quietRoom(), referenceTone()].forEach(buffer => session.addBuffer(buffer));
+  
+  const profile = session.profile;
+  console.log(`   阶段: ${session.phase}`);
+  console.log(`   底噪: ${profile.noiseFloor.toFixed(5)}, 增益: ${profile.gain.toFixed(2)}`);
+  const { ambient: ambientPercentiles, reference: referencePercentiles } = profile.percentiles || {};
+  console.log(`   分位数: 环境 ${Object.keys(ambientPercentiles || {}).join('/')} ${ambientPercentiles && Object.keys(ambientPercentiles).length === 5 && referencePercentiles ? '✅' : '❌'}`);
+  
+  const rawFeatures = mewt.extractAudioFeatures(referenceTone());
+  const calibrated = applyCalibration(rawFeatures, profile);
+  console.log(`   RMS: ${rawFeatures.rms.toFixed(4)} → ${calibrated.rms.toFixed(4)}`);
+  
+  mewt.setCalibrationProfile(profile);
+  const calibratedResponse = mewt.triggerAudioFeatureAnalysis(referenceTone());
+  console.log(`   校准后情绪: ${calibratedResponse ? calibratedResponse.text : '无'}`);
+  mewt.setCalibrationProfile(null);
+  
+  // 测试7：环境噪声学习与降噪
+  console.log('\n🌀 测试7：环境噪声学习与降噪');
+  
+  const fanNoise = () => Float32Array.from({ length: 16384 }, () => (Math.random() * 2 - 1) * 0.08);
+  const noisyMeow = () => fanNoise().map((v, i) => v + Math.sin(2 * Math.PI * 700 * i / 16000) * 0.1);
+  
+  mewt.clearCurrentWindow();
+  mewt.addAudioResult(mockAudioResults.noSound, fanNoise());
+  mewt.addAudioResult(mockAudioResults.noSound, fanNoise());
+  console.log(`   噪声谱就绪: ${mewt.noiseTracker.isReady() ? '✅' : '❌'}`);
+  
+  const meow = noisyMeow();
+  mewt.clearCurrentWindow();
+  mewt.addAudioResult(mockAudioResults.catSound, meow);
+  const denoisedFeatures = mewt.getFullContext().current.current_audio_feature;
+  const rawMeowFeatures = mewt.extractAudioFeatures(meow);
+  console.log(`   信噪比: ${mewt.noiseTracker.estimateSNR(meow).toFixed(1)} dB`);
+  console.log(`   过零率: ${rawMeowFeatures.zeroCrossingRate.toFixed(3)} → ${denoisedFeatures.zeroCrossingRate.toFixed(3)}`);
+  
+  // 测试8：呼噜声检测
+  console.log('\n😺 测试8：呼噜声检测（不依赖 YAMNet）');
+  
+  // 低频噪声按 27Hz 做幅度调制，模拟呼噜声
+  let purrPhase = 0;
+  const purrBuffer = () => {
+    const buffer = new Float32Array(16384);
+    let lowpass = 0;
+    for (let i = 0; i < buffer.length; i++, purrPhase++) {
+      lowpass = lowpass * 0.97 + 0.3 * (Math.random() * 2 - 1);
+      buffer[i] = 0.3 * lowpass * Math.max(0, Math.sin(2 * Math.PI * 27 * purrPhase / 16000)) ** 2;
+    }
+    return buffer;
+  };
+  
+  const purrMewt = new Mewt({ calibrationProfile: null });
+  let purrResponse = null;
+  for (let i = 0; i < 3; i++) {
+    purrMewt.clearCurrentWindow();
+    purrResponse = purrMewt.addAudioResult(mockAudioResults.noSound, purrBuffer());
+  }
+  const purrState = purrMewt.getPurrState();
+  console.log(`   呼噜中: ${purrState.purring ? '✅' : '❌'}, 频率: ${purrState.rate.toFixed(1)} Hz, 强度: ${purrState.intensity.toFixed(2)}`);
+  console.log(`   状态: ${purrMewt.determineState(purrMewt.hasVisualCat(), purrMewt.hasCatAudio())}`);
+  console.log(`   情绪: ${purrResponse ? `${purrResponse.text} (${purrResponse.source})` : '无'}`);
+  purrMewt.destroy();
+  
+  // 测试9：声明式状态机（新增状态只需一项配置）
+  console.log('\n🧩 测试9：声明式状态机');
+  
+  const entered = [];
+  const stateMachine = {
+    states: {
+      cat_sleeping: {
+        priority: 5,
+        when: ({ hasVisual, hasPurr }) => hasVisual && hasPurr,
+        minDwellMs: 3000,
+        visual: true,
+        audio: true,
+        text: '小猫睡着了',
+        message: '小猫睡着了',
+        onEnter: ({ from, to }) => entered.push(`${from} → ${to}`)
+      }
+    }
+  };
+  
+  const sleepMewt = new Mewt({ calibrationProfile: null, stateMachine });
+  for (let i = 0; i < 3; i++) {
+    sleepMewt.clearCurrentWindow();
+    sleepMewt.addAudioResult(mockAudioResults.noSound, purrBuffer());
+  }
+  sleepMewt.addImageResult(mockImageResults.catDetected);
+  const sleepResponse = sleepMewt.processWindow();
+  console.log(`   ContextManager: ${sleepResponse.state} "${sleepResponse.text}" ${sleepResponse.state === 'cat_sleeping' ? '✅' : '❌'}`);
+  console.log(`   进入动作: ${entered.join(', ') || '无'}`);
+  sleepMewt.destroy();
+  
+  const sleepManager = new StateManager({ stateMachine });
+  const managerState = sleepManager.analyzeCurrentState(
+    new Map([['cat', 0.9]]), new Map(), { purring: true }
+  );
+  console.log(`   StateManager: ${managerState} "${sleepManager.getStateResponse(managerState)}" ${managerState === 'cat_sleeping' ? '✅' : '❌'}`);
+  console.log(`   全部状态: ${sleepManager.getAllStates().join(', ')}`);
+  
+  // 防抖与最短停留时间
+  const machine = new StateMachine(createStateMachineDefinition(stateMachine), { debounceMs: 2000 });
+  machine.reset(0);
+  const sleeping = { hasVisual: true, hasAudio: true, hasPurr: true };
+  const gone = { hasVisual: false, hasAudio: false, hasPurr: false };
+  const steps = [
+    [1000, sleeping], [3000, sleeping], // 持续 2 秒后进入
+    [3500, gone], [5500, gone],          // 防抖已满足，但停留不足 3 秒
+    [6000, gone]                         // 停留满 3 秒后离开
+  ].map(([t, signals]) => `${t}ms:${machine.update(signals, t).state}`);
+  console.log(`   ${steps.join(' → ')}`);
+  
+  // 测试10：行为扩展状态
+  console.log('\n🧭 测试10：行为扩展状态');
+  
+  const behaviour = new StateManager();
+  const noAudio = new Map();
+  let clock = 0;
+  const feed = (scores, extra = {}) => scores.map(score => {
+    clock += 500;
+    const image = new Map(score > 0 ? [['tabby, tabby cat', score]] : []);
+    const state = behaviour.analyzeCurrentState(image, extra.audio || noAudio, null, { timestamp: clock, ...extra.context });
+    return [state, behaviour.getCoreState(state)];
+  }).pop();
+  
+  const expectations = [
+    ['cat_approaching', feed([0.35, 0.45, 0.55, 0.65, 0.75, 0.85])],
+    ['cat_resting', feed(Array(24).fill(0.85))],
+    ['cat_active', feed([0.4, 0.9, 0.4, 0.9, 0.4, 0.9, 0.4, 0.9])],
+    ['cat_active', feed(Array(8).fill(0.85), {
+      context: { emotionResult: { emotion: { id: 'ask_for_play' }, category: { id: 'attention' } } }
+    })],
+    ['multiple_cats', feed([0.85], { context: { catCount: 2 } })],
+    ['cat_leaving', feed([0.75, 0.6, 0.45, 0.2, 0])],
+    ['idle', feed(Array(10).fill(0))]
+  ];
+  expectations.forEach(([expected, [actual, coreState]]) => {
+    console.log(`   ${expected}: ${actual} ${actual === expected ? '✅' : '❌'} (原四状态: ${coreState})`);
+  });
+  
+  const dogState = new StateManager().analyzeCurrentState(new Map([['golden retriever', 0.8]]), new Map());
+  console.log(`   other_animal: ${dogState} ${dogState === 'other_animal' ? '✅' : '❌'}`);
+  
+  // 没有趋势信号时只会得到原四状态
+  const coreOnly = [[true, true], [true, false], [false, true], [false, false]]
+    .map(([visual, audio]) => behaviour.determineState(visual, audio));
+  console.log(`   原四状态兼容: ${coreOnly.join(', ')} ${coreOnly.join() === 'cat_both,cat_visual,cat_audio,idle' ? '✅' : '❌'}`);
+  
+  // 测试11：进入 / 退出阈值滞回与 LRU 证据
+  console.log('\n📈 测试11：滞回阈值与证据水平');
+  
+  // 分数在 0.3 附近徘徊：单一阈值会来回翻转，滞回保持检测
+  const hovering = [0.35, 0.27, 0.32, 0.26, 0.31, 0.25, 0.33];
+  const hysteresis = new StateManager();
+  const visualFlags = hovering.map((score, i) => {
+    hysteresis.observeVisual(new Map([['tabby, tabby cat', score]]), i * 1000);
+    return hysteresis.evidence.visual.active;
+  });
+  const singleFlips = hovering.filter((score, i) => i > 0 && (score > 0.3) !== (hovering[i - 1] > 0.3)).length;
+  const hysteresisFlips = visualFlags.filter((flag, i) => i > 0 && flag !== visualFlags[i - 1]).length;
+  console.log(`   视觉: 单一阈值翻转 ${singleFlips} 次，滞回翻转 ${hysteresisFlips} 次 ${hysteresisFlips === 0 ? '✅' : '❌'}`);
+  
+  hysteresis.observeVisual(new Map([['tabby, tabby cat', 0.15]]), 8000);
+  const droppedOut = !hysteresis.evidence.visual.active;
+  hysteresis.observeVisual(new Map([['tabby, tabby cat', 0.27]]), 9000);
+  const stillOut = !hysteresis.evidence.visual.active;
+  console.log(`   跌破退出阈值后需重新超过进入阈值: ${droppedOut && stillOut ? '✅' : '❌'}`);
+  
+  const audioFlags = [0.25, 0.15, 0.18, 0.1, 0.15].map((score, i) => {
+    hysteresis.observeAudio(new Map([['Meow', score]]), i * 1000);
+    return hysteresis.evidence.audio.active;
+  });
+  console.log(`   音频: ${audioFlags.map(flag => flag ? 'ON' : 'OFF').join(' → ')} ${audioFlags.join() === 'true,true,true,false,false' ? '✅' : '❌'}`);
+  
+  // LRU 证据按分数加权累积，随时间衰减；信任按最近 T 秒内的累计分数判断
+  const lru = new LRUCache(20);
+  const evidence = new StateManager();
+  const levels = [];
+  const trusted = [];
+  for (let t = 1000; t <= 12000; t += 1000) {
+    const catVisible = t <= 4000;
+    lru.set(`t_${t}`, { class: catVisible ? 'tabby, tabby cat' : 'desk', score: catVisible ? 0.8 : 0.6, timestamp: t, isCat: catVisible });
+    evidence.observeLRU(lru, t);
+    levels.push(evidence.getEvidence().visual.level);
+    trusted.push(evidence.isLRUTrusted());
+  }
+  const trustStarts = trusted.indexOf(true);
+  const trustEnds = trusted.indexOf(false, trustStarts);
+  console.log(`   LRU 证据: ${levels.map(level => level.toFixed(2)).join(' ')}`);
+  console.log(`   猫离开后仍信任 ${trustEnds - 4} 个窗口，之后取消信任 ${trustStarts >= 0 && trustEnds > 4 && trusted.slice(trustEnds).every(flag => !flag) ? '✅' : '❌'}`);
+  
+  // 低分误检不会像"最近10条中有猫"那样直接触发信任
+  const weak = new LRUCache(20);
+  weak.set('weak', { class: 'tabby, tabby cat', score: 0.05, timestamp: 1000, isCat: true });
+  const weakManager = new StateManager();
+  weakManager.observeLRU(weak, 1000);
+  console.log(`   低分误检不触发信任: ${!weakManager.isLRUTrusted() ? '✅' : '❌'}`);
+  
+  // 测试12：LRU 按时间查询、TTL 与按类别聚合
+  console.log('\n⏳ 测试12：LRU 时间窗口信任');
+  
+  const lruClock = new VirtualClock(0);
+  const timed = new LRUCache(200, { ttlMs: 10000, clock: lruClock });
+  const addWindow = (t, entries) => {
+    lruClock.advanceTo(t);
+    entries.forEach(([className, score, isCat]) => {
+      timed.set(`${className}_${t}`, { class: className, score, timestamp: t, isCat });
+    });
+  };
+  addWindow(1000, [['tabby, tabby cat', 0.7, true]]);
+  addWindow(2000, [['tabby, tabby cat', 0.6, true], ['Egyptian cat', 0.2, true]]);
+  // 一个窗口里类别很多：按条数的"最近10条"会把猫挤出去
+  addWindow(3000, Array.from({ length: 12 }, (_, i) => [`object_${i}`, 0.1, false]));
+  
+  const countRule = timed.recent(10).some(item => item.isCat);
+  const timeManager = new StateManager();
+  timeManager.observeLRU(timed, 3000);
+  console.log(`   多类别窗口后: 最近10条规则 ${countRule ? '信任' : '不信任'}，时间窗口规则 ${timeManager.isLRUTrusted() ? '信任' : '不信任'} ${!countRule && timeManager.isLRUTrusted() ? '✅' : '❌'}`);
+  
+  const groups = timed.aggregateByClass(5000, 3000).filter(group => group.isCat);
+  console.log(`   按类别聚合: ${groups.map(group => `${group.class} ×${group.count} Σ${group.totalScore.toFixed(1)}`).join(', ')}`);
+  console.log(`   时间查询: 最近1.5秒 ${timed.within(1500, 3000).length} 条，全部 ${timed.size()} 条`);
+  
+  // 超出信任窗口后取消信任；超出 TTL 后条目被清除
+  timeManager.observeLRU(timed, 7000);
+  const expiredTrust = !timeManager.isLRUTrusted();
+  addWindow(12500, [['desk', 0.5, false]]);
+  const ttlPruned = timed.getAllValues().every(item => item.timestamp >= 2500);
+  console.log(`   超出信任窗口: ${expiredTrust ? '✅' : '❌'}  TTL 过期清除: ${ttlPruned ? '✅' : '❌'} (剩余 ${timed.size()} 条)`);
+  // 没有新写入时，读取同样不会返回过期条目
+  lruClock.advanceTo(20000);
+  const readPruned = timed.has('desk_12500') && timed.get('object_0_3000') === undefined &&
+    timed.recent(5).length === 1 && timed.getAllValues().length === 1;
+  console.log(`   读取时清除过期条目: ${readPruned ? '✅' : '❌'} (剩余 ${timed.size()} 条)`);
+  
+  // 测试13：滑动窗口与聚合策略
+  console.log('\n🪟 测试13：滑动窗口');
+  
+  const cat = (score) => [{ class: 'tabby, tabby cat', score }];
+  
+  // 990ms 与 1010ms 的两次检测：滚动窗口里分属两个窗口，滑动窗口里相遇
+  const sliding = new SlidingWindow({ lengthMs: 1000, image: 'mean' });
+  sliding.add('image', cat(0.6), 990);
+  sliding.add('image', cat(0.8), 1010);
+  const met = sliding.aggregate('image', 1500);
+  console.log(`   990ms + 1010ms 在同一滑动窗口: ${met.frameCount} 帧, mean=${met.scores.get('tabby, tabby cat').toFixed(2)} ${met.frameCount === 2 ? '✅' : '❌'}`);
+  
+  // 同一段样本在四种策略下的聚合结果
+  const strategyScores = ['max', 'mean', 'topKMean', 'expDecay'].map(strategy => {
+    const probe = new SlidingWindow({ lengthMs: 4000, image: strategy, k: 2, halfLifeMs: 1000 });
+    [[0, 0.9], [500, 0], [1000, 0.5], [1500, 0.4], [2000, 0]].forEach(([t, score]) => {
+      probe.add('image', score > 0 ? cat(score) : [], t);
+    });
+    return `${strategy}=${probe.aggregate('image', 2000).scores.get('tabby, tabby cat').toFixed(2)}`;
+  });
+  console.log(`   策略: ${strategyScores.join(' ')}`);
+  
+  // 短窗口与长窗口并行：猫短暂离开时长窗口（expDecay）保持检测，并报告决定来源
+  const processor = new WindowProcessor({
+    hop: 500,
+    windows: [
+      { name: 'short', lengthMs: 1000, image: 'max', audio: 'max' },
+      { name: 'long', lengthMs: 4000, image: 'expDecay', audio: 'topKMean', halfLifeMs: 2000 }
+    ],
+    stateManager: new StateManager()
+  });
+  const start = Date.now();
+  processor.addImageData(cat(0.9), start - 2500);
+  processor.addImageData(cat(0.85), start - 2000);
+  processor.addImageData([{ class: 'desk', score: 0.6 }], start - 200);
+  const windowResult = processor.processWindow();
+  const decision = windowResult.decisions.image;
+  console.log(`   状态: ${windowResult.state}，决定来源: ${decision.className} ${decision.score.toFixed(2)} ← ${decision.window}/${decision.strategy} ${decision.window === 'long' && windowResult.state !== 'idle' ? '✅' : '❌'}`);
+  console.log(`   窗口: ${windowResult.windows.map(w => `${w.name}(${w.lengthMs}ms, 图像 ${w.image.strategy} ${w.image.frameCount}帧)`).join(', ')}`);
+  processor.destroy();
+  
+  // 测试14：虚拟时钟
+  console.log('\n🕰️ 测试14：虚拟时钟');
+  
+  // 窗口定时器与状态分析都跑在虚拟时间上，10 秒会话瞬间完成
+  const virtualClock = new VirtualClock(1_000_000);
+  const virtualStates = [];
+  const virtualProcessor = new WindowProcessor({
+    interval: 1000,
+    stateManager: new StateManager({ clock: virtualClock }),
+    lruCache: new LRUCache(200, { ttlMs: 30000, clock: virtualClock }),
+    clock: virtualClock
+  });
+  virtualProcessor.startAutoProcessing(response => virtualStates.push(`${response.timestamp - 1_000_000}:${response.state}`));
+  const realStart = Date.now();
+  for (let t = 0; t < 10000; t += 100) {
+    if (t < 4000) virtualProcessor.addImageData(cat(0.8), virtualClock.now());
+    virtualClock.advance(100);
+  }
+  virtualProcessor.destroy();
+  console.log(`   ${virtualStates.filter((_, i) => i % 2 === 0).join(' → ')}`);
+  console.log(`   10 个窗口用时 ${Date.now() - realStart}ms（实时需 10000ms）${virtualStates.length === 10 ? '✅' : '❌'}`);
+  
+  // 防抖：候选状态持续 debounceMs 才切换
+  const debounced = new StateMachine(undefined, { debounceMs: 2000, clock: virtualClock });
+  const seen = { hasVisual: true, hasAudio: false };
+  const debounceSteps = [0, 1000, 1999, 2000].map(offset => {
+    virtualClock.advanceTo(2_000_000 + offset);
+    return `${offset}ms:${debounced.update(seen).state}`;
+  });
+  console.log(`   防抖: ${debounceSteps.join(' → ')} ${debounceSteps[3].endsWith('cat_visual') && debounceSteps[2].endsWith('idle') ? '✅' : '❌'}`);
+  
+  // 频率限制：最小间隔 + 每分钟次数
+  const limiter = new RateLimiter(15000, 3, virtualClock);
+  const originalLog = console.log;
+  const originalError = console.error;
+  const originalWarn = console.warn;
+  console.log = () => {};
+  const allowed = [];
+  for (let i = 0; i < 8; i++) {
+    const ok = limiter.canCall();
+    if (ok) limiter.recordCall();
+    allowed.push(ok);
+    virtualClock.advance(15000);
+  }
+  // VLM 文案锁定时长
+  const channel = new VLMChannel('vision', { clock: virtualClock });
+  channel.setLock('小猫在窗台上', null, 30000);
+  virtualClock.advance(29999);
+  const lockedBefore = channel.getText();
+  virtualClock.advance(1);
+  const lockedAfter = channel.getText();
+  console.log = originalLog;
+  console.log(`   频率限制: ${allowed.map(ok => ok ? '✓' : '·').join('')} ${allowed.join() === 'true,true,true,false,true,true,true,false' ? '✅' : '❌'}`);
+  console.log(`   VLM 锁定 30s: 29.999s "${lockedBefore}" → 30s ${lockedAfter} ${lockedBefore && lockedAfter === null ? '✅' : '❌'}`);
+  
+  // 测试15：会话录制（没有 IndexedDB 时使用内存存储）
+  console.log('\n📼 测试15：会话录制');
+  const recordClock = new VirtualClock(5000);
+  const recorder = new SessionRecorder({ clock: recordClock, indexedDB: null, recordAudioBuffers: true });
+  const sessionId = recorder.start({ windowInterval: 1000 });
+  recorder.recordImage([{ categoryName: 'tabby, tabby cat', score: 0.876543 }]);
+  recordClock.advance(250);
+  const samples = Float32Array.from({ length: 64 }, (_, i) => Math.sin(i / 4) * 0.5);
+  recorder.recordAudio([{ categoryName: 'Meow', score: 0.6 }], samples);
+  recorder.recordRNMessage({ type: 'visibility_change', visible: false });
+  recordClock.advance(750);
+  recorder.recordState('cat_visual', 'idle', 'cat_visual');
+  const ndjson = await recorder.exportNDJSON();
+  const { header, events } = parseSessionLog(ndjson);
+  const decoded = decodeAudioBuffer(events[1].buffer);
+  const maxError = samples.reduce((max, value, i) => Math.max(max, Math.abs(value - decoded[i])), 0);
+  console.log(`   会话头: ${header.sessionId === sessionId && header.startedAt === 5000 ? '✅' : '❌'}`);
+  console.log(`   事件: ${events.map(event => `${event.t}:${event.type}`).join(' ')} ${events.map(event => event.type).join() === 'image,audio,rn_message,state' && events[3].t === 6000 ? '✅' : '❌'}`);
+  console.log(`   分数压缩: ${JSON.stringify(events[0].categories)} ${events[0].categories[0][1] === 0.8765 ? '✅' : '❌'}`);
+  console.log(`   音频往返: ${decoded.length} 个采样，最大误差 ${maxError.toFixed(5)} ${decoded.length === 64 && maxError < 1e-4 ? '✅' : '❌'}`);
+  const cappedRecorder = new SessionRecorder({ clock: recordClock, indexedDB: null, maxSessions: 3, maxEvents: 100 });
+  const cappedIds = [];
+  for (let i = 0; i < 5; i++) {
+    cappedIds.push(cappedRecorder.start());
+    recordClock.advance(1000);
+    await Promise.resolve();
+  }
+  const cappedLengths = [];
+  for (let i = 0; i < 120; i++) {
+    cappedRecorder.recordRNMessage({ type: 'ping', i });
+    cappedLengths.push(cappedRecorder.memory.get(cappedRecorder.session.sessionId).events.length);
+  }
+  const keptIds = (await cappedRecorder.listSessions()).map(session => session.sessionId);
+  console.log(`   会话上限 3: 保留 ${keptIds.length} 个 ${keptIds.length === 3 && keptIds.every(id => cappedIds.slice(2).includes(id)) ? '✅' : '❌'}`);
+  console.log(`   事件裁剪余量: 最多 ${Math.max(...cappedLengths)} 条，最终 ${cappedLengths[cappedLengths.length - 1]} 条 ${Math.max(...cappedLengths) === 110 && cappedLengths[cappedLengths.length - 1] === 109 ? '✅' : '❌'}`);
+  const chunks = splitSessionLog(ndjson, 200);
+  console.log(`   日志分片: ${chunks.length} 片 ${chunks.length > 1 && chunks.join('') === ndjson && chunks.every(chunk => chunk.endsWith('\n')) ? '✅' : '❌'}`);
+  
+  // 测试16：会话回放（猫出现 4 秒后离开，回放两次应完全一致，修改防抖后应出现差异）
+  console.log('\n⏯️ 测试16：会话回放');
+  const sessionClock = new VirtualClock(0);
+  const sessionRecorder = new SessionRecorder({ clock: sessionClock, indexedDB: null });
+  sessionRecorder.start({ stateDebounceMs: 2000 });
+  for (let t = 0; t < 10000; t += 100) {
+    sessionRecorder.recordImage(t < 4000
+      ? [{ categoryName: 'tabby, tabby cat', score: 0.85 }]
+      : [{ categoryName: 'window screen', score: 0.7 }]);
+    sessionClock.advance(100);
+  }
+  const sessionLog = await sessionRecorder.exportNDJSON();
+  const replayA = await replaySession(sessionLog);
+  const replayB = await replaySession(sessionLog);
+  const replayFast = await replaySession(sessionLog, { engineConfig: { stateDebounceMs: 500 } });
+  console.log(`   状态转换: ${replayA.transitions.map(({ t, previous, state }) => `${t}:${previous}→${state}`).join(' ')} ${replayA.transitions[0] && replayA.transitions[0].state === 'cat_visual' ? '✅' : '❌'}`);
+  console.log(`   RN 消息: ${replayA.messages.map(message => `${message.t}:${message.state}`).join(' ')} ${replayA.messages.length > 0 ? '✅' : '❌'}`);
+  console.log(`   重复回放一致: ${diffMessages(replayB.messages, replayA.messages).length === 0 ? '✅' : '❌'}`);
+  const debounceDiff = diffMessages(replayFast.messages, replayA.messages);
+  console.log(`   防抖 500ms 差异: ${debounceDiff.map(({ kind, message }) => `${kind === 'missing' ? '-' : '+'}${message.t}`).join(' ')} ${debounceDiff.length > 0 ? '✅' : '❌'}`);
+  // 录制好的会话与 golden 消息流（更新：node replay-session.js fixtures/cat-visit.session.ndjson --golden fixtures/cat-visit.golden.ndjson --update）
+  const fixtureUrl = name => new URL(`./fixtures/${name}`, import.meta.url);
+  const fixtureReplay = await replaySession(await readFile(fixtureUrl('cat-visit.session.ndjson'), 'utf8'));
+  const goldenDiff = diffMessages(fixtureReplay.messages, parseMessages(await readFile(fixtureUrl('cat-visit.golden.ndjson'), 'utf8')));
+  console.log(`   golden 会话: ${fixtureReplay.messages.length} 条消息 ${goldenDiff.length === 0 && fixtureReplay.messages.length > 0 ? '✅' : `❌\n${formatDiff(goldenDiff)}`}`);
+  
+  // 测试17：VLM 提供方回退（注入 fetch，第一个提供方失败时切换到下一个）
+  console.log('\n🔀 测试17：VLM 提供方回退');
+  const requests = [];
+  const fakeFetch = async (url, init) => {
+    const body = JSON.parse(init.body);
+    requests.push({ url, ...body });
+    if (body.provider === 'kimi') {
+      return { ok: false, status: 500, text: async () => 'quota exceeded' };
+    }
+    return { ok: true, json: async () => ({ success: true, text: '一只橘猫在窗台上', provider: body.provider, model: body.model, data: { hasCat: true, catCount: 1, posture: 'sitting', activity: 'watching', location: 'center', caption: '一只橘猫在窗台上', confidence: 0.9 } }) };
+  };
+  console.log = () => {};
+  console.error = () => {};
+  const fallbackChannel = new VLMChannel('vision', {
+    providers: ['kimi', { name: 'qwen', model: 'qwen-vl-max' }],
+    temperature: 0.2,
+    baseUrl: 'http://localhost:3000',
+    fetch: fakeFetch,
+    clock: new VirtualClock(0)
+  });
+  const fallbackResult = await fallbackChannel.callVisionAPI({ image: 'data:image/jpeg;base64,AAAA' });
+  const failingChannel = new VLMChannel('vision', { providers: ['kimi'], baseUrl: '', fetch: fakeFetch });
+  const failedResult = await failingChannel.callVisionAPI({ image: 'data:image/jpeg;base64,AAAA' });
+  console.log = originalLog;
+  console.error = originalError;
+  console.log(`   请求顺序: ${requests.slice(0, 2).map(r => `${r.provider}${r.model ? '/' + r.model : ''}`).join(' → ')} ${requests[0].provider === 'kimi' && requests[1].model === 'qwen-vl-max' ? '✅' : '❌'}`);
+  console.log(`   请求参数: ${requests[0].url} fallback=${requests[0].fallback} temperature=${requests[0].temperature} ${requests[0].url === 'http://localhost:3000/api/vlm' && requests[0].fallback === false && requests[1].temperature === 0.2 ? '✅' : '❌'}`);
+  console.log(`   回退结果: ${fallbackResult.provider} "${fallbackResult.text}"，失败记录 ${fallbackResult.attempts.length} ${fallbackResult.provider === 'qwen' && fallbackResult.attempts[0].provider === 'kimi' ? '✅' : '❌'}`);
+  console.log(`   全部失败时降级: "${failedResult.text}" ${failedResult.data.hasCat === false && failedResult.attempts.length === 1 ? '✅' : '❌'}`);
+  
+  // 测试18：VLM 结构化输出解析、修复与校验
+  console.log('\n🧾 测试18：VLM 结构化输出');
+  const visionCases = [
+    ['没有猫', '{"has_cat": false, "cat_count": 0, "posture": "unknown", "activity": "unknown", "location": "none", "caption": "画面中没有猫，只有一张沙发", "confidence": 0.9}', r => r.value.hasCat === false && r.value.catCount === 0],
+    ['代码块', '```json\n{"has_cat": true, "cat_count": 2, "posture": "lying", "activity": "sleeping", "location": "bottom_left", "caption": "两只猫在睡觉"}\n```', r => r.value.catCount === 2 && r.value.location === 'bottom_left' && !r.repaired],
+    ['中文引号 + 尾逗号', '结果如下：{“has_cat”: true, “cat_count”: 1, “posture”: “sitting”, “activity”: “eating”, “location”: “center”, “caption”: “橘猫在吃饭”,}', r => r.value.activity === 'eating' && r.repaired],
+    ['Python 字面量 + 单引号', "{'has_cat': True, 'cat_count': 1, 'posture': 'Standing', 'activity': 'dancing', 'location': 'left', 'caption': '一只猫站着'}", r => r.value.posture === 'standing' && r.value.activity === 'unknown'],
+    ['截断', '{"has_cat": true, "cat_count": 0, "caption": "一只猫', r => r.value.catCount === 1 && r.value.caption === '一只猫'],
+    ['缺少 has_cat', '{"cat_count": 1, "caption": "有猫"}', r => r.value === null && r.errors[0].includes('has_cat')],
+    ['纯文本', '图片中有一只猫', r => r.value === null]
+  ];
+  visionCases.forEach(([name, text, check]) => {
+    const parsed = parseVisionResponse(text);
+    console.log(`   ${name}: ${parsed.value ? `hasCat=${parsed.value.hasCat} count=${parsed.value.catCount}` : parsed.errors.join('; ')} ${check(parsed) ? '✅' : '❌'}`);
+  });
+  
+  // 测试19：VLM 结论修正状态（EfficientNet 持续给出 "tabby"，VLM 判断是摆件）
+  console.log('\n🧑‍⚖️ 测试19：VLM 结论修正状态');
+  const vlmClock = new VirtualClock(0);
+  const corrections = [];
+  const rnMessages = [];
+  console.log = () => {};
+  console.warn = () => {};
+  const removeRNListener = addRNMessageListener(message => rnMessages.push(message));
+  const vlmEngine = new MewtEngine({
+    clock: vlmClock,
+    enableServiceWorker: false,
+    vlmEnabled: false,
+    sessionRecording: false,
+    stateManager: { vlmVerdictTtlMs: 10000 },
+    onStateChange: (newState, oldState, correction) => corrections.push({ t: vlmClock.now(), newState, oldState, correction })
+  });
+  const statueFrame = [{ categories: [{ categoryName: 'tabby, tabby cat', score: 0.8 }] }];
+  const runFrames = (until) => {
+    while (vlmClock.now() < until) {
+      vlmEngine.handleImageResult(statueFrame);
+      vlmClock.advance(100);
+    }
+  };
+  runFrames(4000);
+  const beforeVeto = vlmEngine.stateMachine.getState();
+  vlmEngine.handleVLMResult({ text: '一个猫咪摆件', data: { hasCat: false, catCount: 0, caption: '一个猫咪摆件', confidence: 0.9 } });
+  const afterVeto = vlmEngine.stateMachine.getState();
+  const vetoTrust = vlmEngine.stateManager.isLRUTrusted();
+  runFrames(12000);
+  const duringVeto = corrections.filter(item => item.t > 4000 && item.t < 12000).length;
+  runFrames(18000);
+  const afterExpiry = vlmEngine.stateMachine.getState();
+  const lowConfidence = vlmEngine.stateManager.observeVLM({ hasCat: false, caption: '不确定', confidence: 0.2 });
+  const failedVerdict = vlmEngine.stateManager.observeVLM({ hasCat: false, confidence: 0, error: 'timeout' });
+  vlmEngine.handleVLMResult({ text: '两只猫', data: { hasCat: true, catCount: 2, caption: '两只猫在沙发上', confidence: 0.9 } });
+  const afterConfirm = vlmEngine.stateMachine.getState();
+  vlmEngine.destroy();
+  removeRNListener();
+  console.log = originalLog;
+  console.warn = originalWarn;
+  const vetoEvent = corrections.find(item => item.correction && !item.correction.verdict.hasCat);
+  const vetoMessage = rnMessages.find(message => message.metadata && message.metadata.corrected);
+  console.log(`   否决: ${beforeVeto} → ${afterVeto}，LRU 信任 ${vetoTrust} ${beforeVeto === 'cat_visual' && afterVeto === 'idle' && !vetoTrust ? '✅' : '❌'}`);
+  console.log(`   修正原因: ${vetoEvent ? vetoEvent.correction.reason : '无'} ${vetoEvent && vetoEvent.t === 4000 ? '✅' : '❌'}`);
+  console.log(`   RN 消息: ${vetoMessage ? `${vetoMessage.state} corrected=${vetoMessage.metadata.corrected} (${vetoMessage.metadata.correctionSource})` : '无'} ${vetoMessage && vetoMessage.metadata.correctionReason === vetoEvent.correction.reason ? '✅' : '❌'}`);
+  console.log(`   否决期间保持 idle: ${duringVeto === 0 ? '✅' : '❌'}，过期后恢复 ${afterExpiry} ${afterExpiry !== 'idle' ? '✅' : '❌'}`);
+  console.log(`   低置信度 / 失败结果不采用: ${lowConfidence === null && failedVerdict === null ? '✅' : '❌'}`);
+  console.log(`   确认 2 只猫: ${afterConfirm} ${afterConfirm === 'multiple_cats' ? '✅' : '❌'}`);
+  
+  // 否决只针对作出结论时的检测：猫在有效期内回来（新的连续可见段）时立即撤销；"猫离开" 的检查不记为否决
+  const returnClock = new VirtualClock(0);
+  const returnStates = [];
+  console.log = () => {};
+  console.warn = () => {};
+  const returnEngine = new MewtEngine({
+    clock: returnClock,
+    enableServiceWorker: false,
+    vlmEnabled: false,
+    sessionRecording: false,
+    onStateChange: (newState) => returnStates.push({ t: returnClock.now(), newState })
+  });
+  const emptyFrame = [{ categories: [{ categoryName: 'window screen', score: 0.6 }] }];
+  const catFrame = [{ categories: [{ categoryName: 'tabby, tabby cat', score: 0.95 }] }];
+  const feedFrames = (frame, until) => {
+    while (returnClock.now() < until) {
+      returnEngine.handleImageResult(frame);
+      returnClock.advance(100);
+    }
+  };
+  feedFrames(emptyFrame, 1000);
+  returnEngine.handleVLMResult({ text: '空房间', data: { hasCat: false, catCount: 0, caption: '空房间', confidence: 0.9 } }, { trigger: 'appeared' });
+  const vetoRecorded = returnEngine.stateManager.getVLMVerdict() !== null;
+  feedFrames(catFrame, 5000);
+  const returnedState = returnEngine.stateMachine.getState();
+  const vetoReleased = returnEngine.stateManager.getVLMVerdict() === null;
+  returnEngine.handleVLMResult({ text: '没有猫', data: { hasCat: false, catCount: 0, caption: '没有猫', confidence: 0.9 } }, { trigger: 'lost' });
+  const lostVeto = returnEngine.stateManager.getVLMVerdict();
+  returnEngine.handleImageResult(catFrame);
+  const windowContext = returnEngine.getFullContext().current;
+  const mewtWindowSize = returnEngine.mewt.context.current.current_image.size;
+  returnEngine.destroy();
+  console.log = originalLog;
+  console.warn = originalWarn;
+  const returnedAt = returnStates.find(item => item.newState !== 'idle');
+  console.log(`   有效期内猫回来: ${returnedAt ? `${returnedAt.t}ms ${returnedAt.newState}` : '仍为 idle'}，否决撤销 ${vetoReleased} ${vetoRecorded && vetoReleased && returnedState !== 'idle' && returnedAt.t <= 5000 ? '✅' : '❌'}`);
+  console.log(`   "猫离开" 检查不记为否决: ${lostVeto === null ? '✅' : '❌'}`);
+  console.log(`   单一窗口缓冲: 窗口处理器 ${JSON.stringify(windowContext.current_image)}，Mewt ${mewtWindowSize} 项 ${windowContext.current_image['tabby, tabby cat'] === 0.95 && mewtWindowSize === 0 ? '✅' : '❌'}`);
+  
+  // 测试20：音频 VLM 通道（WAV 编码、结构化解读、确认猫叫时由观察者触发）
+  console.log('\n🎙️ 测试20：音频 VLM 通道');
+  const tone = createMockAudioBuffer(1600);
+  const wavBytes = encodeWav(tone);
+  const decodedTone = decodeWav(wavBytes);
+  const wavError = decodedTone.samples.reduce((max, value, i) => Math.max(max, Math.abs(value - tone[i])), 0);
+  console.log(`   WAV 往返: ${wavBytes.length} 字节，${decodedTone.sampleRate}Hz，最大误差 ${wavError.toExponential(1)} ${wavBytes.length === 44 + 3200 && decodedTone.sampleRate === 16000 && wavError < 1e-4 ? '✅' : '❌'}`);
+  const audioCases = [
+    ['要吃的', '{"is_cat": true, "vocalisation": "meow", "emotion": "for_food", "category": "warning", "caption": "短促的喵叫，像是在要吃的", "confidence": 0.8}', r => r.value.emotion === 'for_food' && r.value.category === 'attention'],
+    ['未知情绪', "{'is_cat': True, 'vocalisation': 'Trill', 'emotion': 'grumpy', 'category': 'friendly', 'caption': '颤音'}", r => r.value.vocalisation === 'trill' && r.value.emotion === 'unknown' && r.value.category === 'friendly' && r.repaired],
+    ['不是猫', '{"is_cat": false, "vocalisation": "meow", "emotion": "hello", "caption": "这是人在说话"}', r => r.value.isCat === false && r.value.vocalisation === 'none' && r.value.emotion === 'unknown'],
+    ['缺少 is_cat', '{"caption": "喵"}', r => r.value === null && r.errors[0].includes('is_cat')]
+  ];
+  audioCases.forEach(([name, text, check]) => {
+    const parsed = parseAudioResponse(text);
+    console.log(`   ${name}: ${parsed.value ? `${parsed.value.vocalisation} ${parsed.value.emotion}/${parsed.value.category}` : parsed.errors.join('; ')} ${check(parsed) ? '✅' : '❌'}`);
+  });
+  
+  // 频率限制以 0 作为上次调用时间，虚拟时钟从较大的时间开始
+  const audioStart = 100000;
+  const audioClock = new VirtualClock(audioStart);
+  const audioRequests = [];
+  const audioResults = [];
+  const audioMessages = [];
+  const fakeAudioFetch = async (url, init) => {
+    const body = JSON.parse(init.body);
+    audioRequests.push({ url, ...body });
+    const emotion = body.hint && body.hint.emotionId ? body.hint.emotionId : 'unknown';
+    return { ok: true, json: async () => ({ success: true, text: '（模拟）检测到一声猫叫', provider: body.provider, model: 'mock', data: { isCat: true, vocalisation: 'meow', emotion, category: 'unknown', caption: '（模拟）检测到一声猫叫', confidence: 0.5 } }) };
+  };
+  console.log = () => {};
+  console.warn = () => {};
+  const removeAudioListener = addRNMessageListener(message => {
+    if (message.metadata && message.metadata.channel === 'audio') audioMessages.push(message);
+  });
+  const audioEngine = new MewtEngine({
+    clock: audioClock,
+    enableServiceWorker: false,
+    sessionRecording: false,
+    vlmAudioProviders: ['mock'],
+    onAudioVLMResult: result => audioResults.push(result)
+  });
+  audioEngine.vlmAudio.fetch = fakeAudioFetch;
+  audioEngine.vlmAudio.baseUrl = '';
+  const meowResult = [{ classifications: [{ categories: [{ categoryName: 'Meow', score: 0.7 }] }] }];
+  while (audioClock.now() < audioStart + 5000) {
+    if (audioClock.now() % 500 === 0) {
+      audioEngine.handleAudioResult(meowResult, createMockAudioBuffer(8000));
+    }
+    audioClock.advance(100);
+  }
+  await new Promise(resolve => setTimeout(resolve, 0));
+  const repeated = await audioEngine.vlmAudio.analyze(audioEngine.getVocalisationClip());
+  const audioStatus = audioEngine.getVLMStatus();
+  audioClock.advance(10000);
+  const staleClip = audioEngine.getVocalisationClip();
+  audioEngine.destroy();
+  removeAudioListener();
+  console.log = originalLog;
+  console.warn = originalWarn;
+  const audioRequest = audioRequests[0] || {};
+  const uploaded = audioRequest.audio ? decodeWav(Buffer.from(audioRequest.audio.split(',')[1], 'base64')) : null;
+  console.log(`   观察者触发: ${audioRequests.length} 次请求 → ${audioRequest.url} (${audioRequest.provider}) ${audioRequests.length === 1 && audioRequest.url === '/api/vlm-audio' && audioRequest.provider === 'mock' ? '✅' : '❌'}`);
+  console.log(`   上传片段: ${uploaded ? `${uploaded.samples.length} 采样 @${uploaded.sampleRate}Hz` : '无'} ${uploaded && uploaded.samples.length === 8000 ? '✅' : '❌'}`);
+  console.log(`   RN 消息: ${audioMessages.map(message => message.text).join(' ') || '无'} ${audioMessages.length === 1 && audioMessages[0].metadata.audioVlm.isCat && audioResults.length === 1 ? '✅' : '❌'}`);
+  console.log(`   独立频率限制 / 锁定: 重复调用 ${repeated}，音频锁定 "${audioStatus.audio.lockText}"，视觉调用 ${audioStatus.callsInLastMinute} ${repeated === null && audioStatus.audio.lockText && audioStatus.callsInLastMinute === 0 ? '✅' : '❌'}`);
+  console.log(`   过期片段不上传: ${staleClip === null ? '✅' : '❌'}`);
+  
+  // 测试21：校准超时与取消（没有原始音频时不会一直占用音频管线）
+  console.log('\n⏲️ 测试21：校准超时与取消');
+  const calibrationClock = new VirtualClock(0);
+  const calibrationMessages = [];
+  console.log = () => {};
+  console.warn = () => {};
+  const removeCalibrationListener = addRNMessageListener(message => calibrationMessages.push(message.text));
+  const calibrationEngine = new MewtEngine({ clock: calibrationClock, enableServiceWorker: false, vlmEnabled: false, sessionRecording: false });
+  const silentResult = [{ classifications: [{ categories: [{ categoryName: 'Silence', score: 0.9 }] }] }];
+  const timedOut = calibrationEngine.startCalibration({ ambientMs: 2000 }).then(() => null, error => error.message);
+  for (let t = 0; t < 13000; t += 500) {
+    calibrationEngine.handleAudioResult(silentResult, null);
+    calibrationClock.advance(500);
+  }
+  const timeoutError = await timedOut;
+  const timedOutCleared = calibrationEngine.calibration === null;
+  const cancelled = calibrationEngine.startCalibration({ ambientMs: 2000 }).then(() => null, error => error.message);
+  calibrationEngine.handleRNMessage({ type: 'cancel_calibration' });
+  const cancelError = await cancelled;
+  calibrationClock.advance(20000);
+  calibrationEngine.destroy();
+  removeCalibrationListener();
+  console.log = originalLog;
+  console.warn = originalWarn;
+  console.log(`   超时: ${timeoutError} ${timeoutError === 'Calibration timed out after 12000ms' && timedOutCleared ? '✅' : '❌'}`);
+  console.log(`   取消: ${cancelError} ${cancelError === 'Calibration cancelled' && calibrationEngine.calibration === null ? '✅' : '❌'}`);
+  console.log(`   RN 消息: ${calibrationMessages.join(' → ')} ${calibrationMessages.join() === '开始校准，请保持安静,校准失败,开始校准，请保持安静,已取消校准' ? '✅' : '❌'}`);
+  
+  // 测试22：发声分段；没有独立发声段时整段分析，叫声统计与分析过的段一致
+  console.log('\n🔊 测试22：发声分段与整段分析');
+  const steadyTone = Float32Array.from({ length: 16384 }, (_, i) => Math.sin(2 * Math.PI * 600 * i / 16000) * 0.3);
+  const { calls: steadyCalls } = classifySegments(steadyTone, samples => ({ rms: samples.length }), () => ({ emotionId: 'call', confidence: 0.6 }));
+  console.log(`   叫声: ${steadyCalls.count} 段 ${steadyCalls.pattern}，segments ${steadyCalls.segments.length} 段 ${steadyCalls.count === steadyCalls.segments.length && steadyCalls.pattern === 'continuous' ? '✅' : '❌'}`);
+  // 静音隔开的两声（0.3s 和 0.4s）分成两段，模式为 repeated；段边界最多多出一帧加拖尾
+  const isCall = t => (t >= 0.2 && t < 0.5) || (t >= 0.8 && t < 1.2);
+  const twoMeows = Float32Array.from({ length: Math.round(1.4 * 16000) }, (_, i) =>
+    (isCall(i / 16000) ? Math.sin(2 * Math.PI * 700 * i / 16000) * 0.3 : 0) + Math.sin(2 * Math.PI * 3100 * i / 16000) * 0.0005);
+  const { calls: meowCalls } = classifySegments(twoMeows, samples => ({ rms: samples.length }), () => ({ emotionId: 'call', confidence: 0.6 }));
+  const durationsMatch = meowCalls.durations.length === 2 && [0.3, 0.4].every((expected, i) => Math.abs(meowCalls.durations[i] - expected) < 0.06);
+  console.log(`   两声: ${meowCalls.count} 段 ${meowCalls.pattern}，时长 ${meowCalls.durations.map(d => d.toFixed(3)).join('/')}s ${meowCalls.count === 2 && meowCalls.pattern === 'repeated' && durationsMatch ? '✅' : '❌'}`);
+  // 同一缓冲区中长度相同、均值接近 0 的两段不能共用特征缓存
+  const cacheTrigger = new AudioTrigger({ calibrationProfile: null });
+  const twoCalls = Float32Array.from({ length: 8192 }, (_, i) => Math.sin(2 * Math.PI * (i < 4096 ? 1200 : 400) * i / 16000) * 0.2);
+  const firstCall = cacheTrigger.extractAudioFeatures(twoCalls.subarray(0, 4096));
+  const secondCall = cacheTrigger.extractAudioFeatures(twoCalls.subarray(4096));
+  console.log(`   特征缓存: 质心 ${firstCall.spectralCentroid.toFixed(0)} / ${secondCall.spectralCentroid.toFixed(0)} Hz ${firstCall !== secondCall && firstCall.spectralCentroid > secondCall.spectralCentroid * 2 ? '✅' : '❌'}`);
+  
   console.log('\n🎉 所有测试完成！');
   
   // 清理资源
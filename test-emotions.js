@@ -1,5 +1,17 @@
 // Test script for emotion classification rule engine
-import { classifyEmotion, classifyEmotionCategory } from './emotions.js';
+import {
+  classifyEmotion,
+  classifyEmotionCategory,
+  validateEmotionRulePack,
+  compareRulePacks,
+  scoreEmotions,
+  getEmotionById
+} from './emotions.js';
+import { DEFAULT_RULE_PACK } from './emotion-rules.js';
+import { KNNEmotionClassifier, createEmotionClassifier } from './emotion-classifier.js';
+import { EmotionTracker } from './emotion-tracker.js';
+import { extractAudioFeatures, SAMPLE_RATE } from './features.js';
+import { runWarningDetectors } from './warning-detectors.js';
 
 // Test audio features (simulated)
 const testFeatures = [
@@ -8,7 +20,7 @@ const testFeatures = [
     features: {
       zeroCrossingRate: 0.01,
       spectralCentroid: 800,
-      spectralRolloff: 0.2,
+      spectralRolloff: 800,
       energy: 0.00001,
       rms: 0.001
     }
@@ -18,7 +30,7 @@ const testFeatures = [
     features: {
       zeroCrossingRate: 0.05,
       spectralCentroid: 2000,
-      spectralRolloff: 0.4,
+      spectralRolloff: 1600,
       energy: 0.0005,
       rms: 0.5
     }
@@ -28,7 +40,7 @@ const testFeatures = [
     features: {
       zeroCrossingRate: 0.09,
       spectralCentroid: 4500,
-      spectralRolloff: 0.8,
+      spectralRolloff: 3200,
       energy: 0.0009,
       rms: 0.9
     }
@@ -56,4 +68,181 @@ testFeatures.forEach(test => {
   console.log("─".repeat(50));
 });
 
+// Rule pack validation and A/B comparison
+console.log("📦 Rule pack checks:\n");
+
+const defaultValidation = validateEmotionRulePack(DEFAULT_RULE_PACK);
+console.log(`Default pack valid: ${defaultValidation.valid ? '✅' : '❌ ' + defaultValidation.errors.join('; ')}`);
+
+const brokenPack = {
+  name: 'broken',
+  rules: [{ emotionId: 'not_an_emotion', confidence: 2, conditions: { energy: { min: 0.5, max: 0.1 } } }]
+};
+const brokenValidation = validateEmotionRulePack(brokenPack);
+console.log(`Broken pack rejected: ${!brokenValidation.valid ? '✅' : '❌'} (${brokenValidation.errors.length} errors)`);
+
+// Variant pack: "Strong Warning" is trusted less than the other warning rules
+const strictPack = {
+  ...DEFAULT_RULE_PACK,
+  name: 'strict-warning',
+  rules: DEFAULT_RULE_PACK.rules.map(rule => rule.emotionId === 'for_fight'
+    ? { ...rule, confidence: 0.6 }
+    : rule)
+};
+const comparison = compareRulePacks(testFeatures[2].features, DEFAULT_RULE_PACK, strictPack);
+console.log(`A/B on "${testFeatures[2].name}": ` +
+  `${comparison.a ? comparison.a.emotionId : 'none'} vs ${comparison.b ? comparison.b.emotionId : 'none'} ` +
+  `(${comparison.agree ? 'agree' : 'differ'})`);
+
+console.log("─".repeat(50));
+
+// Graded scoring mode: runner-ups and per-category totals
+console.log("🎚️ Scored mode:\n");
+
+testFeatures.forEach(test => {
+  const scored = classifyEmotion(test.features, undefined, { mode: 'scored' });
+  const { topK, categoryScores } = scoreEmotions(test.features);
+
+  console.log(`📊 ${test.name}`);
+  console.log(`   Best: ${scored ? `${scored.emotion.icon} ${scored.emotion.title}` : 'none'}`);
+  console.log(`   Top-3: ${topK.map(e => `${e.emotionId} ${Math.round(e.probability * 100)}%`).join(', ') || 'none'}`);
+  console.log(`   Categories: ${Object.entries(categoryScores)
+    .map(([id, p]) => `${id} ${Math.round(p * 100)}%`).join(', ')}`);
+});
+
+console.log("─".repeat(50));
+
+// Learned classifier: train on jittered copies of the test features labelled by the rule engine,
+// round-trip through JSON, then predict held-out copies the model has never seen
+console.log("🧠 Learned (k-NN) classifier:\n");
+
+// Deterministic ±15% jitter per feature, so every copy is a distinct point near its source
+const jitter = (features, seed) => Object.fromEntries(Object.entries(features)
+  .map(([key, value], i) => [key, value * (1 + 0.15 * Math.sin(seed * 12.9898 + i * 78.233))]));
+
+const labelled = testFeatures
+  .map(test => ({
+    label: classifyEmotion(test.features, undefined, { mode: 'scored' })?.emotionId,
+    features: test.features
+  }))
+  .filter(example => example.label);
+const copies = labelled.flatMap(({ label, features }, source) =>
+  Array.from({ length: 8 }, (_, i) => ({ label, features: jitter(features, source * 8 + i + 1), heldOut: i % 4 === 3 })));
+const training = copies.filter(example => !example.heldOut);
+const heldOut = copies.filter(example => example.heldOut);
+const model = KNNEmotionClassifier.fromJSON(
+  JSON.parse(JSON.stringify(new KNNEmotionClassifier({ k: 3 }).fit(training)))
+);
+const compare = createEmotionClassifier({ mode: 'compare', model, scoringMode: 'scored' });
+
+console.log(`   Trained on ${training.length} examples, holding out ${heldOut.length}`);
+heldOut.forEach(({ label, features }) => {
+  const learned = model.predict(features);
+  const compared = compare(features);
+  console.log(`   ${label} (held out): learned ${learned ? learned.emotionId : 'none'} ` +
+    `${learned && learned.emotionId === label ? '✅' : '❌'} (compare agree: ${compared ? compared.comparison.agree : 'n/a'})`);
+});
+
+// Samples whose label is no longer in emotions.js are dropped on load, so predict never sees them
+const staleJSON = JSON.parse(JSON.stringify(model));
+staleJSON.samples = staleJSON.samples.map((sample, i) => (i % 2 ? { ...sample, label: 'retired_emotion' } : sample));
+const stale = KNNEmotionClassifier.fromJSON(staleJSON);
+let staleError = null;
+try {
+  heldOut.forEach(({ features }) => stale.predict(features));
+} catch (error) {
+  staleError = error;
+}
+console.log(`   Unknown labels dropped on load: ${stale.samples.length}/${staleJSON.samples.length} kept ` +
+  `${!staleError && stale.samples.every(sample => getEmotionById(sample.label)) ? '✅' : '❌'}`);
+
+console.log("─".repeat(50));
+
+// Temporal smoothing: one growl inside a comfortable session must not flip the reported emotion
+console.log("⏱️ Emotion tracker:\n");
+
+const tracker = new EmotionTracker();
+const windowResult = (emotionId, confidence, timestamp) => ({
+  emotion: getEmotionById(emotionId), confidence, alternatives: [], timestamp
+});
+const sequence = ['comfortable', 'comfortable', 'comfortable', 'for_fight', 'comfortable',
+  'for_fight', 'for_fight', 'for_fight'];
+const dominant = sequence.map((emotionId, i) =>
+  tracker.update(windowResult(emotionId, emotionId === 'for_fight' ? 0.9 : 0.7, (i + 1) * 1000)));
+
+console.log(`   Observed: ${sequence.join(' → ')}`);
+console.log(`   Reported: ${dominant.map(r => r.emotion.id).join(' → ')}`);
+console.log(`   Single growl ignored: ${dominant[3].emotion.id === 'comfortable' ? '✅' : '❌'}`);
+console.log(`   Sustained growl adopted: ${dominant[dominant.length - 1].emotion.id === 'for_fight' ? '✅' : '❌'}`);
+console.log(`   Switches in timeline: ${tracker.getTimeline().filter(entry => entry.switched).length}`);
+
+console.log("─".repeat(50));
+
+// Warning detectors: synthetic hiss and growl must override the generic rules, a meow must not
+console.log("🚨 Warning detectors:\n");
+
+let seed = 1;
+const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647 * 2 - 1;
+let growlPhase = 0;
+let growlPitch = 110;
+let meowPhase = 0;
+const signals = {
+  hiss: Float32Array.from({ length: SAMPLE_RATE }, () => 0.1 * random()),
+  // 110 Hz sawtooth whose pitch wanders ±12% every 10ms, plus breath noise
+  growl: Float32Array.from({ length: Math.round(1.2 * SAMPLE_RATE) }, (_, i) => {
+    if (i % 160 === 0) growlPitch = 110 * (1 + 0.12 * random());
+    growlPhase += growlPitch / SAMPLE_RATE;
+    return 0.2 * ((growlPhase % 1) * 2 - 1) + 0.03 * random();
+  }),
+  meow: Float32Array.from({ length: Math.round(0.6 * SAMPLE_RATE) }, (_, i) => {
+    meowPhase += (700 + 80 * Math.sin(2 * Math.PI * 6 * i / SAMPLE_RATE)) / SAMPLE_RATE;
+    return 0.2 * Math.sin(2 * Math.PI * meowPhase);
+  })
+};
+const expectedDetector = { hiss: 'hiss', growl: 'growl', meow: null };
+const withDetectors = createEmotionClassifier();
+const withoutDetectors = createEmotionClassifier({ warningDetectors: false });
+
+Object.entries(signals).forEach(([name, samples]) => {
+  const features = extractAudioFeatures(samples);
+  const { hiss, growl } = runWarningDetectors(features);
+  const result = withDetectors(features);
+  const generic = withoutDetectors(features);
+  const detector = result ? result.detector || null : null;
+  console.log(`   ${name}: hiss ${Math.round(hiss.confidence * 100)}%, ` +
+    `growl ${Math.round(growl.confidence * 100)}% → ${result ? result.emotion.id : 'none'} ` +
+    `(rules alone: ${generic ? generic.emotion.id : 'none'}) ` +
+    `${detector === expectedDetector[name] ? '✅' : '❌'}`);
+});
+
+// A detector-confirmed warning bypasses the tracker's hysteresis
+const warningTracker = new EmotionTracker();
+[1000, 2000, 3000].forEach(ts => warningTracker.update(windowResult('comfortable', 0.7, ts)));
+const hissed = warningTracker.update({ ...windowResult('dieaway', 0.9, 4000), detector: 'hiss' });
+console.log(`   Tracker adopts detected hiss immediately: ${hissed.emotion.id === 'dieaway' && hissed.detector === 'hiss' ? '✅' : '❌'}`);
+
+console.log("─".repeat(50));
+
+// Feature extraction: synthetic signals with known spectra
+console.log("🔬 Feature extraction:\n");
+
+const sine = (frequency, seconds = 1) => Float32Array.from({ length: Math.round(seconds * SAMPLE_RATE) },
+  (_, i) => 0.3 * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE));
+const toneFeatures = extractAudioFeatures(sine(1000));
+const noiseFeatures = extractAudioFeatures(Float32Array.from({ length: SAMPLE_RATE }, () => 0.3 * random()));
+
+console.log(`   1 kHz sine centroid: ${toneFeatures.spectralCentroid.toFixed(1)} Hz ` +
+  `${Math.abs(toneFeatures.spectralCentroid - 1000) < 20 ? '✅' : '❌'}`);
+console.log(`   1 kHz sine flatness: ${toneFeatures.spectralFlatness.toExponential(1)} ` +
+  `${toneFeatures.spectralFlatness < 0.01 ? '✅' : '❌'}`);
+console.log(`   White noise flatness: ${noiseFeatures.spectralFlatness.toFixed(3)} ` +
+  `${noiseFeatures.spectralFlatness > 0.9 ? '✅' : '❌'}`);
+console.log(`   MFCC coefficients: ${toneFeatures.mfcc.length} ` +
+  `${toneFeatures.mfcc.length === 13 && toneFeatures.mfcc.every(Number.isFinite) ? '✅' : '❌'}`);
+const a440 = extractAudioFeatures(sine(440));
+console.log(`   440 Hz YIN pitch: ${a440.pitchMean.toFixed(1)} Hz (voiced ${Math.round(a440.voicedRatio * 100)}%) ` +
+  `${Math.abs(a440.pitchMean - 440) < 3 ? '✅' : '❌'}`);
+
+console.log("─".repeat(50));
+
 console.log("🎉 Test completed!");
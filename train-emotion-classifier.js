@@ -0,0 +1,131 @@
+/**
+ * 情绪分类器训练脚本（Node）
+ * ==========================
+ *
+ * 用法：
+ *   node train-emotion-classifier.js <片段目录> [输出文件] [--k N] [--calibration 校准档案.json]
+ *
+ * 片段目录按情绪ID分子目录存放 WAV 文件（情绪ID见 emotions.js）：
+ *   clips/
+ *     find_mom/*.wav
+ *     for_food/*.wav
+ *     ...
+ *
+ * 每个片段先重采样到 16 kHz，再按 segmentation.js 切分发声段，每段作为一个训练样本
+ * （没有检测到发声段时用整个片段），用 features.js extractAudioFeatures 提取特征。
+ *
+ * 运行时 Mewt.classifyFeatures 会先用当前设备的校准档案换算特征（calibration.js applyCalibration），
+ * 再交给分类器，所以模型应当在"参考设备"尺度上训练：
+ * - 传入 --calibration 时，每个样本的特征先按录制设备的校准档案换算，与运行时一致
+ * - 不传时直接使用原始特征，只适用于录制设备就是参考设备（或运行时不加载校准档案）的情况
+ *
+ * 训练结果写成 JSON，可在浏览器中用 KNNEmotionClassifier.load() 加载。
+ */
+
+import { readdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { decodeWav, resample } from './wav.js';
+import { extractAudioFeatures } from './features.js';
+import { segmentVocalisations, getSegmentSamples } from './segmentation.js';
+import { KNNEmotionClassifier } from './emotion-classifier.js';
+import { getEmotionById } from './emotions.js';
+import { applyCalibration, isValidCalibrationProfile } from './calibration.js';
+
+const USAGE = '用法: node train-emotion-classifier.js <片段目录> [输出文件] [--k N] [--calibration 校准档案.json]';
+
+function usage() {
+  console.error(USAGE);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const args = { clipsDir: null, output: 'emotion-model.json', k: 5, calibration: null };
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--k') {
+      const value = argv[++i];
+      if (!/^[1-9]\d*$/.test(value || '')) {
+        console.error(`❌ --k 需要正整数: ${value ?? '(缺失)'}`);
+        usage();
+      }
+      args.k = Number(value);
+    } else if (argv[i] === '--calibration') {
+      args.calibration = argv[++i];
+      if (!args.calibration) usage();
+    } else {
+      positional.push(argv[i]);
+    }
+  }
+  [args.clipsDir, args.output = args.output] = positional;
+  return args;
+}
+
+async function loadCalibration(file) {
+  if (!file) return null;
+  const profile = JSON.parse(await readFile(file, 'utf8'));
+  if (!isValidCalibrationProfile(profile)) {
+    throw new Error(`${file} 不是有效的校准档案`);
+  }
+  return profile;
+}
+
+async function loadExamples(clipsDir, calibration) {
+  const examples = [];
+  const entries = await readdir(clipsDir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (!entry.isDirectory()) continue;
+
+    const label = entry.name;
+    if (!getEmotionById(label)) {
+      console.warn(`⚠️ 跳过未知情绪目录: ${label}`);
+      continue;
+    }
+
+    const files = (await readdir(path.join(clipsDir, label)))
+      .filter(file => file.toLowerCase().endsWith('.wav'));
+
+    for (const file of files) {
+      const { samples, sampleRate } = decodeWav(await readFile(path.join(clipsDir, label, file)));
+      const clip = resample(samples, sampleRate);
+      const segments = segmentVocalisations(clip);
+      const parts = segments.length > 0
+        ? segments.map(segment => getSegmentSamples(clip, segment))
+        : [clip];
+
+      for (const part of parts) {
+        examples.push({ label, features: applyCalibration(extractAudioFeatures(part), calibration) });
+      }
+      console.log(`  ${label}/${file}: ${parts.length} 个样本`);
+    }
+  }
+  return examples;
+}
+
+async function main() {
+  const { clipsDir, output, k, calibration: calibrationFile } = parseArgs(process.argv.slice(2));
+  if (!clipsDir) {
+    usage();
+  }
+
+  const calibration = await loadCalibration(calibrationFile);
+  console.log(calibration
+    ? `🎚️ 按校准档案换算特征: ${calibrationFile}`
+    : '🎚️ 未指定校准档案，使用原始特征（录制设备应为参考设备）');
+
+  console.log(`📂 读取训练片段: ${clipsDir}`);
+  const examples = await loadExamples(clipsDir, calibration);
+
+  const classifier = new KNNEmotionClassifier({ k }).fit(examples);
+  const model = classifier.toJSON();
+  await writeFile(output, JSON.stringify(model));
+
+  console.log(`✅ 训练完成: ${examples.length} 个样本, k=${k}`);
+  console.log('   各情绪样本数:', model.labelCounts);
+  console.log(`💾 模型已保存: ${output}`);
+}
+
+main().catch(error => {
+  console.error('❌ 训练失败:', error.message);
+  process.exit(1);
+});
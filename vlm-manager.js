@@ -1,13 +1,77 @@
 /**
  * VLM Manager - 通用视觉/音频大模型管理器
  * 负责：频率限制、文案锁定、API调用
+ * 时间取自注入的时钟（见 clock.js），频率限制和锁定时长可以在虚拟时钟上确定性地测试
+ *
+ * 提供方：VLMChannel 按 config.providers 的顺序调用，失败时自动切换到下一个。
+ * 每个提供方是一份配置 { endpoint?, provider, model?, temperature?, prompt? }，
+ * 默认发往服务端通用端点（视觉 /api/vlm，音频 /api/vlm-audio；api/_vlm-providers.js 中 Kimi、Qwen、
+ * OpenAI 兼容端点共用一个适配器），也可以通过 registerVLMProvider() 注册指向其他端点的提供方。
+ *
+ * 视觉结果：{ text: caption, data: { hasCat, catCount, posture, activity, location, caption, confidence }, provider, model }
+ * 音频结果：{ text: caption, data: { isCat, vocalisation, emotion, category, caption, confidence }, provider, model }
+ * （格式见 vlm-schema.js），提供方返回的结构化结果不合法时视为失败，切换到下一个。
+ * 音频通道的输入是 { audio: WAV data URL, hint?: 本地情绪分类结果 }，mock 提供方在服务端本地模拟回答。
  */
 
+import { systemClock } from './clock.js';
+
+// 默认提示词（服务端会在后面附加 vlm-schema.js 的 JSON 格式要求）
+const DEFAULT_VISION_PROMPT = '请分析图片中是否有猫。如果有猫，说明有几只、什么姿势、正在做什么、在画面中的位置，并用一句简短的中文描述。';
+const DEFAULT_AUDIO_PROMPT = '请听这段录音，判断是否是猫的叫声。如果是，说明是哪种叫声、猫可能想表达什么情绪或需求，并用一句简短的中文解读。';
+
+// 各通道的默认端点、提供方顺序、提示词和结构化结果
+const CHANNEL_DEFAULTS = {
+  vision: {
+    endpoint: '/api/vlm',
+    providers: ['kimi', 'qwen'],
+    prompt: DEFAULT_VISION_PROMPT,
+    fallbackText: '图像分析中...',
+    isStructured: (data) => typeof data.hasCat === 'boolean',
+    pick: ({ hasCat, catCount, posture, activity, location, caption, confidence }) =>
+      ({ hasCat, catCount, posture, activity, location, caption, confidence })
+  },
+  audio: {
+    endpoint: '/api/vlm-audio',
+    providers: ['qwen', 'openai'],
+    prompt: DEFAULT_AUDIO_PROMPT,
+    fallbackText: '猫叫分析中...',
+    isStructured: (data) => typeof data.isCat === 'boolean',
+    pick: ({ isCat, vocalisation, emotion, category, caption, confidence }) =>
+      ({ isCat, vocalisation, emotion, category, caption, confidence })
+  }
+};
+
+/**
+ * 客户端提供方注册表
+ * provider 为服务端注册表中的名称；model / temperature 不设置时使用服务端默认值
+ * endpoint 不设置时使用通道的默认端点
+ */
+const VLM_PROVIDERS = {
+  kimi: { provider: 'kimi' },
+  qwen: { provider: 'qwen' },
+  openai: { provider: 'openai' },
+  mock: { provider: 'mock' } // 服务端本地模拟（只支持音频），开发时使用
+};
+
+/**
+ * 注册客户端提供方
+ * @param {string} name - 提供方名称
+ * @param {Object} config - { endpoint?, provider?, model?, temperature?, prompt? }
+ */
+function registerVLMProvider(name, config) {
+  if (!config) {
+    throw new Error(`VLM 提供方 ${name} 缺少配置`);
+  }
+  VLM_PROVIDERS[name] = { provider: name, ...config };
+}
+
 /**
  * 频率限制器
  */
 class RateLimiter {
-  constructor(minIntervalMs = 15000, maxPerMinute = 3) {
+  constructor(minIntervalMs = 15000, maxPerMinute = 3, clock = systemClock) {
+    this.clock = clock;
     this.minIntervalMs = minIntervalMs;
     this.maxPerMinute = maxPerMinute;
     this.lastCallTime = 0;
@@ -15,7 +79,7 @@ class RateLimiter {
   }
 
   canCall() {
-    const now = Date.now();
+    const now = this.clock.now();
 
     // 检查最小间隔
     if (now - this.lastCallTime < this.minIntervalMs) {
@@ -38,7 +102,7 @@ class RateLimiter {
   }
 
   recordCall() {
-    const now = Date.now();
+    const now = this.clock.now();
     this.lastCallTime = now;
     this.callsInLastMinute.push(now);
     console.log(`[RateLimiter] 记录调用，本分钟第${this.callsInLastMinute.length}次`);
@@ -56,11 +120,30 @@ class RateLimiter {
 class VLMChannel {
   constructor(type, config = {}) {
     this.type = type; // 'vision' or 'audio'
+    this.defaults = CHANNEL_DEFAULTS[type];
+    if (!this.defaults) {
+      throw new Error(`未知的 VLM 通道类型: ${type}`);
+    }
     this.enabled = config.enabled !== undefined ? config.enabled : true;
-    this.apiEndpoint = config.apiEndpoint || '/api/qwen3vl';
+    this.clock = config.clock || systemClock;
+    
+    // 提供方顺序（名称或 { name, model, temperature, prompt }），依次尝试
+    // apiEndpoint 覆盖所有提供方的端点；model / temperature / prompt 为全局默认，提供方条目中的设置优先
+    this.providers = (config.providers || this.defaults.providers).map(entry => (
+      typeof entry === 'string' ? { name: entry } : entry
+    ));
+    this.apiEndpoint = config.apiEndpoint || null;
+    this.model = config.model || null;
+    this.temperature = config.temperature;
+    this.prompt = config.prompt || this.defaults.prompt;
+    this.fetch = config.fetch || ((...args) => fetch(...args));
+    this.baseUrl = config.baseUrl !== undefined
+      ? config.baseUrl
+      : (typeof window !== 'undefined' ? window.location.origin : '');
     this.rateLimiter = new RateLimiter(
       config.minInterval || 15000,
-      config.maxPerMinute || 3
+      config.maxPerMinute || 3,
+      this.clock
     );
     
     // 文案锁定
@@ -102,8 +185,11 @@ class VLMChannel {
       
       if (result) {
         this.rateLimiter.recordCall();
-        this.setLock(result.text, result.data);
-        console.log(`[VLM-${this.type}] 分析完成: ${result.text}`);
+        // 所有提供方都失败时只计入频率限制，不锁定降级文案
+        if (!result.failed) {
+          this.setLock(result.text, result.data);
+        }
+        console.log(`[VLM-${this.type}] 分析${result.failed ? '失败' : '完成'}: ${result.text}`);
       }
       
       return result;
@@ -127,74 +213,123 @@ class VLMChannel {
   }
 
   /**
-   * 调用视觉VLM API（通过Vercel Serverless函数 - Kimi VLM）
+   * 调用视觉VLM API：data 为 { image, prompt? }
    */
   async callVisionAPI(data) {
-    try {
-      // 自动使用当前域名的API端点
-      // 本地: http://localhost:3000/api/kimi-vlm
-      // 生产: https://your-project.vercel.app/api/kimi-vlm
-      const apiUrl = window.location.origin + '/api/kimi-vlm';
-      
-      console.log('[VLM] 调用Kimi API:', apiUrl);
-
-      const response = await fetch(apiUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          image: data.image,
-          prompt: '请描述图片中的内容，特别是是否有猫，如果有猫请详细描述猫的外观和行为。用一句简短的中文回答。'
-        })
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`API请求失败 (${response.status}): ${errorText}`);
-      }
-
-      const result = await response.json();
-      
-      if (!result.success) {
-        throw new Error(result.error || 'API返回失败');
-      }
+    return await this.callProviders(data);
+  }
 
-      console.log('[VLM] API成功:', result.text);
+  /**
+   * 调用音频VLM API：data 为 { audio: WAV data URL, hint?, prompt? }
+   */
+  async callAudioAPI(data) {
+    return await this.callProviders(data);
+  }
 
-      return {
-        text: result.text,
-        data: result.data
-      };
-      
-    } catch (error) {
-      console.error('[VLM] API调用失败:', error);
-      // 降级：返回默认文案
-      return {
-        text: '图像分析中...',
-        data: { hasCat: false, confidence: 0, error: error.message }
-      };
+  /**
+   * 按提供方顺序尝试，失败时切换到下一个
+   */
+  async callProviders(data) {
+    const attempts = [];
+    
+    for (const entry of this.providers) {
+      try {
+        const result = await this.callProvider(entry, data);
+        console.log(`[VLM] ${entry.name} 成功:`, result.text);
+        return { ...result, attempts };
+      } catch (error) {
+        console.error(`[VLM] ${entry.name} 调用失败:`, error);
+        attempts.push({ provider: entry.name, error: error.message });
+      }
     }
+    
+    // 降级：返回默认文案（failed 标记的结果不会被锁定，也不会作为状态证据）
+    return {
+      text: this.defaults.fallbackText,
+      data: {
+        [this.type === 'audio' ? 'isCat' : 'hasCat']: false,
+        confidence: 0,
+        error: attempts.map(a => `${a.provider}: ${a.error}`).join('; ')
+      },
+      failed: true,
+      attempts
+    };
   }
 
   /**
-   * 调用音频VLM API（预留）
+   * 调用单个提供方（请求服务端时关闭服务端回退，由客户端控制顺序）
    */
-  async callAudioAPI(data) {
-    // TODO: 实现音频VLM调用
+  async callProvider(entry, data) {
+    const provider = VLM_PROVIDERS[entry.name];
+    if (!provider) {
+      throw new Error(`未知的 VLM 提供方: ${entry.name}`);
+    }
+    
+    const options = { ...provider, ...entry };
+    const model = options.model || this.model;
+    const temperature = options.temperature !== undefined ? options.temperature : this.temperature;
+    
+    // 本地: http://localhost:3000/api/vlm（音频 /api/vlm-audio）
+    // 生产: https://your-project.vercel.app/api/vlm
+    const apiUrl = this.baseUrl + (this.apiEndpoint || options.endpoint || this.defaults.endpoint);
+    console.log(`[VLM] 调用 ${entry.name}:`, apiUrl);
+    
+    const response = await this.fetch(apiUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        ...(this.type === 'audio'
+          ? { audio: data.audio, ...(data.hint && { hint: data.hint }) }
+          : { image: data.image }),
+        prompt: data.prompt || options.prompt || this.prompt,
+        provider: options.provider,
+        fallback: false,
+        ...(model && { model }),
+        ...(temperature !== undefined && { temperature })
+      })
+    });
+    
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`API请求失败 (${response.status}): ${errorText}`);
+    }
+    
+    const result = await response.json();
+    
+    if (!result.success) {
+      throw new Error(result.error || 'API返回失败');
+    }
+    
+    const structured = this.toStructured(result);
+    
     return {
-      text: '音频分析功能开发中',
-      data: { hasMeow: false, confidence: 0 }
+      text: structured.caption,
+      data: { ...structured, timestamp: result.data && result.data.timestamp ? result.data.timestamp : this.clock.now() },
+      provider: result.provider || entry.name,
+      model: result.model || model
     };
   }
 
+  /**
+   * 取出提供方返回的结构化结果（服务端已校验的 data；text 只是 caption，不再解析）
+   */
+  toStructured(result) {
+    const data = result.data || {};
+    if (this.defaults.isStructured(data) && typeof data.caption === 'string' && data.caption) {
+      return this.defaults.pick(data);
+    }
+    throw new Error('提供方没有返回结构化结果');
+  }
+
   /**
    * 设置文案锁定
    */
   setLock(text, data, durationMs = 30000) {
     this.lock = {
       text: text,
-      until: Date.now() + durationMs,
+      until: this.clock.now() + durationMs,
       data: data
     };
     console.log(`[VLM-${this.type}] 锁定文案${durationMs}ms: ${text}`);
@@ -204,7 +339,7 @@ class VLMChannel {
    * 获取当前有效文案
    */
   getText() {
-    const now = Date.now();
+    const now = this.clock.now();
     if (this.lock.until > now && this.lock.text) {
       return this.lock.text;
     }
@@ -215,7 +350,7 @@ class VLMChannel {
    * 检查是否锁定中
    */
   isLocked() {
-    return this.lock.until > Date.now();
+    return this.lock.until > this.clock.now();
   }
 
   /**
@@ -246,4 +381,4 @@ class VLMChannel {
 }
 
 // 导出
-export { VLMChannel, RateLimiter };
+export { VLMChannel, RateLimiter, VLM_PROVIDERS, registerVLMProvider };
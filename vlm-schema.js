@@ -0,0 +1,301 @@
+/**
+ * VLM 结构化输出
+ * ==============
+ *
+ * 📋 模块功能概述：
+ * 原先服务端用 answer.includes('猫') 判断是否有猫、置信度固定为 0.9，"没有猫" 也会被当成有猫。
+ * 本模块定义 VLM 必须输出的严格 JSON 格式，负责生成提示词、从回答中提取 JSON、
+ * 修复常见的格式问题（代码块、中文引号、尾逗号、单引号、True/False）并校验字段。
+ * 服务端（api/_vlm-providers.js）和客户端（vlm-manager.js）共用。视觉和音频通道各有一份格式。
+ *
+ * 📄 格式（snake_case，与提示词一致）：
+ * {
+ *   "has_cat": true,
+ *   "cat_count": 1,
+ *   "posture": "sitting",       // VISION_POSTURES 之一
+ *   "activity": "watching",     // VISION_ACTIVITIES 之一
+ *   "location": "center",       // 猫在画面中的位置，VISION_LOCATIONS 之一
+ *   "caption": "一只橘猫坐在窗台上看着窗外",
+ *   "confidence": 0.85          // 0~1
+ * }
+ *
+ * 🔊 音频格式（猫叫片段的解读）：
+ * {
+ *   "is_cat": true,
+ *   "vocalisation": "meow",     // AUDIO_VOCALISATIONS 之一
+ *   "emotion": "for_food",      // emotions.js 中的情绪 id，无法判断时为 "unknown"
+ *   "category": "attention",    // friendly | attention | warning | unknown（emotion 有效时以其类别为准）
+ *   "caption": "短促连续的喵叫，像是在要吃的",
+ *   "confidence": 0.7
+ * }
+ *
+ * 校验后的结果使用 camelCase（hasCat、catCount …），与引擎和 RN 消息的字段风格一致。
+ */
+
+import { emotions, emotionCategories, getEmotionById } from './emotions.js';
+
+export const VISION_POSTURES = ['sitting', 'lying', 'standing', 'walking', 'jumping', 'curled', 'unknown'];
+export const VISION_ACTIVITIES = ['resting', 'sleeping', 'eating', 'drinking', 'playing', 'grooming', 'exploring', 'watching', 'unknown'];
+export const VISION_LOCATIONS = ['left', 'center', 'right', 'top', 'bottom', 'top_left', 'top_right', 'bottom_left', 'bottom_right', 'none'];
+export const AUDIO_VOCALISATIONS = ['meow', 'purr', 'hiss', 'growl', 'chirp', 'trill', 'yowl', 'other', 'none'];
+
+/**
+ * 结构化输出提示词（附加在用户提示词之后）
+ */
+export const VISION_SCHEMA_PROMPT = `只输出一个 JSON 对象，不要输出任何其他文字或代码块标记。格式：
+{"has_cat": 布尔值, "cat_count": 非负整数, "posture": ${VISION_POSTURES.map(v => `"${v}"`).join('|')}, "activity": ${VISION_ACTIVITIES.map(v => `"${v}"`).join('|')}, "location": ${VISION_LOCATIONS.map(v => `"${v}"`).join('|')}, "caption": "一句简短的中文描述", "confidence": 0到1之间的数字}
+没有猫时 has_cat 为 false、cat_count 为 0、posture 和 activity 为 "unknown"、location 为 "none"。`;
+
+/**
+ * 生成完整提示词
+ * @param {string} prompt - 用户提示词
+ * @returns {string}
+ */
+export function buildVisionPrompt(prompt) {
+  return `${prompt}\n\n${VISION_SCHEMA_PROMPT}`;
+}
+
+/**
+ * 音频结构化输出提示词
+ */
+export const AUDIO_SCHEMA_PROMPT = `只输出一个 JSON 对象，不要输出任何其他文字或代码块标记。格式：
+{"is_cat": 布尔值, "vocalisation": ${AUDIO_VOCALISATIONS.map(v => `"${v}"`).join('|')}, "emotion": 情绪 id 或 "unknown", "category": ${[...emotionCategories.map(c => c.id), 'unknown'].map(v => `"${v}"`).join('|')}, "caption": "一句简短的中文解读", "confidence": 0到1之间的数字}
+可选的情绪 id：${emotions.map(e => `${e.id}（${e.title}）`).join('、')}。
+不是猫的声音时 is_cat 为 false、vocalisation 为 "none"、emotion 和 category 为 "unknown"。`;
+
+/**
+ * 生成音频通道的完整提示词
+ * @param {string} prompt - 用户提示词
+ * @param {Object|null} hint - 本地情绪分类结果 { emotionId, emotionTitle, category }，作为参考附在提示词中
+ * @returns {string}
+ */
+export function buildAudioPrompt(prompt, hint = null) {
+  const reference = hint && hint.emotionId
+    ? `\n\n本地分类器的判断（仅供参考）：${hint.emotionId}${hint.emotionTitle ? `（${hint.emotionTitle}）` : ''}`
+    : '';
+  return `${prompt}${reference}\n\n${AUDIO_SCHEMA_PROMPT}`;
+}
+
+/**
+ * 从回答中提取第一个完整的 JSON 对象文本（忽略代码块标记和前后的说明文字）
+ * @param {string} text - VLM 原始回答
+ * @returns {string|null}
+ */
+export function extractJSONObject(text) {
+  if (typeof text !== 'string') return null;
+
+  const start = text.indexOf('{');
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  let quote = null;
+  for (let i = start; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') {
+        i++;
+      } else if (char === quote) {
+        inString = false;
+      }
+    } else if (char === '"' || char === "'") {
+      inString = true;
+      quote = char;
+    } else if (char === '{') {
+      depth++;
+    } else if (char === '}') {
+      depth--;
+      if (depth === 0) return text.slice(start, i + 1);
+    }
+  }
+
+  // 没有闭合：返回剩余部分，交给修复逻辑补齐括号
+  return text.slice(start);
+}
+
+/**
+ * 修复常见的 JSON 格式问题
+ * @param {string} json - 提取出的 JSON 文本
+ * @returns {string}
+ */
+export function repairJSON(json) {
+  let repaired = json
+    .replace(/[“”]/g, '"')
+    .replace(/[‘’]/g, "'")
+    .replace(/：/g, ':')
+    .replace(/，(?=\s*["'}\]])/g, ',')
+    // 单引号字符串 → 双引号
+    .replace(/'([^'"\\]*)'/g, '"$1"')
+    // 没有引号的键
+    .replace(/([{,]\s*)([A-Za-z_][A-Za-z0-9_]*)\s*:/g, '$1"$2":')
+    // Python 风格的字面量
+    .replace(/:\s*True\b/g, ': true')
+    .replace(/:\s*False\b/g, ': false')
+    .replace(/:\s*None\b/g, ': null')
+    // 尾逗号
+    .replace(/,\s*([}\]])/g, '$1');
+
+  // 补齐被截断的字符串和括号
+  const quotes = (repaired.match(/(?<!\\)"/g) || []).length;
+  if (quotes % 2 === 1) repaired += '"';
+  const open = (repaired.match(/{/g) || []).length - (repaired.match(/}/g) || []).length;
+  repaired = repaired.replace(/,\s*$/, '') + '}'.repeat(Math.max(0, open));
+
+  return repaired;
+}
+
+const toBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string') {
+    const normalized = value.trim().toLowerCase();
+    if (['true', 'yes', '是', '有'].includes(normalized)) return true;
+    if (['false', 'no', '否', '没有', '无'].includes(normalized)) return false;
+  }
+  return null;
+};
+
+const toEnum = (value, allowed, fallback) => {
+  const normalized = typeof value === 'string' ? value.trim().toLowerCase().replace(/[\s-]+/g, '_') : null;
+  return allowed.includes(normalized) ? normalized : fallback;
+};
+
+/**
+ * 校验并规范化结构化结果
+ * has_cat 和 caption 是必需字段，缺失或无法识别时返回错误；其他字段不合法时取默认值
+ * @param {Object} raw - 解析出的对象（snake_case）
+ * @returns {Object} { value: { hasCat, catCount, posture, activity, location, caption, confidence } | null, errors: [] }
+ */
+export function validateVisionResult(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value: null, errors: ['输出不是 JSON 对象'] };
+  }
+
+  const hasCat = toBoolean(raw.has_cat);
+  if (hasCat === null) {
+    errors.push('has_cat 必须是布尔值');
+  }
+
+  const caption = typeof raw.caption === 'string' ? raw.caption.trim() : '';
+  if (!caption) {
+    errors.push('caption 必须是非空字符串');
+  }
+
+  if (errors.length > 0) {
+    return { value: null, errors };
+  }
+
+  let catCount = Math.round(Number(raw.cat_count));
+  if (!Number.isFinite(catCount) || catCount < 0) {
+    catCount = hasCat ? 1 : 0;
+  }
+  // has_cat 与 cat_count 矛盾时以 has_cat 为准
+  if (!hasCat) catCount = 0;
+  if (hasCat && catCount === 0) catCount = 1;
+
+  const confidence = Number(raw.confidence);
+
+  return {
+    value: {
+      hasCat,
+      catCount,
+      posture: hasCat ? toEnum(raw.posture, VISION_POSTURES, 'unknown') : 'unknown',
+      activity: hasCat ? toEnum(raw.activity, VISION_ACTIVITIES, 'unknown') : 'unknown',
+      location: hasCat ? toEnum(raw.location, VISION_LOCATIONS, 'center') : 'none',
+      caption,
+      confidence: Number.isFinite(confidence) ? Math.max(0, Math.min(1, confidence)) : null
+    },
+    errors: []
+  };
+}
+
+/**
+ * 校验并规范化音频结构化结果
+ * is_cat 和 caption 是必需字段；emotion 不在 emotions.js 中时为 'unknown'，有效时 category 取其类别
+ * @param {Object} raw - 解析出的对象（snake_case）
+ * @returns {Object} { value: { isCat, vocalisation, emotion, category, caption, confidence } | null, errors: [] }
+ */
+export function validateAudioResult(raw) {
+  const errors = [];
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { value: null, errors: ['输出不是 JSON 对象'] };
+  }
+
+  const isCat = toBoolean(raw.is_cat);
+  if (isCat === null) {
+    errors.push('is_cat 必须是布尔值');
+  }
+
+  const caption = typeof raw.caption === 'string' ? raw.caption.trim() : '';
+  if (!caption) {
+    errors.push('caption 必须是非空字符串');
+  }
+
+  if (errors.length > 0) {
+    return { value: null, errors };
+  }
+
+  const emotionId = typeof raw.emotion === 'string' ? raw.emotion.trim().toLowerCase() : '';
+  const emotion = isCat ? getEmotionById(emotionId) : null;
+  const categories = emotionCategories.map(c => c.id);
+  const confidence = Number(raw.confidence);
+
+  return {
+    value: {
+      isCat,
+      vocalisation: isCat ? toEnum(raw.vocalisation, AUDIO_VOCALISATIONS, 'other') : 'none',
+      emotion: emotion ? emotion.id : 'unknown',
+      category: emotion ? emotion.categoryId : (isCat ? toEnum(raw.category, categories, 'unknown') : 'unknown'),
+      caption,
+      confidence: Number.isFinite(confidence) ? Math.max(0, Math.min(1, confidence)) : null
+    },
+    errors: []
+  };
+}
+
+/**
+ * 解析结构化回答：提取 JSON，解析失败时修复后重试，再用 validate 校验字段
+ * @param {string} text - 模型原始回答
+ * @param {Function} validate - validateVisionResult / validateAudioResult
+ * @returns {Object} { value | null, errors: [], repaired: boolean }
+ */
+export function parseStructuredResponse(text, validate) {
+  const json = extractJSONObject(text);
+  if (!json) {
+    return { value: null, errors: ['回答中没有 JSON 对象'], repaired: false };
+  }
+
+  let raw;
+  let repaired = false;
+  try {
+    raw = JSON.parse(json);
+  } catch (error) {
+    try {
+      raw = JSON.parse(repairJSON(json));
+      repaired = true;
+    } catch (repairError) {
+      return { value: null, errors: [`JSON 解析失败: ${error.message}`], repaired: false };
+    }
+  }
+
+  const { value, errors } = validate(raw);
+  return { value, errors, repaired };
+}
+
+/**
+ * 解析视觉 VLM 回答
+ * @param {string} text - VLM 原始回答
+ * @returns {Object} { value | null, errors: [], repaired: boolean }
+ */
+export function parseVisionResponse(text) {
+  return parseStructuredResponse(text, validateVisionResult);
+}
+
+/**
+ * 解析音频 VLM 回答
+ * @param {string} text - 模型原始回答
+ * @returns {Object} { value | null, errors: [], repaired: boolean }
+ */
+export function parseAudioResponse(text) {
+  return parseStructuredResponse(text, validateAudioResult);
+}
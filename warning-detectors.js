@@ -0,0 +1,198 @@
+/**
+ * 哈气 / 低吼专用检测器
+ * ====================
+ *
+ * 📋 模块功能概述：
+ * emotions.js 中7种警告类情绪只靠"能量更高、过零率更高"区分，而依赖警告类别保障安全的用户
+ * 需要它足够准确。本模块基于 features.js 的特征为两种最明确的警告声音提供专用检测器，
+ * 各自输出置信度；检测器触发时覆盖通用规则的分类结果（见 emotion-classifier.js）。
+ *
+ * 🐍 哈气（hiss）：宽带噪声
+ * - 频谱平坦度高（接近白噪声）
+ * - 几乎没有音高（voicedRatio 低）
+ * - 频谱质心偏高
+ *
+ * 🐯 低吼（growl）：低沉、持久、粗糙
+ * - 基频低（pitchMean 低）
+ * - 有声段占比足够（是发声而不是噪声）
+ * - 持续时间长
+ * - 粗糙度高：帧间基频抖动（pitchJitter）大、周期性（pitchConfidence）差
+ *
+ * 📊 每个检测器的置信度 = 各条件隶属度（0-1 线性斜坡）的加权平均，响度不足时为 0。
+ */
+
+import { getEmotionById, getCategoryById } from './emotions.js';
+
+// 默认哈气检测参数
+export const DEFAULT_HISS_OPTIONS = {
+  emotionId: 'dieaway',           // 触发时报告的情绪：立即退开
+  threshold: 0.7,                 // 触发置信度
+  minRMS: 0.005,                  // 响度下限
+  flatness: [0.3, 0.6],           // 频谱平坦度斜坡
+  voicedRatio: [0.1, 0.4],        // 有声占比斜坡（越低越像哈气）
+  centroid: [2000, 3500],         // 频谱质心斜坡（Hz）
+  weights: { flatness: 0.45, unvoiced: 0.3, centroid: 0.25 }
+};
+
+// 默认低吼检测参数
+export const DEFAULT_GROWL_OPTIONS = {
+  emotionId: 'for_fight',         // 触发时报告的情绪：强烈警告
+  threshold: 0.7,
+  minRMS: 0.005,
+  pitch: [150, 300],              // 基频斜坡（Hz，越低越像低吼）
+  voicedRatio: [0.1, 0.3],        // 有声占比斜坡
+  duration: [0.4, 1.0],           // 持续时间斜坡（秒）
+  roughness: [0.1, 0.35],         // 粗糙度斜坡
+  jitterScale: 1,                 // 抖动达到 1 个半音视为完全粗糙
+  weights: { pitch: 0.35, voiced: 0.15, duration: 0.25, roughness: 0.25 }
+};
+
+// 线性斜坡隶属度：value ≤ low 为 0，≥ high 为 1
+const ramp = (value, [low, high]) => {
+  if (!Number.isFinite(value)) return 0;
+  if (value <= low) return 0;
+  if (value >= high) return 1;
+  return (value - low) / (high - low);
+};
+
+const weightedMean = (memberships, weights) => {
+  let sum = 0;
+  let total = 0;
+  for (const [name, weight] of Object.entries(weights)) {
+    sum += (memberships[name] || 0) * weight;
+    total += weight;
+  }
+  return total > 0 ? sum / total : 0;
+};
+
+/**
+ * 哈气检测
+ * @param {Object} features - 音频特征（features.js extractAudioFeatures 输出）
+ * @param {Object} options - 见 DEFAULT_HISS_OPTIONS
+ * @returns {Object} { detected, confidence, memberships }
+ */
+export function detectHiss(features, options = {}) {
+  const config = { ...DEFAULT_HISS_OPTIONS, ...options };
+
+  const memberships = {
+    flatness: ramp(features.spectralFlatness, config.flatness),
+    unvoiced: 1 - ramp(features.voicedRatio || 0, config.voicedRatio),
+    centroid: ramp(features.spectralCentroid, config.centroid)
+  };
+  const loudEnough = features.rms >= config.minRMS;
+  const confidence = loudEnough ? weightedMean(memberships, config.weights) : 0;
+
+  return {
+    detected: confidence >= config.threshold,
+    confidence,
+    memberships
+  };
+}
+
+/**
+ * 粗糙度：帧间基频抖动与非周期性的平均（0-1）
+ * @param {Object} features - 音频特征
+ * @param {number} jitterScale - 视为完全粗糙的抖动（半音）
+ * @returns {number} 粗糙度
+ */
+export function calculateRoughness(features, jitterScale = DEFAULT_GROWL_OPTIONS.jitterScale) {
+  if (!features.voicedRatio) return 0;
+  const jitter = Math.min(1, (features.pitchJitter || 0) / jitterScale);
+  const aperiodicity = 1 - Math.min(1, features.pitchConfidence || 0);
+  return (jitter + aperiodicity) / 2;
+}
+
+/**
+ * 低吼检测
+ * @param {Object} features - 音频特征（需要音高特征和 duration）
+ * @param {Object} options - 见 DEFAULT_GROWL_OPTIONS
+ * @returns {Object} { detected, confidence, roughness, memberships }
+ */
+export function detectGrowl(features, options = {}) {
+  const config = { ...DEFAULT_GROWL_OPTIONS, ...options };
+  const roughness = calculateRoughness(features, config.jitterScale);
+
+  const memberships = {
+    pitch: features.pitchMean > 0 ? 1 - ramp(features.pitchMean, config.pitch) : 0,
+    voiced: ramp(features.voicedRatio || 0, config.voicedRatio),
+    duration: ramp(features.duration, config.duration),
+    roughness: ramp(roughness, config.roughness)
+  };
+  const loudEnough = features.rms >= config.minRMS;
+  const confidence = loudEnough ? weightedMean(memberships, config.weights) : 0;
+
+  return {
+    detected: confidence >= config.threshold,
+    confidence,
+    roughness,
+    memberships
+  };
+}
+
+/**
+ * 运行全部专用检测器
+ * @param {Object} features - 音频特征
+ * @param {Object} options - { hiss, growl } 各检测器参数
+ * @returns {Object} { hiss, growl, fired: 'hiss'|'growl'|null }
+ */
+export function runWarningDetectors(features, options = {}) {
+  const hiss = detectHiss(features, options.hiss);
+  const growl = detectGrowl(features, options.growl);
+
+  // 两者都触发时取置信度更高者
+  let fired = null;
+  if (hiss.detected || growl.detected) {
+    fired = !growl.detected || (hiss.detected && hiss.confidence >= growl.confidence) ? 'hiss' : 'growl';
+  }
+  return { hiss, growl, fired };
+}
+
+/**
+ * 用专用检测器覆盖通用分类结果
+ * @param {Object|null} result - 通用分类结果（规则引擎或训练模型）
+ * @param {Object} features - 音频特征
+ * @param {Object} options - { hiss, growl } 各检测器参数
+ * @returns {Object|null} 分类结果，附带 detectors 字段
+ */
+export function applyWarningDetectors(result, features, options = {}) {
+  const { hiss, growl, fired } = runWarningDetectors(features, options);
+  const detectors = {
+    hiss: hiss.confidence,
+    growl: growl.confidence,
+    fired
+  };
+
+  if (!fired) {
+    return result ? { ...result, detectors } : null;
+  }
+
+  const detection = fired === 'hiss' ? hiss : growl;
+  const emotionId = { ...(fired === 'hiss' ? DEFAULT_HISS_OPTIONS : DEFAULT_GROWL_OPTIONS), ...options[fired] }.emotionId;
+  const emotion = getEmotionById(emotionId);
+
+  // 被覆盖的通用结果降为候选情绪
+  const alternatives = result
+    ? [result, ...(result.alternatives || [])]
+      .filter(alternative => alternative.emotionId !== emotionId)
+      .slice(0, 2)
+      .map(({ emotionId: id, emotion: alternativeEmotion, confidence, probability }) => ({
+        emotionId: id,
+        emotion: alternativeEmotion,
+        confidence,
+        probability: probability !== undefined ? probability : confidence
+      }))
+    : [];
+
+  return {
+    emotionId,
+    emotion,
+    confidence: detection.confidence,
+    probability: detection.confidence,
+    category: getCategoryById(emotion.categoryId),
+    alternatives,
+    categoryScores: null,
+    detector: fired,
+    detectors,
+    overridden: result ? { emotionId: result.emotionId, confidence: result.confidence } : null
+  };
+}
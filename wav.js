@@ -0,0 +1,197 @@
+/**
+ * WAV 编解码工具
+ * ===============
+ *
+ * 在浏览器与 Node 中通用（只依赖 ArrayBuffer / DataView）。
+ * - decodeWav()：解析 PCM 8/16/24/32 位整型和 32 位浮点 WAV，多声道下混为单声道
+ * - encodeWav() / encodeWavDataURL()：单声道采样编码为 16 位 PCM WAV（音频 VLM 上传猫叫片段）
+ * - resample()：重采样到特征提取使用的 16 kHz
+ */
+
+import { SAMPLE_RATE } from './features.js';
+
+const readString = (view, offset, length) => {
+  let text = '';
+  for (let i = 0; i < length; i++) {
+    text += String.fromCharCode(view.getUint8(offset + i));
+  }
+  return text;
+};
+
+/**
+ * 解析 WAV 文件
+ * @param {ArrayBuffer|Uint8Array} input - WAV 文件内容
+ * @returns {Object} { samples: Float32Array（单声道，-1~1）, sampleRate, channels }
+ */
+export function decodeWav(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (readString(view, 0, 4) !== 'RIFF' || readString(view, 8, 4) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+
+  let format = null;
+  let dataOffset = -1;
+  let dataLength = 0;
+
+  // 遍历 chunk，找到 fmt 和 data
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const chunkId = readString(view, offset, 4);
+    const chunkSize = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      format = {
+        audioFormat: view.getUint16(body, true),
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitsPerSample: view.getUint16(body + 14, true)
+      };
+      // WAVE_FORMAT_EXTENSIBLE：真实格式在子格式 GUID 的前两个字节
+      if (format.audioFormat === 0xfffe && chunkSize >= 26) {
+        format.audioFormat = view.getUint16(body + 24, true);
+      }
+    } else if (chunkId === 'data') {
+      dataOffset = body;
+      dataLength = Math.min(chunkSize, view.byteLength - body);
+      break;
+    }
+
+    offset = body + chunkSize + (chunkSize % 2); // chunk 按偶数字节对齐
+  }
+
+  if (!format || dataOffset === -1) {
+    throw new Error('WAV file is missing fmt or data chunk');
+  }
+
+  const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+  const bytesPerSample = bitsPerSample / 8;
+  const frameCount = Math.floor(dataLength / (bytesPerSample * channels));
+
+  let readSample;
+  if (audioFormat === 3 && bitsPerSample === 32) {
+    readSample = (position) => view.getFloat32(position, true);
+  } else if (audioFormat === 1 && bitsPerSample === 8) {
+    readSample = (position) => (view.getUint8(position) - 128) / 128;
+  } else if (audioFormat === 1 && bitsPerSample === 16) {
+    readSample = (position) => view.getInt16(position, true) / 32768;
+  } else if (audioFormat === 1 && bitsPerSample === 24) {
+    readSample = (position) => {
+      const value = view.getUint8(position) |
+        (view.getUint8(position + 1) << 8) |
+        (view.getInt8(position + 2) << 16);
+      return value / 8388608;
+    };
+  } else if (audioFormat === 1 && bitsPerSample === 32) {
+    readSample = (position) => view.getInt32(position, true) / 2147483648;
+  } else {
+    throw new Error(`Unsupported WAV format ${audioFormat} with ${bitsPerSample} bits`);
+  }
+
+  // 多声道下混为单声道
+  const samples = new Float32Array(frameCount);
+  for (let frame = 0; frame < frameCount; frame++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += readSample(dataOffset + (frame * channels + channel) * bytesPerSample);
+    }
+    samples[frame] = sum / channels;
+  }
+
+  return { samples, sampleRate, channels };
+}
+
+const writeString = (view, offset, text) => {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+};
+
+/**
+ * 单声道采样编码为 16 位 PCM WAV 文件
+ * @param {Float32Array|Array} samples - 音频采样（-1~1）
+ * @param {number} sampleRate - 采样率（默认 16 kHz）
+ * @returns {Uint8Array} WAV 文件内容
+ */
+export function encodeWav(samples, sampleRate = SAMPLE_RATE) {
+  const dataLength = samples.length * 2;
+  const bytes = new Uint8Array(44 + dataLength);
+  const view = new DataView(bytes.buffer);
+
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataLength, true);
+  writeString(view, 8, 'WAVE');
+
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);             // fmt chunk 长度
+  view.setUint16(20, 1, true);              // PCM
+  view.setUint16(22, 1, true);              // 单声道
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // 每秒字节数
+  view.setUint16(32, 2, true);              // 每帧字节数
+  view.setUint16(34, 16, true);             // 位深
+
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataLength, true);
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(44 + i * 2, value < 0 ? value * 0x8000 : value * 0x7fff, true);
+  }
+
+  return bytes;
+}
+
+/**
+ * 单声道采样编码为 WAV data URL（data:audio/wav;base64,...）
+ * @param {Float32Array|Array} samples - 音频采样（-1~1）
+ * @param {number} sampleRate - 采样率（默认 16 kHz）
+ * @returns {string}
+ */
+export function encodeWavDataURL(samples, sampleRate = SAMPLE_RATE) {
+  const bytes = encodeWav(samples, sampleRate);
+  let binary = '';
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return `data:audio/wav;base64,${btoa(binary)}`;
+}
+
+/**
+ * 重采样：升采样用线性插值，降采样用窗口平均（简单抗混叠）
+ * @param {Float32Array} samples - 输入采样
+ * @param {number} fromRate - 输入采样率
+ * @param {number} toRate - 目标采样率（默认 16 kHz）
+ * @returns {Float32Array} 重采样结果
+ */
+export function resample(samples, fromRate, toRate = SAMPLE_RATE) {
+  if (fromRate === toRate) {
+    return samples;
+  }
+
+  const ratio = fromRate / toRate;
+  const length = Math.floor(samples.length / ratio);
+  const output = new Float32Array(length);
+
+  for (let i = 0; i < length; i++) {
+    const position = i * ratio;
+
+    if (ratio > 1) {
+      const start = Math.max(0, Math.floor(position - ratio / 2));
+      const end = Math.min(samples.length, Math.ceil(position + ratio / 2));
+      let sum = 0;
+      for (let j = start; j < end; j++) {
+        sum += samples[j];
+      }
+      output[i] = sum / Math.max(1, end - start);
+    } else {
+      const index = Math.floor(position);
+      const fraction = position - index;
+      const next = index + 1 < samples.length ? samples[index + 1] : samples[index];
+      output[i] = samples[index] + (next - samples[index]) * fraction;
+    }
+  }
+  return output;
+}
@@ -0,0 +1,186 @@
+/**
+ * 滑动窗口聚合
+ * ============
+ *
+ * 📋 模块功能概述：
+ * WindowProcessor 原先只有 1 秒滚动窗口，每次触发后清空，990ms 和 1010ms 的两次检测永远不会相遇。
+ * 本模块保存带时间戳的检测样本，按可配置的窗口长度在每个步长（hop）上重新聚合，
+ * 窗口之间可以重叠，也可以同时运行一个短窗口和一个长窗口。
+ *
+ * 🧮 聚合策略（每个模态可以单独指定，按类别计算）：
+ * - max：窗口内最高分数（原滚动窗口的行为）
+ * - mean：窗口内平均分数，没有检测到该类别的帧记 0
+ * - topKMean：最高 k 个分数的平均（帧数不足 k 时按帧数平均），单帧尖峰不会直接拉满
+ * - expDecay：按样本年龄指数衰减后的峰值，最近的检测权重最高，短暂丢失时平滑衰减
+ *
+ * 可以通过 registerAggregationStrategy() 注册新的策略：
+ * (samples, context) => number
+ *   samples: [{ score, timestamp }]（同一类别在窗口内的样本）
+ *   context: { now, lengthMs, frameCount, options }
+ *
+ * 📊 使用示例：
+ * ```javascript
+ * const longWindow = new SlidingWindow({ name: 'long', lengthMs: 4000, image: 'expDecay', audio: 'topKMean' });
+ * longWindow.add('image', [{ class: 'tabby, tabby cat', score: 0.8 }], 990);
+ * longWindow.add('image', [{ class: 'tabby, tabby cat', score: 0.6 }], 1010);
+ * longWindow.aggregate('image', 1500); // { strategy: 'expDecay', scores: Map { 'tabby, tabby cat' => ... } }
+ * ```
+ */
+
+import { systemClock } from './clock.js';
+
+// 默认窗口参数
+export const DEFAULT_WINDOW_OPTIONS = {
+  name: 'default',
+  lengthMs: 1000,          // 窗口长度
+  image: 'max',            // 图像聚合策略
+  audio: 'max',            // 音频聚合策略
+  k: 3,                    // topKMean 的 k
+  halfLifeMs: 1000         // expDecay 的半衰期
+};
+
+/**
+ * 聚合策略注册表
+ */
+export const AGGREGATION_STRATEGIES = {
+  max: (samples) => samples.reduce((best, sample) => Math.max(best, sample.score), 0),
+
+  mean: (samples, { frameCount }) => {
+    const total = samples.reduce((sum, sample) => sum + sample.score, 0);
+    return total / Math.max(frameCount, samples.length, 1);
+  },
+
+  topKMean: (samples, { frameCount, options }) => {
+    const k = Math.max(1, Math.min(options.k, Math.max(frameCount, samples.length)));
+    const top = samples.map(sample => sample.score).sort((a, b) => b - a).slice(0, k);
+    return top.reduce((sum, score) => sum + score, 0) / k;
+  },
+
+  expDecay: (samples, { now, options }) => samples.reduce((best, sample) => {
+    const age = Math.max(0, now - sample.timestamp);
+    return Math.max(best, sample.score * Math.pow(0.5, age / options.halfLifeMs));
+  }, 0)
+};
+
+/**
+ * 注册自定义聚合策略
+ * @param {string} name - 策略名称
+ * @param {Function} strategy - (samples, context) => number
+ */
+export function registerAggregationStrategy(name, strategy) {
+  if (typeof strategy !== 'function') {
+    throw new Error(`聚合策略 ${name} 必须是函数`);
+  }
+  AGGREGATION_STRATEGIES[name] = strategy;
+}
+
+/**
+ * 单个滑动窗口：保存窗口长度内的检测样本，按各模态的策略聚合
+ */
+export class SlidingWindow {
+  /**
+   * @param {Object} options - 见 DEFAULT_WINDOW_OPTIONS（clock: 时钟，见 clock.js，默认 systemClock）
+   */
+  constructor(options = {}) {
+    const { clock, ...windowOptions } = options;
+    this.clock = clock || systemClock;
+    this.options = { ...DEFAULT_WINDOW_OPTIONS, ...windowOptions };
+
+    ['image', 'audio'].forEach(modality => {
+      if (!AGGREGATION_STRATEGIES[this.options[modality]]) {
+        throw new Error(`未知的聚合策略: ${this.options[modality]}`);
+      }
+    });
+
+    this.name = this.options.name;
+    this.lengthMs = this.options.lengthMs;
+
+    // 每个模态的样本 [{ class, score, timestamp }] 与帧时间戳
+    this.samples = { image: [], audio: [] };
+    this.frames = { image: [], audio: [] };
+  }
+
+  /**
+   * 添加一帧检测结果
+   * @param {string} modality - 'image' | 'audio'
+   * @param {Array} results - [{ class, score }]
+   * @param {number} timestamp - 时间戳
+   */
+  add(modality, results, timestamp = this.clock.now()) {
+    this.frames[modality].push(timestamp);
+    results.forEach(result => {
+      this.samples[modality].push({ class: result.class, score: result.score, timestamp });
+    });
+  }
+
+  /**
+   * 删除窗口之外的样本
+   * @param {number} now - 当前时间戳
+   */
+  prune(now = this.clock.now()) {
+    const cutoff = now - this.lengthMs;
+    ['image', 'audio'].forEach(modality => {
+      this.samples[modality] = this.samples[modality].filter(sample => sample.timestamp > cutoff);
+      this.frames[modality] = this.frames[modality].filter(time => time > cutoff);
+    });
+  }
+
+  /**
+   * 按模态策略聚合窗口内的样本
+   * @param {string} modality - 'image' | 'audio'
+   * @param {number} now - 当前时间戳
+   * @returns {Object} { strategy, scores: Map<className, score>, frameCount }
+   */
+  aggregate(modality, now = this.clock.now()) {
+    this.prune(now);
+
+    const strategy = this.options[modality];
+    const byClass = new Map();
+    for (const sample of this.samples[modality]) {
+      if (!byClass.has(sample.class)) byClass.set(sample.class, []);
+      byClass.get(sample.class).push(sample);
+    }
+
+    const context = {
+      now,
+      lengthMs: this.lengthMs,
+      frameCount: this.frames[modality].length,
+      options: this.options
+    };
+    const scores = new Map();
+    for (const [className, samples] of byClass) {
+      scores.set(className, AGGREGATION_STRATEGIES[strategy](samples, context));
+    }
+
+    return { strategy, scores, frameCount: context.frameCount };
+  }
+
+  /**
+   * 清空样本
+   */
+  clear() {
+    this.samples = { image: [], audio: [] };
+    this.frames = { image: [], audio: [] };
+  }
+}
+
+/**
+ * 合并多个窗口的聚合结果：每个类别取各窗口中的最高分，并记录是哪个窗口、哪个策略给出的
+ * @param {Array} aggregates - [{ window, strategy, scores: Map }]
+ * @returns {Object} { scores: Map<className, score>, sources: Map<className, { window, strategy }> }
+ */
+export function combineAggregates(aggregates) {
+  const scores = new Map();
+  const sources = new Map();
+
+  aggregates.forEach(({ window: windowName, strategy, scores: windowScores }) => {
+    for (const [className, score] of windowScores) {
+      if (!scores.has(className) || score > scores.get(className)) {
+        scores.set(className, score);
+        sources.set(className, { window: windowName, strategy });
+      }
+    }
+  });
+
+  return { scores, sources };
+}
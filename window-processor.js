@@ -62,6 +62,8 @@
  * 🔗 模块集成接口：
  * - **addImageData()**: 添加图像检测结果到当前窗口
  * - **addAudioData()**: 添加音频检测结果到当前窗口
+ * - **setAudioAnalysis()**: 设置当前窗口的音频特征和情绪分析
+ * - **getWindowContext()**: 获取当前窗口数据（调试用）
  * - **processWindow()**: 手动触发窗口处理
  * - **startAutoProcessing()**: 启动自动定时处理
  * - **stopAutoProcessing()**: 停止自动处理
@@ -84,13 +86,33 @@
  * });
  * ```
  * 
+ * 🪟 滑动窗口（window-aggregation.js）：
+ * - 每个检测样本带时间戳保存，每个步长（hop）按窗口长度重新聚合，窗口可以重叠
+ * - 每个窗口、每个模态可单独指定聚合策略：max / mean / topKMean / expDecay
+ * - 可同时运行短窗口和长窗口，每个类别取各窗口的最高分，并在 decisions 中报告由哪个窗口、哪个策略给出
+ * - 默认只有一个 长度 = 步长 = interval、策略为 max 的窗口，行为与原 1 秒滚动窗口一致
+ * 
+ * ```javascript
+ * const processor = new WindowProcessor({
+ *   hop: 500,
+ *   windows: [
+ *     { name: 'short', lengthMs: 1000, image: 'max', audio: 'max' },
+ *     { name: 'long', lengthMs: 4000, image: 'expDecay', audio: 'topKMean' }
+ *   ],
+ *   stateManager
+ * });
+ * ```
+ * 
  * 📈 扩展性设计：
  * - 支持多种窗口大小配置
  * - 可插拔的数据处理器
- * - 支持自定义聚合策略
+ * - 支持自定义聚合策略（registerAggregationStrategy）
  * - 兼容未来的新数据类型
  */
 
+import { SlidingWindow, combineAggregates } from './window-aggregation.js';
+import { systemClock } from './clock.js';
+
 /**
  * 时间窗口处理器类
  * 负责1秒窗口的数据聚合和定时处理
@@ -98,12 +120,16 @@
 export class WindowProcessor {
   /**
    * 构造函数
-   * @param {Object} config - 配置对象
+   * @param {Object} config - 配置对象（clock: 时钟，见 clock.js，默认 systemClock）
    */
   constructor(config = {}) {
+    // 时钟（窗口定时器与所有时间戳）
+    this.clock = config.clock || systemClock;
+    
     // 配置参数
     this.config = {
       WINDOW_INTERVAL: config.interval || 1000,  // 窗口间隔（毫秒）
+      HOP: config.hop || config.interval || 1000, // 滑动步长（定时器间隔）
       AUTO_START: config.autoStart || false,     // 是否自动启动
       ...config
     };
@@ -112,17 +138,24 @@ export class WindowProcessor {
     this.stateManager = config.stateManager;
     this.lruCache = config.lruCache;
     
+    // 额外的状态分析上下文（如平滑后的 emotionResult、catCount），每个窗口调用一次
+    this.getContext = config.getContext || null;
+    
+    // 滑动窗口（默认一个与原滚动窗口等价的窗口）
+    this.windows = this.createWindows(config.windows);
+    
     // 当前窗口数据
     this.currentWindow = {
       currentImageMap: new Map(),
       currentAudioMap: new Map(),
       currentAudioFeature: null,
-      emotionClassification: null
+      emotionClassification: null,
+      purrState: null
     };
     
     // 时间管理
     this.timing = {
-      windowStartTime: Date.now(),
+      windowStartTime: this.clock.now(),
       lastProcessTime: 0,
       totalWindows: 0,
       totalProcessingTime: 0
@@ -153,11 +186,13 @@ export class WindowProcessor {
   /**
    * 添加图像检测数据到当前窗口
    * @param {Array} imageResults - 图像检测结果 [{class: string, score: number}]
+   * @param {number} timestamp - 检测时间戳
    */
-  addImageData(imageResults) {
+  addImageData(imageResults, timestamp = this.clock.now()) {
     if (!imageResults || imageResults.length === 0) return;
     
     this.stats.totalImageDataAdded++;
+    this.windows.forEach(slidingWindow => slidingWindow.add('image', imageResults, timestamp));
     
     // 同类别去重，保留最高分数
     imageResults.forEach(result => {
@@ -176,11 +211,13 @@ export class WindowProcessor {
    * @param {Array} audioResults - 音频检测结果 [{class: string, score: number}]
    * @param {Object} audioFeature - 音频特征（可选）
    * @param {Object} emotionResult - 情绪分析结果（可选）
+   * @param {number} timestamp - 检测时间戳
    */
-  addAudioData(audioResults, audioFeature = null, emotionResult = null) {
+  addAudioData(audioResults, audioFeature = null, emotionResult = null, timestamp = this.clock.now()) {
     if (!audioResults || audioResults.length === 0) return;
     
     this.stats.totalAudioDataAdded++;
+    this.windows.forEach(slidingWindow => slidingWindow.add('audio', audioResults, timestamp));
     
     // 同类别去重，保留最高分数
     audioResults.forEach(result => {
@@ -203,6 +240,111 @@ export class WindowProcessor {
     }
   }
 
+  /**
+   * 根据配置创建滑动窗口
+   * @param {Array} definitions - [{ name, lengthMs, image, audio, k, halfLifeMs }]
+   * @returns {Array<SlidingWindow>}
+   */
+  createWindows(definitions) {
+    const windows = (definitions && definitions.length > 0)
+      ? definitions
+      : [{ name: 'default', lengthMs: this.config.WINDOW_INTERVAL }];
+    
+    const names = new Set();
+    return windows.map((definition, index) => {
+      const slidingWindow = new SlidingWindow({ name: definition.name || `window_${index}`, clock: this.clock, ...definition });
+      if (names.has(slidingWindow.name)) {
+        throw new Error(`WindowProcessor: 重复的窗口名称 ${slidingWindow.name}`);
+      }
+      names.add(slidingWindow.name);
+      return slidingWindow;
+    });
+  }
+
+  /**
+   * 聚合所有滑动窗口，合并为状态分析使用的检测结果
+   * @param {number} now - 当前时间戳
+   * @returns {Object} { imageMap, audioMap, decisions, windows }
+   */
+  aggregateWindows(now = this.clock.now()) {
+    const aggregates = { image: [], audio: [] };
+    const windows = this.windows.map(slidingWindow => {
+      const summary = { name: slidingWindow.name, lengthMs: slidingWindow.lengthMs };
+      ['image', 'audio'].forEach(modality => {
+        const { strategy, scores, frameCount } = slidingWindow.aggregate(modality, now);
+        aggregates[modality].push({ window: slidingWindow.name, strategy, scores });
+        summary[modality] = { strategy, frameCount, top: this.getTopClass(scores) };
+      });
+      return summary;
+    });
+    
+    const image = combineAggregates(aggregates.image);
+    const audio = combineAggregates(aggregates.audio);
+    
+    return {
+      imageMap: image.scores,
+      audioMap: audio.scores,
+      decisions: {
+        image: this.describeDecision(image, className => this.stateManager && this.stateManager.isCatClass(className)),
+        audio: this.describeDecision(audio, className => this.stateManager && this.stateManager.isCatSoundClass(className))
+      },
+      windows
+    };
+  }
+
+  /**
+   * 取分数最高的类别
+   * @param {Map} scores - Map<className, score>
+   * @param {Function} filter - 类别过滤函数（可选）
+   * @returns {Object|null} { className, score }
+   */
+  getTopClass(scores, filter = null) {
+    let top = null;
+    for (const [className, score] of scores) {
+      if (filter && !filter(className)) continue;
+      if (!top || score > top.score) {
+        top = { className, score };
+      }
+    }
+    return top;
+  }
+
+  /**
+   * 描述一个模态的决定来源：猫相关类别中分数最高者（没有时取所有类别中最高者）
+   * 由哪个窗口、哪个聚合策略给出
+   * @param {Object} combined - combineAggregates() 的结果
+   * @param {Function} isRelevant - 判断类别是否与猫相关
+   * @returns {Object|null} { className, score, window, strategy }
+   */
+  describeDecision(combined, isRelevant) {
+    const top = this.getTopClass(combined.scores, isRelevant) || this.getTopClass(combined.scores);
+    if (!top) return null;
+    return { ...top, ...combined.sources.get(top.className) };
+  }
+
+  /**
+   * 更新当前窗口的音频特征和情绪分析（来自 Mewt 音频触发器，在 addAudioData 之后调用）
+   * @param {Object} audioFeature - 音频特征
+   * @param {Object} emotionResult - 情绪分析结果
+   */
+  setAudioAnalysis(audioFeature, emotionResult) {
+    if (audioFeature) {
+      this.currentWindow.currentAudioFeature = audioFeature;
+    }
+    
+    if (emotionResult) {
+      this.currentWindow.emotionClassification = emotionResult;
+    }
+  }
+
+  /**
+   * 更新呼噜状态（来自 PurrDetector，作为额外的音频信号）
+   * @param {Object} purrState - 呼噜状态
+   */
+  setPurrState(purrState) {
+    this.currentWindow.purrState = purrState;
+  }
+
   /**
    * 处理当前窗口数据
    * @returns {Object} 窗口处理结果
@@ -214,7 +356,7 @@ export class WindowProcessor {
     }
     
     this.isProcessing = true;
-    const processStartTime = Date.now();
+    const processStartTime = this.clock.now();
     
     try {
       // 更新统计信息
@@ -230,15 +372,24 @@ export class WindowProcessor {
         return basicResponse;
       }
       
-      // 使用状态管理器分析当前状态
+      // 更新LRU缓存（如果可用），供状态管理器累积视觉证据
+      // LRU 只记录本步长内的新检测，重叠窗口不会重复计分
+      this.updateLRUCache();
+      
+      // 聚合所有滑动窗口，用合并后的检测结果分析当前状态
+      const aggregated = this.aggregateWindows(processStartTime);
       const currentState = this.stateManager.analyzeCurrentState(
-        this.currentWindow.currentImageMap,
-        this.currentWindow.currentAudioMap
+        aggregated.imageMap,
+        aggregated.audioMap,
+        this.currentWindow.purrState,
+        {
+          emotionResult: this.currentWindow.emotionClassification,
+          ...(this.getContext ? this.getContext() : {}),
+          lruCache: this.lruCache,
+          timestamp: processStartTime
+        }
       );
       
-      // 更新LRU缓存（如果可用）
-      this.updateLRUCache();
-      
       // 计算基于信任机制的关注状态
       const isFocusing = this.calculateFocusState(currentState);
       
@@ -248,13 +399,18 @@ export class WindowProcessor {
       // 添加窗口特定信息
       const windowResponse = {
         ...stateResponse,
+        signals: this.stateManager.lastSignals,
+        decisions: aggregated.decisions,
+        windows: aggregated.windows,
         windowInfo: {
           windowId: this.timing.totalWindows + 1,
           imageDetections: this.currentWindow.currentImageMap.size,
           audioDetections: this.currentWindow.currentAudioMap.size,
           hasAudioFeature: !!this.currentWindow.currentAudioFeature,
           hasEmotionResult: !!this.currentWindow.emotionClassification,
-          processingTime: Date.now() - processStartTime
+          purring: !!(this.currentWindow.purrState && this.currentWindow.purrState.purring),
+          evidence: this.stateManager.getEvidence(),
+          processingTime: this.clock.now() - processStartTime
         }
       };
       
@@ -291,7 +447,7 @@ export class WindowProcessor {
       state: 'unknown',
       text: '数据收集中...',
       is_focusing_cat: false,
-      timestamp: Date.now(),
+      timestamp: this.clock.now(),
       windowInfo: {
         windowId: this.timing.totalWindows + 1,
         imageDetections: this.currentWindow.currentImageMap.size,
@@ -308,7 +464,7 @@ export class WindowProcessor {
   updateLRUCache() {
     if (!this.lruCache) return;
     
-    const now = Date.now();
+    const now = this.clock.now();
     
     // 将当前窗口的图像结果添加到LRU
     for (const [className, score] of this.currentWindow.currentImageMap) {
@@ -337,12 +493,8 @@ export class WindowProcessor {
       return false;
     }
     
-    // 检查最近的检测历史
-    const recentDetections = this.lruCache.recent(10);
-    const catDetections = recentDetections.filter(item => item.isCat);
-    
-    // 最近10次检测中有猫 = 保持焦点
-    return catDetections.length > 0;
+    // 最近 T 秒内猫的累计分数达到 S（LRU 信任）= 保持焦点
+    return this.stateManager.isLRUTrusted();
   }
 
   /**
@@ -357,11 +509,11 @@ export class WindowProcessor {
     this.currentWindow.emotionClassification = null;
     
     // 更新时间统计
-    const processingTime = Date.now() - processStartTime;
+    const processingTime = this.clock.now() - processStartTime;
     this.timing.totalWindows++;
-    this.timing.lastProcessTime = Date.now();
+    this.timing.lastProcessTime = this.clock.now();
     this.timing.totalProcessingTime += processingTime;
-    this.timing.windowStartTime = Date.now();
+    this.timing.windowStartTime = this.clock.now();
     
     // 更新统计信息
     this.stats.totalWindowsProcessed++;
@@ -384,12 +536,12 @@ export class WindowProcessor {
       this.stopAutoProcessing();
     }
     
-    // 启动定时器
-    this.windowTimer = setInterval(() => {
+    // 启动定时器（每个滑动步长处理一次）
+    this.windowTimer = this.clock.setInterval(() => {
       this.processWindow();
-    }, this.config.WINDOW_INTERVAL);
+    }, this.config.HOP);
     
-    console.log(`WindowProcessor: 自动处理已启动，间隔 ${this.config.WINDOW_INTERVAL}ms`);
+    console.log(`WindowProcessor: 自动处理已启动，步长 ${this.config.HOP}ms`);
   }
 
   /**
@@ -397,7 +549,7 @@ export class WindowProcessor {
    */
   stopAutoProcessing() {
     if (this.windowTimer) {
-      clearInterval(this.windowTimer);
+      this.clock.clearInterval(this.windowTimer);
       this.windowTimer = null;
       console.log('WindowProcessor: 自动处理已停止');
     }
@@ -421,11 +573,24 @@ export class WindowProcessor {
       audioDetections: Array.from(this.currentWindow.currentAudioMap.entries()),
       hasAudioFeature: !!this.currentWindow.currentAudioFeature,
       hasEmotionResult: !!this.currentWindow.emotionClassification,
-      windowAge: Date.now() - this.timing.windowStartTime,
+      windowAge: this.clock.now() - this.timing.windowStartTime,
       isProcessing: this.isProcessing
     };
   }
 
+  /**
+   * 获取当前窗口数据（与 Mewt.getFullContext().current 的格式一致，调试用）
+   * @returns {Object} { current_image, current_audio, current_audio_feature, emotion_classification }
+   */
+  getWindowContext() {
+    return {
+      current_image: Object.fromEntries(this.currentWindow.currentImageMap),
+      current_audio: Object.fromEntries(this.currentWindow.currentAudioMap),
+      current_audio_feature: this.currentWindow.currentAudioFeature,
+      emotion_classification: this.currentWindow.emotionClassification
+    };
+  }
+
   /**
    * 获取统计信息
    * @returns {Object} 统计信息
@@ -452,7 +617,7 @@ export class WindowProcessor {
     };
     
     this.timing = {
-      windowStartTime: Date.now(),
+      windowStartTime: this.clock.now(),
       lastProcessTime: 0,
       totalWindows: 0,
       totalProcessingTime: 0
@@ -464,12 +629,21 @@ export class WindowProcessor {
    * @param {Object} newConfig - 新配置
    */
   updateConfig(newConfig) {
-    const oldInterval = this.config.WINDOW_INTERVAL;
+    const oldHop = this.config.HOP;
     Object.assign(this.config, newConfig);
     
-    // 如果间隔改变且正在运行，重启定时器
-    if (newConfig.WINDOW_INTERVAL && 
-        newConfig.WINDOW_INTERVAL !== oldInterval && 
+    // 只改窗口间隔时步长跟随（与原滚动窗口行为一致）
+    if (newConfig.WINDOW_INTERVAL && !newConfig.HOP) {
+      this.config.HOP = newConfig.WINDOW_INTERVAL;
+    }
+    
+    // 窗口定义改变时重建滑动窗口（已收集的样本丢弃）
+    if (newConfig.windows) {
+      this.windows = this.createWindows(newConfig.windows);
+    }
+    
+    // 如果步长改变且正在运行，重启定时器
+    if (this.config.HOP !== oldHop && 
         this.windowTimer) {
       this.stopAutoProcessing();
       this.startAutoProcessing();
@@ -481,6 +655,7 @@ export class WindowProcessor {
    */
   destroy() {
     this.stopAutoProcessing();
+    this.windows.forEach(slidingWindow => slidingWindow.clear());
     this.currentWindow.currentImageMap.clear();
     this.currentWindow.currentAudioMap.clear();
     this.currentWindow.currentAudioFeature = null;